@@ -3,14 +3,13 @@ import { NavigationContainer } from '@react-navigation/native';
 import { createNativeStackNavigator } from '@react-navigation/native-stack';
 import { Provider } from 'react-redux';
 import { View, ActivityIndicator, StyleSheet, Alert, Platform } from 'react-native';
-import DeviceInfo from 'react-native-device-info';
 
 // ============================================
 // SECURITY COMPONENTS & CONTEXT
 // ============================================
 import { AuthProvider, useAuth } from './context/AuthContext';
 import SessionTimeout from './components/SessionTimeout';
-// Removed: import SecureScreen from './components/SecureScreen';
+import SecureScreen from './components/SecureScreen';
 import RootedDeviceScreen from './screens/RootedDeviceScreen';
 
 // ============================================
@@ -23,17 +22,24 @@ import PinLoginScreen from './screens/PinLoginScreen';
 // SERVICES & STORE
 // ============================================
 import StorageService, { CACHE_EXPIRATION } from './services/StorageService';
-import { store } from './store/store';
+import DeviceIntegrityService, { INTEGRITY_ACTIONS, describeFinding } from './services/DeviceIntegrityService';
+import NotificationService from './services/NotificationService';
+import { store, loadSettings } from './store/store';
 
 // ============================================
 // APPLICATION SCREENS
 // ============================================
 import LoginScreen from './screens/LoginScreen';
+import RegisterScreen from './screens/RegisterScreen';
+import ForgotPasswordScreen from './screens/ForgotPasswordScreen';
 import HomeScreen from './screens/HomeScreen';
 import AddTaskScreen from './screens/AddTaskScreen';
 import SettingsScreen from './screens/SettingsScreen';
 import ProfileScreen from './screens/ProfileScreen';
 import TaskDetailsScreen from './screens/TaskDetailsScreen';
+import ConflictReviewScreen from './screens/ConflictReviewScreen';
+import ChangePinScreen from './screens/ChangePinScreen';
+import ActivityScreen from './screens/ActivityScreen';
 
 // ============================================
 // TYPE DEFINITIONS
@@ -79,9 +85,25 @@ function HomeStack({
       </MainStack.Screen>
       
       <MainStack.Screen name="TaskDetails">
-        {(props) => <TaskDetailsScreen {...props} isDark={isDark} />}
+        {(props) => (
+          <SecureScreen>
+            <TaskDetailsScreen {...props} isDark={isDark} />
+          </SecureScreen>
+        )}
+      </MainStack.Screen>
+
+      <MainStack.Screen name="ConflictReview">
+        {(props) => <ConflictReviewScreen {...props} isDark={isDark} />}
       </MainStack.Screen>
       
+      <MainStack.Screen name="ChangePin">
+        {(props) => (
+          <SecureScreen>
+            <ChangePinScreen {...props} isDark={isDark} />
+          </SecureScreen>
+        )}
+      </MainStack.Screen>
+
       <MainStack.Screen name="Settings">
         {(props) => (
           <SettingsScreen 
@@ -93,11 +115,20 @@ function HomeStack({
         )}
       </MainStack.Screen>
       
-      {/* Profile Screen - SecureScreen wrapper removed */}
+      {/* Profile Screen - no screenshots / app-switcher snapshot */}
       <MainStack.Screen name="Profile">
         {(props) => (
-          // The screen is no longer wrapped in SecureScreen
-          <ProfileScreen {...props} isDark={isDark} user={user} />
+          <SecureScreen>
+            <ProfileScreen {...props} isDark={isDark} user={user} />
+          </SecureScreen>
+        )}
+      </MainStack.Screen>
+
+      <MainStack.Screen name="Activity">
+        {(props) => (
+          <SecureScreen>
+            <ActivityScreen {...props} isDark={isDark} />
+          </SecureScreen>
         )}
       </MainStack.Screen>
     </MainStack.Navigator>
@@ -137,7 +168,7 @@ function AppNavigator({
   isDark: boolean; 
   setIsDark: (v: boolean) => void;
 }) {
-  const { status, user, login, logout } = useAuth();
+  const { status, user, login, register, resumeSession, signInWithBiometrics, canSignInWithBiometrics, logout } = useAuth();
 
   // Show splash while checking authentication state
   if (status === 'loading') {
@@ -145,12 +176,17 @@ function AppNavigator({
   }
 
   /**
-   * Handle login with user data
-   * AuthContext manages token storage internally
+   * Handle login with email and password
+   * AuthContext manages token storage internally; the result carries
+   * credential/lockout errors back to LoginScreen
    */
-  const handleLogin = async (userData: User) => {
-    await login(userData);
-  };
+  const handleLogin = (email: string, password: string) => login(email, password);
+
+  /**
+   * Handle sign-up - a new account continues to PIN setup ('no_pin')
+   */
+  const handleRegister = (name: string, email: string, password: string) =>
+    register(name, email, password);
 
   /**
    * Handle logout - clear session and return to login
@@ -173,36 +209,57 @@ function AppNavigator({
       key={status} // CRITICAL: Forces navigator to remount when status changes
     >
       {/* ============================================ */}
-      {/* UNAUTHENTICATED STATE - Show Login Screen */}
+      {/* UNAUTHENTICATED STATE - Login, Sign Up, Password Reset */}
       {/* ============================================ */}
       {status === 'unauthenticated' ? (
-        <RootStack.Screen 
-          name="Login"
-          options={{
-            animationTypeForReplace: 'pop', // Smooth transition when logging out
-          }}
-        >
-          {(props) => (
-            <LoginScreen
-              {...props}
-              onLogin={handleLogin}
-            />
-          )}
-        </RootStack.Screen>
+        <>
+          <RootStack.Screen 
+            name="Login"
+            options={{
+              animationTypeForReplace: 'pop', // Smooth transition when logging out
+            }}
+          >
+            {(props) => (
+              <LoginScreen
+                {...props}
+                onLogin={handleLogin}
+                onResumeSession={resumeSession}
+                onBiometricSignIn={signInWithBiometrics}
+                hasBiometricKey={canSignInWithBiometrics}
+              />
+            )}
+          </RootStack.Screen>
+          <RootStack.Screen name="Register">
+            {(props) => <RegisterScreen {...props} onRegister={handleRegister} />}
+          </RootStack.Screen>
+          <RootStack.Screen name="ForgotPassword" component={ForgotPasswordScreen} />
+        </>
       ) 
       
       /* ============================================ */
       /* NO PIN STATE - First Time Setup */
       /* ============================================ */
       : status === 'no_pin' ? (
-        <RootStack.Screen name="PinSetup" component={PinSetupScreen} />
+        <RootStack.Screen name="PinSetup">
+          {() => (
+            <SecureScreen>
+              <PinSetupScreen />
+            </SecureScreen>
+          )}
+        </RootStack.Screen>
       ) 
       
       /* ============================================ */
       /* LOCKED STATE - PIN/Biometric Required */
       /* ============================================ */
       : status === 'locked' ? (
-        <RootStack.Screen name="PinLogin" component={PinLoginScreen} />
+        <RootStack.Screen name="PinLogin">
+          {() => (
+            <SecureScreen>
+              <PinLoginScreen />
+            </SecureScreen>
+          )}
+        </RootStack.Screen>
       ) 
       
       /* ============================================ */
@@ -230,11 +287,12 @@ function AppNavigator({
 // DEVICE INTEGRITY CHECK WRAPPER
 // ============================================
 /**
- * RootedDeviceCheckWrapper - Performs device security check on startup
- * Blocks app if rooted/jailbroken device is detected
+ * DeviceIntegrityWrapper - Runs the device integrity checks on startup and applies
+ * the configured policy (Settings → Device Security): block, warn once, or run
+ * without the offline cache
  */
-function RootedDeviceCheckWrapper({ children }: { children: React.ReactNode }) {
-  const [isRooted, setIsRooted] = useState(false);
+function DeviceIntegrityWrapper({ children }: { children: React.ReactNode }) {
+  const [blockedBy, setBlockedBy] = useState<string[] | null>(null);
   const [isChecking, setIsChecking] = useState(true);
 
   useEffect(() => {
@@ -242,32 +300,22 @@ function RootedDeviceCheckWrapper({ children }: { children: React.ReactNode }) {
       // Only perform check on mobile platforms
       if (Platform.OS === 'android' || Platform.OS === 'ios') {
         try {
-          let isJailbroken = false;
-          let isRooted = false;
-
-          // Check if DeviceInfo methods exist
-          // Using 'as any' to bypass TypeScript issues with dynamic method checks
-          const isJailbrokenFunc = (DeviceInfo as any).isJailbroken;
-          const isRootedFunc = (DeviceInfo as any).isRooted;
-          
-          if (typeof isJailbrokenFunc === 'function' && typeof isRootedFunc === 'function') {
-            isJailbroken = await isJailbrokenFunc();
-            isRooted = await isRootedFunc();
-          } else {
-            console.warn('Device integrity check methods not available. Skipping check.');
-          }
-          
-          if (isJailbroken || isRooted) {
+          const report = await DeviceIntegrityService.runChecks();
+
+          if (report.blocked) {
+            setBlockedBy(
+              report.results
+                .filter(result => result.action === INTEGRITY_ACTIONS.BLOCK)
+                .map(describeFinding)
+            );
+          } else if (report.warnings.length > 0) {
             Alert.alert(
-              'Security Risk', 
-              'Rooted/Jailbroken device detected. The app will not run.'
+              'Security Warning',
+              `This device may not be safe for your data:\n\n${report.warnings.map(warning => `• ${describeFinding(warning)}`).join('\n')}\n\nYou won't be warned about this again.`
             );
           }
-          setIsRooted(isJailbroken || isRooted);
         } catch (e) {
           console.warn('Device integrity check failed:', e);
-          // Fail safe: assume not rooted if check fails
-          setIsRooted(false);
         } finally {
           setIsChecking(false);
         }
@@ -285,9 +333,9 @@ function RootedDeviceCheckWrapper({ children }: { children: React.ReactNode }) {
     return <CustomSplashScreen isDark={false} />;
   }
 
-  // Block app if security risk detected
-  if (isRooted) {
-    return <RootedDeviceScreen />;
+  // Block app if the policy says so
+  if (blockedBy) {
+    return <RootedDeviceScreen findings={blockedBy} />;
   }
 
   return <>{children}</>;
@@ -311,6 +359,9 @@ function RootApp() {
       // Migrate legacy data if exists
       await StorageService.migrateLegacyData();
 
+      // App-wide preferences (notifications, haptics, sync) for every screen
+      await store.dispatch(loadSettings());
+
       // Load theme from cache or storage
       const cachedTheme = await StorageService.getCached(
         'app_theme', 
@@ -354,29 +405,13 @@ function RootApp() {
     }
   };
 
-  /**
-   * Preload tasks for better performance
-   */
-  const preloadTasks = async () => {
-    try {
-      const tasks = await StorageService.getTasks();
-      if (tasks.length > 0) {
-        await StorageService.setCached(
-          'tasks_list', 
-          tasks, 
-          CACHE_EXPIRATION.SHORT
-        );
-      }
-    } catch (error) {
-      console.error('Error preloading tasks:', error);
-    }
-  };
-
   useEffect(() => {
     initializeApp();
-    preloadTasks();
   }, []);
 
+  // Reminder buttons pressed while the app is open, and the reminder that launched it
+  useEffect(() => NotificationService.setupNotificationHandlers(), []);
+
   // Show splash during app initialization
   if (isLoading) {
     return <CustomSplashScreen isDark={isDark} />;
@@ -399,7 +434,7 @@ function RootApp() {
 /**
  * App - Entry point with device integrity check
  * Security flow order:
- * 1. Device integrity check (rooted/jailbroken)
+ * 1. Device integrity check (root/jailbreak, hooking, debugger, emulator, install source)
  * 2. App initialization (theme, storage)
  * 3. Authentication flow (login → PIN setup → main app)
  * 4. Logout flow (settings → clear session → return to login)
@@ -411,9 +446,9 @@ function RootApp() {
  */
 export default function App() {
   return (
-    <RootedDeviceCheckWrapper>
+    <DeviceIntegrityWrapper>
       <RootApp />
-    </RootedDeviceCheckWrapper>
+    </DeviceIntegrityWrapper>
   );
 }
 
@@ -0,0 +1,76 @@
+import React from 'react';
+import { Alert, Text, TextInput } from 'react-native';
+import ReactTestRenderer from 'react-test-renderer';
+import { Provider } from 'react-redux';
+import ApiService from '../services/ApiService';
+import AddTaskScreen from '../screens/AddTaskScreen';
+import { store } from '../store/store';
+
+const taskToEdit = {
+  id: 'local-1',
+  title: 'Water plants',
+  description: '',
+  priority: 'medium',
+  dueDate: '',
+  reminderOffsets: [],
+  source: 'local_permanent',
+  createdAt: '2026-01-01T00:00:00.000Z',
+};
+
+const renderScreen = async () => {
+  const navigation = { goBack: jest.fn(), navigate: jest.fn() };
+  let renderer;
+  await ReactTestRenderer.act(async () => {
+    renderer = ReactTestRenderer.create(
+      <Provider store={store}>
+        <AddTaskScreen navigation={navigation} route={{ params: { taskToEdit } }} />
+      </Provider>
+    );
+  });
+  return { root: renderer.root, navigation };
+};
+
+const pressSave = async (root) => {
+  let save = root.find(node => node.type === Text && node.props.children === 'Save Changes');
+  while (!save.props.onPress) {
+    save = save.parent;
+  }
+  await ReactTestRenderer.act(async () => {
+    await save.props.onPress();
+  });
+};
+
+describe('AddTaskScreen editing', () => {
+  beforeEach(() => {
+    jest.spyOn(Alert, 'alert').mockImplementation(() => {});
+    jest.spyOn(ApiService, 'updateTask').mockImplementation(async (id, changes) => ({
+      success: true,
+      data: { ...taskToEdit, ...changes, id },
+    }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('sends only the fields that changed', async () => {
+    const { root } = await renderScreen();
+    const titleInput = root.findAllByType(TextInput).find(input => input.props.placeholder === 'Task Title *');
+
+    await ReactTestRenderer.act(async () => {
+      titleInput.props.onChangeText('Water the plants');
+    });
+    await pressSave(root);
+
+    expect(ApiService.updateTask).toHaveBeenCalledWith('local-1', { title: 'Water the plants' }, undefined);
+  });
+
+  test('saves nothing when nothing changed', async () => {
+    const { root, navigation } = await renderScreen();
+
+    await pressSave(root);
+
+    expect(ApiService.updateTask).not.toHaveBeenCalled();
+    expect(navigation.goBack).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,197 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import ApiService from '../services/ApiService';
+import StorageService from '../services/StorageService';
+import { RestTaskAdapter } from '../services/adapters';
+
+// In-memory /tasks backend with mock-api/server.js semantics: PUT replaces the whole record
+const createBackend = (tasks) => {
+  const records = new Map(tasks.map(task => [task.id, { version: 1, ...task }]));
+  let nextId = 100;
+
+  const request = jest.fn(async (path, { method, body }) => {
+    const id = path.split('/')[2];
+    const notFound = () => Object.assign(new Error(`Task ${id} not found`), { status: 404 });
+    switch (method) {
+      case 'GET':
+        if (!id) return [...records.values()];
+        if (!records.has(id)) throw notFound();
+        return records.get(id);
+      case 'POST': {
+        const created = { ...body, id: String(nextId++), version: 1 };
+        records.set(created.id, created);
+        return created;
+      }
+      case 'PUT': {
+        if (!records.has(id)) throw notFound();
+        const { version, ...fields } = body;
+        const updated = { ...fields, id, version: records.get(id).version + 1 };
+        records.set(id, updated);
+        return updated;
+      }
+      case 'DELETE':
+        records.delete(id);
+        return {};
+      default:
+        throw new Error(`Unexpected ${method}`);
+    }
+  });
+
+  return { records, request, adapter: new RestTaskAdapter({ tasksPath: '/tasks' }, request) };
+};
+
+const unavailable = () => Object.assign(new Error('Service unavailable'), { status: 503 });
+
+const serverTask = {
+  id: '1',
+  title: 'Write report',
+  description: 'Quarterly numbers',
+  priority: 'high',
+  completed: false,
+};
+
+describe('ApiService task updates', () => {
+  let backend;
+
+  beforeEach(async () => {
+    await AsyncStorage.clear();
+    await ApiService.backendReady; // so the saved backend doesn't replace the test one
+    backend = createBackend([serverTask]);
+    ApiService.adapter = backend.adapter;
+    ApiService.isOnline = true;
+    ApiService.networkType = 'wifi';
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('a partial update keeps the fields it did not send', async () => {
+    const result = await ApiService.updateTask('1', { completed: true }, { ...serverTask, version: 1, source: 'api' });
+
+    expect(result).toMatchObject({ success: true, offline: false });
+    expect(backend.records.get('1')).toMatchObject({ ...serverTask, completed: true });
+    expect(backend.records.get('1').source).toBeUndefined();
+  });
+
+  test('a partial update without a base copy starts from the server record', async () => {
+    await ApiService.updateTask('1', { priority: 'low' });
+
+    expect(backend.records.get('1')).toMatchObject({ ...serverTask, priority: 'low' });
+  });
+
+  test('a queued partial update keeps the fields it did not send when synced', async () => {
+    ApiService.isOnline = false;
+    await ApiService.updateTask('1', { completed: true }, { ...serverTask, version: 1 });
+    ApiService.isOnline = true;
+
+    const report = await ApiService.syncOfflineChanges();
+
+    expect(report.applied).toHaveLength(1);
+    expect(backend.records.get('1')).toMatchObject({ ...serverTask, completed: true });
+  });
+});
+
+describe('ApiService offline queue', () => {
+  let backend;
+
+  beforeEach(async () => {
+    await AsyncStorage.clear();
+    await ApiService.backendReady;
+    backend = createBackend([serverTask]);
+    ApiService.adapter = backend.adapter;
+    ApiService.isOnline = false;
+    ApiService.networkType = 'wifi';
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+    ApiService.isOnline = true;
+  });
+
+  test('edits to a task the server has not seen fold into its create', async () => {
+    const { data: created } = await ApiService.addTask({ title: 'Draft', priority: 'low' });
+    await ApiService.updateTask(created.id, { priority: 'high' });
+
+    const changes = await StorageService.getOfflineChanges();
+    expect(changes).toHaveLength(1);
+    expect(changes[0]).toMatchObject({ action: 'create', revision: 1, task: { id: created.id, title: 'Draft', priority: 'high' } });
+  });
+
+  test('deleting a task the server has not seen leaves nothing to sync', async () => {
+    const { data: created } = await ApiService.addTask({ title: 'Draft' });
+    await ApiService.deleteTask(created.id);
+
+    expect(await StorageService.getOfflineChanges()).toEqual([]);
+  });
+
+  test('an update followed by a delete syncs as the delete alone', async () => {
+    await ApiService.updateTask('1', { completed: true }, { ...serverTask, version: 1 });
+    await ApiService.deleteTask('1');
+
+    const changes = await StorageService.getOfflineChanges();
+    expect(changes).toHaveLength(1);
+    expect(changes[0]).toMatchObject({ action: 'delete', task: { id: '1' } });
+
+    ApiService.isOnline = true;
+    await ApiService.syncOfflineChanges();
+    expect(backend.request.mock.calls.map(([, { method }]) => method)).toEqual(['DELETE']);
+    expect(backend.records.has('1')).toBe(false);
+  });
+
+  test('a synced create moves the local task to its server id', async () => {
+    const { data: created } = await ApiService.addTask({ title: 'Draft' });
+    ApiService.isOnline = true;
+
+    const report = await ApiService.syncOfflineChanges();
+
+    expect(report.idMap).toEqual({ [created.id]: '100' });
+    expect(await StorageService.getTaskById(created.id)).toBeUndefined();
+    expect(await StorageService.getTaskById('100')).toMatchObject({ title: 'Draft', localId: created.id, synced: true });
+    expect(backend.records.get('100')).toMatchObject({ title: 'Draft' });
+    expect(backend.records.get('100').localId).toBeUndefined();
+    expect(await StorageService.getOfflineChanges()).toEqual([]);
+  });
+
+  test('a failing change is retried with growing delays, then waits for its backoff', async () => {
+    jest.useFakeTimers({ now: 1000000, doNotFake: ['nextTick', 'setImmediate', 'queueMicrotask'] });
+    await ApiService.updateTask('1', { completed: true }, { ...serverTask, version: 1 });
+    ApiService.isOnline = true;
+    backend.request
+      .mockRejectedValueOnce(unavailable())
+      .mockRejectedValueOnce(unavailable())
+      .mockRejectedValueOnce(unavailable());
+
+    const syncing = ApiService.syncOfflineChanges();
+    await jest.runAllTimersAsync();
+    const failedRun = await syncing;
+
+    // Inline retries after 1s and 2s, then 4s before the next run may try again
+    expect(failedRun.failed).toEqual([expect.objectContaining({ attempts: 3, retryable: true })]);
+    expect((await StorageService.getOfflineChanges())[0].nextAttemptAt).toBe(1000000 + 3000 + 4000);
+
+    const deferredRun = await ApiService.syncOfflineChanges();
+    expect(deferredRun.deferred).toHaveLength(1);
+    expect(backend.request).toHaveBeenCalledTimes(3);
+
+    jest.setSystemTime(1000000 + 7000);
+    const retriedRun = await ApiService.syncOfflineChanges();
+    expect(retriedRun.applied).toHaveLength(1);
+    expect(backend.records.get('1').completed).toBe(true);
+  });
+
+  test('a change the server rejects outright waits the longest delay', async () => {
+    jest.useFakeTimers({ now: 1000000, doNotFake: ['nextTick', 'setImmediate', 'queueMicrotask'] });
+    await ApiService.updateTask('1', { completed: true }, { ...serverTask, version: 1 });
+    ApiService.isOnline = true;
+    backend.request.mockRejectedValueOnce(Object.assign(new Error('Bad request'), { status: 400 }));
+
+    const report = await ApiService.syncOfflineChanges();
+
+    expect(report.failed).toEqual([expect.objectContaining({ attempts: 1, retryable: false })]);
+    expect((await StorageService.getOfflineChanges())[0].nextAttemptAt).toBe(1000000 + 30 * 60 * 1000);
+  });
+});
@@ -0,0 +1,86 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as Keychain from 'react-native-keychain';
+import AuditLogService, { AUDIT_EVENTS } from '../services/AuditLogService';
+import StorageService from '../services/StorageService';
+
+const recordSome = async (count) => {
+  for (let i = 0; i < count; i++) {
+    await AuditLogService.record(AUDIT_EVENTS.LOCK, { reason: 'manual' });
+  }
+};
+
+const storedLog = async () => JSON.parse(await AsyncStorage.getItem('AUDIT_LOG'));
+
+describe('AuditLogService', () => {
+  beforeEach(async () => {
+    await AsyncStorage.clear();
+    Keychain.__reset();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('verifies an untouched log', async () => {
+    await recordSome(3);
+
+    expect(await AuditLogService.verify()).toEqual({ valid: true, checked: 3 });
+  });
+
+  test('an edited entry breaks the chain', async () => {
+    await recordSome(3);
+    const log = await storedLog();
+    log[1].details = { reason: 'idle' };
+    await StorageService.saveAuditLog(log);
+
+    expect(await AuditLogService.verify()).toMatchObject({ valid: false, problem: 'altered', brokenAt: 2 });
+  });
+
+  test('entries cut off the end are detected', async () => {
+    await recordSome(3);
+    await StorageService.saveAuditLog((await storedLog()).slice(0, 2));
+
+    expect(await AuditLogService.verify()).toMatchObject({ valid: false, problem: 'truncated' });
+  });
+
+  test('entries cut off the start are detected', async () => {
+    await recordSome(3);
+    await StorageService.saveAuditLog((await storedLog()).slice(1));
+
+    expect(await AuditLogService.verify()).toMatchObject({ valid: false, problem: 'truncated' });
+  });
+
+  test('a deleted log is detected, and stays detected after new entries', async () => {
+    await recordSome(3);
+    await AsyncStorage.removeItem('AUDIT_LOG');
+
+    expect(await AuditLogService.verify()).toEqual({ valid: false, checked: 0, problem: 'deleted' });
+
+    await recordSome(1);
+    expect(await AuditLogService.verify()).toMatchObject({ valid: false, problem: 'truncated' });
+  });
+
+  test('a log from before the head was kept verifies and is anchored by the next entry', async () => {
+    await recordSome(2);
+    await Keychain.resetGenericPassword({ service: 'com.yoursecureapp.audit-head' });
+
+    expect(await AuditLogService.verify()).toEqual({ valid: true, checked: 2 });
+
+    await recordSome(1);
+    await StorageService.saveAuditLog((await storedLog()).slice(0, 2));
+    expect(await AuditLogService.verify()).toMatchObject({ valid: false, problem: 'truncated' });
+  });
+
+  test('a failed write leaves the log and its head in step', async () => {
+    await recordSome(2);
+    jest.spyOn(AsyncStorage, 'setItem').mockRejectedValueOnce(new Error('disk full'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    await recordSome(1);
+    expect(await AuditLogService.verify()).toEqual({ valid: true, checked: 2 });
+
+    await recordSome(1);
+    expect(await AuditLogService.verify()).toEqual({ valid: true, checked: 3 });
+  });
+});
@@ -0,0 +1,202 @@
+import React from 'react';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { Buffer } from 'buffer';
+import crypto from 'crypto';
+import * as Keychain from 'react-native-keychain';
+import ReactNativeBiometrics from 'react-native-biometrics';
+import ReactTestRenderer from 'react-test-renderer';
+import { AuthProvider, useAuth } from '../context/AuthContext';
+import {
+  setActiveAccount,
+  storeToken,
+  storePin,
+  getToken,
+  getRefreshToken,
+  clearToken,
+  enrollBiometrics,
+} from '../services/AuthService';
+import ApiService from '../services/ApiService';
+import StorageService from '../services/StorageService';
+
+const user = { id: '7', name: 'Ada', email: 'ada@example.com' };
+
+// Signs `user` in on the device, then leaves no account selected (as at app start).
+// `active`: the app opens on this account.
+const seedAccount = async ({ pin, active = false }) => {
+  setActiveAccount(user.id);
+  StorageService.selectAccount(user.id);
+  await storeToken('access-token', 'refresh-token');
+  if (pin) {
+    await storePin('1234');
+  }
+  await StorageService.saveUser(user);
+  await StorageService.saveAccount(user);
+  if (active) {
+    await StorageService.saveActiveAccountId(user.id);
+  }
+  setActiveAccount(null);
+  StorageService.selectAccount(null);
+};
+
+// A working biometric key on the device, enrolled by `user`
+const enrollDeviceBiometrics = async () => {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', {
+    modulusLength: 2048,
+    publicKeyEncoding: { type: 'spki', format: 'der' },
+  });
+  const biometrics = ReactNativeBiometrics.mock.results[0].value;
+  biometrics.isSensorAvailable.mockResolvedValue({ available: true });
+  biometrics.createKeys.mockResolvedValue({ publicKey: publicKey.toString('base64') });
+  biometrics.biometricKeysExist.mockResolvedValue({ keysExist: true });
+  biometrics.createSignature.mockImplementation(async ({ payload }) => ({
+    success: true,
+    signature: crypto.sign('sha256', Buffer.from(payload), privateKey).toString('base64'),
+  }));
+  setActiveAccount(user.id);
+  await enrollBiometrics(user);
+  setActiveAccount(null);
+};
+
+const renderAuth = async () => {
+  const auth = {};
+  const Probe = () => {
+    Object.assign(auth, useAuth());
+    return null;
+  };
+  await ReactTestRenderer.act(async () => {
+    ReactTestRenderer.create(
+      <AuthProvider>
+        <Probe />
+      </AuthProvider>
+    );
+  });
+  return auth;
+};
+
+describe('AuthContext', () => {
+  const realFetch = global.fetch;
+
+  beforeEach(async () => {
+    await AsyncStorage.clear();
+    Keychain.__reset();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    global.fetch = realFetch;
+  });
+
+  describe('resumeSession (offline sign-in)', () => {
+    test('opens the lock screen, not the app, for an account with a PIN', async () => {
+      await seedAccount({ pin: true });
+      const auth = await renderAuth();
+      expect(auth.status).toBe('unauthenticated');
+
+      let resumed;
+      await ReactTestRenderer.act(async () => {
+        resumed = await auth.resumeSession(user.id);
+      });
+
+      expect(resumed).toBe(true);
+      expect(auth.status).toBe('locked');
+    });
+
+    test('refuses an account without a PIN', async () => {
+      await seedAccount({ pin: false });
+      const auth = await renderAuth();
+
+      let resumed;
+      await ReactTestRenderer.act(async () => {
+        resumed = await auth.resumeSession(user.id);
+      });
+
+      expect(resumed).toBe(false);
+      expect(auth.status).toBe('unauthenticated');
+    });
+  });
+
+  describe('signInWithBiometrics', () => {
+    test('signs in to the enrolled account while it holds a session', async () => {
+      await seedAccount({ pin: true });
+      await enrollDeviceBiometrics();
+      const auth = await renderAuth();
+
+      let result;
+      await ReactTestRenderer.act(async () => {
+        result = await auth.signInWithBiometrics();
+      });
+
+      expect(result).toEqual({ success: true });
+      expect(auth.status).toBe('authenticated');
+      expect(auth.user).toMatchObject({ id: user.id });
+      expect(StorageService.accountId).toBe(user.id);
+    });
+
+    test('asks for the password once the enrolled account has no session', async () => {
+      await seedAccount({ pin: true });
+      setActiveAccount(user.id);
+      await clearToken();
+      setActiveAccount(null);
+      await enrollDeviceBiometrics();
+      const auth = await renderAuth();
+
+      let result;
+      await ReactTestRenderer.act(async () => {
+        result = await auth.signInWithBiometrics();
+      });
+
+      expect(result).toEqual({ success: false, reason: 'no_session' });
+      expect(auth.status).toBe('unauthenticated');
+      expect(auth.user).toBeNull();
+    });
+  });
+
+  describe('forced session expiry', () => {
+    test('a rejected refresh token clears the tokens and cached session', async () => {
+      await seedAccount({ pin: true, active: true });
+      await AsyncStorage.setItem(`CACHE_user_session@${user.id}`, JSON.stringify({ data: user, timestamp: Date.now() }));
+      const auth = await renderAuth();
+      expect(auth.status).toBe('locked');
+      global.fetch = jest.fn(async () => ({
+        ok: false,
+        status: 401,
+        statusText: 'Unauthorized',
+        text: async () => JSON.stringify({ error: 'invalid_refresh_token' }),
+      }));
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      await ReactTestRenderer.act(async () => {
+        await ApiService.performTokenRefresh();
+      });
+
+      expect(auth.status).toBe('unauthenticated');
+      expect(await AsyncStorage.getItem(`CACHE_user_session@${user.id}`)).toBeNull();
+      expect(await getToken()).toBeNull();
+      expect(await getRefreshToken()).toBeNull();
+    });
+
+    test('a server error during refresh keeps the session', async () => {
+      await seedAccount({ pin: true, active: true });
+      const auth = await renderAuth();
+      const tokens = [await getToken(), await getRefreshToken()];
+      global.fetch = jest.fn(async () => ({
+        ok: false,
+        status: 500,
+        statusText: 'Internal Server Error',
+        text: async () => '',
+      }));
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      let refreshed;
+      await ReactTestRenderer.act(async () => {
+        refreshed = await ApiService.performTokenRefresh();
+      });
+
+      expect(refreshed).toBe(false);
+      expect(auth.status).toBe('locked');
+      expect(auth.user).toMatchObject({ id: user.id });
+      expect([await getToken(), await getRefreshToken()]).toEqual(tokens);
+    });
+  });
+});
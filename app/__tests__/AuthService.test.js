@@ -0,0 +1,242 @@
+import { Buffer } from 'buffer';
+import crypto from 'crypto';
+import * as Keychain from 'react-native-keychain';
+import CryptoJS from 'crypto-js';
+import ReactNativeBiometrics from 'react-native-biometrics';
+import {
+  setActiveAccount,
+  storePin,
+  verifyPin,
+  hasPinSet,
+  getPinFormat,
+  enrollBiometrics,
+  hasBiometricEnrollment,
+  unlockWithBiometricKey,
+  recordFailedPinAttempt,
+  getPinRetryDelay,
+  resetPinAttempts,
+} from '../services/AuthService';
+
+const PIN_SERVICE = 'com.yoursecureapp.pin.7';
+
+const storedPinRecord = async () => JSON.parse((await Keychain.getGenericPassword({ service: PIN_SERVICE })).password);
+
+describe('AuthService PIN storage', () => {
+  beforeEach(() => {
+    Keychain.__reset();
+    setActiveAccount('7');
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('keeps a salted hash, never the PIN itself', async () => {
+    await storePin('1234', { mode: 'numeric', length: 4 });
+
+    const record = await storedPinRecord();
+    expect(JSON.stringify(record)).not.toContain('1234');
+    expect(record).toMatchObject({ algorithm: 'pbkdf2-sha256', format: { mode: 'numeric', length: 4 } });
+    expect(record.iterations).toBeGreaterThan(10000);
+    expect(await getPinFormat()).toEqual({ mode: 'numeric', length: 4 });
+  });
+
+  test('verifies the right PIN and rejects others, including prefixes', async () => {
+    await storePin('ab12cd', { mode: 'alphanumeric', length: 6 });
+
+    expect(await verifyPin('ab12cd')).toBe(true);
+    expect(await verifyPin('ab12ce')).toBe(false);
+    expect(await verifyPin('ab12c')).toBe(false);
+    expect(await verifyPin('ab12cdd')).toBe(false);
+  });
+
+  test('re-hashes a PIN saved with fewer iterations once it is entered', async () => {
+    const salt = '00112233445566778899aabbccddeeff';
+    const hash = CryptoJS.PBKDF2('1234', CryptoJS.enc.Hex.parse(salt), {
+      keySize: 8,
+      iterations: 10000,
+      hasher: CryptoJS.algo.SHA256,
+    }).toString(CryptoJS.enc.Hex);
+    await Keychain.setGenericPassword('app-pin', JSON.stringify({ algorithm: 'pbkdf2-sha256', iterations: 10000, salt, hash }), {
+      service: PIN_SERVICE,
+    });
+
+    expect(await verifyPin('1234')).toBe(true);
+
+    const record = await storedPinRecord();
+    expect(record.iterations).toBeGreaterThan(10000);
+    expect(record.salt).not.toBe(salt);
+    expect(await verifyPin('1234')).toBe(true);
+  });
+
+  test('hashes a plaintext PIN left by older versions in place', async () => {
+    await Keychain.setGenericPassword('app-pin', '4321', { service: PIN_SERVICE });
+
+    expect(await hasPinSet()).toBe(true);
+    expect((await storedPinRecord()).hash).toBeDefined();
+    expect(await verifyPin('4321')).toBe(true);
+  });
+});
+
+describe('AuthService PIN throttling', () => {
+  const policy = { freeAttempts: 3, baseDelaySeconds: 30, maxDelaySeconds: 120, maxAttempts: 8 };
+  const failTimes = async (count) => {
+    let attempt;
+    for (let i = 0; i < count; i++) {
+      attempt = await recordFailedPinAttempt(policy);
+    }
+    return attempt;
+  };
+
+  beforeEach(() => {
+    Keychain.__reset();
+    setActiveAccount('7');
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(Date, 'now').mockReturnValue(1000000);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    setActiveAccount(null);
+  });
+
+  test('the free attempts carry no delay', async () => {
+    expect(await failTimes(3)).toEqual({ failures: 3, attemptsRemaining: 5, retryAfter: 0, lockedOut: false });
+    expect(await getPinRetryDelay()).toBe(0);
+  });
+
+  test('the delay doubles after the free attempts, up to the cap', async () => {
+    await failTimes(3);
+
+    const delays = [];
+    for (let i = 0; i < 4; i++) {
+      delays.push((await recordFailedPinAttempt(policy)).retryAfter);
+    }
+
+    expect(delays).toEqual([30, 60, 120, 120]);
+  });
+
+  test('the wait counts down from the last wrong PIN', async () => {
+    await failTimes(4);
+    expect(await getPinRetryDelay()).toBe(30);
+
+    Date.now.mockReturnValue(1000000 + 20_500);
+    expect(await getPinRetryDelay()).toBe(10);
+
+    Date.now.mockReturnValue(1000000 + 30_000);
+    expect(await getPinRetryDelay()).toBe(0);
+  });
+
+  test('the last allowed attempt locks out', async () => {
+    expect(await failTimes(7)).toMatchObject({ attemptsRemaining: 1, lockedOut: false });
+    expect(await recordFailedPinAttempt(policy)).toMatchObject({ attemptsRemaining: 0, lockedOut: true });
+  });
+
+  test('attempts count per account and reset after a correct PIN', async () => {
+    await failTimes(4);
+
+    setActiveAccount('8');
+    expect(await getPinRetryDelay()).toBe(0);
+    expect((await recordFailedPinAttempt(policy)).failures).toBe(1);
+
+    setActiveAccount('7');
+    await resetPinAttempts();
+    expect(await getPinRetryDelay()).toBe(0);
+    expect((await recordFailedPinAttempt(policy)).failures).toBe(1);
+  });
+});
+
+// The device's key pair, as react-native-biometrics hands it out: base64 DER public key,
+// base64 SHA256withRSA signatures
+const createDeviceKey = () => {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', {
+    modulusLength: 2048,
+    publicKeyEncoding: { type: 'spki', format: 'der' },
+  });
+  return {
+    publicKey: publicKey.toString('base64'),
+    sign: (payload) => crypto.sign('sha256', Buffer.from(payload), privateKey).toString('base64'),
+  };
+};
+
+describe('AuthService biometric key', () => {
+  const user = { id: '7', name: 'Ada' };
+  const deviceKey = createDeviceKey();
+  // AuthService's instance
+  const biometrics = ReactNativeBiometrics.mock.results[0].value;
+
+  beforeEach(async () => {
+    Keychain.__reset();
+    setActiveAccount('7');
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    let keysExist = false;
+    biometrics.isSensorAvailable.mockResolvedValue({ available: true });
+    biometrics.createKeys.mockImplementation(async () => {
+      keysExist = true;
+      return { publicKey: deviceKey.publicKey };
+    });
+    biometrics.deleteKeys.mockImplementation(async () => {
+      keysExist = false;
+      return { keysDeleted: true };
+    });
+    biometrics.biometricKeysExist.mockImplementation(async () => ({ keysExist }));
+    biometrics.createSignature.mockImplementation(async ({ payload }) => ({
+      success: true,
+      signature: deviceKey.sign(payload),
+    }));
+    await enrollBiometrics(user);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('keeps the enrolled record behind the current biometrics', async () => {
+    const record = await Keychain.getGenericPassword({ service: 'com.yoursecureapp.biometric' });
+
+    expect(record.accessControl).toBe(Keychain.ACCESS_CONTROL.BIOMETRY_CURRENT_SET);
+    expect(JSON.parse(record.password)).toMatchObject({ publicKey: deviceKey.publicKey, user });
+    expect(await hasBiometricEnrollment()).toBe(true);
+  });
+
+  test('belongs to no one while no account is selected (Add Account)', async () => {
+    setActiveAccount(null);
+
+    expect(await hasBiometricEnrollment()).toBe(false);
+  });
+
+  test('unlocks once the signature checks out against the enrolled key', async () => {
+    expect(await unlockWithBiometricKey('Unlock')).toEqual({ success: true, user });
+  });
+
+  test('refuses a signature made with another key', async () => {
+    const otherKey = createDeviceKey();
+    biometrics.createSignature.mockImplementation(async ({ payload }) => ({
+      success: true,
+      signature: otherKey.sign(payload),
+    }));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    expect(await unlockWithBiometricKey('Unlock')).toEqual({ success: false, reason: 'error' });
+  });
+
+  test('refuses a signature over another challenge', async () => {
+    biometrics.createSignature.mockImplementation(async () => ({
+      success: true,
+      signature: deviceKey.sign('1700000000000:replayed'),
+    }));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    expect(await unlockWithBiometricKey('Unlock')).toEqual({ success: false, reason: 'error' });
+  });
+
+  test('drops the enrollment once a biometrics change has made the record unreadable', async () => {
+    await Keychain.resetGenericPassword({ service: 'com.yoursecureapp.biometric' });
+
+    expect(await unlockWithBiometricKey('Unlock')).toEqual({ success: false, reason: 'invalidated' });
+    expect(biometrics.createSignature).not.toHaveBeenCalled();
+    expect(await hasBiometricEnrollment()).toBe(false);
+  });
+});
@@ -0,0 +1,85 @@
+import ConflictResolver, { STRATEGIES } from '../services/ConflictResolver';
+
+const base = {
+  id: '1',
+  title: 'Buy milk',
+  description: 'Semi-skimmed',
+  priority: 'low',
+  completed: false,
+  updatedAt: '2026-01-01T10:00:00.000Z',
+};
+
+const manual = { default: STRATEGIES.MANUAL, fields: {} };
+
+describe('ConflictResolver.merge', () => {
+  test('takes fields changed on one side only from that side', () => {
+    const local = { ...base, title: 'Buy oat milk', updatedAt: '2026-01-01T11:00:00.000Z' };
+    const server = { ...base, priority: 'high', updatedAt: '2026-01-01T12:00:00.000Z' };
+
+    const { merged, conflicts } = ConflictResolver.merge({ base, local, server }, manual);
+
+    expect(conflicts).toEqual([]);
+    expect(merged).toMatchObject({ title: 'Buy oat milk', priority: 'high', description: 'Semi-skimmed' });
+  });
+
+  test('agrees when both sides made the same change', () => {
+    const local = { ...base, priority: 'high' };
+    const server = { ...base, priority: 'high' };
+
+    const { merged, conflicts } = ConflictResolver.merge({ base, local, server }, manual);
+
+    expect(conflicts).toEqual([]);
+    expect(merged.priority).toBe('high');
+  });
+
+  test('reports a field both sides changed differently under the manual strategy', () => {
+    const local = { ...base, title: 'Buy oat milk' };
+    const server = { ...base, title: 'Buy almond milk' };
+
+    const { merged, conflicts } = ConflictResolver.merge({ base, local, server }, manual);
+
+    expect(conflicts).toEqual([
+      { field: 'title', base: 'Buy milk', local: 'Buy oat milk', server: 'Buy almond milk' },
+    ]);
+    expect(merged.title).toBe('Buy almond milk');
+  });
+
+  test('settles a field both sides changed by its strategy', () => {
+    const local = { ...base, title: 'Local', dueDate: '2026-02-01', updatedAt: '2026-01-01T12:00:00.000Z' };
+    const server = { ...base, title: 'Server', dueDate: '2026-03-01', updatedAt: '2026-01-01T11:00:00.000Z' };
+    const policy = (title) => ({
+      default: STRATEGIES.MANUAL,
+      fields: { title, dueDate: STRATEGIES.LAST_WRITER_WINS },
+    });
+
+    const localWins = ConflictResolver.merge({ base, local, server }, policy(STRATEGIES.LOCAL_WINS));
+    const serverWins = ConflictResolver.merge({ base, local, server }, policy(STRATEGIES.SERVER_WINS));
+
+    expect(localWins.conflicts).toEqual([]);
+    expect(localWins.merged.title).toBe('Local');
+    expect(serverWins.merged.title).toBe('Server');
+    // The local edit is the newer one
+    expect(localWins.merged.dueDate).toBe('2026-02-01');
+  });
+
+  test('treats fields missing from a partial local edit as unchanged', () => {
+    const local = { id: '1', completed: true, completedAt: '2026-01-01T11:00:00.000Z' };
+    const server = { ...base, title: 'Buy almond milk', description: '' };
+
+    const { merged, conflicts } = ConflictResolver.merge({ base, local, server }, manual);
+
+    expect(conflicts).toEqual([]);
+    expect(merged).toEqual({ ...server, completed: true, completedAt: '2026-01-01T11:00:00.000Z' });
+    expect(Object.values(merged)).not.toContain(undefined);
+  });
+
+  test('treats fields missing from the server copy as unchanged there', () => {
+    const local = { ...base, title: 'Buy oat milk' };
+    const server = { id: '1', priority: 'medium', updatedAt: '2026-01-01T12:00:00.000Z' };
+
+    const { merged, conflicts } = ConflictResolver.merge({ base, local, server }, manual);
+
+    expect(conflicts).toEqual([]);
+    expect(merged).toMatchObject({ title: 'Buy oat milk', priority: 'medium' });
+  });
+});
@@ -0,0 +1,54 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import JailMonkey from 'jail-monkey';
+import DeviceIntegrityService, { describeFinding } from '../services/DeviceIntegrityService';
+import StorageService, { DEFAULT_SETTINGS } from '../services/StorageService';
+
+const resultFor = (report, id) => report.results.find(result => result.id === id);
+
+describe('DeviceIntegrityService', () => {
+  beforeEach(async () => {
+    await AsyncStorage.clear();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('passes a device where every check runs clean', async () => {
+    const report = await DeviceIntegrityService.runChecks();
+
+    expect(resultFor(report, 'rooted')).toMatchObject({ status: 'passed', action: null });
+    expect(report.blocked).toBe(false);
+  });
+
+  test('a check that throws is blocked by its policy, not passed', async () => {
+    jest.spyOn(JailMonkey, 'isJailBroken').mockImplementation(() => {
+      throw new Error('JailMonkey native module missing');
+    });
+
+    const report = await DeviceIntegrityService.runChecks();
+
+    expect(resultFor(report, 'rooted')).toMatchObject({ status: 'unavailable', action: 'block' });
+    expect(report.blocked).toBe(true);
+    expect(describeFinding(resultFor(report, 'rooted'))).toMatch(/could not be checked/);
+  });
+
+  test('a check that throws under a warn policy warns once', async () => {
+    await StorageService.updateSecuritySettings({
+      integrityPolicy: { ...DEFAULT_SETTINGS.security.integrityPolicy, hooking: 'warn' },
+    });
+    jest.spyOn(JailMonkey, 'hookDetected').mockImplementation(() => {
+      throw new Error('JailMonkey native module missing');
+    });
+
+    const first = await DeviceIntegrityService.runChecks();
+    const second = await DeviceIntegrityService.runChecks();
+
+    expect(resultFor(first, 'hooking')).toMatchObject({ status: 'unavailable', action: 'warn' });
+    expect(first.blocked).toBe(false);
+    expect(first.warnings).toEqual([{ id: 'hooking', label: expect.any(String), status: 'unavailable' }]);
+    expect(second.warnings).toEqual([]);
+  });
+});
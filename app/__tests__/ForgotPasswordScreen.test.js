@@ -0,0 +1,122 @@
+import React from 'react';
+import { Alert, Text, TextInput } from 'react-native';
+import ReactTestRenderer from 'react-test-renderer';
+import ApiService from '../services/ApiService';
+import ForgotPasswordScreen from '../screens/ForgotPasswordScreen';
+
+const renderScreen = async () => {
+  const navigation = { goBack: jest.fn(), navigate: jest.fn() };
+  let renderer;
+  await ReactTestRenderer.act(async () => {
+    renderer = ReactTestRenderer.create(<ForgotPasswordScreen navigation={navigation} />);
+  });
+  return { root: renderer.root, navigation };
+};
+
+const fillIn = async (root, values) => {
+  for (const [placeholder, value] of Object.entries(values)) {
+    const input = root.findAllByType(TextInput).find(node => node.props.placeholder === placeholder);
+    await ReactTestRenderer.act(async () => {
+      input.props.onChangeText(value);
+    });
+  }
+};
+
+const press = async (root, label) => {
+  let button = root.find(node => node.type === Text && node.props.children === label);
+  while (!button.props.onPress) {
+    button = button.parent;
+  }
+  await ReactTestRenderer.act(async () => {
+    await button.props.onPress();
+  });
+};
+
+const shownText = (root) =>
+  root.findAllByType(Text).map(node => [].concat(node.props.children).join('')).join('\n');
+
+const newPassword = {
+  'Reset code': 'K7Q2PD',
+  'New password (8+ characters)': 'engine1843',
+  'Confirm new password': 'engine1843',
+};
+
+describe('ForgotPasswordScreen', () => {
+  beforeEach(() => {
+    jest.spyOn(Alert, 'alert').mockImplementation(() => {});
+    jest.spyOn(ApiService, 'requestPasswordReset').mockResolvedValue({ success: true });
+    jest.spyOn(ApiService, 'resetPassword').mockResolvedValue({ success: true });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const requestCode = async () => {
+    const screen = await renderScreen();
+    await fillIn(screen.root, { 'Email address': ' ada@example.com ' });
+    await press(screen.root, 'Send Reset Code');
+    return screen;
+  };
+
+  test('an invalid email is not sent', async () => {
+    const { root } = await renderScreen();
+
+    await fillIn(root, { 'Email address': 'ada' });
+    await press(root, 'Send Reset Code');
+
+    expect(shownText(root)).toContain('Please enter a valid email address');
+    expect(ApiService.requestPasswordReset).not.toHaveBeenCalled();
+  });
+
+  test('requesting a code moves on to entering it', async () => {
+    const { root } = await requestCode();
+
+    expect(ApiService.requestPasswordReset).toHaveBeenCalledWith('ada@example.com');
+    expect(shownText(root)).toContain('Code sent to ada@example.com');
+  });
+
+  test('a failed request stays on the email step', async () => {
+    ApiService.requestPasswordReset.mockResolvedValue({ success: false, error: 'Too many requests' });
+
+    const { root } = await requestCode();
+
+    expect(Alert.alert).toHaveBeenCalledWith('Error', 'Too many requests');
+    expect(shownText(root)).toContain('Send Reset Code');
+  });
+
+  test('a mismatched confirmation is not sent', async () => {
+    const { root } = await requestCode();
+
+    await fillIn(root, { ...newPassword, 'Confirm new password': 'engine1842' });
+    await press(root, 'Set New Password');
+
+    expect(shownText(root)).toContain('Passwords do not match');
+    expect(ApiService.resetPassword).not.toHaveBeenCalled();
+  });
+
+  test('a rejected code is shown on the code field', async () => {
+    ApiService.resetPassword.mockResolvedValue({ success: false, field: 'token', error: 'This code has expired' });
+    const { root } = await requestCode();
+
+    await fillIn(root, newPassword);
+    await press(root, 'Set New Password');
+
+    expect(shownText(root)).toContain('This code has expired');
+    expect(Alert.alert).not.toHaveBeenCalled();
+  });
+
+  test('a new password returns to sign-in', async () => {
+    const { root, navigation } = await requestCode();
+
+    await fillIn(root, newPassword);
+    await press(root, 'Set New Password');
+
+    expect(ApiService.resetPassword).toHaveBeenCalledWith('K7Q2PD', 'engine1843');
+    const [title, , buttons] = Alert.alert.mock.calls[0];
+    expect(title).toBe('Password Updated');
+    buttons[0].onPress();
+    expect(navigation.navigate).toHaveBeenCalledWith('Login');
+  });
+});
@@ -0,0 +1,445 @@
+import notifee, { EventType, RepeatFrequency } from '@notifee/react-native';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { Alert } from 'react-native';
+import NotificationService, { outsideQuietHours, digestTime } from '../services/NotificationService';
+import StorageService from '../services/StorageService';
+
+const pending = (id, data) => ({ notification: { id, data } });
+
+// Local time on Monday 5 January 2026
+const at = (hour, minute = 0, day = 5) => new Date(2026, 0, day, hour, minute).getTime();
+
+const overnight = { enabled: true, startHour: 22, endHour: 7 };
+
+const scheduled = () => notifee.createTriggerNotification.mock.calls.map(([notification, trigger]) => ({
+  id: notification.id,
+  title: notification.title,
+  timestamp: trigger.timestamp,
+  repeatFrequency: trigger.repeatFrequency,
+}));
+
+describe('NotificationService planning', () => {
+  beforeEach(async () => {
+    await AsyncStorage.clear();
+    jest.clearAllMocks();
+    StorageService.selectAccount('A');
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    StorageService.selectAccount(null);
+  });
+
+  test("replanning one account leaves other accounts' digests and escalations alone", async () => {
+    notifee.getTriggerNotifications.mockResolvedValueOnce([
+      pending('digest-a', { type: 'digest', accountId: 'A' }),
+      pending('overdue-a', { type: 'task_reminder', kind: 'escalation', accountId: 'A', taskId: '1' }),
+      pending('digest-b', { type: 'digest', accountId: 'B' }),
+      pending('overdue-b', { type: 'task_reminder', kind: 'escalation', accountId: 'B', taskId: '1' }),
+      pending('reminder-a', { type: 'task_reminder', accountId: 'A', taskId: '2' }),
+    ]);
+
+    await NotificationService.refreshSchedule([]);
+
+    expect(notifee.cancelTriggerNotifications).toHaveBeenCalledWith(['digest-a', 'overdue-a']);
+  });
+
+  test("cancelling a task's reminders leaves another account's task with the same id alone", async () => {
+    notifee.getTriggerNotifications.mockResolvedValueOnce([
+      pending('task-1-0@A', { type: 'task_reminder', accountId: 'A', taskId: '1' }),
+      pending('task-1-0@B', { type: 'task_reminder', accountId: 'B', taskId: '1' }),
+    ]);
+    notifee.getDisplayedNotifications.mockResolvedValueOnce([]);
+
+    await NotificationService.cancelTaskReminder('1', 'A');
+
+    expect(notifee.cancelNotification).toHaveBeenCalledTimes(1);
+    expect(notifee.cancelNotification).toHaveBeenCalledWith('task-1-0@A');
+  });
+});
+
+describe('quiet hours', () => {
+  test('overnight hours wrap past midnight', () => {
+    expect(outsideQuietHours(at(23, 30), overnight)).toBe(at(7, 0, 6));
+    expect(outsideQuietHours(at(22), overnight)).toBe(at(7, 0, 6));
+    expect(outsideQuietHours(at(3), overnight)).toBe(at(7));
+    expect(outsideQuietHours(at(6, 59), overnight)).toBe(at(7));
+  });
+
+  test('times outside them are kept', () => {
+    expect(outsideQuietHours(at(7), overnight)).toBe(at(7));
+    expect(outsideQuietHours(at(21, 59), overnight)).toBe(at(21, 59));
+    expect(outsideQuietHours(at(23), { ...overnight, enabled: false })).toBe(at(23));
+  });
+
+  test('daytime hours move to their end the same day', () => {
+    const afternoon = { enabled: true, startHour: 13, endHour: 15 };
+    expect(outsideQuietHours(at(14), afternoon)).toBe(at(15));
+    expect(outsideQuietHours(at(12), afternoon)).toBe(at(12));
+  });
+});
+
+describe('digest time', () => {
+  const settings = { digest: { enabled: true, hour: 8 }, quietHours: { enabled: false, startHour: 22, endHour: 7 } };
+
+  test('is the digest hour on the given day', () => {
+    expect(digestTime(at(6), 0, settings)).toBe(at(8));
+    expect(digestTime(at(9), 0, settings)).toBe(at(8));
+    expect(digestTime(at(23), 2, settings)).toBe(at(8, 0, 7));
+  });
+
+  test('moves to the end of quiet hours that cover it', () => {
+    const lateMornings = { ...settings, quietHours: { enabled: true, startHour: 22, endHour: 9 } };
+    expect(digestTime(at(6), 0, lateMornings)).toBe(at(9));
+    expect(digestTime(at(6), 1, lateMornings)).toBe(at(9, 0, 6));
+  });
+});
+
+describe('NotificationService timing', () => {
+  beforeEach(async () => {
+    await AsyncStorage.clear();
+    jest.clearAllMocks();
+    jest.useFakeTimers({ now: at(6), doNotFake: ['nextTick', 'setImmediate', 'queueMicrotask'] });
+    StorageService.selectAccount('A');
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+    StorageService.selectAccount(null);
+  });
+
+  test("today's digest is planned for the digest hour, tomorrow's after quiet hours", async () => {
+    await StorageService.updateSettings({ quietHours: { enabled: true, startHour: 22, endHour: 9 } });
+    const task = { id: '1', title: 'Pay rent', dueDate: new Date(at(12)).toISOString(), priority: 'low' };
+
+    await NotificationService.refreshSchedule([task]);
+
+    const digests = scheduled().filter(({ id }) => id.startsWith('digest-'));
+    expect(digests[0].timestamp).toBe(at(9));
+    expect(digests[1].timestamp).toBe(at(9, 0, 6));
+  });
+
+  test('the last planned escalation repeats daily', async () => {
+    const task = { id: '1', title: 'Pay rent', dueDate: new Date(at(5)).toISOString(), priority: 'high' };
+
+    await NotificationService.refreshSchedule([task]);
+
+    const escalations = scheduled().filter(({ id }) => id.includes('-overdue-'));
+    expect(escalations.map(({ id }) => id)).toEqual([
+      'task-1-overdue-2', 'task-1-overdue-3', 'task-1-overdue-4',
+      'task-1-overdue-5', 'task-1-overdue-6', 'task-1-overdue-7',
+    ]);
+    expect(escalations.slice(0, -1).every(({ repeatFrequency }) => repeatFrequency === undefined)).toBe(true);
+    expect(escalations[5]).toMatchObject({ title: '🚨 Still overdue', timestamp: at(12), repeatFrequency: RepeatFrequency.DAILY });
+  });
+
+  test('a delivered escalation plans the next ones from there', async () => {
+    const task = { id: '1', title: 'Pay rent', dueDate: new Date(at(5)).toISOString(), priority: 'high' };
+    jest.setSystemTime(at(11));
+    const notification = {
+      id: 'task-1-overdue-6',
+      body: task.title,
+      data: { taskId: '1', accountId: 'A', type: 'task_reminder', kind: 'escalation', dueDate: task.dueDate },
+    };
+
+    await NotificationService.handleEvent(EventType.DELIVERED, { notification });
+
+    expect(notifee.cancelTriggerNotification).toHaveBeenCalledWith('task-1-overdue-6');
+    const escalations = scheduled();
+    expect(escalations[0]).toMatchObject({ id: 'task-1-overdue-7', timestamp: at(12), repeatFrequency: undefined });
+    expect(escalations[5]).toMatchObject({ id: 'task-1-overdue-12', repeatFrequency: RepeatFrequency.DAILY });
+  });
+
+  test('an acknowledged escalation is not extended', async () => {
+    const dueDate = new Date(at(5)).toISOString();
+    await StorageService.forAccount('A').saveOverdueAcks({ 1: dueDate });
+    const notification = {
+      id: 'task-1-overdue-2',
+      body: 'Pay rent',
+      data: { taskId: '1', accountId: 'A', type: 'task_reminder', kind: 'escalation', dueDate },
+    };
+
+    await NotificationService.handleEvent(EventType.DELIVERED, { notification });
+
+    expect(notifee.createTriggerNotification).not.toHaveBeenCalled();
+  });
+});
+
+describe('NotificationService task reminders', () => {
+  const dueTask = (dueAt, changes = {}) => ({
+    id: '1',
+    title: 'Pay rent',
+    dueDate: new Date(dueAt).toISOString(),
+    reminderOffsets: [],
+    ...changes,
+  });
+
+  beforeEach(async () => {
+    await AsyncStorage.clear();
+    jest.clearAllMocks();
+    jest.useFakeTimers({ now: at(6), doNotFake: ['nextTick', 'setImmediate', 'queueMicrotask'] });
+    StorageService.selectAccount('A');
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+    StorageService.selectAccount(null);
+  });
+
+  test('reminds at the due time and at each offset before it', async () => {
+    await NotificationService.scheduleTaskReminder(dueTask(at(12), { reminderOffsets: [15, 60] }));
+
+    expect(scheduled()).toEqual([
+      { id: 'task-1-0', title: 'Task Due Now', timestamp: at(12), repeatFrequency: undefined },
+      { id: 'task-1-15', title: 'Due in 15 minutes', timestamp: at(11, 45), repeatFrequency: undefined },
+      { id: 'task-1-60', title: 'Due in 1 hour', timestamp: at(11), repeatFrequency: undefined },
+    ]);
+    expect(notifee.createTriggerNotification.mock.calls[0][0].data).toMatchObject({ taskId: '1', accountId: 'A' });
+  });
+
+  test('skips reminders whose time has passed', async () => {
+    await NotificationService.scheduleTaskReminder(dueTask(at(6, 30), { reminderOffsets: [15, 60] }));
+
+    expect(scheduled().map(({ timestamp }) => timestamp)).toEqual([at(6, 30), at(6, 15)]);
+  });
+
+  test('moves reminders out of quiet hours, keeping one where they land together', async () => {
+    await StorageService.updateSettings({ quietHours: overnight });
+
+    await NotificationService.scheduleTaskReminder(dueTask(at(23, 30), { reminderOffsets: [60, 120] }));
+
+    expect(scheduled().map(({ id, timestamp }) => [id, timestamp])).toEqual([
+      ['task-1-0', at(7, 0, 6)],
+      ['task-1-120', at(21, 30)],
+    ]);
+  });
+
+  test('a completed task, or any task with notifications off, gets none', async () => {
+    await NotificationService.scheduleTaskReminder(dueTask(at(12), { completed: true }));
+    await StorageService.updateSettings({ notifications: false });
+    await NotificationService.scheduleTaskReminder(dueTask(at(12)));
+
+    expect(notifee.createTriggerNotification).not.toHaveBeenCalled();
+  });
+
+  test("rescheduling replaces the task's earlier reminders", async () => {
+    notifee.getTriggerNotifications.mockResolvedValueOnce([
+      pending('task-1-0', { type: 'task_reminder', accountId: 'A', taskId: '1' }),
+      pending('task-1-15', { type: 'task_reminder', accountId: 'A', taskId: '1' }),
+      pending('task-2-0', { type: 'task_reminder', accountId: 'A', taskId: '2' }),
+    ]);
+    notifee.getDisplayedNotifications.mockResolvedValueOnce([]);
+
+    await NotificationService.scheduleTaskReminder(dueTask(at(14)));
+
+    expect(notifee.cancelNotification.mock.calls.map(([id]) => id)).toEqual(['task-1-0', 'task-1-15']);
+    expect(scheduled().map(({ timestamp }) => timestamp)).toEqual([at(14)]);
+  });
+});
+
+describe('NotificationService reminder actions', () => {
+  const reminder = (data = {}) => ({
+    id: 'task-1-0',
+    title: 'Task Due Now',
+    body: 'Pay rent',
+    data: { type: 'task_reminder', taskId: '1', accountId: 'A', snoozeMinutes: '15', ...data },
+  });
+
+  // Foreground events aren't awaited by notifee, so wait for the handler to finish
+  const foregroundEvent = async (type, detail) => {
+    const handleEvent = jest.spyOn(NotificationService, 'handleEvent');
+    notifee.onForegroundEvent.mock.calls[0][0]({ type, detail });
+    await handleEvent.mock.results[0].value;
+  };
+
+  const backgroundEvent = (type, detail) => notifee.onBackgroundEvent.mock.calls[0][0]({ type, detail });
+
+  let completeTask;
+
+  beforeEach(async () => {
+    await AsyncStorage.clear();
+    jest.clearAllMocks();
+    jest.useFakeTimers({ now: at(9), doNotFake: ['nextTick', 'setImmediate', 'queueMicrotask'] });
+    StorageService.selectAccount('A');
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    notifee.getInitialNotification.mockResolvedValueOnce(null);
+    completeTask = jest.fn().mockResolvedValue({ id: '1', completed: true });
+    NotificationService.setCompleteTaskHandler(completeTask);
+    NotificationService.registerBackgroundHandler();
+    NotificationService.setupNotificationHandlers();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+    NotificationService.setCompleteTaskHandler(null);
+    StorageService.selectAccount(null);
+  });
+
+  describe.each([
+    ['background', backgroundEvent],
+    ['foreground', foregroundEvent],
+  ])('in the %s', (_, sendEvent) => {
+    test('Mark Complete completes the task on its own account', async () => {
+      await sendEvent(EventType.ACTION_PRESS, { notification: reminder({ accountId: 'B' }), pressAction: { id: 'complete' } });
+
+      expect(completeTask).toHaveBeenCalledWith('1', 'B');
+      expect(notifee.displayNotification).not.toHaveBeenCalled();
+    });
+
+    test('a failed Mark Complete says so on the reminder', async () => {
+      completeTask.mockRejectedValueOnce(new Error('Task not found'));
+
+      await sendEvent(EventType.ACTION_PRESS, { notification: reminder(), pressAction: { id: 'complete' } });
+
+      expect(notifee.displayNotification).toHaveBeenCalledWith(expect.objectContaining({
+        id: 'task-1-0',
+        body: "Pay rent\nCouldn't mark this task complete. Open the app to try again.",
+      }));
+    });
+
+    test('Snooze shows the reminder again after its snooze time', async () => {
+      await sendEvent(EventType.ACTION_PRESS, { notification: reminder(), pressAction: { id: 'snooze' } });
+
+      expect(notifee.cancelNotification).toHaveBeenCalledWith('task-1-0');
+      expect(scheduled()).toEqual([
+        { id: 'task-1-snooze', title: 'Task Due Now', timestamp: at(9, 15), repeatFrequency: undefined },
+      ]);
+    });
+
+    test("Acknowledge stops only that account's escalation for the task", async () => {
+      const dueDate = new Date(at(8)).toISOString();
+      notifee.getTriggerNotifications.mockResolvedValueOnce([
+        pending('overdue-1-a', { type: 'task_reminder', kind: 'escalation', accountId: 'A', taskId: '1' }),
+        pending('overdue-1-b', { type: 'task_reminder', kind: 'escalation', accountId: 'B', taskId: '1' }),
+      ]);
+      notifee.getDisplayedNotifications.mockResolvedValueOnce([]);
+
+      await sendEvent(EventType.ACTION_PRESS, {
+        notification: reminder({ kind: 'escalation', dueDate }),
+        pressAction: { id: 'acknowledge' },
+      });
+
+      expect(await StorageService.forAccount('A').getOverdueAcks()).toEqual({ 1: dueDate });
+      expect(notifee.cancelNotification.mock.calls.map(([id]) => id)).toEqual(['overdue-1-a']);
+    });
+  });
+
+  test('Snooze falls back to the setting and skips quiet hours', async () => {
+    jest.setSystemTime(at(21, 50));
+    await StorageService.updateSettings({ snoozeMinutes: 30, quietHours: overnight });
+
+    await backgroundEvent(EventType.ACTION_PRESS, {
+      notification: reminder({ snoozeMinutes: undefined }),
+      pressAction: { id: 'snooze' },
+    });
+
+    expect(scheduled().map(({ timestamp }) => timestamp)).toEqual([at(7, 0, 6)]);
+  });
+
+  test('a reminder tapped before unlock opens once HomeScreen registers', async () => {
+    await backgroundEvent(EventType.PRESS, { notification: reminder() });
+    const open = jest.fn();
+
+    const unsubscribe = NotificationService.onOpenTask(open);
+
+    expect(open).toHaveBeenCalledWith('1');
+    unsubscribe();
+  });
+
+  test('View Details opens straight away while HomeScreen is registered', async () => {
+    const open = jest.fn();
+    const unsubscribe = NotificationService.onOpenTask(open);
+
+    await foregroundEvent(EventType.ACTION_PRESS, { notification: reminder(), pressAction: { id: 'view' } });
+
+    expect(open).toHaveBeenCalledTimes(1);
+    expect(open).toHaveBeenCalledWith('1');
+    unsubscribe();
+  });
+
+  test("another account's reminder is not opened", async () => {
+    jest.spyOn(Alert, 'alert').mockImplementation(() => {});
+    await backgroundEvent(EventType.PRESS, { notification: reminder({ accountId: 'B' }) });
+    const open = jest.fn();
+
+    const unsubscribe = NotificationService.onOpenTask(open);
+
+    expect(open).not.toHaveBeenCalled();
+    expect(Alert.alert).toHaveBeenCalledWith('Different Account', expect.any(String));
+    unsubscribe();
+  });
+});
+
+describe('NotificationService quick add reply', () => {
+  const quickAdd = accountId => ({ id: 'quick-add', data: { type: 'quick_add', accountId } });
+  const reply = (input, accountId = 'A') => NotificationService.handleEvent(EventType.ACTION_PRESS, {
+    notification: quickAdd(accountId),
+    pressAction: { id: 'quick_add' },
+    input,
+  });
+  const shown = () => notifee.displayNotification.mock.calls.map(([{ body, data }]) => ({ body, accountId: data.accountId }));
+
+  let addTask;
+
+  beforeEach(async () => {
+    await AsyncStorage.clear();
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    await StorageService.updateSettings({ quickAddNotification: true });
+    addTask = jest.fn(async text => ({ id: 'quick-1', title: text.replace(' !high', '') }));
+    NotificationService.setQuickAddHandler(addTask);
+    StorageService.selectAccount('A');
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    NotificationService.setQuickAddHandler(null);
+    StorageService.selectAccount(null);
+  });
+
+  test('adds the trimmed text and shows what was added', async () => {
+    await reply('  Call the bank !high ');
+
+    expect(addTask).toHaveBeenCalledWith('Call the bank !high', 'A');
+    expect(shown()).toEqual([{ body: 'Added "Call the bank"', accountId: 'A' }]);
+  });
+
+  test('an empty reply adds nothing and puts the notification back', async () => {
+    await reply('   ');
+
+    expect(addTask).not.toHaveBeenCalled();
+    expect(shown()).toEqual([{ body: expect.stringContaining('Type a task'), accountId: 'A' }]);
+  });
+
+  test('adds to the account it was shown for, then shows it for the active one', async () => {
+    await reply('Buy milk', 'B');
+
+    expect(addTask).toHaveBeenCalledWith('Buy milk', 'B');
+    expect(shown()).toEqual([{ body: 'Added "Buy milk"', accountId: 'A' }]);
+  });
+
+  test('with the app closed it stays on the account it was shown for', async () => {
+    StorageService.selectAccount(null);
+
+    await reply('Buy milk', 'B');
+
+    expect(addTask).toHaveBeenCalledWith('Buy milk', 'B');
+    expect(shown()).toEqual([{ body: 'Added "Buy milk"', accountId: 'B' }]);
+  });
+
+  test('a failed add says so', async () => {
+    addTask.mockRejectedValueOnce(new Error('disk full'));
+
+    await reply('Buy milk');
+
+    expect(shown()).toEqual([{ body: 'Couldn\'t add "Buy milk". Open the app to try again.', accountId: 'A' }]);
+  });
+});
@@ -0,0 +1,84 @@
+import React from 'react';
+import { Text, TextInput, TouchableOpacity } from 'react-native';
+import ReactTestRenderer from 'react-test-renderer';
+import PinInput, { PASSCODE_FORMATS, describePasscode } from '../components/PinInput';
+
+const renderInput = async (props) => {
+  let renderer;
+  await ReactTestRenderer.act(async () => {
+    renderer = ReactTestRenderer.create(<PinInput {...props} />);
+  });
+  return renderer.root;
+};
+
+const type = async (input, text) => {
+  await ReactTestRenderer.act(async () => {
+    input.props.onChangeText(text);
+  });
+};
+
+const continueButton = (root) =>
+  root.findAllByType(TouchableOpacity).find(node => node.findAllByType(Text).some(text => text.props.children === 'Continue'));
+
+describe('describePasscode', () => {
+  test('names each format', () => {
+    expect(describePasscode(PASSCODE_FORMATS.PIN_4)).toBe('4-digit PIN');
+    expect(describePasscode(PASSCODE_FORMATS.PIN_6)).toBe('6-digit PIN');
+    expect(describePasscode(PASSCODE_FORMATS.ALPHANUMERIC)).toBe('passcode');
+    expect(describePasscode()).toBe('4-digit PIN');
+  });
+});
+
+describe('PinInput', () => {
+  beforeEach(() => {
+    jest.useFakeTimers(); // focus animations
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('a 6-digit PIN completes once all six boxes are filled', async () => {
+    const onComplete = jest.fn();
+    const root = await renderInput({ onComplete, ...PASSCODE_FORMATS.PIN_6 });
+    const boxes = root.findAllByType(TextInput);
+    expect(boxes).toHaveLength(6);
+
+    for (const [index, digit] of ['1', '3', '5', '7', '9'].entries()) {
+      await type(boxes[index], digit);
+    }
+    expect(onComplete).not.toHaveBeenCalled();
+
+    await type(boxes[5], '2');
+    expect(onComplete).toHaveBeenCalledWith('135792');
+  });
+
+  test('boxes only take digits', async () => {
+    const onComplete = jest.fn();
+    const root = await renderInput({ onComplete });
+    const boxes = root.findAllByType(TextInput);
+
+    await type(boxes[0], 'a');
+    expect(boxes[0].props.value).toBe('');
+  });
+
+  test('an alphanumeric passcode is submitted once it is long enough', async () => {
+    const onComplete = jest.fn();
+    const root = await renderInput({ onComplete, ...PASSCODE_FORMATS.ALPHANUMERIC });
+    const field = root.findByType(TextInput);
+    expect(field.props.secureTextEntry).toBe(true);
+
+    await type(field, 'ab3');
+    expect(continueButton(root).props.disabled).toBe(true);
+    await ReactTestRenderer.act(async () => {
+      field.props.onSubmitEditing();
+    });
+    expect(onComplete).not.toHaveBeenCalled();
+
+    await type(root.findByType(TextInput), 'ab3De9');
+    await ReactTestRenderer.act(async () => {
+      continueButton(root).props.onPress();
+    });
+    expect(onComplete).toHaveBeenCalledWith('ab3De9');
+  });
+});
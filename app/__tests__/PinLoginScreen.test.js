@@ -0,0 +1,60 @@
+import React from 'react';
+import { Text, TextInput } from 'react-native';
+import ReactTestRenderer from 'react-test-renderer';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import PinInput, { PASSCODE_FORMATS } from '../components/PinInput';
+import PinLoginScreen from '../screens/PinLoginScreen';
+
+const mockAuth = {
+  hasBiometricKey: jest.fn(async () => false),
+  getPinRetryDelay: jest.fn(async () => 0),
+  getPinFormat: jest.fn(),
+  unlockWithPin: jest.fn(async () => ({ success: true })),
+  unlockWithBiometrics: jest.fn(),
+};
+jest.mock('../context/AuthContext', () => ({ useAuth: () => mockAuth }));
+
+const renderScreen = async () => {
+  let renderer;
+  await ReactTestRenderer.act(async () => {
+    renderer = ReactTestRenderer.create(<PinLoginScreen />);
+  });
+  return renderer.root;
+};
+
+const shownText = (root) =>
+  root.findAllByType(Text).map(node => [].concat(node.props.children).join('')).join('\n');
+
+describe('PinLoginScreen', () => {
+  beforeEach(async () => {
+    jest.useFakeTimers(); // entry animation
+    await AsyncStorage.clear();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('asks for the stored 6-digit format', async () => {
+    mockAuth.getPinFormat.mockResolvedValue(PASSCODE_FORMATS.PIN_6);
+
+    const root = await renderScreen();
+
+    expect(root.findByType(PinInput).props).toMatchObject({ length: 6, mode: 'numeric' });
+    expect(root.findAllByType(TextInput)).toHaveLength(6);
+    expect(shownText(root)).toContain('Please enter your 6-digit PIN');
+  });
+
+  test('asks for a stored alphanumeric passcode and unlocks with it', async () => {
+    mockAuth.getPinFormat.mockResolvedValue(PASSCODE_FORMATS.ALPHANUMERIC);
+
+    const root = await renderScreen();
+    expect(root.findByType(PinInput).props).toMatchObject({ length: 6, mode: 'alphanumeric' });
+    expect(shownText(root)).toContain('Please enter your passcode');
+
+    await ReactTestRenderer.act(async () => {
+      await root.findByType(PinInput).props.onComplete('ab3De9');
+    });
+    expect(mockAuth.unlockWithPin).toHaveBeenCalledWith('ab3De9');
+  });
+});
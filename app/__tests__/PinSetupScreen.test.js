@@ -0,0 +1,61 @@
+import React from 'react';
+import { Text } from 'react-native';
+import ReactTestRenderer from 'react-test-renderer';
+import PinInput from '../components/PinInput';
+import PinSetupScreen from '../screens/PinSetupScreen';
+
+const mockAuth = { setPin: jest.fn() };
+jest.mock('../context/AuthContext', () => ({ useAuth: () => mockAuth }));
+
+const renderScreen = async (props) => {
+  let renderer;
+  await ReactTestRenderer.act(async () => {
+    renderer = ReactTestRenderer.create(<PinSetupScreen {...props} />);
+  });
+  return renderer.root;
+};
+
+const enterPin = async (root, pin) => {
+  await ReactTestRenderer.act(async () => {
+    await root.findByType(PinInput).props.onComplete(pin);
+  });
+};
+
+const shownText = (root) =>
+  root.findAllByType(Text).map(node => [].concat(node.props.children).join('')).join('\n');
+
+describe('PinSetupScreen', () => {
+  beforeEach(() => {
+    jest.useFakeTimers(); // entry animations
+    mockAuth.setPin.mockReset();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('saves the PIN once it is confirmed', async () => {
+    const onPinSet = jest.fn();
+    mockAuth.setPin.mockResolvedValue();
+    const root = await renderScreen({ onPinSet });
+
+    await enterPin(root, '2580');
+    await enterPin(root, '2580');
+
+    expect(mockAuth.setPin).toHaveBeenCalledWith('2580', expect.objectContaining({ length: 4 }));
+    expect(onPinSet).toHaveBeenCalled();
+  });
+
+  test('shows an error and starts over when the PIN cannot be saved', async () => {
+    const onPinSet = jest.fn();
+    mockAuth.setPin.mockRejectedValue(new Error('Keychain unavailable'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const root = await renderScreen({ onPinSet });
+
+    await enterPin(root, '2580');
+    await enterPin(root, '2580');
+
+    expect(onPinSet).not.toHaveBeenCalled();
+    expect(shownText(root)).toContain('Could not save your PIN');
+  });
+});
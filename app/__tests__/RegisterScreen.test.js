@@ -0,0 +1,112 @@
+import React from 'react';
+import { Alert, Text, TextInput } from 'react-native';
+import ReactTestRenderer from 'react-test-renderer';
+import RegisterScreen from '../screens/RegisterScreen';
+import StorageService from '../services/StorageService';
+
+const validForm = {
+  'Full name': 'Ada Lovelace',
+  'Email address': 'ada@example.com',
+  'Password (8+ characters)': 'engine1843',
+  'Confirm password': 'engine1843',
+};
+
+const renderScreen = async (onRegister) => {
+  let renderer;
+  await ReactTestRenderer.act(async () => {
+    renderer = ReactTestRenderer.create(<RegisterScreen navigation={{ goBack: jest.fn() }} onRegister={onRegister} />);
+  });
+  return renderer.root;
+};
+
+const fillIn = async (root, values) => {
+  for (const [placeholder, value] of Object.entries(values)) {
+    const input = root.findAllByType(TextInput).find(node => node.props.placeholder === placeholder);
+    await ReactTestRenderer.act(async () => {
+      input.props.onChangeText(value);
+    });
+  }
+};
+
+const pressCreate = async (root) => {
+  // The header title says the same; the button comes after it
+  let button = root.findAll(node => node.type === Text && node.props.children === 'Create Account').pop();
+  while (!button.props.onPress) {
+    button = button.parent;
+  }
+  await ReactTestRenderer.act(async () => {
+    await button.props.onPress();
+  });
+};
+
+const shownText = (root) =>
+  root.findAllByType(Text).map(node => [].concat(node.props.children).join('')).join('\n');
+
+describe('RegisterScreen', () => {
+  let onRegister;
+
+  beforeEach(() => {
+    onRegister = jest.fn();
+    jest.spyOn(Alert, 'alert').mockImplementation(() => {});
+    jest.spyOn(StorageService, 'saveUser').mockResolvedValue(true);
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test.each([
+    ['an email without a domain', { 'Email address': 'ada@example' }, 'Please enter a valid email address'],
+    ['a short password', { 'Password (8+ characters)': 'abc123', 'Confirm password': 'abc123' }, 'at least 8 characters'],
+    ['a password without digits', { 'Password (8+ characters)': 'analytical', 'Confirm password': 'analytical' }, 'both letters and numbers'],
+    ['a confirmation that does not match', { 'Confirm password': 'engine1842' }, 'Passwords do not match'],
+  ])('rejects %s without calling the server', async (_, changes, message) => {
+    const root = await renderScreen(onRegister);
+
+    await fillIn(root, { ...validForm, ...changes });
+    await pressCreate(root);
+
+    expect(shownText(root)).toContain(message);
+    expect(onRegister).not.toHaveBeenCalled();
+  });
+
+  test('registers a valid form and keeps the user for biometric sign-in', async () => {
+    const user = { id: 7, name: 'Ada Lovelace' };
+    onRegister.mockResolvedValue({ success: true, user });
+    const root = await renderScreen(onRegister);
+
+    await fillIn(root, validForm);
+    await pressCreate(root);
+
+    expect(onRegister).toHaveBeenCalledWith('Ada Lovelace', 'ada@example.com', 'engine1843');
+    expect(StorageService.saveUser).toHaveBeenCalledWith(user);
+  });
+
+  test("shows the server's error on the field it names", async () => {
+    onRegister.mockResolvedValue({
+      success: false,
+      code: 'email_taken',
+      field: 'email',
+      error: 'An account with this email already exists',
+    });
+    const root = await renderScreen(onRegister);
+
+    await fillIn(root, validForm);
+    await pressCreate(root);
+
+    expect(shownText(root)).toContain('An account with this email already exists');
+    expect(Alert.alert).not.toHaveBeenCalled();
+    expect(StorageService.saveUser).not.toHaveBeenCalled();
+  });
+
+  test('alerts on a server error that names no field', async () => {
+    onRegister.mockResolvedValue({ success: false, code: 'network', error: "Can't reach the server" });
+    const root = await renderScreen(onRegister);
+
+    await fillIn(root, validForm);
+    await pressCreate(root);
+
+    expect(Alert.alert).toHaveBeenCalledWith('Registration Failed', "Can't reach the server");
+  });
+});
@@ -0,0 +1,125 @@
+import React from 'react';
+import { AppState, Platform, Text } from 'react-native';
+import ReactTestRenderer from 'react-test-renderer';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import FlagSecure from 'react-native-flag-secure-android';
+import SecureScreen from '../components/SecureScreen';
+import StorageService from '../services/StorageService';
+
+// Focused for as long as it is mounted
+jest.mock('@react-navigation/native', () => {
+  const { useEffect } = require('react');
+  return { useFocusEffect: (effect) => useEffect(effect, [effect]) };
+});
+
+const Screens = ({ nested }) => (
+  <SecureScreen>
+    <Text>Tasks</Text>
+    {nested && (
+      <SecureScreen>
+        <Text>Task details</Text>
+      </SecureScreen>
+    )}
+  </SecureScreen>
+);
+
+const render = async (element) => {
+  let renderer;
+  await ReactTestRenderer.act(async () => {
+    renderer = ReactTestRenderer.create(element);
+  });
+  return renderer;
+};
+
+const act = (fn) => ReactTestRenderer.act(async () => {
+  await fn();
+});
+
+const flagSecureOn = () => FlagSecure.activate.mock.calls.length > FlagSecure.deactivate.mock.calls.length;
+
+const shownText = (renderer) =>
+  renderer.root.findAllByType(Text).map(node => node.props.children).join('\n');
+
+describe('SecureScreen', () => {
+  beforeEach(async () => {
+    await AsyncStorage.clear();
+    jest.clearAllMocks();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('on Android', () => {
+    beforeEach(() => {
+      jest.replaceProperty(Platform, 'OS', 'android');
+    });
+
+    test('nested screens keep FLAG_SECURE until the last one unmounts', async () => {
+      const renderer = await render(<Screens nested />);
+      expect(FlagSecure.activate).toHaveBeenCalledTimes(1);
+
+      await act(() => renderer.update(<Screens nested={false} />));
+      expect(FlagSecure.deactivate).not.toHaveBeenCalled();
+
+      await act(() => renderer.unmount());
+      expect(FlagSecure.deactivate).toHaveBeenCalledTimes(1);
+    });
+
+    test('turning the setting off drops FLAG_SECURE', async () => {
+      const renderer = await render(<Screens nested />);
+      expect(flagSecureOn()).toBe(true);
+
+      await act(() => StorageService.updateSecuritySettings({ protectSensitiveScreens: false }));
+      expect(flagSecureOn()).toBe(false);
+
+      await act(() => renderer.unmount());
+      expect(flagSecureOn()).toBe(false);
+    });
+
+    test('screens opened with the setting off are left unprotected', async () => {
+      await StorageService.updateSecuritySettings({ protectSensitiveScreens: false });
+
+      const renderer = await render(<Screens nested />);
+      expect(flagSecureOn()).toBe(false);
+
+      await act(() => renderer.unmount());
+    });
+  });
+
+  describe('on iOS', () => {
+    let changeAppState;
+
+    beforeEach(() => {
+      jest.replaceProperty(Platform, 'OS', 'ios');
+      jest.spyOn(AppState, 'addEventListener').mockImplementation((type, handler) => {
+        changeAppState = (state) => act(() => handler(state));
+        return { remove: jest.fn() };
+      });
+    });
+
+    test('covers the content while the app is inactive', async () => {
+      const renderer = await render(<Screens />);
+      expect(shownText(renderer)).not.toContain('Content hidden');
+
+      await changeAppState('inactive');
+      expect(shownText(renderer)).toContain('Content hidden');
+
+      await changeAppState('active');
+      expect(shownText(renderer)).not.toContain('Content hidden');
+      expect(FlagSecure.activate).not.toHaveBeenCalled();
+
+      await act(() => renderer.unmount());
+    });
+
+    test('leaves the content alone with the setting off', async () => {
+      await StorageService.updateSecuritySettings({ protectSensitiveScreens: false });
+      const renderer = await render(<Screens />);
+
+      await changeAppState('inactive');
+      expect(shownText(renderer)).not.toContain('Content hidden');
+
+      await act(() => renderer.unmount());
+    });
+  });
+});
@@ -0,0 +1,130 @@
+import React from 'react';
+import { AppState, Modal, Text } from 'react-native';
+import ReactTestRenderer from 'react-test-renderer';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import SessionTimeout from '../components/SessionTimeout';
+import StorageService from '../services/StorageService';
+
+const mockAuth = { status: 'authenticated', setLocked: jest.fn() };
+jest.mock('../context/AuthContext', () => ({ useAuth: () => mockAuth }));
+
+const renderTimeout = async () => {
+  let renderer;
+  await ReactTestRenderer.act(async () => {
+    renderer = ReactTestRenderer.create(<SessionTimeout><Text>Tasks</Text></SessionTimeout>);
+  });
+  return renderer;
+};
+
+const advance = async (ms) => {
+  await ReactTestRenderer.act(async () => {
+    jest.advanceTimersByTime(ms);
+  });
+};
+
+const countdownShown = (renderer) => {
+  const modal = renderer.root.findByType(Modal);
+  if (!modal.props.visible) {
+    return null;
+  }
+  return modal.findAllByType(Text).find(node => typeof node.props.children === 'number').props.children;
+};
+
+describe('SessionTimeout', () => {
+  let changeAppState;
+  let renderer;
+
+  beforeEach(async () => {
+    jest.useFakeTimers({ doNotFake: ['nextTick', 'setImmediate', 'queueMicrotask'] });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    mockAuth.setLocked.mockReset();
+    await AsyncStorage.clear();
+    await StorageService.updateSecuritySettings({ autoLockMinutes: 1, backgroundLockSeconds: 30 });
+    AppState.currentState = 'active';
+    jest.spyOn(AppState, 'addEventListener').mockImplementation((type, handler) => {
+      changeAppState = async (state) => {
+        await ReactTestRenderer.act(async () => {
+          await handler(state);
+        });
+      };
+      return { remove: jest.fn() };
+    });
+  });
+
+  afterEach(async () => {
+    await ReactTestRenderer.act(async () => {
+      renderer?.unmount();
+    });
+    renderer = null;
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
+  test('warns 30 seconds before the idle lock and counts down', async () => {
+    renderer = await renderTimeout();
+
+    await advance(29 * 1000);
+    expect(countdownShown(renderer)).toBeNull();
+
+    await advance(1000);
+    expect(countdownShown(renderer)).toBe(30);
+
+    await advance(10 * 1000);
+    expect(countdownShown(renderer)).toBe(20);
+    expect(mockAuth.setLocked).not.toHaveBeenCalled();
+
+    await advance(20 * 1000);
+    expect(mockAuth.setLocked).toHaveBeenCalledWith(true, 'idle');
+  });
+
+  test('Stay Unlocked starts a fresh idle period', async () => {
+    renderer = await renderTimeout();
+    await advance(40 * 1000);
+
+    const stay = renderer.root.findAll(node => node.props.onPress && node.findAllByType(Text).some(text => text.props.children === 'Stay Unlocked'))[0];
+    await ReactTestRenderer.act(async () => {
+      stay.props.onPress();
+    });
+    expect(countdownShown(renderer)).toBeNull();
+
+    await advance(40 * 1000);
+    expect(mockAuth.setLocked).not.toHaveBeenCalled();
+  });
+
+  test('locks on return after longer in the background than allowed', async () => {
+    renderer = await renderTimeout();
+
+    await changeAppState('inactive');
+    await changeAppState('background');
+    await advance(31 * 1000);
+    await changeAppState('active');
+
+    expect(mockAuth.setLocked).toHaveBeenCalledWith(true, 'background');
+  });
+
+  test('a short trip to the background only restarts the idle timer', async () => {
+    renderer = await renderTimeout();
+
+    await changeAppState('background');
+    await advance(10 * 1000);
+    await changeAppState('active');
+    expect(mockAuth.setLocked).not.toHaveBeenCalled();
+
+    await advance(59 * 1000);
+    expect(mockAuth.setLocked).not.toHaveBeenCalled();
+    await advance(1000);
+    expect(mockAuth.setLocked).toHaveBeenCalledWith(true, 'idle');
+  });
+
+  test('going inactive without reaching the background never locks, even with an instant lock', async () => {
+    await StorageService.updateSecuritySettings({ backgroundLockSeconds: 0 });
+    renderer = await renderTimeout();
+
+    // iOS: Face ID prompt, Control Center or a call banner
+    await changeAppState('inactive');
+    await advance(45 * 1000);
+    await changeAppState('active');
+
+    expect(mockAuth.setLocked).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,96 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as Keychain from 'react-native-keychain';
+import { setActiveAccount, isEncryptedData } from '../services/AuthService';
+import StorageService from '../services/StorageService';
+
+const task = { id: 'local-1', title: 'Renew passport', description: 'Photos first', priority: 'high' };
+
+const stored = (key) => AsyncStorage.getItem(`${key}@7`);
+
+// Flip one character of the ciphertext, leaving version, IV and MAC as they were
+const tamper = (payload) => {
+  const [version, iv, ciphertext, mac] = payload.split(':');
+  const flipped = (ciphertext[0] === 'A' ? 'B' : 'A') + ciphertext.slice(1);
+  return [version, iv, flipped, mac].join(':');
+};
+
+describe('StorageService encryption at rest', () => {
+  beforeEach(async () => {
+    await AsyncStorage.clear();
+    Keychain.__reset();
+    setActiveAccount('7');
+    StorageService.selectAccount('7');
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('tasks round-trip through encrypted storage', async () => {
+    await StorageService.saveTasks([task]);
+
+    const raw = await stored('TASKS');
+    expect(isEncryptedData(raw)).toBe(true);
+    expect(raw).not.toContain('Renew passport');
+    expect(await StorageService.getTasks()).toEqual([task]);
+  });
+
+  test('cache entries are encrypted too', async () => {
+    await StorageService.setCached('tasks_list', [task]);
+
+    const raw = await stored('CACHE_tasks_list');
+    expect(isEncryptedData(raw)).toBe(true);
+    expect(raw).not.toContain('Renew passport');
+    expect(await StorageService.getCached('tasks_list')).toEqual([task]);
+  });
+
+  test('sync reports and conflicts are encrypted', async () => {
+    await StorageService.saveLastSyncReport({ applied: [{ taskId: task.id, title: task.title }] });
+    await StorageService.saveConflicts([{ taskId: task.id, local: task, server: task }]);
+
+    for (const key of ['LAST_SYNC_REPORT', 'SYNC_CONFLICTS']) {
+      const raw = await stored(key);
+      expect(isEncryptedData(raw)).toBe(true);
+      expect(raw).not.toContain('Renew passport');
+    }
+    expect((await StorageService.getConflicts())[0].local).toEqual(task);
+  });
+
+  test('a value whose ciphertext was altered is rejected and discarded', async () => {
+    await StorageService.saveTasks([task]);
+    await AsyncStorage.setItem('TASKS@7', tamper(await stored('TASKS')));
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    expect(await StorageService.get('TASKS')).toBeNull();
+    expect(await stored('TASKS')).toBeNull();
+  });
+
+  test('an altered cache entry is a cache miss', async () => {
+    await StorageService.setCached('tasks_list', [task]);
+    await AsyncStorage.setItem('CACHE_tasks_list@7', tamper(await stored('CACHE_tasks_list')));
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    expect(await StorageService.getCached('tasks_list')).toBeNull();
+  });
+
+  test('a plaintext sync report from an older version is encrypted in place', async () => {
+    const report = { applied: [], conflicts: [] };
+    await AsyncStorage.setItem('LAST_SYNC_REPORT@7', JSON.stringify(report));
+
+    expect(await StorageService.getLastSyncReport()).toEqual(report);
+    expect(isEncryptedData(await stored('LAST_SYNC_REPORT'))).toBe(true);
+  });
+
+  test('plaintext caches left by older versions are removed', async () => {
+    await StorageService.setCached('app_settings', { notifications: true });
+    await AsyncStorage.setItem('CACHE_user_session@7', JSON.stringify({ data: task, timestamp: Date.now() }));
+    await AsyncStorage.setItem('CACHE_tasks_list', JSON.stringify({ data: [task], timestamp: Date.now() }));
+
+    await StorageService.migrateLegacyData();
+
+    expect(await AsyncStorage.getItem('CACHE_user_session@7')).toBeNull();
+    expect(await AsyncStorage.getItem('CACHE_tasks_list')).toBeNull();
+    expect(await StorageService.getCached('app_settings')).toEqual({ notifications: true });
+  });
+});
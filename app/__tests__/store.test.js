@@ -0,0 +1,219 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import notifee from '@notifee/react-native';
+import * as Keychain from 'react-native-keychain';
+import ApiService from '../services/ApiService';
+import { setActiveAccount } from '../services/AuthService';
+import NotificationService from '../services/NotificationService';
+import StorageService from '../services/StorageService';
+import {
+  store,
+  loadTasks,
+  deleteTask,
+  editTask,
+  completeTask,
+  quickAddTask,
+  selectAllTasks,
+  updateSettings,
+  selectSettings,
+} from '../store/store';
+
+const task = (id, source, completed = false) => ({
+  id,
+  title: `Task ${id}`,
+  source,
+  completed,
+  createdAt: '2026-01-01T00:00:00.000Z',
+});
+
+describe('tasks slice', () => {
+  beforeEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('holds API and local tasks alike', async () => {
+    jest.spyOn(ApiService, 'getTasks').mockResolvedValue({
+      success: true,
+      data: [task('1', 'api', true), task('local-1', 'local_permanent')],
+      source: 'api',
+      offline: false,
+    });
+
+    await store.dispatch(loadTasks());
+
+    expect(selectAllTasks(store.getState()).map(t => t.id).sort()).toEqual(['1', 'local-1']);
+  });
+
+  test('deleting a task succeeds even if its reminders cannot be cancelled', async () => {
+    jest.spyOn(ApiService, 'getTasks').mockResolvedValue({
+      success: true,
+      data: [task('1', 'api')],
+      source: 'api',
+      offline: false,
+    });
+    jest.spyOn(ApiService, 'deleteTask').mockResolvedValue({ success: true, offline: false });
+    jest.spyOn(NotificationService, 'cancelTaskReminder').mockRejectedValue(new Error('notifee unavailable'));
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    await store.dispatch(loadTasks());
+
+    const result = await store.dispatch(deleteTask('1'));
+
+    expect(result.meta.requestStatus).toBe('fulfilled');
+    expect(selectAllTasks(store.getState())).toEqual([]);
+  });
+
+  describe('reminders', () => {
+    const dueDate = '2099-03-01T12:00:00.000Z';
+    const reminder = id => ({ notification: { id, data: { type: 'task_reminder', taskId: '1', accountId: '' } } });
+
+    beforeEach(async () => {
+      jest.clearAllMocks();
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      jest.spyOn(ApiService, 'getTasks').mockResolvedValue({
+        success: true,
+        data: [{ ...task('1', 'api'), dueDate }],
+        source: 'api',
+        offline: false,
+      });
+      jest.spyOn(ApiService, 'updateTask').mockResolvedValue({ success: true, offline: false });
+      await store.dispatch(loadTasks());
+      notifee.getTriggerNotifications.mockResolvedValueOnce([reminder('task-1-0'), reminder('task-1-15')]);
+      notifee.getDisplayedNotifications.mockResolvedValueOnce([]);
+    });
+
+    test('moving the due date replaces the old reminders', async () => {
+      const newDue = '2099-03-02T09:30:00.000Z';
+
+      await store.dispatch(editTask({ id: '1', changes: { dueDate: newDue } }));
+
+      expect(notifee.cancelNotification.mock.calls.map(([id]) => id)).toEqual(['task-1-0', 'task-1-15']);
+      expect(notifee.createTriggerNotification).toHaveBeenCalledWith(
+        expect.objectContaining({ id: 'task-1-0' }),
+        expect.objectContaining({ timestamp: Date.parse(newDue) }),
+      );
+    });
+
+    test('completing a task cancels its reminders without scheduling new ones', async () => {
+      await store.dispatch(completeTask({ taskId: '1' }));
+
+      expect(notifee.cancelNotification.mock.calls.map(([id]) => id)).toEqual(['task-1-0', 'task-1-15']);
+      expect(notifee.createTriggerNotification).not.toHaveBeenCalled();
+    });
+  });
+});
+
+describe('notification actions for another account', () => {
+  const otherTask = { ...task('local-b', 'local_permanent'), synced: true };
+
+  beforeEach(async () => {
+    jest.restoreAllMocks();
+    await AsyncStorage.clear();
+    Keychain.__reset();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    await StorageService.forAccount('B').saveTasks([otherTask]);
+    setActiveAccount('A');
+    StorageService.selectAccount('A');
+    ApiService.isOnline = false;
+    await store.dispatch(loadTasks());
+  });
+
+  afterEach(() => {
+    ApiService.isOnline = true;
+    setActiveAccount(null);
+    StorageService.selectAccount(null);
+  });
+
+  test('Mark Complete completes the task in its own account, offline, without switching accounts', async () => {
+    const result = await store.dispatch(completeTask({ taskId: 'local-b', accountId: 'B' }));
+
+    expect(result.meta.requestStatus).toBe('fulfilled');
+    expect(StorageService.accountId).toBe('A');
+    const storage = StorageService.forAccount('B');
+    expect((await storage.getTaskById('local-b')).completed).toBe(true);
+    expect(await storage.getOfflineChanges()).toEqual([
+      expect.objectContaining({ action: 'update', task: expect.objectContaining({ id: 'local-b', completed: true }) }),
+    ]);
+    expect(selectAllTasks(store.getState())).toEqual([]);
+  });
+
+  test('Quick add files the task under the account the notification was shown for', async () => {
+    const result = await store.dispatch(quickAddTask({ text: 'Call the bank !high', accountId: 'B' }));
+
+    expect(result.payload).toMatchObject({ title: 'Call the bank', priority: 'high' });
+    const titles = (await StorageService.forAccount('B').getTasks()).map(t => t.title);
+    expect(titles).toContain('Call the bank');
+    expect(await StorageService.getTasks()).toEqual([]);
+    expect(selectAllTasks(store.getState())).toEqual([]);
+  });
+});
+
+describe('quick add', () => {
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(ApiService, 'addTask').mockImplementation(async taskData => ({
+      success: true,
+      data: { ...taskData, id: 'quick-1' },
+    }));
+    StorageService.selectAccount('A');
+  });
+
+  afterEach(() => {
+    StorageService.selectAccount(null);
+  });
+
+  test.each([
+    ['Buy milk', 'Buy milk', 'low'],
+    ['Call the bank !high', 'Call the bank', 'high'],
+    ['!LOW   water the plants', 'water the plants', 'low'],
+    ['Book flights ! for May', 'Book flights for May', 'high'],
+    ['Review PR !medium today', 'Review PR today', 'medium'],
+    ['Say hi!high five', 'Say hi!high five', 'low'],
+  ])('"%s" adds "%s" with %s priority', async (text, title, priority) => {
+    const result = await store.dispatch(quickAddTask({ text, accountId: 'A' }));
+
+    expect(result.payload).toMatchObject({ id: 'quick-1', title, priority });
+    expect(ApiService.addTask).toHaveBeenCalledWith(expect.objectContaining({ title, priority }));
+  });
+
+  test.each(['', '   ', ' !high '])('%j is not added', async (text) => {
+    const result = await store.dispatch(quickAddTask({ text, accountId: 'A' }));
+
+    expect(result.meta.requestStatus).toBe('rejected');
+    expect(result.error.message).toBe('Task title cannot be empty');
+    expect(ApiService.addTask).not.toHaveBeenCalled();
+  });
+
+  test('the active account gets the task in the store as well', async () => {
+    await store.dispatch(quickAddTask({ text: 'Buy milk', accountId: 'A' }));
+
+    expect(selectAllTasks(store.getState()).map(t => t.id)).toContain('quick-1');
+  });
+});
+
+describe('settings slice', () => {
+  beforeEach(async () => {
+    jest.restoreAllMocks();
+    await AsyncStorage.clear();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  test('a change shows before it is saved', async () => {
+    const saving = store.dispatch(updateSettings({ snoozeMinutes: 30 }));
+
+    expect(selectSettings(store.getState()).snoozeMinutes).toBe(30);
+    await saving;
+    expect((await StorageService.getSettings()).snoozeMinutes).toBe(30);
+  });
+
+  test('a failed save puts back the previous settings', async () => {
+    await store.dispatch(updateSettings({ snoozeMinutes: 10 }));
+    jest.spyOn(AsyncStorage, 'setItem').mockRejectedValueOnce(new Error('disk full'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const result = await store.dispatch(updateSettings({ snoozeMinutes: 60 }));
+
+    expect(result.meta.requestStatus).toBe('rejected');
+    expect(selectSettings(store.getState()).snoozeMinutes).toBe(10);
+    expect((await StorageService.getSettings()).snoozeMinutes).toBe(10);
+  });
+});
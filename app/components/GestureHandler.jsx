@@ -1,6 +1,11 @@
 import React, { useRef } from 'react';
 import { Animated, PanResponder, Vibration } from 'react-native';
 import { Gesture, GestureDetector } from 'react-native-gesture-handler';
+import { useSelector } from 'react-redux';
+import { selectSettings } from '../store/store';
+
+// Settings → Haptic Feedback switches off every vibration below
+const useHapticsEnabled = () => useSelector(selectSettings).hapticFeedback;
 
 // Swipe to delete gesture
 export const SwipeToDelete = ({ children, onDelete, threshold = 100 }) => {
@@ -120,11 +125,12 @@ export const DragAndDrop = ({ children, onDrag, onDrop, disabled = false }) => {
 // Long press gesture
 export const LongPress = ({ children, onLongPress, delay = 500, haptic = true }) => {
   const scale = useRef(new Animated.Value(1)).current;
+  const hapticsEnabled = useHapticsEnabled();
 
   const longPressGesture = Gesture.LongPress()
     .minDuration(delay)
     .onStart(() => {
-      if (haptic) {
+      if (haptic && hapticsEnabled) {
         Vibration.vibrate(50);
       }
       Animated.sequence([
@@ -187,10 +193,11 @@ export const PinchToZoom = ({ children, onZoom }) => {
 // Tap gesture with haptic feedback
 export const TapWithHaptic = ({ children, onTap, haptic = true }) => {
   const scale = useRef(new Animated.Value(1)).current;
+  const hapticsEnabled = useHapticsEnabled();
 
   const tapGesture = Gesture.Tap()
     .onStart(() => {
-      if (haptic) {
+      if (haptic && hapticsEnabled) {
         Vibration.vibrate(10);
       }
       Animated.sequence([
@@ -233,6 +240,7 @@ export const TaskGestureHandler = ({
 }) => {
   const translateX = useRef(new Animated.Value(0)).current;
   const scale = useRef(new Animated.Value(1)).current;
+  const hapticsEnabled = useHapticsEnabled();
 
   const panGesture = Gesture.Pan()
     .enabled(!disabled)
@@ -263,7 +271,9 @@ export const TaskGestureHandler = ({
   const longPressGesture = Gesture.LongPress()
     .minDuration(500)
     .onStart(() => {
-      Vibration.vibrate(50);
+      if (hapticsEnabled) {
+        Vibration.vibrate(50);
+      }
       Animated.sequence([
         Animated.timing(scale, {
           toValue: 0.95,
@@ -281,7 +291,9 @@ export const TaskGestureHandler = ({
 
   const tapGesture = Gesture.Tap()
     .onStart(() => {
-      Vibration.vibrate(10);
+      if (hapticsEnabled) {
+        Vibration.vibrate(10);
+      }
       Animated.sequence([
         Animated.timing(scale, {
           toValue: 0.98,
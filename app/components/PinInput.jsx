@@ -1,14 +1,34 @@
 import React, { useState, useRef } from 'react';
 import {
   View,
+  Text,
   TextInput,
+  TouchableOpacity,
   StyleSheet,
   Animated,
   useColorScheme,
 } from 'react-native';
 
-const PinInput = ({ onComplete }) => {
-  const [pin, setPin] = useState(['', '', '', '']);
+// Passcode formats offered in PinSetupScreen. For 'alphanumeric', length is the minimum.
+export const PASSCODE_FORMATS = {
+  PIN_4: { mode: 'numeric', length: 4 },
+  PIN_6: { mode: 'numeric', length: 6 },
+  ALPHANUMERIC: { mode: 'alphanumeric', length: 6 },
+};
+
+// "4-digit PIN", "6-digit PIN" or "passcode"
+export const describePasscode = (format = PASSCODE_FORMATS.PIN_4) =>
+  format.mode === 'alphanumeric' ? 'passcode' : `${format.length}-digit PIN`;
+
+/**
+ * PIN / passcode entry.
+ * numeric: `length` one-digit boxes; completes as soon as all are filled.
+ * alphanumeric: a single masked field; completes on submit once it has at least `length` characters.
+ * Give it a new key when the format changes so the boxes are rebuilt.
+ */
+const PinInput = ({ onComplete, disabled = false, length = 4, mode = 'numeric' }) => {
+  const [pin, setPin] = useState(() => Array(length).fill(''));
+  const [passcode, setPasscode] = useState('');
   const inputs = useRef([]);
   const colorScheme = useColorScheme();
   const animations = useRef(pin.map(() => new Animated.Value(1))).current;
@@ -19,20 +39,22 @@ const PinInput = ({ onComplete }) => {
       primary: '#4f46e5',
       surface: isDark ? '#1f2937' : '#ffffff',
       text: isDark ? '#ffffff' : '#111827',
+      textSecondary: isDark ? '#9ca3af' : '#6b7280',
       border: isDark ? '#374151' : '#e5e7eb',
     },
   };
 
   const handleChange = (text, index) => {
+    const digit = text.replace(/[^0-9]/g, '');
     const newPin = [...pin];
-    newPin[index] = text;
+    newPin[index] = digit;
     setPin(newPin);
 
-    if (text && index < 3) {
+    if (digit && index < length - 1) {
       inputs.current[index + 1]?.focus();
     }
 
-    if (newPin.every(digit => digit !== '')) {
+    if (newPin.every(value => value !== '')) {
       onComplete?.(newPin.join(''));
     }
   };
@@ -64,6 +86,54 @@ const PinInput = ({ onComplete }) => {
     }
   };
 
+  const canSubmitPasscode = !disabled && passcode.length >= length;
+
+  const handlePasscodeSubmit = () => {
+    if (canSubmitPasscode) {
+      onComplete?.(passcode);
+    }
+  };
+
+  if (mode === 'alphanumeric') {
+    return (
+      <View>
+        <TextInput
+          style={[
+            styles.passcodeInput,
+            {
+              color: theme.colors.text,
+              backgroundColor: theme.colors.surface,
+              borderColor: passcode ? theme.colors.primary : theme.colors.border,
+            },
+          ]}
+          value={passcode}
+          onChangeText={setPasscode}
+          onSubmitEditing={handlePasscodeSubmit}
+          placeholder={`At least ${length} characters`}
+          placeholderTextColor={theme.colors.textSecondary}
+          secureTextEntry
+          autoCapitalize="none"
+          autoCorrect={false}
+          autoFocus
+          editable={!disabled}
+          returnKeyType="done"
+          selectionColor={theme.colors.primary}
+        />
+        <TouchableOpacity
+          style={[
+            styles.submitButton,
+            { backgroundColor: theme.colors.primary },
+            !canSubmitPasscode && styles.submitButtonDisabled,
+          ]}
+          onPress={handlePasscodeSubmit}
+          disabled={!canSubmitPasscode}
+        >
+          <Text style={styles.submitButtonText}>Continue</Text>
+        </TouchableOpacity>
+      </View>
+    );
+  }
+
   return (
     <View style={styles.pinContainer}>
       {pin.map((_, index) => (
@@ -71,6 +141,7 @@ const PinInput = ({ onComplete }) => {
           key={index}
           style={[
             styles.pinBox,
+            length > 4 && styles.pinBoxCompact,
             {
               transform: [{ scale: animations[index] }],
               borderColor: pin[index] ? theme.colors.primary : theme.colors.border,
@@ -80,7 +151,7 @@ const PinInput = ({ onComplete }) => {
         >
           <TextInput
             ref={el => (inputs.current[index] = el)}
-            style={[styles.input, { color: theme.colors.text }]}
+            style={[styles.input, length > 4 && styles.inputCompact, { color: theme.colors.text }]}
             keyboardType="numeric"
             maxLength={1}
             onChangeText={text => handleChange(text, index)}
@@ -89,6 +160,7 @@ const PinInput = ({ onComplete }) => {
             onKeyPress={e => handleBackspace(e, index)}
             value={pin[index]}
             secureTextEntry
+            editable={!disabled}
             autoFocus={index === 0}
             selectionColor={theme.colors.primary}
           />
@@ -118,12 +190,41 @@ const styles = StyleSheet.create({
     shadowOpacity: 0.1,
     shadowRadius: 2,
   },
+  pinBoxCompact: {
+    width: 44,
+    height: 56,
+    borderRadius: 10,
+  },
   input: {
     fontSize: 28,
     fontWeight: '700',
     textAlign: 'center',
     width: '100%',
   },
+  inputCompact: {
+    fontSize: 22,
+  },
+  passcodeInput: {
+    borderWidth: 2,
+    borderRadius: 12,
+    paddingHorizontal: 16,
+    paddingVertical: 14,
+    fontSize: 18,
+  },
+  submitButton: {
+    marginTop: 16,
+    padding: 14,
+    borderRadius: 12,
+    alignItems: 'center',
+  },
+  submitButtonDisabled: {
+    opacity: 0.5,
+  },
+  submitButtonText: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: '600',
+  },
 });
 
 export default PinInput;
\ No newline at end of file
@@ -1,22 +1,101 @@
-import React, { useEffect } from 'react';
-import { Platform } from 'react-native';
+import React, { useCallback, useEffect, useState } from 'react';
+import { AppState, Platform, StyleSheet, Text, View } from 'react-native';
+import { useFocusEffect } from '@react-navigation/native';
 import FlagSecure from 'react-native-flag-secure-android';
+import StorageService from '../services/StorageService';
 
 interface SecureScreenProps {
   children: React.ReactNode;
 }
 
-const SecureScreen: React.FC<SecureScreenProps> = ({ children }) => {
+// Stacked screens can both be protected; FLAG_SECURE stays on until the last one lets go
+let flagSecureHolders = 0;
+
+const acquireFlagSecure = () => {
+  if (Platform.OS === 'android' && flagSecureHolders++ === 0) {
+    FlagSecure.activate();
+  }
+};
+
+const releaseFlagSecure = () => {
+  if (Platform.OS === 'android' && --flagSecureHolders === 0) {
+    FlagSecure.deactivate();
+  }
+};
+
+/**
+ * Protect the calling screen while it is focused, unless turned off in Settings → Security.
+ * Android: FLAG_SECURE (no screenshots, screen recording or recents thumbnail).
+ * iOS: returns true while the app is inactive, so the app-switcher snapshot can be covered.
+ * @returns whether the screen's content should be covered right now
+ */
+export function useSecureScreen(): boolean {
+  const [enabled, setEnabled] = useState(true);
+  const [obscured, setObscured] = useState(false);
+
   useEffect(() => {
-    if (Platform.OS === 'android') {
-      FlagSecure.activate();
+    StorageService.getSecuritySettings().then(security => setEnabled(security.protectSensitiveScreens));
+    return StorageService.onSecuritySettingsChange(security => setEnabled(security.protectSensitiveScreens));
+  }, []);
+
+  useFocusEffect(
+    useCallback(() => {
+      if (!enabled) {
+        return undefined;
+      }
+
+      acquireFlagSecure();
+      const subscription = Platform.OS === 'ios'
+        ? AppState.addEventListener('change', state => setObscured(state !== 'active'))
+        : null;
+
       return () => {
-        FlagSecure.deactivate();
+        releaseFlagSecure();
+        subscription?.remove();
+        setObscured(false);
       };
-    }
-  }, []);
+    }, [enabled])
+  );
+
+  return enabled && obscured;
+}
+
+// Wrap a screen to apply useSecureScreen and draw the cover over it
+const SecureScreen: React.FC<SecureScreenProps> = ({ children }) => {
+  const obscured = useSecureScreen();
 
-  return <>{children}</>;
+  return (
+    <View style={styles.container}>
+      {children}
+      {obscured && (
+        <View style={styles.cover}>
+          <Text style={styles.coverIcon}>🔒</Text>
+          <Text style={styles.coverText}>Content hidden</Text>
+        </View>
+      )}
+    </View>
+  );
 };
 
-export default SecureScreen;
\ No newline at end of file
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  cover: {
+    ...StyleSheet.absoluteFillObject,
+    backgroundColor: '#4f46e5',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  coverIcon: {
+    fontSize: 48,
+    marginBottom: 12,
+  },
+  coverText: {
+    color: '#fff',
+    fontSize: 16,
+    fontWeight: '600',
+  },
+});
+
+export default SecureScreen;
@@ -1,5 +1,5 @@
-// 5. Session Timeout & Auto Logout (Enhanced Implementation)
-import React, { useState, useEffect, useRef } from 'react';
+// 5. Session Timeout & Auto Lock (Enhanced Implementation)
+import React, { useState, useEffect, useRef, useCallback } from 'react';
 import { 
   AppState, 
   PanResponder, 
@@ -8,97 +8,110 @@ import {
   Text, 
   TouchableOpacity, 
   StyleSheet,
-  Alert 
 } from 'react-native';
 import { useAuth } from '../context/AuthContext';
+import StorageService, { DEFAULT_SETTINGS } from '../services/StorageService';
 
-// Set timeout to 5 minutes (in milliseconds)
-const TIMEOUT = 5 * 60 * 1000;
-const WARNING_TIME = 30 * 1000; // Show warning 30 seconds before logout
+const WARNING_TIME = 30 * 1000; // Show warning 30 seconds before locking
 
+/**
+ * Locks the app (PinLoginScreen) after `security.autoLockMinutes` without a touch,
+ * or on returning from the background after more than `security.backgroundLockSeconds`.
+ */
 const SessionTimeout = ({ children }) => {
   const auth = useAuth();
+  const authRef = useRef(auth);
+  authRef.current = auth; // PanResponder handlers are created once; always use the latest context
   const timeoutRef = useRef(null);
   const warningRef = useRef(null);
+  const countdownRef = useRef(null);
+  const backgroundedAtRef = useRef(null);
+  const securityRef = useRef(DEFAULT_SETTINGS.security);
   const appStateRef = useRef(AppState.currentState);
   const [showWarning, setShowWarning] = useState(false);
-  const [countdown, setCountdown] = useState(30);
+  const [countdown, setCountdown] = useState(WARNING_TIME / 1000);
 
-  // Function to reset the inactivity timer
-  const resetTimer = () => {
-    console.log('🔄 Resetting inactivity timer');
-    
-    // Clear any existing timers
+  const loadSecuritySettings = async () => {
+    try {
+      securityRef.current = await StorageService.getSecuritySettings();
+    } catch (error) {
+      console.error('❌ Failed to load auto-lock settings:', error);
+    }
+  };
+
+  const clearTimers = useCallback(() => {
     if (timeoutRef.current) {
       clearTimeout(timeoutRef.current);
+      timeoutRef.current = null;
     }
     if (warningRef.current) {
       clearTimeout(warningRef.current);
+      warningRef.current = null;
+    }
+    if (countdownRef.current) {
+      clearInterval(countdownRef.current);
+      countdownRef.current = null;
     }
-    
+  }, []);
+
+  // Countdown for warning modal
+  const startCountdown = useCallback(() => {
+    let timeLeft = WARNING_TIME / 1000;
+    countdownRef.current = setInterval(() => {
+      timeLeft -= 1;
+      setCountdown(timeLeft);
+      if (timeLeft <= 0) {
+        clearInterval(countdownRef.current);
+        countdownRef.current = null;
+      }
+    }, 1000);
+  }, []);
+
+  // Move to the PIN lock screen; the session and PIN are kept
+  const lockNow = useCallback((reason) => {
+    clearTimers();
+    setShowWarning(false);
+    console.log('🔒 Executing auto-lock');
+    authRef.current.setLocked(true, reason);
+  }, [clearTimers]);
+
+  // Function to reset the inactivity timer
+  const resetTimer = useCallback(() => {
+    clearTimers();
+
     // Hide warning if showing
     setShowWarning(false);
-    setCountdown(30);
+    setCountdown(WARNING_TIME / 1000);
 
     // Only start a new timer if the user is authenticated (not locked)
-    if (auth.status === 'authenticated') {
-      // Set warning timer (30 seconds before logout)
+    if (authRef.current.status === 'authenticated') {
+      const idleTimeout = securityRef.current.autoLockMinutes * 60 * 1000;
+
+      // Set warning timer (30 seconds before locking)
       warningRef.current = setTimeout(() => {
         console.log('⚠️ Showing inactivity warning');
         setShowWarning(true);
         startCountdown();
-      }, TIMEOUT - WARNING_TIME);
+      }, Math.max(idleTimeout - WARNING_TIME, 0));
 
-      // Set logout timer
+      // Set lock timer
       timeoutRef.current = setTimeout(() => {
         console.log('⏱️ User inactive, triggering auto-lock');
-        handleAutoLogout();
-      }, TIMEOUT);
-    }
-  };
-
-  // Countdown for warning modal
-  const startCountdown = () => {
-    let timeLeft = 30;
-    const interval = setInterval(() => {
-      timeLeft -= 1;
-      setCountdown(timeLeft);
-      if (timeLeft <= 0) {
-        clearInterval(interval);
-      }
-    }, 1000);
-  };
-
-  // Handle auto logout
-  const handleAutoLogout = async () => {
-    try {
-      setShowWarning(false);
-      console.log('🔒 Executing auto-logout');
-      
-      if (auth && typeof auth.logout === 'function') {
-        await auth.logout(true); // Pass true to indicate session timeout
-      } else {
-        console.error('❌ Auth context or logout function not available');
-        Alert.alert('Error', 'Unable to logout. Please restart the app.');
-      }
-    } catch (error) {
-      console.error('❌ Error during auto-logout:', error);
-      Alert.alert('Error', 'An error occurred during logout.');
+        lockNow('idle');
+      }, idleTimeout);
     }
-  };
+  }, [clearTimers, startCountdown, lockNow]);
 
-  // Handle manual stay logged in
-  const handleStayLoggedIn = () => {
-    console.log('✅ User chose to stay logged in');
-    setShowWarning(false);
+  // Handle manual stay unlocked
+  const handleStayUnlocked = () => {
+    console.log('✅ User chose to stay unlocked');
     resetTimer();
   };
 
-  // Handle manual logout from warning
-  const handleLogoutNow = async () => {
-    console.log('🚪 User manually logged out from warning');
-    setShowWarning(false);
-    await handleAutoLogout();
+  // Handle manual lock from warning
+  const handleLockNow = () => {
+    console.log('🔒 User locked the app from warning');
+    lockNow('manual');
   };
 
   // 1. PanResponder: Detects all touches on the wrapped component
@@ -126,51 +139,62 @@ const SessionTimeout = ({ children }) => {
     console.log('🔧 SessionTimeout mounted, auth status:', auth.status);
 
     // A. Handle app foreground/background
-    const handleAppStateChange = (nextAppState) => {
+    const handleAppStateChange = async (nextAppState) => {
       console.log('📱 AppState changed:', appStateRef.current, '→', nextAppState);
-      
-      // If the user brings the app back to the foreground and they are authenticated
-      if (appStateRef.current.match(/inactive|background/) && nextAppState === 'active') {
-        if (auth.status === 'authenticated') {
+      const wasActive = appStateRef.current === 'active';
+      appStateRef.current = nextAppState;
+
+      // Leaving the foreground: stop the idle timers, since JS timers don't run in the background
+      if (wasActive && nextAppState !== 'active') {
+        console.log('⏸️ App leaving the foreground, clearing timers');
+        clearTimers();
+        setShowWarning(false);
+      }
+      // Only 'background' starts the away clock: iOS goes 'inactive' for Face ID prompts,
+      // Control Center and call banners while the app is still on screen
+      if (nextAppState === 'background' && !backgroundedAtRef.current) {
+        backgroundedAtRef.current = Date.now();
+      }
+
+      // Back in the foreground: lock if it was away too long, otherwise start a fresh idle period
+      if (!wasActive && nextAppState === 'active' && authRef.current.status === 'authenticated') {
+        const awaySeconds = backgroundedAtRef.current
+          ? (Date.now() - backgroundedAtRef.current) / 1000
+          : null;
+        backgroundedAtRef.current = null;
+        await loadSecuritySettings();
+
+        if (awaySeconds !== null && awaySeconds >= securityRef.current.backgroundLockSeconds) {
+          console.log(`🔒 App was in background for ${Math.round(awaySeconds)}s, locking`);
+          lockNow('background');
+        } else {
           console.log('🔄 App returned to foreground, resetting timer');
           resetTimer();
         }
       }
-      
-      // If the app goes to the background, stop the timer
-      if (nextAppState.match(/inactive|background/)) {
-        console.log('⏸️ App going to background, clearing timers');
-        if (timeoutRef.current) {
-          clearTimeout(timeoutRef.current);
-        }
-        if (warningRef.current) {
-          clearTimeout(warningRef.current);
-        }
-        setShowWarning(false);
-      }
-
-      appStateRef.current = nextAppState;
     };
 
     const subscription = AppState.addEventListener('change', handleAppStateChange);
 
+    // New auto-lock values from Settings take effect straight away
+    const unsubscribeSettings = StorageService.onSecuritySettingsChange((security) => {
+      securityRef.current = security;
+      resetTimer();
+    });
+
     // B. Initial timer start
     if (auth.status === 'authenticated') {
-      resetTimer();
+      loadSecuritySettings().then(resetTimer);
     }
 
     // C. Cleanup on unmount
     return () => {
       console.log('🧹 SessionTimeout cleanup');
       subscription.remove();
-      if (timeoutRef.current) {
-        clearTimeout(timeoutRef.current);
-      }
-      if (warningRef.current) {
-        clearTimeout(warningRef.current);
-      }
+      unsubscribeSettings();
+      clearTimers();
     };
-  }, [auth.status]); // Re-run effect when auth status changes
+  }, [auth.status, clearTimers, lockNow, resetTimer]); // Re-run effect when auth status changes
 
   // If the user is not authenticated, just show the content without timer
   if (auth.status !== 'authenticated') {
@@ -187,7 +211,7 @@ const SessionTimeout = ({ children }) => {
         visible={showWarning}
         transparent={true}
         animationType="fade"
-        onRequestClose={handleStayLoggedIn}
+        onRequestClose={handleStayUnlocked}
       >
         <View style={styles.modalOverlay}>
           <View style={styles.modalContainer}>
@@ -195,9 +219,9 @@ const SessionTimeout = ({ children }) => {
               <Text style={styles.iconText}>⏰</Text>
             </View>
             
-            <Text style={styles.modalTitle}>Session Expiring Soon</Text>
+            <Text style={styles.modalTitle}>Locking Soon</Text>
             <Text style={styles.modalMessage}>
-              You've been inactive for a while. For your security, you'll be logged out in:
+              You've been inactive for a while. For your security, the app will lock in:
             </Text>
             
             <View style={styles.countdownContainer}>
@@ -206,24 +230,24 @@ const SessionTimeout = ({ children }) => {
             </View>
 
             <Text style={styles.modalHint}>
-              Tap "Stay Logged In" to continue your session
+              Tap "Stay Unlocked" to keep using the app
             </Text>
 
             <View style={styles.buttonContainer}>
               <TouchableOpacity
                 style={[styles.button, styles.primaryButton]}
-                onPress={handleStayLoggedIn}
+                onPress={handleStayUnlocked}
                 activeOpacity={0.8}
               >
-                <Text style={styles.primaryButtonText}>Stay Logged In</Text>
+                <Text style={styles.primaryButtonText}>Stay Unlocked</Text>
               </TouchableOpacity>
 
               <TouchableOpacity
                 style={[styles.button, styles.secondaryButton]}
-                onPress={handleLogoutNow}
+                onPress={handleLockNow}
                 activeOpacity={0.8}
               >
-                <Text style={styles.secondaryButtonText}>Logout Now</Text>
+                <Text style={styles.secondaryButtonText}>Lock Now</Text>
               </TouchableOpacity>
             </View>
           </View>
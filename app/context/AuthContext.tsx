@@ -1,24 +1,110 @@
-import React, { createContext, useContext, useEffect, useState } from 'react';
+import React, { createContext, useCallback, useContext, useEffect, useRef, useState } from 'react';
 import AsyncStorage from '@react-native-async-storage/async-storage';
-import { getPin, storePin, clearToken, storeToken, getToken, clearPin } from '../services/AuthService'; 
+import { hasPinSet, verifyPin, storePin, clearToken, storeToken, getToken, clearPin, getRefreshToken, getPinRetryDelay, recordFailedPinAttempt, resetPinAttempts, getPinFormat, enrollBiometrics, hasBiometricEnrollment, clearBiometrics, unlockWithBiometricKey, getBiometricOwner, destroyDataKey, setActiveAccount, adoptLegacyCredentials, hasSessionFor, hasPinFor } from '../services/AuthService'; 
+import ApiService from '../services/ApiService';
+import StorageService from '../services/StorageService';
+import AuditLogService, { AUDIT_EVENTS } from '../services/AuditLogService';
+import NotificationService from '../services/NotificationService';
 
 // Define new statuses for the secure flow
 type AuthStatus = 'loading' | 'unauthenticated' | 'authenticated' | 'locked' | 'no_pin';
 
+// What LoginScreen gets back; failures carry the server's error code
+// ('invalid_credentials', 'account_locked', 'network', ...) plus any details
+export type LoginResult = {
+  success: boolean;
+  user?: any;
+  code?: string;
+  error?: string;
+  attemptsRemaining?: number;
+  retryAfter?: number;
+  field?: string; // which input a validation error is about
+};
+
+// Outcome of a PIN attempt. `retryAfter` (seconds) is set while attempts are throttled;
+// `lockedOut` means too many failures and the session has been wiped.
+export type PinUnlockResult = {
+  success: boolean;
+  attemptsRemaining?: number;
+  retryAfter?: number;
+  lockedOut?: boolean;
+};
+
+export type PasscodeFormat = {
+  mode: 'numeric' | 'alphanumeric';
+  length: number; // digits, or minimum characters for alphanumeric
+};
+
+// `reason` says why biometrics didn't unlock: no key enrolled, prompt dismissed,
+// key invalidated by a change to the device's biometrics, the enrolled account's
+// session has ended (sign in with a password), or anything else
+export type BiometricUnlockResult = {
+  success: boolean;
+  reason?: 'not_enrolled' | 'cancelled' | 'invalidated' | 'no_session' | 'error';
+};
+
+// An account signed in on this device (ProfileScreen's account switcher)
+export type DeviceAccount = {
+  id: string;
+  name: string;
+  email: string;
+  lastActiveAt: string;
+};
+
+export type UnlockMethod = 'password' | 'cached_session' | 'pin' | 'biometrics';
+
+// Why SessionTimeout locked the app (recorded in the audit log)
+export type LockReason = 'idle' | 'background' | 'manual';
+
+type AuthSession = {
+  accessToken: string;
+  refreshToken?: string;
+  user: any;
+};
+
+// Shape the server's user record the way the rest of the app expects it
+const toAppUser = (serverUser: any) => ({
+  ...serverUser,
+  avatar: serverUser.avatar ?? null,
+  joinDate: (serverUser.createdAt || new Date().toISOString()).split('T')[0],
+  lastLogin: new Date().toISOString(),
+});
+
 type AuthContextType = {
   status: AuthStatus;
   user: any | null;
-  login: (user: any) => Promise<void>;
+  accounts: DeviceAccount[];
+  // Lock the current account and open another one (its PIN screen, or LoginScreen if it has no session)
+  switchAccount: (accountId: string) => Promise<void>;
+  // Go to LoginScreen to sign in another account; the current one keeps its session
+  addAccount: () => void;
+  login: (email: string, password: string) => Promise<LoginResult>;
+  register: (name: string, email: string, password: string) => Promise<LoginResult>;
+  // Offline: reopen an account with a session and PIN on this device at its lock screen
+  resumeSession: (accountId: string) => Promise<boolean>;
   // shouldClearPin: true for full logout, false for session timeout
   logout: (shouldClearPin?: boolean) => Promise<void>;
   checkCachedToken: () => Promise<boolean>;
   checkCachedUser: () => Promise<any | null>;
-  checkBiometricUser: () => Promise<any | null>;
+  // True when the active account has a biometric key enrolled on this device
+  hasBiometricKey: () => Promise<boolean>;
+  // True when any account here has one (the login screen, before an account is selected)
+  canSignInWithBiometrics: () => Promise<boolean>;
   // PIN/Lock management methods
-  setPin: (pin: string) => Promise<void>;
-  getPin: () => Promise<string | null>;
-  unlockWithPin: (pin: string) => Promise<boolean>;
-  setLocked: (locked: boolean) => void;
+  setPin: (pin: string, format?: PasscodeFormat) => Promise<void>;
+  // Check the current PIN without changing status (e.g. before changing it); throttled like unlockWithPin
+  verifyCurrentPin: (pin: string) => Promise<PinUnlockResult>;
+  getPinFormat: () => Promise<PasscodeFormat>;
+  hasPin: () => Promise<boolean>;
+  unlockWithPin: (pin: string) => Promise<PinUnlockResult>;
+  getPinRetryDelay: () => Promise<number>;
+  // Lock screen: prompt, and unlock once the enrolled key has signed
+  unlockWithBiometrics: () => Promise<BiometricUnlockResult>;
+  // Login screen: prompt, and resume the enrolled user's session once the key has signed
+  signInWithBiometrics: () => Promise<BiometricUnlockResult>;
+  // Settings → Security switch; resolves false if biometrics couldn't be enrolled
+  setBiometricsEnabled: (enabled: boolean) => Promise<boolean>;
+  setLocked: (locked: boolean, reason?: LockReason) => void;
 };
 
 const AuthContext = createContext<AuthContextType | undefined>(undefined);
@@ -26,42 +112,169 @@ const AuthContext = createContext<AuthContextType | undefined>(undefined);
 export const AuthProvider: React.FC<{ children: React.ReactNode }> = ({ children }) => {
   const [status, setStatus] = useState<AuthStatus>('loading');
   const [user, setUser] = useState<any | null>(null);
+  const [accounts, setAccounts] = useState<DeviceAccount[]>([]);
 
   // --- Utility Functions ---
-  const checkCachedToken = async (): Promise<boolean> => {
+  const checkCachedToken = useCallback(async (): Promise<boolean> => {
     const token = await getToken();
     return !!token;
-  };
+  }, []);
 
-  const checkCachedUser = async (): Promise<any | null> => {
-    const cachedUser = await AsyncStorage.getItem('USER');
-    return cachedUser ? JSON.parse(cachedUser) : null;
-  };
+  const checkCachedUser = useCallback(async (): Promise<any | null> => {
+    return await StorageService.getUser();
+  }, []);
   
-  const checkBiometricUser = async (): Promise<any | null> => {
-    const json = await AsyncStorage.getItem('BIOMETRIC_USER');
-    return json ? JSON.parse(json) : null;
+  // --- Accounts ---
+
+  const refreshAccounts = useCallback(async () => {
+    setAccounts(await StorageService.getAccounts());
+  }, []);
+
+  // Credentials (AuthService) and data (StorageService) both follow the active account
+  const activateAccount = useCallback(async (accountId: string | null) => {
+    setActiveAccount(accountId);
+    StorageService.selectAccount(accountId);
+    if (accountId) {
+      await StorageService.saveActiveAccountId(accountId);
+      // Quick add files tasks under the active account
+      await NotificationService.refreshQuickAdd();
+    }
+  }, []);
+
+  // Pick the status for the active account from what it has stored
+  const restoreAccountState = useCallback(async () => {
+    const token = await checkCachedToken();
+    const cachedUser = await checkCachedUser();
+    const pinExists = await hasPinSet();
+
+    console.log('🔎 Account state:', { 
+      hasToken: !!token, 
+      hasUser: !!cachedUser, 
+      hasPin: pinExists 
+    });
+
+    if (token && cachedUser) {
+      // User has an active session
+      setUser(cachedUser);
+      
+      if (pinExists) {
+        // Session exists, PIN exists: Start in 'locked' state (Security Lock Screen)
+        console.log('🔒 Session + PIN found - starting in locked state');
+        setStatus('locked'); 
+      } else {
+        // Session exists, NO PIN: Force PIN setup
+        console.log('📌 Session found but no PIN - forcing PIN setup');
+        setStatus('no_pin');
+      }
+    } else {
+      // No active session: Go to standard login screen
+      console.log('🔓 No session found - showing login screen');
+      setUser(null);
+      setStatus('unauthenticated');
+    }
+  }, [checkCachedToken, checkCachedUser]);
+
+  const switchAccount = async (accountId: string) => {
+    if (String(user?.id) === accountId) {
+      return;
+    }
+    console.log('🔀 Switching to account', accountId);
+    AuditLogService.record(AUDIT_EVENTS.ACCOUNT_SWITCH, { from: user?.id ?? null, to: accountId });
+    await activateAccount(accountId);
+    await restoreAccountState();
   };
-  
+
+  const addAccount = () => {
+    // Not persisted: if nobody signs in, the app reopens on the current account
+    setActiveAccount(null);
+    StorageService.selectAccount(null);
+    setUser(null);
+    setStatus('unauthenticated');
+  };
+
   // --- Authentication Flow Methods ---
 
-  const login = async (userData: any) => {
+  // Persist a freshly issued session and move on to PIN setup/unlock
+  const startSession = async ({ accessToken, refreshToken, user: sessionUser }: AuthSession) => {
+    await activateAccount(String(sessionUser.id));
+    await storeToken(accessToken, refreshToken);
+
+    // The token is in place now, so the profile comes from the server's view of this account
+    const profile = await ApiService.fetchCurrentUser();
+    const userData = toAppUser(profile.success ? profile.data : sessionUser);
+    await enterSession(userData, 'password');
+    return userData;
+  };
+
+  // Shown in Settings → Security
+  const recordUnlock = async (method: UnlockMethod) => {
     try {
-      // Store session data
-      await storeToken('local-token');
-      await AsyncStorage.setItem('USER', JSON.stringify(userData));
-      await AsyncStorage.setItem('BIOMETRIC_USER', JSON.stringify(userData)); // For biometric quick access
-      setUser(userData);
-      
-      const pinExists = await getPin();
-      // If session exists: force PIN setup if no PIN, otherwise user is 'authenticated' (will likely go to locked screen next)
-      setStatus(pinExists ? 'authenticated' : 'no_pin');
+      await StorageService.saveLastUnlock({ at: new Date().toISOString(), method });
+    } catch (e) {
+      console.error('recordUnlock error', e);
+    }
+  };
+
+  const enterSession = async (userData: any, method: UnlockMethod) => {
+    await activateAccount(String(userData.id));
+    await recordUnlock(method);
+    AuditLogService.record(AUDIT_EVENTS.SIGN_IN, { method });
+    await StorageService.saveUser(userData);
+    await StorageService.saveAccount(userData);
+    await refreshAccounts();
+    setUser(userData);
+
+    const pinExists = await hasPinSet();
+    // If session exists: force PIN setup if no PIN, otherwise user is 'authenticated' (will likely go to locked screen next)
+    setStatus(pinExists ? 'authenticated' : 'no_pin');
+  };
+
+  const login = async (email: string, password: string): Promise<LoginResult> => {
+    try {
+      const result = await ApiService.login(email.trim(), password);
+      if (!result.success || !result.data) {
+        AuditLogService.record(AUDIT_EVENTS.SIGN_IN_FAILED, { code: result.code || 'unknown' });
+        return result;
+      }
+      const userData = await startSession(result.data);
+      return { success: true, user: userData };
     } catch (e) {
       console.error('login error', e);
       throw e;
     }
   };
 
+  const register = async (name: string, email: string, password: string): Promise<LoginResult> => {
+    try {
+      const result = await ApiService.register({ name: name.trim(), email: email.trim(), password });
+      if (!result.success || !result.data) {
+        return result;
+      }
+      // PINs are per account, so a new account always continues to PIN setup
+      const userData = await startSession(result.data);
+      return { success: true, user: userData };
+    } catch (e) {
+      console.error('register error', e);
+      throw e;
+    }
+  };
+
+  // Tokens are left as they are: offline there is nothing to exchange them with. Nothing is
+  // shown until the PIN is entered, so an account without one needs a password sign-in.
+  const resumeSession = async (accountId: string): Promise<boolean> => {
+    try {
+      if (!(await hasSessionFor(accountId)) || !(await hasPinFor(accountId))) {
+        return false;
+      }
+      await activateAccount(accountId);
+      await restoreAccountState();
+      return true;
+    } catch (e) {
+      console.error('resumeSession error', e);
+      throw e;
+    }
+  };
+
   /**
    * Logout function
    * @param shouldClearPin - If true, performs full logout (clears PIN). If false, session timeout (keeps PIN)
@@ -72,15 +285,24 @@ export const AuthProvider: React.FC<{ children: React.ReactNode }> = ({ children
   const logout = async (shouldClearPin: boolean = true) => {
     try {
       console.log('🚪 Logging out... shouldClearPin:', shouldClearPin);
+      AuditLogService.record(AUDIT_EVENTS.LOGOUT, { full: shouldClearPin });
       
-      // Always clear user session data
-      await AsyncStorage.removeItem('USER');
+      // Revoke the refresh token server-side while we still have it
+      const refreshToken = await getRefreshToken();
+      if (refreshToken) {
+        await ApiService.logoutSession(refreshToken);
+      }
+
+      // Always clear user session data, including the copy older versions cached for offline sign-in
+      await StorageService.clearUser();
+      await StorageService.remove('CACHE_user_session');
       await clearToken(); // Clear token from Keychain
 
       if (shouldClearPin) {
         // Full logout: Clear PIN and biometric data
         console.log('🗑️ Clearing PIN and biometric data...');
-        await AsyncStorage.removeItem('BIOMETRIC_USER');
+        await AsyncStorage.removeItem('BIOMETRIC_USER'); // left by older versions
+        await clearBiometrics();
         
         // Clear the PIN from secure storage
         if (typeof clearPin === 'function') {
@@ -90,11 +312,34 @@ export const AuthProvider: React.FC<{ children: React.ReactNode }> = ({ children
           console.warn('clearPin function not found in AuthService');
           await AsyncStorage.removeItem('USER_PIN'); // Fallback to AsyncStorage
         }
+
+        // This account's tasks and queued changes can no longer be decrypted; drop them
+        // along with its place in the account switcher. Other accounts are untouched.
+        await destroyDataKey();
+        if (user?.id != null) {
+          await StorageService.removeAccount(user.id);
+          await NotificationService.cancelAccountReminders(user.id);
+          await NotificationService.hideQuickAdd(); // shown again if another account takes over
+        }
       } else {
         // Session timeout: Keep PIN and biometric data for faster re-login
         console.log('⏰ Session timeout - keeping PIN for re-authentication');
       }
       
+      if (shouldClearPin) {
+        // Another account still signed in on this device takes over
+        const remaining = await StorageService.getAccounts();
+        setAccounts(remaining);
+        for (const account of remaining) {
+          if (await hasSessionFor(account.id)) {
+            await activateAccount(account.id);
+            await restoreAccountState();
+            console.log('✅ Logout complete - switched to account', account.id);
+            return;
+          }
+        }
+      }
+
       setUser(null);
       setStatus('unauthenticated');
       console.log('✅ Logout complete - status set to unauthenticated');
@@ -106,9 +351,16 @@ export const AuthProvider: React.FC<{ children: React.ReactNode }> = ({ children
 
   // --- PIN/Lock Management Methods ---
 
-  const setPin = async (pin: string) => {
+  const setPin = async (pin: string, format?: PasscodeFormat) => {
     try {
-      await storePin(pin);
+      const changed = await hasPinSet();
+      await storePin(pin, format);
+      AuditLogService.record(AUDIT_EVENTS.PIN_SET, { changed });
+      // A new PIN comes with a fresh biometric key for whoever set it
+      const { biometricsEnabled } = await StorageService.getSecuritySettings();
+      if (biometricsEnabled && user) {
+        await enrollBiometrics(user);
+      }
       // Once PIN is set, transition from 'no_pin' to 'authenticated'
       setStatus('authenticated');
     } catch (e) {
@@ -117,24 +369,112 @@ export const AuthProvider: React.FC<{ children: React.ReactNode }> = ({ children
     }
   };
 
-  const unlockWithPin = async (pin: string): Promise<boolean> => {
+  const verifyCurrentPin = async (pin: string): Promise<PinUnlockResult> => {
     try {
-      const storedPin = await getPin();
-      if (storedPin === pin) {
-        setStatus('authenticated');
-        return true;
+      // Still serving a delay from earlier failures: don't even check the PIN
+      const waitSeconds = await getPinRetryDelay();
+      if (waitSeconds > 0) {
+        return { success: false, retryAfter: waitSeconds };
+      }
+
+      if (await verifyPin(pin)) {
+        await resetPinAttempts();
+        return { success: true };
+      }
+
+      const { pinLockout } = await StorageService.getSecuritySettings();
+      const attempt = await recordFailedPinAttempt(pinLockout);
+      AuditLogService.record(AUDIT_EVENTS.PIN_FAILED, {
+        attemptsRemaining: attempt.attemptsRemaining ?? null,
+        lockedOut: !!attempt.lockedOut,
+      });
+      if (attempt.lockedOut) {
+        // Too many wrong PINs: wipe the session (and PIN) so only a password login gets back in
+        console.log('🚫 PIN attempts exhausted - forcing full logout');
+        await logout(true);
       }
-      return false;
+      return { success: false, ...attempt };
     } catch (e) {
-      console.error('unlockWithPin error', e);
-      return false;
+      console.error('verifyCurrentPin error', e);
+      return { success: false };
     }
   };
+
+  const unlockWithPin = async (pin: string): Promise<PinUnlockResult> => {
+    const result = await verifyCurrentPin(pin);
+    if (result.success) {
+      await recordUnlock('pin');
+      AuditLogService.record(AUDIT_EVENTS.UNLOCK, { method: 'pin' });
+      setStatus('authenticated');
+    }
+    return result;
+  };
   
-  const setLocked = (locked: boolean) => {
+  // Dismissing the prompt isn't a failure worth auditing
+  const recordBiometricFailure = (reason?: string) => {
+    if (reason !== 'cancelled') {
+      AuditLogService.record(AUDIT_EVENTS.BIOMETRIC_FAILED, { reason: reason || 'error' });
+    }
+  };
+
+  const unlockWithBiometrics = async (): Promise<BiometricUnlockResult> => {
+    const result = await unlockWithBiometricKey('Unlock YourSecureApp');
+    if (!result.success) {
+      recordBiometricFailure(result.reason);
+      return { success: false, reason: result.reason };
+    }
+    // The key belongs to whoever enrolled it; it can't unlock someone else's session
+    if (result.user?.id !== user?.id) {
+      recordBiometricFailure('not_enrolled');
+      return { success: false, reason: 'not_enrolled' };
+    }
+    if (status === 'locked') {
+      console.log('🔓 Unlocked with biometrics');
+      await resetPinAttempts();
+      await recordUnlock('biometrics');
+      AuditLogService.record(AUDIT_EVENTS.UNLOCK, { method: 'biometrics' });
+      setStatus('authenticated');
+    }
+    return { success: true };
+  };
+
+  // Biometrics stand in for the PIN, not the password: the enrolled account must still
+  // hold a session, whose tokens are left as they are (as with resumeSession)
+  const signInWithBiometrics = async (): Promise<BiometricUnlockResult> => {
+    const result = await unlockWithBiometricKey('Sign in to YourSecureApp');
+    if (!result.success) {
+      recordBiometricFailure(result.reason);
+      return { success: false, reason: result.reason };
+    }
+    const accountId = String(result.user.id);
+    if (!(await hasSessionFor(accountId))) {
+      console.log('🔐 Biometric sign-in needs a session - asking for the password');
+      return { success: false, reason: 'no_session' };
+    }
+    console.log('🔓 Signed in with biometrics');
+    await enterSession(result.user, 'biometrics');
+    await resetPinAttempts();
+    return { success: true };
+  };
+
+  const canSignInWithBiometrics = async () => !!(await getBiometricOwner());
+
+  const setBiometricsEnabled = async (enabled: boolean): Promise<boolean> => {
+    if (!enabled) {
+      await clearBiometrics();
+      await StorageService.updateSecuritySettings({ biometricsEnabled: false });
+      return true;
+    }
+    const enrolled = await enrollBiometrics(user);
+    await StorageService.updateSecuritySettings({ biometricsEnabled: enrolled });
+    return enrolled;
+  };
+
+  const setLocked = (locked: boolean, reason: LockReason = 'manual') => {
     // SessionTimeout component uses this to move to the lock screen state
     if (locked && status === 'authenticated') {
       console.log('🔒 App set to locked state by SessionTimeout.');
+      AuditLogService.record(AUDIT_EVENTS.LOCK, { reason });
       setStatus('locked');
     }
     // Note: unlocking is handled only by unlockWithPin
@@ -146,54 +486,64 @@ export const AuthProvider: React.FC<{ children: React.ReactNode }> = ({ children
     const bootstrapAsync = async () => {
       try {
         console.log('🔄 Bootstrapping auth state...');
-        const token = await checkCachedToken();
-        const cachedUser = await checkCachedUser();
-        const pin = await getPin();
-
-        console.log('Auth bootstrap:', { 
-          hasToken: !!token, 
-          hasUser: !!cachedUser, 
-          hasPin: !!pin 
-        });
-
-        if (token && cachedUser) {
-          // User has an active session
-          setUser(cachedUser);
-          
-          if (pin) {
-            // Session exists, PIN exists: Start in 'locked' state (Security Lock Screen)
-            console.log('🔒 Session + PIN found - starting in locked state');
-            setStatus('locked'); 
-          } else {
-            // Session exists, NO PIN: Force PIN setup
-            console.log('📌 Session found but no PIN - forcing PIN setup');
-            setStatus('no_pin');
+        let accountId = await StorageService.getActiveAccountId();
+
+        if (!accountId) {
+          // Saved before multi-account support: everything belongs to the stored user
+          const legacyUser = await checkCachedUser();
+          if (legacyUser?.id != null) {
+            accountId = String(legacyUser.id);
+            await activateAccount(accountId);
+            await adoptLegacyCredentials();
+            await StorageService.adoptLegacyData();
+            await StorageService.saveAccount(legacyUser);
           }
-        } else {
-          // No active session: Go to standard login screen
-          console.log('🔓 No session found - showing login screen');
-          setStatus('unauthenticated');
         }
+
+        await activateAccount(accountId);
+        await refreshAccounts();
+        await restoreAccountState();
       } catch (e) {
         console.error('❌ Bootstrap failed:', e);
         setStatus('unauthenticated');
       }
     };
 
+    // Runs once on mount: everything it calls is memoized without dependencies on state
     bootstrapAsync();
+  }, [activateAccount, checkCachedUser, refreshAccounts, restoreAccountState]);
+
+  // ApiService calls this when the refresh token is rejected: back to LoginScreen, PIN kept
+  const logoutRef = useRef(logout);
+  logoutRef.current = logout;
+  useEffect(() => {
+    ApiService.setUnauthorizedHandler(() => logoutRef.current(false));
+    return () => ApiService.setUnauthorizedHandler(null);
   }, []);
 
   const value: AuthContextType = {
     status,
     user,
+    accounts,
+    switchAccount,
+    addAccount,
     login,
+    register,
+    resumeSession,
     logout,
     checkCachedToken,
     checkCachedUser,
-    checkBiometricUser,
+    hasBiometricKey: hasBiometricEnrollment,
+    canSignInWithBiometrics,
     setPin, 
-    getPin, 
+    verifyCurrentPin,
+    getPinFormat,
+    hasPin: hasPinSet,
     unlockWithPin, 
+    getPinRetryDelay,
+    unlockWithBiometrics,
+    signInWithBiometrics,
+    setBiometricsEnabled,
     setLocked, 
   };
 
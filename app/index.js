@@ -2,8 +2,21 @@
  * @format
  */
 
+// Must load before anything that needs crypto.getRandomValues (PIN salts)
+import 'react-native-get-random-values';
 import { AppRegistry } from 'react-native';
 import App from './App';
 import { name as appName } from './app.json';
+import NotificationService from './services/NotificationService';
+import { store, completeTask, quickAddTask } from './store/store';
+
+// Reminder actions can arrive with the app closed, so these are wired before any component mounts
+NotificationService.setCompleteTaskHandler((taskId, accountId) =>
+  store.dispatch(completeTask({ taskId, accountId })).unwrap()
+);
+NotificationService.setQuickAddHandler((text, accountId) =>
+  store.dispatch(quickAddTask({ text, accountId })).unwrap()
+);
+NotificationService.registerBackgroundHandler();
 
 AppRegistry.registerComponent(appName, () => App);
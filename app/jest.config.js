@@ -1,3 +1,12 @@
 module.exports = {
   preset: 'react-native',
+  setupFiles: ['./jest.setup.js'],
+  transform: {
+    '^.+\\.(js|jsx|ts|tsx)$': 'babel-jest',
+    '^.+\\.(bmp|gif|jpg|jpeg|mp4|png|psd|svg|webp)$': require.resolve('react-native/jest/assetFileTransformer.js'),
+  },
+  // Libraries that ship untranspiled ES modules
+  transformIgnorePatterns: [
+    'node_modules/(?!((jest-)?react-native|@react-native(-community)?|@react-navigation|@notifee|@reduxjs/toolkit|react-redux|immer|reselect|redux|jail-monkey|lottie-react-native)/)',
+  ],
 };
@@ -0,0 +1,54 @@
+/* global jest */
+// Native modules have no implementation under Jest; these stand in for them in every test.
+
+jest.mock('@react-native-async-storage/async-storage', () =>
+  require('@react-native-async-storage/async-storage/jest/async-storage-mock')
+);
+jest.mock('@react-native-community/netinfo', () => require('@react-native-community/netinfo/jest/netinfo-mock'));
+jest.mock('@notifee/react-native', () => require('@notifee/react-native/jest-mock'));
+jest.mock('react-native-device-info', () => require('react-native-device-info/jest/react-native-device-info-mock'));
+require('react-native-gesture-handler/jestSetup');
+
+// In-memory Keychain, one entry per service
+jest.mock('react-native-keychain', () => {
+  const entries = new Map();
+  return {
+    ACCESSIBLE: {
+      AFTER_FIRST_UNLOCK_THIS_DEVICE_ONLY: 'AfterFirstUnlockThisDeviceOnly',
+      WHEN_PASSCODE_SET_THIS_DEVICE_ONLY: 'AccessibleWhenPasscodeSetThisDeviceOnly',
+    },
+    ACCESS_CONTROL: { BIOMETRY_CURRENT_SET: 'BiometryCurrentSet' },
+    // The options an entry was saved with are kept on it (`accessControl`, `accessible`)
+    setGenericPassword: jest.fn(async (username, password, { service, ...options } = {}) => {
+      entries.set(service, { ...options, username, password, service });
+      return true;
+    }),
+    getGenericPassword: jest.fn(async ({ service } = {}) => entries.get(service) || false),
+    hasGenericPassword: jest.fn(async ({ service } = {}) => entries.has(service)),
+    resetGenericPassword: jest.fn(async ({ service } = {}) => entries.delete(service)),
+    __reset: () => entries.clear(),
+  };
+});
+
+jest.mock('react-native-biometrics', () =>
+  jest.fn().mockImplementation(() => ({
+    isSensorAvailable: jest.fn(async () => ({ available: false })),
+    biometricKeysExist: jest.fn(async () => ({ keysExist: false })),
+    createKeys: jest.fn(async () => ({ publicKey: '' })),
+    deleteKeys: jest.fn(async () => ({ keysDeleted: true })),
+    createSignature: jest.fn(async () => ({ success: false })),
+  }))
+);
+
+jest.mock('jail-monkey', () => ({
+  isJailBroken: () => false,
+  hookDetected: () => false,
+  isDebuggedMode: async () => false,
+  isOnExternalStorage: () => false,
+  canMockLocation: () => false,
+  trustFall: () => false,
+}));
+
+jest.mock('react-native-flag-secure-android', () => ({ activate: jest.fn(), deactivate: jest.fn() }));
+
+jest.mock('react-native-image-picker', () => ({ launchImageLibrary: jest.fn(), launchCamera: jest.fn() }));
@@ -0,0 +1,522 @@
+/**
+ * Local mock backend for development, built on db.json. No dependencies:
+ *
+ *   npm run mock-api
+ *
+ * Endpoints:
+ *   GET|POST /tasks, GET|PUT|PATCH|DELETE /tasks/:id   (GET /tasks?updatedSince=ISO for deltas)
+ *   GET|PUT|PATCH /profile
+ *   POST /auth/register | /auth/login | /auth/refresh | /auth/logout
+ *   POST /auth/forgot-password | /auth/reset-password, GET /auth/me
+ *   GET|POST /__mock/config  (read or change latency/failure injection at runtime)
+ *
+ * Environment:
+ *   MOCK_API_PORT        port (default 3001)
+ *   MOCK_API_DB          JSON file to serve and persist to (default ./db.json)
+ *   MOCK_LATENCY_MS      fixed delay added to every response (default 0)
+ *   MOCK_LATENCY_JITTER  extra random delay of up to this many ms (default 0)
+ *   MOCK_FAILURE_RATE    0..1 chance a request fails (default 0)
+ *   MOCK_FAILURE_STATUS  status code used for injected failures (default 503)
+ *   MOCK_FAILURE_PATHS   comma-separated path prefixes to inject failures on (default: all)
+ *   MOCK_REQUIRE_AUTH    '1' to require a bearer token on /tasks and /profile
+ *   MOCK_ACCESS_TTL      access token lifetime in seconds (default 900)
+ *   MOCK_MAX_LOGIN_ATTEMPTS / MOCK_LOCKOUT_SECONDS  login lockout policy (default 5 / 300)
+ */
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Buffer } = require('buffer');
+
+const PORT = Number(process.env.MOCK_API_PORT) || 3001;
+const DB_PATH = path.resolve(process.env.MOCK_API_DB || path.join(__dirname, 'db.json'));
+const MAX_BODY_BYTES = 5 * 1024 * 1024; // task images travel as data URIs
+
+const config = {
+  latencyMs: Number(process.env.MOCK_LATENCY_MS) || 0,
+  latencyJitterMs: Number(process.env.MOCK_LATENCY_JITTER) || 0,
+  failureRate: Number(process.env.MOCK_FAILURE_RATE) || 0,
+  failureStatus: Number(process.env.MOCK_FAILURE_STATUS) || 503,
+  failurePaths: (process.env.MOCK_FAILURE_PATHS || '').split(',').map(p => p.trim()).filter(Boolean),
+  requireAuth: process.env.MOCK_REQUIRE_AUTH === '1',
+  accessTokenTtl: Number(process.env.MOCK_ACCESS_TTL) || 15 * 60,
+  refreshTokenTtl: 30 * 24 * 60 * 60,
+  maxLoginAttempts: Number(process.env.MOCK_MAX_LOGIN_ATTEMPTS) || 5,
+  lockoutSeconds: Number(process.env.MOCK_LOCKOUT_SECONDS) || 5 * 60,
+};
+
+// Access tokens live in memory only, so restarting the server exercises the refresh path
+const accessTokens = new Map(); // token -> { userId, expiresAt }
+
+// ============================================
+// DATABASE
+// ============================================
+
+const loadDb = () => {
+  const db = JSON.parse(fs.readFileSync(DB_PATH, 'utf8'));
+  return {
+    profile: null,
+    users: [],
+    tasks: [],
+    tombstones: [],
+    sessions: [],
+    passwordResets: [],
+    ...db,
+  };
+};
+
+let db = loadDb();
+
+// Write to a temp file first so a crash never leaves half a JSON file behind
+const saveDb = () => {
+  const tmpPath = `${DB_PATH}.tmp`;
+  fs.writeFileSync(tmpPath, `${JSON.stringify(db, null, 2)}\n`);
+  fs.renameSync(tmpPath, DB_PATH);
+};
+
+const now = () => new Date().toISOString();
+
+const nextTaskId = () => {
+  const ids = [...db.tasks, ...db.tombstones].map(t => Number(t.id)).filter(Number.isFinite);
+  return String(ids.length ? Math.max(...ids) + 1 : 1);
+};
+
+// ============================================
+// AUTH HELPERS
+// ============================================
+
+const hashPassword = (password, salt = crypto.randomBytes(16).toString('hex')) =>
+  `scrypt$${salt}$${crypto.scryptSync(password, salt, 32).toString('hex')}`;
+
+const verifyPassword = (password, stored) => {
+  const [scheme, salt, hash] = (stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) {
+    return false;
+  }
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.scryptSync(password, salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+};
+
+const publicUser = (user) => {
+  const { passwordHash, failedLogins, lockedUntil, ...rest } = user;
+  return rest;
+};
+
+const issueTokens = (user) => {
+  const accessToken = crypto.randomBytes(24).toString('hex');
+  const refreshToken = crypto.randomBytes(32).toString('hex');
+  accessTokens.set(accessToken, { userId: user.id, expiresAt: Date.now() + config.accessTokenTtl * 1000 });
+  db.sessions.push({
+    refreshToken,
+    userId: user.id,
+    createdAt: now(),
+    expiresAt: new Date(Date.now() + config.refreshTokenTtl * 1000).toISOString(),
+  });
+  saveDb();
+  return {
+    accessToken,
+    refreshToken,
+    tokenType: 'Bearer',
+    expiresIn: config.accessTokenTtl,
+    user: publicUser(user),
+  };
+};
+
+// Resolves the bearer token to a user, or null
+const authenticate = (req) => {
+  const match = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || '');
+  const session = match && accessTokens.get(match[1]);
+  if (!session) {
+    return null;
+  }
+  if (session.expiresAt < Date.now()) {
+    accessTokens.delete(match[1]);
+    return null;
+  }
+  return db.users.find(u => u.id === session.userId) || null;
+};
+
+const isValidEmail = (email) => typeof email === 'string' && /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email);
+
+// ============================================
+// HTTP HELPERS
+// ============================================
+
+class HttpError extends Error {
+  constructor(status, code, message, extra = {}) {
+    super(message);
+    this.status = status;
+    this.code = code;
+    this.extra = extra;
+  }
+}
+
+const send = (res, status, body) => {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Access-Control-Allow-Methods': 'GET, POST, PUT, PATCH, DELETE, OPTIONS',
+  });
+  res.end(body === undefined ? '' : JSON.stringify(body));
+};
+
+const readBody = (req) => new Promise((resolve, reject) => {
+  let size = 0;
+  const chunks = [];
+  req.on('data', chunk => {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      reject(new HttpError(413, 'payload_too_large', 'Request body is too large'));
+      req.destroy();
+      return;
+    }
+    chunks.push(chunk);
+  });
+  req.on('end', () => {
+    const text = Buffer.concat(chunks).toString('utf8');
+    if (!text) {
+      resolve({});
+      return;
+    }
+    try {
+      resolve(JSON.parse(text));
+    } catch (error) {
+      reject(new HttpError(400, 'invalid_json', 'Request body is not valid JSON'));
+    }
+  });
+  req.on('error', reject);
+});
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const shouldInjectFailure = (pathname) =>
+  config.failureRate > 0 &&
+  !pathname.startsWith('/__mock') &&
+  (config.failurePaths.length === 0 || config.failurePaths.some(prefix => pathname.startsWith(prefix))) &&
+  Math.random() < config.failureRate;
+
+// ============================================
+// ROUTES
+// ============================================
+
+const requireUser = (req) => {
+  const user = authenticate(req);
+  if (!user) {
+    throw new HttpError(401, 'unauthorized', 'Missing or expired access token');
+  }
+  return user;
+};
+
+const routes = {
+  // --- Tasks ---
+  'GET /tasks': ({ query }) => {
+    if (!query.updatedSince) {
+      return db.tasks;
+    }
+    const since = new Date(query.updatedSince).getTime();
+    const changed = db.tasks.filter(t => new Date(t.updatedAt).getTime() > since);
+    const deleted = db.tombstones
+      .filter(t => new Date(t.deletedAt).getTime() > since)
+      .map(t => ({ id: t.id, deleted: true, updatedAt: t.deletedAt }));
+    return [...changed, ...deleted];
+  },
+
+  'GET /tasks/:id': ({ params }) => findTask(params.id),
+
+  'POST /tasks': ({ body }) => {
+    if (!body.title || typeof body.title !== 'string') {
+      throw new HttpError(400, 'validation_failed', 'title is required');
+    }
+    const timestamp = now();
+    const { id, version, ...fields } = body;
+    const task = { ...fields, id: nextTaskId(), createdAt: fields.createdAt || timestamp, updatedAt: timestamp, version: 1 };
+    db.tasks.push(task);
+    saveDb();
+    return [201, task];
+  },
+
+  'PUT /tasks/:id': ({ params, body }) => writeTask(params.id, body, { replace: true }),
+  'PATCH /tasks/:id': ({ params, body }) => writeTask(params.id, body, { replace: false }),
+
+  'DELETE /tasks/:id': ({ params }) => {
+    const task = findTask(params.id);
+    db.tasks = db.tasks.filter(t => t.id !== task.id);
+    db.tombstones.push({ id: task.id, deletedAt: now() });
+    saveDb();
+    return [204];
+  },
+
+  // --- Profile ---
+  'GET /profile': ({ req }) => {
+    const user = authenticate(req);
+    return user ? publicUser(user) : db.profile;
+  },
+  'PUT /profile': ({ req, body }) => updateProfile(req, body),
+  'PATCH /profile': ({ req, body }) => updateProfile(req, body),
+
+  // --- Auth ---
+  'POST /auth/register': ({ body }) => {
+    const { name, email, password } = body;
+    if (!name || !String(name).trim()) {
+      throw new HttpError(400, 'validation_failed', 'Name is required', { field: 'name' });
+    }
+    if (!isValidEmail(email)) {
+      throw new HttpError(400, 'validation_failed', 'A valid email is required', { field: 'email' });
+    }
+    if (typeof password !== 'string' || password.length < 8) {
+      throw new HttpError(400, 'validation_failed', 'Password must be at least 8 characters', { field: 'password' });
+    }
+    if (db.users.some(u => u.email.toLowerCase() === email.toLowerCase())) {
+      throw new HttpError(409, 'email_taken', 'An account with this email already exists', { field: 'email' });
+    }
+    const ids = db.users.map(u => Number(u.id)).filter(Number.isFinite);
+    const user = {
+      id: ids.length ? Math.max(...ids) + 1 : 1,
+      name: String(name).trim(),
+      email: email.toLowerCase(),
+      passwordHash: hashPassword(password),
+      createdAt: now(),
+    };
+    db.users.push(user);
+    saveDb();
+    return [201, issueTokens(user)];
+  },
+
+  'POST /auth/login': ({ body }) => {
+    const { email, password } = body;
+    const user = isValidEmail(email) && db.users.find(u => u.email.toLowerCase() === email.toLowerCase());
+    const invalid = () => new HttpError(401, 'invalid_credentials', 'Incorrect email or password');
+
+    if (!user) {
+      throw invalid();
+    }
+    if (user.lockedUntil && new Date(user.lockedUntil).getTime() > Date.now()) {
+      const retryAfter = Math.ceil((new Date(user.lockedUntil).getTime() - Date.now()) / 1000);
+      throw new HttpError(423, 'account_locked', 'Too many failed attempts. Try again later.', { retryAfter });
+    }
+    if (typeof password !== 'string' || !verifyPassword(password, user.passwordHash)) {
+      user.failedLogins = (user.failedLogins || 0) + 1;
+      const attemptsRemaining = Math.max(config.maxLoginAttempts - user.failedLogins, 0);
+      if (attemptsRemaining === 0) {
+        user.failedLogins = 0;
+        user.lockedUntil = new Date(Date.now() + config.lockoutSeconds * 1000).toISOString();
+        saveDb();
+        throw new HttpError(423, 'account_locked', 'Too many failed attempts. Try again later.', { retryAfter: config.lockoutSeconds });
+      }
+      saveDb();
+      const error = invalid();
+      error.extra = { attemptsRemaining };
+      throw error;
+    }
+
+    user.failedLogins = 0;
+    user.lockedUntil = null;
+    return issueTokens(user);
+  },
+
+  'POST /auth/refresh': ({ body }) => {
+    const session = db.sessions.find(s => s.refreshToken === body.refreshToken);
+    if (!session || new Date(session.expiresAt).getTime() < Date.now()) {
+      throw new HttpError(401, 'invalid_refresh_token', 'Refresh token is invalid or expired');
+    }
+    const user = db.users.find(u => u.id === session.userId);
+    if (!user) {
+      throw new HttpError(401, 'invalid_refresh_token', 'Refresh token is invalid or expired');
+    }
+    // Refresh tokens are single use
+    db.sessions = db.sessions.filter(s => s !== session);
+    return issueTokens(user);
+  },
+
+  'POST /auth/logout': ({ req, body }) => {
+    db.sessions = db.sessions.filter(s => s.refreshToken !== body.refreshToken);
+    saveDb();
+    const match = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || '');
+    if (match) {
+      accessTokens.delete(match[1]);
+    }
+    return [204];
+  },
+
+  'GET /auth/me': ({ req }) => publicUser(requireUser(req)),
+
+  'POST /auth/forgot-password': ({ body }) => {
+    if (!isValidEmail(body.email)) {
+      throw new HttpError(400, 'validation_failed', 'A valid email is required', { field: 'email' });
+    }
+    const user = db.users.find(u => u.email.toLowerCase() === body.email.toLowerCase());
+    if (user) {
+      const token = crypto.randomBytes(3).toString('hex').toUpperCase();
+      db.passwordResets = db.passwordResets.filter(r => r.userId !== user.id);
+      db.passwordResets.push({ token, userId: user.id, expiresAt: new Date(Date.now() + 30 * 60 * 1000).toISOString() });
+      saveDb();
+      // Stands in for the email a real backend would send
+      console.log(`✉️  Password reset code for ${user.email}: ${token}`);
+    }
+    // Same answer either way so the endpoint can't be used to probe for accounts
+    return { message: 'If an account exists for this email, a reset code has been sent.' };
+  },
+
+  'POST /auth/reset-password': ({ body }) => {
+    const reset = db.passwordResets.find(r => r.token === String(body.token || '').toUpperCase());
+    if (!reset || new Date(reset.expiresAt).getTime() < Date.now()) {
+      throw new HttpError(400, 'invalid_reset_token', 'Reset code is invalid or expired', { field: 'token' });
+    }
+    if (typeof body.password !== 'string' || body.password.length < 8) {
+      throw new HttpError(400, 'validation_failed', 'Password must be at least 8 characters', { field: 'password' });
+    }
+    const user = db.users.find(u => u.id === reset.userId);
+    user.passwordHash = hashPassword(body.password);
+    user.failedLogins = 0;
+    user.lockedUntil = null;
+    db.passwordResets = db.passwordResets.filter(r => r !== reset);
+    // Signing out everywhere is what users expect after a reset
+    db.sessions = db.sessions.filter(s => s.userId !== user.id);
+    saveDb();
+    return { message: 'Password updated. You can sign in now.' };
+  },
+
+  // --- Mock controls ---
+  'GET /__mock/config': () => config,
+  'POST /__mock/config': ({ body }) => {
+    Object.keys(config).forEach(key => {
+      if (body[key] !== undefined) {
+        config[key] = body[key];
+      }
+    });
+    console.log('⚙️  Mock config updated:', config);
+    return config;
+  },
+};
+
+function findTask(id) {
+  const task = db.tasks.find(t => t.id === String(id));
+  if (!task) {
+    throw new HttpError(404, 'not_found', `Task ${id} not found`);
+  }
+  return task;
+}
+
+// Optimistic concurrency: a `version` that doesn't match the stored one is rejected with 409
+function writeTask(id, body, { replace }) {
+  const task = findTask(id);
+  if (body.version !== undefined && body.version !== null && Number(body.version) !== task.version) {
+    throw new HttpError(409, 'version_conflict', 'Task was changed by someone else', { current: task });
+  }
+  const { id: ignoredId, version, createdAt, ...fields } = body;
+  const updated = {
+    ...(replace ? {} : task),
+    ...fields,
+    id: task.id,
+    createdAt: task.createdAt,
+    updatedAt: now(),
+    version: task.version + 1,
+  };
+  db.tasks = db.tasks.map(t => (t.id === task.id ? updated : t));
+  saveDb();
+  return updated;
+}
+
+function updateProfile(req, body) {
+  const user = authenticate(req);
+  const { id, passwordHash, email, ...fields } = body;
+  if (user) {
+    Object.assign(user, fields, { updatedAt: now() });
+    saveDb();
+    return publicUser(user);
+  }
+  db.profile = { ...db.profile, ...fields };
+  saveDb();
+  return db.profile;
+}
+
+// Match "GET /tasks/42" against "GET /tasks/:id"
+const matchRoute = (method, pathname) => {
+  const segments = pathname.split('/').filter(Boolean);
+  for (const [key, handler] of Object.entries(routes)) {
+    const [routeMethod, routePath] = key.split(' ');
+    const routeSegments = routePath.split('/').filter(Boolean);
+    if (routeMethod !== method || routeSegments.length !== segments.length) {
+      continue;
+    }
+    const params = {};
+    const matches = routeSegments.every((segment, i) => {
+      if (segment.startsWith(':')) {
+        params[segment.slice(1)] = decodeURIComponent(segments[i]);
+        return true;
+      }
+      return segment === segments[i];
+    });
+    if (matches) {
+      return { handler, params };
+    }
+  }
+  return null;
+};
+
+const PROTECTED_PREFIXES = ['/tasks', '/profile'];
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+  const { pathname } = url;
+  const started = Date.now();
+
+  try {
+    if (req.method === 'OPTIONS') {
+      send(res, 204);
+      return;
+    }
+
+    const delay = config.latencyMs + Math.random() * config.latencyJitterMs;
+    if (delay > 0 && !pathname.startsWith('/__mock')) {
+      await wait(delay);
+    }
+
+    if (shouldInjectFailure(pathname)) {
+      throw new HttpError(config.failureStatus, 'injected_failure', 'Failure injected by mock server');
+    }
+
+    if (pathname === '/health') {
+      send(res, 200, { status: 'ok' });
+      return;
+    }
+
+    const route = matchRoute(req.method, pathname);
+    if (!route) {
+      throw new HttpError(404, 'not_found', `No route for ${req.method} ${pathname}`);
+    }
+
+    if (config.requireAuth && PROTECTED_PREFIXES.some(prefix => pathname.startsWith(prefix))) {
+      requireUser(req);
+    }
+
+    const body = ['POST', 'PUT', 'PATCH'].includes(req.method) ? await readBody(req) : {};
+    const result = await route.handler({
+      req,
+      body,
+      params: route.params,
+      query: Object.fromEntries(url.searchParams),
+    });
+    const [status, payload] = Array.isArray(result) && typeof result[0] === 'number' ? result : [200, result];
+    send(res, status, payload);
+  } catch (error) {
+    const status = error instanceof HttpError ? error.status : 500;
+    if (status === 500) {
+      console.error('💥 Unhandled error:', error);
+    }
+    send(res, status, {
+      error: error.code || 'internal_error',
+      message: error.message,
+      ...(error.extra || {}),
+    });
+  } finally {
+    console.log(`${req.method} ${pathname} -> ${res.statusCode} (${Date.now() - started}ms)`);
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`🧪 Mock API listening on http://localhost:${PORT} (db: ${DB_PATH})`);
+  console.log('   Android emulator: http://10.0.2.2:' + PORT + ', iOS simulator: http://localhost:' + PORT);
+});
@@ -0,0 +1,319 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  FlatList,
+  Share,
+  Alert,
+  ActivityIndicator,
+} from 'react-native';
+import AuditLogService, { AUDIT_EVENTS } from '../services/AuditLogService';
+import { useAuth } from '../context/AuthContext';
+
+const METHOD_LABELS = {
+  password: 'Password',
+  cached_session: 'Saved session',
+  pin: 'PIN',
+  biometrics: 'Biometrics',
+};
+
+const LOCK_REASONS = {
+  idle: 'After inactivity',
+  background: 'After time in the background',
+  manual: 'Locked from the warning',
+};
+
+// Icon, title and one-line summary for each kind of entry
+const describeEntry = ({ type, details = {} }) => {
+  switch (type) {
+    case AUDIT_EVENTS.SIGN_IN:
+      return { icon: '🔑', title: 'Signed in', summary: METHOD_LABELS[details.method] || details.method };
+    case AUDIT_EVENTS.SIGN_IN_FAILED:
+      return { icon: '⛔', title: 'Sign-in failed', summary: details.code };
+    case AUDIT_EVENTS.UNLOCK:
+      return { icon: '🔓', title: 'Unlocked', summary: METHOD_LABELS[details.method] || details.method };
+    case AUDIT_EVENTS.PIN_FAILED:
+      return {
+        icon: '❌',
+        title: 'Incorrect PIN',
+        summary: details.lockedOut
+          ? 'Too many attempts, signed out'
+          : details.attemptsRemaining != null ? `${details.attemptsRemaining} attempts left` : 'Delay applied',
+      };
+    case AUDIT_EVENTS.BIOMETRIC_FAILED:
+      return { icon: '👆', title: 'Biometric unlock failed', summary: details.reason };
+    case AUDIT_EVENTS.LOCK:
+      return { icon: '🔒', title: 'Locked', summary: LOCK_REASONS[details.reason] || details.reason };
+    case AUDIT_EVENTS.PIN_SET:
+      return { icon: '🔢', title: details.changed ? 'PIN changed' : 'PIN created', summary: '' };
+    case AUDIT_EVENTS.LOGOUT:
+      return {
+        icon: '🚪',
+        title: 'Signed out',
+        summary: details.full ? 'Account removed from this device' : 'Session ended, PIN kept',
+      };
+    case AUDIT_EVENTS.ACCOUNT_SWITCH:
+      return { icon: '🔀', title: 'Switched account', summary: `To account ${details.to}` };
+    case AUDIT_EVENTS.INTEGRITY_CHECK:
+      return {
+        icon: '🛡️',
+        title: 'Device check',
+        summary: details.findings?.length
+          ? details.findings.map(finding => `${finding.id} → ${finding.action}`).join(', ')
+          : 'All checks passed',
+      };
+    default:
+      return { icon: '•', title: type, summary: '' };
+  }
+};
+
+// AuditLogService.verify's result as one line
+const describeVerification = ({ valid, checked, problem, brokenAt }) => {
+  if (valid) {
+    return `✅ Log intact (${checked} entries verified)`;
+  }
+  switch (problem) {
+    case 'deleted':
+      return '⚠️ The log has been deleted';
+    case 'truncated':
+      return '⚠️ Entries have been removed from the log';
+    default:
+      return `⚠️ Log has been altered at entry #${brokenAt}`;
+  }
+};
+
+/**
+ * Profile → Activity: the security audit log for the current account (plus device-wide
+ * entries such as integrity checks), whether its chain verifies, and an export.
+ */
+export default function ActivityScreen({ navigation, isDark = false }) {
+  const { user } = useAuth();
+  const [entries, setEntries] = useState([]);
+  const [verification, setVerification] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [exporting, setExporting] = useState(false);
+
+  const theme = {
+    colors: {
+      primary: '#4f46e5',
+      background: isDark ? '#111827' : '#f9fafb',
+      surface: isDark ? '#1f2937' : '#ffffff',
+      text: isDark ? '#ffffff' : '#111827',
+      textSecondary: isDark ? '#9ca3af' : '#6b7280',
+      border: isDark ? '#374151' : '#e5e7eb',
+      success: '#10b981',
+      error: '#ef4444',
+    },
+  };
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        const accountId = user?.id == null ? null : String(user.id);
+        const all = await AuditLogService.getEntries();
+        setEntries(all.filter(entry => entry.accountId === null || entry.accountId === accountId));
+        setVerification(await AuditLogService.verify());
+      } catch (error) {
+        console.error('Error loading activity:', error);
+      } finally {
+        setLoading(false);
+      }
+    };
+    load();
+  }, [user?.id]);
+
+  const handleExport = async () => {
+    try {
+      setExporting(true);
+      const log = await AuditLogService.exportLog();
+      await Share.share({ title: 'Security audit log', message: log });
+    } catch (error) {
+      console.error('Error exporting audit log:', error);
+      Alert.alert('Error', 'Failed to export the activity log. Please try again.');
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const renderEntry = ({ item }) => {
+    const { icon, title, summary } = describeEntry(item);
+    return (
+      <View style={[styles.entry, { backgroundColor: theme.colors.surface }]}>
+        <Text style={styles.entryIcon}>{icon}</Text>
+        <View style={styles.entryBody}>
+          <Text style={[styles.entryTitle, { color: theme.colors.text }]}>{title}</Text>
+          {!!summary && (
+            <Text style={[styles.entrySummary, { color: theme.colors.textSecondary }]} numberOfLines={2}>
+              {summary}
+            </Text>
+          )}
+          <Text style={[styles.entryMeta, { color: theme.colors.textSecondary }]}>
+            {new Date(item.at).toLocaleString()} · {item.device.model}
+          </Text>
+        </View>
+      </View>
+    );
+  };
+
+  const renderHeader = () => (
+    <View style={[styles.card, { backgroundColor: theme.colors.surface }]}>
+      {verification && (
+        <Text style={[styles.verification, { color: verification.valid ? theme.colors.success : theme.colors.error }]}>
+          {describeVerification(verification)}
+        </Text>
+      )}
+      <Text style={[styles.cardText, { color: theme.colors.textSecondary }]}>
+        Sign-ins, unlocks, locks, PIN changes and device checks on this device. Each entry is
+        signed and chained to the one before it, so changes to the log can be detected.
+      </Text>
+      <TouchableOpacity
+        style={[styles.exportButton, { backgroundColor: theme.colors.primary }]}
+        onPress={handleExport}
+        disabled={exporting}
+      >
+        {exporting ? (
+          <ActivityIndicator size="small" color="#fff" />
+        ) : (
+          <Text style={styles.exportButtonText}>📤 Export Log</Text>
+        )}
+      </TouchableOpacity>
+    </View>
+  );
+
+  return (
+    <View style={[styles.container, { backgroundColor: theme.colors.background }]}>
+      {/* Header */}
+      <View style={[styles.header, { backgroundColor: theme.colors.primary }]}>
+        <TouchableOpacity style={styles.headerBackButton} onPress={() => navigation.goBack()}>
+          <Text style={styles.headerBackButtonText}>← Back</Text>
+        </TouchableOpacity>
+        <Text style={styles.headerTitle}>Activity</Text>
+        <View style={styles.headerSpacer} />
+      </View>
+
+      {loading ? (
+        <ActivityIndicator style={styles.loading} size="large" color={theme.colors.primary} />
+      ) : (
+        <FlatList
+          data={entries}
+          keyExtractor={item => String(item.seq)}
+          renderItem={renderEntry}
+          ListHeaderComponent={renderHeader}
+          ListEmptyComponent={
+            <Text style={[styles.emptyText, { color: theme.colors.textSecondary }]}>No activity recorded yet</Text>
+          }
+          contentContainerStyle={styles.content}
+        />
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingHorizontal: 20,
+    paddingBottom: 20,
+    paddingTop: 50,
+    borderBottomLeftRadius: 24,
+    borderBottomRightRadius: 24,
+    elevation: 8,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 4 },
+    shadowOpacity: 0.1,
+    shadowRadius: 8,
+  },
+  headerBackButton: {
+    backgroundColor: 'rgba(255, 255, 255, 0.2)',
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 12,
+  },
+  headerBackButtonText: {
+    color: '#fff',
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  headerTitle: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#fff',
+  },
+  headerSpacer: {
+    width: 60,
+  },
+  loading: {
+    marginTop: 40,
+  },
+  content: {
+    padding: 16,
+    paddingBottom: 40,
+  },
+  card: {
+    borderRadius: 16,
+    padding: 16,
+    marginBottom: 16,
+    elevation: 2,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.05,
+    shadowRadius: 4,
+  },
+  verification: {
+    fontSize: 15,
+    fontWeight: '700',
+    marginBottom: 8,
+  },
+  cardText: {
+    fontSize: 13,
+    lineHeight: 19,
+  },
+  exportButton: {
+    marginTop: 16,
+    padding: 14,
+    borderRadius: 12,
+    alignItems: 'center',
+  },
+  exportButtonText: {
+    color: '#fff',
+    fontSize: 15,
+    fontWeight: '600',
+  },
+  entry: {
+    flexDirection: 'row',
+    borderRadius: 12,
+    padding: 14,
+    marginBottom: 8,
+  },
+  entryIcon: {
+    fontSize: 22,
+    marginRight: 12,
+  },
+  entryBody: {
+    flex: 1,
+  },
+  entryTitle: {
+    fontSize: 15,
+    fontWeight: '600',
+  },
+  entrySummary: {
+    fontSize: 13,
+    marginTop: 2,
+  },
+  entryMeta: {
+    fontSize: 12,
+    marginTop: 4,
+  },
+  emptyText: {
+    fontSize: 15,
+    textAlign: 'center',
+    marginTop: 24,
+  },
+});
@@ -14,28 +14,52 @@ import {
   ActivityIndicator,
 } from 'react-native';
 import { useDispatch } from 'react-redux';
-import { saveTask } from '../store/store';
+import { createTask, editTask } from '../store/store';
 import { launchImageLibrary, launchCamera } from 'react-native-image-picker';
 import NetInfo from '@react-native-community/netinfo';
-import NotificationService from '../services/NotificationService';
-import StorageService from '../services/StorageService';
-import ApiService from '../services/ApiService';
-import { SuccessAnimation } from '../components/LottieAnimation';
+import DateTimePicker, { DateTimePickerAndroid } from '@react-native-community/datetimepicker';
+import { REMINDER_OFFSETS } from '../services/NotificationService';
 
-export default function AddTaskScreen({ navigation, isDark = false }) {
+// Tasks saved before the date picker have free-text due dates; those parse to null
+const parseDueDate = (value) => {
+  const date = value ? new Date(value) : null;
+  return date && !Number.isNaN(date.getTime()) ? date : null;
+};
+
+// Empty inputs match fields the task never had
+const formValue = (value) =>
+  JSON.stringify(value === '' || (Array.isArray(value) && value.length === 0) ? null : value ?? null);
+
+// Fields an edit sends: only the ones that differ from the task as it was loaded
+const changedFields = (original, values) =>
+  Object.fromEntries(
+    Object.entries(values).filter(([field, value]) => formValue(value) !== formValue(original[field]))
+  );
+
+// Where the picker starts when there's no due date yet: tomorrow at 9:00
+const defaultDueDate = () => {
+  const date = new Date();
+  date.setDate(date.getDate() + 1);
+  date.setHours(9, 0, 0, 0);
+  return date;
+};
+
+export default function AddTaskScreen({ navigation, route, isDark = false }) {
   const dispatch = useDispatch();
 
-  const [title, setTitle] = useState('');
-  const [description, setDescription] = useState('');
-  const [priority, setPriority] = useState('low');
-  const [dueDate, setDueDate] = useState('');
-  const [image, setImage] = useState(null);
+  // Edit mode: TaskDetailsScreen.handleEdit passes the task to edit
+  const taskToEdit = route?.params?.taskToEdit;
+  const isEditing = !!taskToEdit;
+
+  const [title, setTitle] = useState(taskToEdit?.title || '');
+  const [description, setDescription] = useState(taskToEdit?.description || '');
+  const [priority, setPriority] = useState(taskToEdit?.priority || 'low');
+  const [dueDate, setDueDate] = useState(taskToEdit?.dueDate || '');
+  const [reminderOffsets, setReminderOffsets] = useState(taskToEdit?.reminderOffsets || []);
+  const [showIosPicker, setShowIosPicker] = useState(false);
+  const [image, setImage] = useState(taskToEdit?.image ? { uri: taskToEdit.image } : null);
   const [loading, setLoading] = useState(false);
   const [isOffline, setIsOffline] = useState(false);
-  
-  // Animation states
-  const [showSuccess, setShowSuccess] = useState(false);
-  const [showNotification, setShowNotification] = useState(false);
 
   const fadeAnim = useRef(new Animated.Value(0)).current;
   const slideAnim = useRef(new Animated.Value(50)).current;
@@ -104,41 +128,100 @@ export default function AddTaskScreen({ navigation, isDark = false }) {
   const handleGalleryPress = useCallback(() => handleImagePicker(launchImageLibrary), [handleImagePicker]);
   const removeImage = useCallback(() => setImage(null), []);
 
+  const dueDateValue = parseDueDate(dueDate);
+
+  // Android shows a date dialog then a time dialog; iOS toggles an inline picker
+  const openDueDatePicker = useCallback(() => {
+    const initial = parseDueDate(dueDate) || defaultDueDate();
+    if (Platform.OS === 'android') {
+      DateTimePickerAndroid.open({
+        value: initial,
+        mode: 'date',
+        minimumDate: new Date(),
+        onChange: (event, date) => {
+          if (event.type !== 'set' || !date) return;
+          DateTimePickerAndroid.open({
+            value: date,
+            mode: 'time',
+            onChange: (timeEvent, dateTime) => {
+              if (timeEvent.type === 'set' && dateTime) {
+                setDueDate(dateTime.toISOString());
+              }
+            },
+          });
+        },
+      });
+    } else {
+      if (!parseDueDate(dueDate)) {
+        setDueDate(initial.toISOString());
+      }
+      setShowIosPicker(visible => !visible);
+    }
+  }, [dueDate]);
+
+  const clearDueDate = useCallback(() => {
+    setDueDate('');
+    setReminderOffsets([]);
+    setShowIosPicker(false);
+  }, []);
+
+  const toggleReminderOffset = useCallback((minutes) => {
+    setReminderOffsets(current => (
+      current.includes(minutes) ? current.filter(value => value !== minutes) : [...current, minutes].sort((a, b) => a - b)
+    ));
+  }, []);
+
   const handleSave = useCallback(async () => {
     if (!title) {
         Alert.alert('Error', 'Task title cannot be empty.');
         return;
     }
 
+    const taskData = {
+        title,
+        description,
+        priority,
+        image: image ? image.uri : undefined,
+        dueDate,
+        reminderOffsets: dueDate ? reminderOffsets : [],
+    };
+
     try {
         setLoading(true);
-        
-        // ApiService.addTask now handles saving to permanent local storage
-        const result = await ApiService.addTask({
-            title,
-            description,
-            priority,
-            image: image ? image.uri : undefined,
-            dueDate,
-        });
-
-        if (result.success) {
-            // Success message for permanent local save
+
+        if (isEditing) {
+            const changes = changedFields(taskToEdit, taskData);
+            if (Object.keys(changes).length === 0) {
+                navigation.goBack();
+                return;
+            }
+            // Update path keeps id/createdAt and stamps updatedAt; the store refreshes every screen
+            await dispatch(editTask({ id: taskToEdit.id, changes })).unwrap();
+
             Alert.alert(
-                'Task Added Locally',
-                'Your task has been added and will persist across sessions.',
+                'Task Updated',
+                'Your changes have been saved.',
                 [{ text: 'OK', onPress: () => navigation.goBack() }]
             );
-        } else {
-            Alert.alert('Error', result.error || 'Failed to add task.');
+            return;
         }
+
+        // createTask saves to permanent local storage and adds the task to the store
+        await dispatch(createTask(taskData)).unwrap();
+
+        // Success message for permanent local save
+        Alert.alert(
+            'Task Added Locally',
+            'Your task has been added and will persist across sessions.',
+            [{ text: 'OK', onPress: () => navigation.goBack() }]
+        );
     } catch (e) {
-        console.error('Error adding task:', e);
-        Alert.alert('Error', 'An unexpected error occurred while adding the task.');
+        console.error('Error saving task:', e);
+        Alert.alert('Error', e.message || 'An unexpected error occurred while saving the task.');
     } finally {
         setLoading(false);
     }
-  }, [title, description, priority, image, dueDate, navigation]);
+  }, [title, description, priority, image, dueDate, reminderOffsets, navigation, isEditing, taskToEdit, dispatch]);
 
   return (
     <KeyboardAvoidingView 
@@ -152,7 +235,9 @@ export default function AddTaskScreen({ navigation, isDark = false }) {
             { opacity: fadeAnim, transform: [{ translateY: slideAnim }] }
           ]}
         >
-          <Text style={[styles.title, { color: theme.colors.primary }]}>Create New Task</Text>
+          <Text style={[styles.title, { color: theme.colors.primary }]}>
+            {isEditing ? 'Edit Task' : 'Create New Task'}
+          </Text>
 
           <TextInput
             style={[styles.input, { borderColor: theme.colors.border, color: theme.colors.text, backgroundColor: theme.colors.surface }]}
@@ -219,13 +304,63 @@ export default function AddTaskScreen({ navigation, isDark = false }) {
             )}
           </View>
 
-          <TextInput
-            style={[styles.input, { borderColor: theme.colors.border, color: theme.colors.text, backgroundColor: theme.colors.surface }]}
-            placeholder="Due date (optional)"
-            placeholderTextColor={theme.colors.textSecondary}
-            value={dueDate}
-            onChangeText={setDueDate}
-          />
+          <Text style={[styles.label, { color: theme.colors.text }]}>Due:</Text>
+          <View style={styles.dueDateRow}>
+            <TouchableOpacity
+              style={[styles.input, styles.dueDateButton, { borderColor: theme.colors.border, backgroundColor: theme.colors.surface }]}
+              onPress={openDueDatePicker}
+            >
+              <Text style={[styles.dueDateText, { color: dueDate ? theme.colors.text : theme.colors.textSecondary }]}>
+                📅 {dueDateValue ? dueDateValue.toLocaleString() : dueDate || 'Set due date (optional)'}
+              </Text>
+            </TouchableOpacity>
+            {!!dueDate && (
+              <TouchableOpacity style={styles.clearDueDate} onPress={clearDueDate}>
+                <Text style={[styles.clearDueDateText, { color: theme.colors.error }]}>Clear</Text>
+              </TouchableOpacity>
+            )}
+          </View>
+
+          {showIosPicker && dueDateValue && (
+            <DateTimePicker
+              value={dueDateValue}
+              mode="datetime"
+              display="inline"
+              minimumDate={new Date()}
+              onChange={(event, date) => date && setDueDate(date.toISOString())}
+            />
+          )}
+
+          {dueDateValue && (
+            <>
+              <Text style={[styles.label, { color: theme.colors.text }]}>Remind me:</Text>
+              <Text style={[styles.reminderHint, { color: theme.colors.textSecondary }]}>
+                At the due time, and also:
+              </Text>
+              <View style={styles.reminderContainer}>
+                {REMINDER_OFFSETS.map(({ minutes, label }) => {
+                  const selected = reminderOffsets.includes(minutes);
+                  return (
+                    <TouchableOpacity
+                      key={minutes}
+                      style={[
+                        styles.reminderChip,
+                        { borderColor: selected ? theme.colors.primary : theme.colors.border },
+                        selected && { backgroundColor: theme.colors.primary },
+                      ]}
+                      onPress={() => toggleReminderOffset(minutes)}
+                      accessibilityRole="checkbox"
+                      accessibilityState={{ checked: selected }}
+                    >
+                      <Text style={[styles.reminderChipText, { color: theme.colors.text }, selected && styles.reminderChipTextSelected]}>
+                        {label}
+                      </Text>
+                    </TouchableOpacity>
+                  );
+                })}
+              </View>
+            </>
+          )}
 
           <View style={styles.buttonRow}>
             <TouchableOpacity 
@@ -241,7 +376,7 @@ export default function AddTaskScreen({ navigation, isDark = false }) {
               disabled={loading}
             >
               {loading && <ActivityIndicator size="small" color="#fff" style={styles.loadingIndicator} />}
-              <Text style={styles.saveText}>{loading ? 'Saving...' : (isOffline ? 'Save Locally' : 'Save Task')}</Text>
+              <Text style={styles.saveText}>{loading ? 'Saving...' : (isEditing ? 'Save Changes' : (isOffline ? 'Save Locally' : 'Save Task'))}</Text>
             </TouchableOpacity>
           </View>
         </Animated.View>
@@ -338,6 +473,47 @@ const styles = StyleSheet.create({
     color: '#fff',
     fontSize: 10,
   },
+  dueDateRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  dueDateButton: {
+    flex: 1,
+  },
+  dueDateText: {
+    fontSize: 16,
+  },
+  clearDueDate: {
+    paddingHorizontal: 12,
+    marginBottom: 15,
+  },
+  clearDueDateText: {
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  reminderHint: {
+    fontSize: 13,
+    marginBottom: 8,
+  },
+  reminderContainer: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+    marginBottom: 20,
+  },
+  reminderChip: {
+    borderWidth: 1,
+    borderRadius: 16,
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+  },
+  reminderChipText: {
+    fontSize: 13,
+    fontWeight: '600',
+  },
+  reminderChipTextSelected: {
+    color: '#fff',
+  },
   buttonRow: {
     flexDirection: 'row',
     justifyContent: 'space-between',
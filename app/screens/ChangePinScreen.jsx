@@ -0,0 +1,207 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  Alert,
+  ActivityIndicator,
+} from 'react-native';
+import PinInput, { describePasscode } from '../components/PinInput';
+import PinSetupScreen from './PinSetupScreen';
+import { useAuth } from '../context/AuthContext';
+
+/**
+ * Settings → Change PIN: confirm the current PIN, then run the regular PIN setup flow.
+ */
+export default function ChangePinScreen({ navigation, isDark = false }) {
+  const auth = useAuth();
+  const { getPinFormat, getPinRetryDelay } = auth;
+  const [step, setStep] = useState('verify'); // 'verify' | 'setup'
+  const [format, setFormat] = useState(null);
+  const [error, setError] = useState('');
+  const [retrySeconds, setRetrySeconds] = useState(0);
+  const [inputKey, setInputKey] = useState(0);
+
+  const theme = {
+    colors: {
+      primary: '#4f46e5',
+      background: isDark ? '#111827' : '#f9fafb',
+      surface: isDark ? '#1f2937' : '#ffffff',
+      text: isDark ? '#ffffff' : '#111827',
+      textSecondary: isDark ? '#9ca3af' : '#6b7280',
+      error: '#ef4444',
+    },
+  };
+
+  useEffect(() => {
+    getPinFormat().then(setFormat);
+    getPinRetryDelay().then(setRetrySeconds);
+  }, [getPinFormat, getPinRetryDelay]);
+
+  useEffect(() => {
+    if (retrySeconds <= 0) return;
+    const timer = setTimeout(() => setRetrySeconds(seconds => seconds - 1), 1000);
+    return () => clearTimeout(timer);
+  }, [retrySeconds]);
+
+  const onCurrentPinComplete = async (pin) => {
+    const result = await auth.verifyCurrentPin(pin);
+    if (result.success) {
+      setStep('setup');
+      return;
+    }
+    if (result.lockedOut) {
+      Alert.alert('Signed Out', 'Too many incorrect PINs. Sign in with your password to continue.');
+      return;
+    }
+
+    setInputKey(key => key + 1);
+    if (result.retryAfter) {
+      setRetrySeconds(result.retryAfter);
+    }
+    setError(
+      result.attemptsRemaining === undefined
+        ? 'Too many attempts. Please wait before trying again.'
+        : 'Incorrect PIN. Please try again.'
+    );
+  };
+
+  const handlePinChanged = () => {
+    console.log('🔑 PIN changed');
+    Alert.alert('PIN Changed', 'Your new PIN is now active.');
+    navigation.goBack();
+  };
+
+  if (step === 'setup') {
+    return (
+      <PinSetupScreen
+        title="🔑 New PIN"
+        onPinSet={handlePinChanged}
+        onCancel={() => navigation.goBack()}
+      />
+    );
+  }
+
+  return (
+    <View style={[styles.container, { backgroundColor: theme.colors.background }]}>
+      {/* Header */}
+      <View style={[styles.header, { backgroundColor: theme.colors.primary }]}>
+        <TouchableOpacity style={styles.headerBackButton} onPress={() => navigation.goBack()}>
+          <Text style={styles.headerBackButtonText}>← Back</Text>
+        </TouchableOpacity>
+        <Text style={styles.headerTitle}>Change PIN</Text>
+        <View style={styles.headerSpacer} />
+      </View>
+
+      <View style={styles.content}>
+        <View style={[styles.card, { backgroundColor: theme.colors.surface }]}>
+          <Text style={[styles.title, { color: theme.colors.text }]}>Enter Current PIN</Text>
+          <Text style={[styles.subtitle, { color: theme.colors.textSecondary }]}>
+            Confirm your {format ? describePasscode(format) : 'PIN'} before choosing a new one
+          </Text>
+
+          {format ? (
+            <PinInput
+              key={inputKey}
+              onComplete={onCurrentPinComplete}
+              disabled={retrySeconds > 0}
+              length={format.length}
+              mode={format.mode}
+            />
+          ) : (
+            <ActivityIndicator size="small" color={theme.colors.primary} />
+          )}
+
+          {retrySeconds > 0 && (
+            <Text style={[styles.retryText, { color: theme.colors.textSecondary }]}>
+              ⏳ Try again in {Math.floor(retrySeconds / 60)}:{String(retrySeconds % 60).padStart(2, '0')}
+            </Text>
+          )}
+
+          {error !== '' && (
+            <Text style={[styles.error, { color: theme.colors.error }]}>⚠️ {error}</Text>
+          )}
+        </View>
+      </View>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingHorizontal: 20,
+    paddingBottom: 20,
+    paddingTop: 50,
+    borderBottomLeftRadius: 24,
+    borderBottomRightRadius: 24,
+    elevation: 8,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 4 },
+    shadowOpacity: 0.1,
+    shadowRadius: 8,
+  },
+  headerBackButton: {
+    backgroundColor: 'rgba(255, 255, 255, 0.2)',
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 12,
+  },
+  headerBackButtonText: {
+    color: '#fff',
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  headerTitle: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#fff',
+  },
+  headerSpacer: {
+    width: 60,
+  },
+  content: {
+    flex: 1,
+    justifyContent: 'center',
+    padding: 24,
+  },
+  card: {
+    borderRadius: 16,
+    padding: 32,
+    elevation: 3,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 8,
+  },
+  title: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    textAlign: 'center',
+    marginBottom: 8,
+  },
+  subtitle: {
+    fontSize: 14,
+    textAlign: 'center',
+    marginBottom: 28,
+    lineHeight: 20,
+  },
+  retryText: {
+    fontSize: 14,
+    fontWeight: '600',
+    textAlign: 'center',
+    marginTop: 16,
+  },
+  error: {
+    fontSize: 14,
+    fontWeight: '600',
+    textAlign: 'center',
+    marginTop: 16,
+  },
+});
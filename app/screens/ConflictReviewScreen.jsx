@@ -0,0 +1,381 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  ScrollView,
+  Alert,
+  ActivityIndicator,
+} from 'react-native';
+import { useSelector, useDispatch } from 'react-redux';
+import { loadConflicts, resolveConflict, selectConflicts } from '../store/store';
+import ConflictResolver, { STRATEGIES } from '../services/ConflictResolver';
+
+const STRATEGY_LABELS = {
+  [STRATEGIES.MANUAL]: 'Ask me',
+  [STRATEGIES.LAST_WRITER_WINS]: 'Newest wins',
+  [STRATEGIES.LOCAL_WINS]: 'Mine wins',
+  [STRATEGIES.SERVER_WINS]: 'Server wins',
+};
+
+const FIELD_LABELS = {
+  title: 'Title',
+  description: 'Description',
+  priority: 'Priority',
+  dueDate: 'Due Date',
+  reminderOffsets: 'Reminders',
+  completed: 'Completed',
+  completedAt: 'Completed At',
+  image: 'Image',
+};
+
+// Human-readable value for a conflicting field
+const formatValue = (field, value) => {
+  if (value === undefined || value === null || value === '') return '—';
+  if (typeof value === 'boolean') return value ? 'Yes' : 'No';
+  if (field === 'reminderOffsets') return value.length ? value.map(minutes => `${minutes} min before`).join(', ') : 'At due time only';
+  if (field === 'image') return '🖼️ Image';
+  if (field === 'dueDate' || field === 'completedAt') return new Date(value).toLocaleString();
+  return String(value);
+};
+
+export default function ConflictReviewScreen({ navigation, isDark = false }) {
+  const dispatch = useDispatch();
+  const conflicts = useSelector(selectConflicts);
+  const [choices, setChoices] = useState({}); // { [conflictId]: { [field]: 'local' | 'server' } }
+  const [defaultStrategy, setDefaultStrategy] = useState(null);
+  const [resolvingId, setResolvingId] = useState(null);
+
+  // Theme definition
+  const theme = {
+    colors: {
+      primary: '#4f46e5',
+      background: isDark ? '#111827' : '#f9fafb',
+      surface: isDark ? '#1f2937' : '#ffffff',
+      text: isDark ? '#ffffff' : '#111827',
+      textSecondary: isDark ? '#9ca3af' : '#6b7280',
+      border: isDark ? '#374151' : '#e5e7eb',
+      success: '#10b981',
+      warning: '#f59e0b',
+    },
+  };
+
+  useEffect(() => {
+    dispatch(loadConflicts());
+    ConflictResolver.getPolicy().then(policy => setDefaultStrategy(policy.default));
+  }, [dispatch]);
+
+  const handleStrategyChange = async (strategy) => {
+    setDefaultStrategy(strategy);
+    await ConflictResolver.setPolicy({ default: strategy });
+  };
+
+  // Unpicked fields keep the local edit
+  const getChoice = (conflictId, field) => (choices[conflictId] && choices[conflictId][field]) || 'local';
+
+  const setChoice = (conflictId, field, side) => {
+    setChoices(prev => ({ ...prev, [conflictId]: { ...prev[conflictId], [field]: side } }));
+  };
+
+  const setAllChoices = (conflict, side) => {
+    const all = {};
+    conflict.fields.forEach(({ field }) => {
+      all[field] = side;
+    });
+    setChoices(prev => ({ ...prev, [conflict.id]: all }));
+  };
+
+  const handleResolve = async (conflict) => {
+    const picks = {};
+    conflict.fields.forEach(({ field }) => {
+      picks[field] = getChoice(conflict.id, field);
+    });
+
+    setResolvingId(conflict.id);
+    try {
+      await dispatch(resolveConflict({ conflictId: conflict.id, choices: picks })).unwrap();
+    } catch (error) {
+      console.error('Error resolving conflict:', error);
+      Alert.alert('Error', 'Failed to resolve conflict. Please try again.');
+    } finally {
+      setResolvingId(null);
+    }
+  };
+
+  const renderSideButton = (conflict, field, side, value) => {
+    const selected = getChoice(conflict.id, field) === side;
+    return (
+      <TouchableOpacity
+        style={[
+          styles.sideButton,
+          { borderColor: selected ? theme.colors.primary : theme.colors.border },
+          selected && { backgroundColor: theme.colors.primary + '15' },
+        ]}
+        onPress={() => setChoice(conflict.id, field, side)}
+        accessibilityRole="radio"
+        accessibilityState={{ selected }}
+      >
+        <Text style={[styles.sideLabel, { color: selected ? theme.colors.primary : theme.colors.textSecondary }]}>
+          {side === 'local' ? '📱 Mine' : '☁️ Server'}
+        </Text>
+        <Text style={[styles.sideValue, { color: theme.colors.text }]} numberOfLines={3}>
+          {formatValue(field, value)}
+        </Text>
+      </TouchableOpacity>
+    );
+  };
+
+  const renderConflict = (conflict) => (
+    <View key={conflict.id} style={[styles.card, { backgroundColor: theme.colors.surface }]}>
+      <Text style={[styles.cardTitle, { color: theme.colors.text }]} numberOfLines={2}>
+        {conflict.local.title || conflict.server.title || 'Untitled task'}
+      </Text>
+      <Text style={[styles.cardMeta, { color: theme.colors.textSecondary }]}>
+        Detected {new Date(conflict.detectedAt).toLocaleString()}
+      </Text>
+
+      {conflict.fields.map(({ field, local, server }) => (
+        <View key={field} style={styles.fieldRow}>
+          <Text style={[styles.fieldLabel, { color: theme.colors.textSecondary }]}>
+            {FIELD_LABELS[field] || field}
+          </Text>
+          <View style={styles.sides}>
+            {renderSideButton(conflict, field, 'local', local)}
+            {renderSideButton(conflict, field, 'server', server)}
+          </View>
+        </View>
+      ))}
+
+      <View style={styles.actions}>
+        <TouchableOpacity
+          style={[styles.secondaryButton, { borderColor: theme.colors.border }]}
+          onPress={() => setAllChoices(conflict, 'local')}
+        >
+          <Text style={[styles.secondaryButtonText, { color: theme.colors.text }]}>Keep Mine</Text>
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={[styles.secondaryButton, { borderColor: theme.colors.border }]}
+          onPress={() => setAllChoices(conflict, 'server')}
+        >
+          <Text style={[styles.secondaryButtonText, { color: theme.colors.text }]}>Keep Server</Text>
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={[styles.primaryButton, { backgroundColor: theme.colors.success }]}
+          onPress={() => handleResolve(conflict)}
+          disabled={resolvingId === conflict.id}
+        >
+          {resolvingId === conflict.id ? (
+            <ActivityIndicator size="small" color="#fff" />
+          ) : (
+            <Text style={styles.primaryButtonText}>Apply</Text>
+          )}
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+
+  return (
+    <View style={[styles.container, { backgroundColor: theme.colors.background }]}>
+      {/* Header */}
+      <View style={[styles.header, { backgroundColor: theme.colors.primary }]}>
+        <TouchableOpacity style={styles.headerBackButton} onPress={() => navigation.goBack()}>
+          <Text style={styles.headerBackButtonText}>← Back</Text>
+        </TouchableOpacity>
+        <Text style={styles.headerTitle}>Sync Conflicts</Text>
+        <View style={styles.headerSpacer} />
+      </View>
+
+      <ScrollView contentContainerStyle={styles.content} showsVerticalScrollIndicator={false}>
+        {/* Default strategy for future conflicts */}
+        <View style={[styles.card, { backgroundColor: theme.colors.surface }]}>
+          <Text style={[styles.cardTitle, { color: theme.colors.text }]}>When both sides change a field</Text>
+          <View style={styles.strategyRow}>
+            {Object.values(STRATEGIES).map(strategy => {
+              const selected = defaultStrategy === strategy;
+              return (
+                <TouchableOpacity
+                  key={strategy}
+                  style={[
+                    styles.strategyChip,
+                    { borderColor: selected ? theme.colors.primary : theme.colors.border },
+                    selected && { backgroundColor: theme.colors.primary },
+                  ]}
+                  onPress={() => handleStrategyChange(strategy)}
+                  accessibilityRole="radio"
+                  accessibilityState={{ selected }}
+                >
+                  <Text style={[styles.strategyText, { color: theme.colors.text }, selected && styles.strategyTextSelected]}>
+                    {STRATEGY_LABELS[strategy]}
+                  </Text>
+                </TouchableOpacity>
+              );
+            })}
+          </View>
+        </View>
+
+        {conflicts.length === 0 ? (
+          <View style={styles.emptyState}>
+            <Text style={styles.emptyIcon}>✅</Text>
+            <Text style={[styles.emptyText, { color: theme.colors.textSecondary }]}>
+              No conflicts to review
+            </Text>
+          </View>
+        ) : (
+          conflicts.map(renderConflict)
+        )}
+      </ScrollView>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingHorizontal: 20,
+    paddingBottom: 20,
+    paddingTop: 50,
+    borderBottomLeftRadius: 24,
+    borderBottomRightRadius: 24,
+    elevation: 8,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 4 },
+    shadowOpacity: 0.1,
+    shadowRadius: 8,
+  },
+  headerBackButton: {
+    backgroundColor: 'rgba(255, 255, 255, 0.2)',
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 12,
+  },
+  headerBackButtonText: {
+    color: '#fff',
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  headerTitle: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#fff',
+  },
+  headerSpacer: {
+    width: 60,
+  },
+  content: {
+    padding: 16,
+    paddingBottom: 40,
+  },
+  card: {
+    borderRadius: 16,
+    padding: 16,
+    marginBottom: 16,
+    elevation: 2,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.05,
+    shadowRadius: 4,
+  },
+  cardTitle: {
+    fontSize: 16,
+    fontWeight: '700',
+  },
+  cardMeta: {
+    fontSize: 12,
+    marginTop: 4,
+    marginBottom: 8,
+  },
+  strategyRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    marginTop: 12,
+  },
+  strategyChip: {
+    borderWidth: 1,
+    borderRadius: 16,
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  strategyText: {
+    fontSize: 13,
+    fontWeight: '600',
+  },
+  strategyTextSelected: {
+    color: '#fff',
+  },
+  fieldRow: {
+    marginTop: 12,
+  },
+  fieldLabel: {
+    fontSize: 12,
+    fontWeight: '600',
+    textTransform: 'uppercase',
+    marginBottom: 6,
+  },
+  sides: {
+    flexDirection: 'row',
+  },
+  sideButton: {
+    flex: 1,
+    borderWidth: 1,
+    borderRadius: 12,
+    padding: 10,
+    marginRight: 8,
+  },
+  sideLabel: {
+    fontSize: 12,
+    fontWeight: '700',
+    marginBottom: 4,
+  },
+  sideValue: {
+    fontSize: 14,
+  },
+  actions: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    alignItems: 'center',
+    marginTop: 16,
+  },
+  secondaryButton: {
+    borderWidth: 1,
+    borderRadius: 12,
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    marginRight: 8,
+  },
+  secondaryButtonText: {
+    fontSize: 13,
+    fontWeight: '600',
+  },
+  primaryButton: {
+    borderRadius: 12,
+    paddingHorizontal: 16,
+    paddingVertical: 8,
+    minWidth: 72,
+    alignItems: 'center',
+  },
+  primaryButtonText: {
+    color: '#fff',
+    fontSize: 14,
+    fontWeight: '700',
+  },
+  emptyState: {
+    alignItems: 'center',
+    paddingVertical: 40,
+  },
+  emptyIcon: {
+    fontSize: 48,
+    marginBottom: 12,
+  },
+  emptyText: {
+    fontSize: 16,
+    fontWeight: '500',
+  },
+});
@@ -0,0 +1,323 @@
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  StyleSheet,
+  Alert,
+  ActivityIndicator,
+  KeyboardAvoidingView,
+  Platform,
+  ScrollView,
+  useColorScheme,
+} from 'react-native';
+import ApiService from '../services/ApiService';
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MIN_PASSWORD_LENGTH = 8;
+
+/**
+ * Two steps: request a reset code for an email, then enter the code with a new password.
+ */
+export default function ForgotPasswordScreen({ navigation }) {
+  const [step, setStep] = useState('request'); // 'request' | 'reset'
+  const [email, setEmail] = useState('');
+  const [code, setCode] = useState('');
+  const [password, setPassword] = useState('');
+  const [confirmPassword, setConfirmPassword] = useState('');
+  const [errors, setErrors] = useState({});
+  const [loading, setLoading] = useState(false);
+
+  const colorScheme = useColorScheme();
+  const isDark = colorScheme === 'dark';
+
+  const theme = {
+    colors: {
+      primary: '#4f46e5',
+      background: isDark ? '#111827' : '#f9fafb',
+      surface: isDark ? '#1f2937' : '#ffffff',
+      text: isDark ? '#ffffff' : '#111827',
+      textSecondary: isDark ? '#9ca3af' : '#6b7280',
+      border: isDark ? '#374151' : '#e5e7eb',
+      error: '#ef4444',
+    },
+  };
+
+  const handleRequestCode = async () => {
+    if (!EMAIL_PATTERN.test(email.trim())) {
+      setErrors({ email: 'Please enter a valid email address' });
+      return;
+    }
+
+    setLoading(true);
+    setErrors({});
+    try {
+      const result = await ApiService.requestPasswordReset(email.trim());
+      if (!result.success) {
+        Alert.alert('Error', result.error || 'Could not request a reset code. Please try again.');
+        return;
+      }
+      console.log('✉️ Password reset code requested');
+      setStep('reset');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const handleResetPassword = async () => {
+    const validationErrors = {};
+    if (!code.trim()) {
+      validationErrors.code = 'Please enter the code from the email';
+    }
+    if (password.length < MIN_PASSWORD_LENGTH) {
+      validationErrors.password = `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+    }
+    if (confirmPassword !== password) {
+      validationErrors.confirmPassword = 'Passwords do not match';
+    }
+    if (Object.keys(validationErrors).length > 0) {
+      setErrors(validationErrors);
+      return;
+    }
+
+    setLoading(true);
+    setErrors({});
+    try {
+      const result = await ApiService.resetPassword(code.trim(), password);
+      if (!result.success) {
+        // The server names the bad field as 'token'; on this screen it's the code input
+        const field = result.field === 'token' ? 'code' : result.field;
+        if (field) {
+          setErrors({ [field]: result.error });
+        } else {
+          Alert.alert('Error', result.error || 'Could not reset your password. Please try again.');
+        }
+        return;
+      }
+      Alert.alert(
+        'Password Updated',
+        'Your password has been changed. Sign in with your new password.',
+        [{ text: 'OK', onPress: () => navigation.navigate('Login') }]
+      );
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const renderInput = (field, icon, inputProps) => (
+    <View>
+      <View
+        style={[
+          styles.inputGroup,
+          { borderColor: errors[field] ? theme.colors.error : theme.colors.border },
+        ]}
+      >
+        <Text style={styles.inputIcon}>{icon}</Text>
+        <TextInput
+          style={[styles.input, { color: theme.colors.text }]}
+          placeholderTextColor={theme.colors.textSecondary}
+          autoCapitalize="none"
+          editable={!loading}
+          {...inputProps}
+        />
+      </View>
+      {errors[field] && (
+        <Text style={[styles.fieldError, { color: theme.colors.error }]}>{errors[field]}</Text>
+      )}
+    </View>
+  );
+
+  return (
+    <KeyboardAvoidingView
+      style={[styles.container, { backgroundColor: theme.colors.background }]}
+      behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+    >
+      {/* Header */}
+      <View style={[styles.header, { backgroundColor: theme.colors.primary }]}>
+        <TouchableOpacity style={styles.headerBackButton} onPress={() => navigation.goBack()}>
+          <Text style={styles.headerBackButtonText}>← Back</Text>
+        </TouchableOpacity>
+        <Text style={styles.headerTitle}>Reset Password</Text>
+        <Text style={styles.headerSubtitle}>
+          {step === 'request' ? "We'll email you a reset code" : `Code sent to ${email.trim()}`}
+        </Text>
+      </View>
+
+      <ScrollView contentContainerStyle={styles.content} keyboardShouldPersistTaps="handled">
+        <View style={[styles.form, { backgroundColor: theme.colors.surface }]}>
+          {step === 'request' ? (
+            <>
+              <Text style={[styles.description, { color: theme.colors.textSecondary }]}>
+                Enter the email address you signed up with.
+              </Text>
+              {renderInput('email', '📧', {
+                placeholder: 'Email address',
+                value: email,
+                onChangeText: setEmail,
+                keyboardType: 'email-address',
+              })}
+            </>
+          ) : (
+            <>
+              <Text style={[styles.description, { color: theme.colors.textSecondary }]}>
+                If an account exists for this email, a reset code is on its way.
+              </Text>
+              {renderInput('code', '🔑', {
+                placeholder: 'Reset code',
+                value: code,
+                onChangeText: setCode,
+                autoCapitalize: 'characters',
+              })}
+              {renderInput('password', '🔒', {
+                placeholder: `New password (${MIN_PASSWORD_LENGTH}+ characters)`,
+                value: password,
+                onChangeText: setPassword,
+                secureTextEntry: true,
+              })}
+              {renderInput('confirmPassword', '🔒', {
+                placeholder: 'Confirm new password',
+                value: confirmPassword,
+                onChangeText: setConfirmPassword,
+                secureTextEntry: true,
+              })}
+            </>
+          )}
+
+          <TouchableOpacity
+            style={[
+              styles.primaryButton,
+              { backgroundColor: theme.colors.primary },
+              loading && styles.primaryButtonDisabled,
+            ]}
+            onPress={step === 'request' ? handleRequestCode : handleResetPassword}
+            disabled={loading}
+          >
+            {loading ? (
+              <ActivityIndicator size="small" color="#fff" />
+            ) : (
+              <Text style={styles.primaryButtonText}>
+                {step === 'request' ? 'Send Reset Code' : 'Set New Password'}
+              </Text>
+            )}
+          </TouchableOpacity>
+
+          {step === 'reset' && (
+            <TouchableOpacity style={styles.linkButton} onPress={handleRequestCode} disabled={loading}>
+              <Text style={[styles.linkText, { color: theme.colors.primary }]}>Send a new code</Text>
+            </TouchableOpacity>
+          )}
+        </View>
+      </ScrollView>
+    </KeyboardAvoidingView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  header: {
+    padding: 20,
+    paddingTop: 50,
+    borderBottomLeftRadius: 24,
+    borderBottomRightRadius: 24,
+    elevation: 8,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 4 },
+    shadowOpacity: 0.1,
+    shadowRadius: 8,
+  },
+  headerBackButton: {
+    alignSelf: 'flex-start',
+    backgroundColor: 'rgba(255, 255, 255, 0.2)',
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 12,
+    marginBottom: 12,
+  },
+  headerBackButtonText: {
+    color: '#fff',
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  headerTitle: {
+    fontSize: 32,
+    fontWeight: 'bold',
+    color: '#fff',
+  },
+  headerSubtitle: {
+    color: '#d1d5db',
+    fontSize: 16,
+    marginTop: 4,
+    fontWeight: '500',
+  },
+  content: {
+    flexGrow: 1,
+    justifyContent: 'center',
+    padding: 24,
+  },
+  form: {
+    borderRadius: 16,
+    padding: 24,
+    elevation: 3,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 8,
+  },
+  description: {
+    fontSize: 15,
+    lineHeight: 22,
+  },
+  inputGroup: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    borderWidth: 1,
+    borderRadius: 12,
+    paddingHorizontal: 16,
+    marginTop: 16,
+  },
+  inputIcon: {
+    marginRight: 12,
+    fontSize: 18,
+  },
+  input: {
+    flex: 1,
+    paddingVertical: 14,
+    fontSize: 16,
+  },
+  fieldError: {
+    fontSize: 13,
+    marginTop: 6,
+    marginLeft: 4,
+  },
+  primaryButton: {
+    padding: 16,
+    borderRadius: 12,
+    alignItems: 'center',
+    marginTop: 24,
+    elevation: 4,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 4,
+  },
+  primaryButtonDisabled: {
+    backgroundColor: '#9ca3af',
+    elevation: 0,
+  },
+  primaryButtonText: {
+    color: '#ffffff',
+    fontSize: 18,
+    fontWeight: '600',
+  },
+  linkButton: {
+    alignItems: 'center',
+    marginTop: 16,
+  },
+  linkText: {
+    fontSize: 14,
+    fontWeight: '600',
+  },
+});
@@ -15,13 +15,17 @@ import { useSelector, useDispatch } from 'react-redux';
 import { 
   loadTasks, 
   deleteTask,
+  syncTasks,
+  loadConflicts,
+  selectConflicts,
   setOffline,
-  clearError 
+  clearError,
+  selectAllTasks,
+  selectSettings,
 } from '../store/store';
 import NetInfo from '@react-native-community/netinfo';
-import ApiService from '../services/ApiService';
-import StorageService from '../services/StorageService';
-import { useFocusEffect } from '@react-navigation/native'; // Added for instant refresh
+import NotificationService from '../services/NotificationService';
+import { isSyncAllowedOn } from '../services/ApiService';
 
 // Helper function to get priority color
 const getPriorityColor = (priority) => {
@@ -157,16 +161,17 @@ const EmptyState = ({ theme, onAddTask, onLoadFromAPI }) => (
   </View>
 );
 
-export default function HomeScreen({ navigation, route, isDark = false }) {
+export default function HomeScreen({ navigation, isDark = false }) {
   const dispatch = useDispatch();
-  // Using simplified Redux state structure (as derived from the thunk import)
-  const { tasks, loading, error, isOffline } = useSelector(state => state.tasks); 
+  // The Redux tasks slice is the single source of truth for task data
+  const { loading, loaded, error, source: dataSource } = useSelector(state => state.tasks);
+  const tasks = useSelector(selectAllTasks);
+  const conflicts = useSelector(selectConflicts);
+  const { autoSync, dataUsage } = useSelector(selectSettings);
   const [refreshing, setRefreshing] = useState(false);
   const [searchQuery] = useState('');
-  const [localTasks, setLocalTasks] = useState([]);
-  const [loadingLocal, setLoadingLocal] = useState(true);
-  const [dataSource, setDataSource] = useState('storage'); // 'cache', 'storage', 'api'
   const [isOfflineLocal, setIsOfflineLocal] = useState(false);
+  const couldSyncRef = useRef(null); // null until the first network reading
 
   // Create theme object
   const theme = useMemo(() => ({
@@ -185,81 +190,80 @@ export default function HomeScreen({ navigation, route, isDark = false }) {
     },
   }), [isDark]);
 
-  // Function to remove duplicate tasks
-  const removeDuplicateTasks = (taskArray) => {
-    const seen = new Set();
-    // Prioritize tasks with 'api' or 'local_permanent' source
-    return taskArray
-      .sort((a, b) => {
-        if (a.source === 'api') return -1;
-        if (b.source === 'api') return 1;
-        if (a.source === 'local_permanent') return -1;
-        if (b.source === 'local_permanent') return 1;
-        return 0;
-      })
-      .filter(task => {
-        const isDuplicate = seen.has(task.id);
-        seen.add(task.id);
-        // Only keep the first occurrence (which is prioritized by the sort)
-        return !isDuplicate;
-      });
-  };
-
   // Load tasks from API with caching
   const loadTasksFromAPI = useCallback(async (forceRefresh = false) => {
     try {
-      setLoadingLocal(true);
-      
       console.log('🔄 Loading tasks from API and Local Storage...');
-      // ApiService.getTasks now handles combining API/Cache and permanent local tasks
-      // Assuming ApiService.getTasks exists and returns { success, data, source, offline }
-      const result = await ApiService.getTasks(forceRefresh);
-      
-      if (result.success) {
-        const uniqueTasks = removeDuplicateTasks(result.data);
-        setLocalTasks(uniqueTasks);
-        setDataSource(result.source);
-        
-        console.log(`✅ Tasks loaded from: ${result.source}`);
-        console.log(`📊 Total tasks: ${uniqueTasks.length}`);
-        
-        // Show notification based on source
-        if (result.offline) {
-          Alert.alert(
-            '📡 Offline Mode',
-            'Showing cached and local data. Changes will sync when you reconnect.',
-            [{ text: 'OK' }]
-          );
-        } else if (result.source === 'api') {
-          console.log('✅ Fresh data from API loaded successfully');
-        }
+      // loadTasks combines API/Cache and permanent local tasks into the store
+      const result = await dispatch(loadTasks(forceRefresh)).unwrap();
+
+      console.log(`✅ Tasks loaded from: ${result.source}`);
+      console.log(`📊 Total tasks: ${result.tasks.length}`);
+
+      // Show notification based on source
+      if (result.offline) {
+        Alert.alert(
+          '📡 Offline Mode',
+          'Showing cached and local data. Changes will sync when you reconnect.',
+          [{ text: 'OK' }]
+        );
       }
-    } catch (error) {
-      console.error('Error loading tasks:', error);
-      Alert.alert('Error', 'Failed to load tasks. Please try again.');
-    } finally {
-      setLoadingLocal(false);
+    } catch (loadError) {
+      // Rejections surface through the slice's error state below
+      console.error('Error loading tasks:', loadError);
     }
-  }, []); 
+  }, [dispatch]);
 
   // Initial load
   useEffect(() => {
     loadTasksFromAPI();
-  }, [loadTasksFromAPI]);
-  
-  // Use useFocusEffect to reload when returning from AddTaskScreen (Previous Fix)
-  useFocusEffect(
-    useCallback(() => {
-      // Check for the refresh parameter set in AddTaskScreen
-      if (route.params?.refresh) {
-        console.log('Detected refresh signal from AddTaskScreen. Reloading tasks...');
-        // Force a refresh from all sources
-        loadTasksFromAPI(true); 
-        // Clear the refresh parameter so it only triggers once
-        navigation.setParams({ refresh: undefined }); 
+    dispatch(loadConflicts());
+  }, [loadTasksFromAPI, dispatch]);
+
+  // Reminders opened with View Details; this screen only exists once the app is unlocked
+  useEffect(() => NotificationService.onOpenTask(taskId => {
+    navigation.navigate('TaskDetails', { taskId });
+  }), [navigation]);
+
+  // Sync offline changes (automatic: started by the network listener, not the button)
+  const handleSyncOfflineChanges = useCallback(async (automatic = false) => {
+    try {
+      console.log('🔄 Syncing offline changes...');
+      // syncTasks replays the offline queue and reloads the store
+      const result = await dispatch(syncTasks()).unwrap();
+
+      if (!result.success && automatic) {
+        console.log('Auto-sync skipped:', result.error);
+        return;
       }
-    }, [route.params?.refresh, loadTasksFromAPI, navigation]) 
-  );
+      if (!result.success) {
+        Alert.alert('Sync Unavailable', result.error, [{ text: 'OK' }]);
+        return;
+      }
+
+      const lines = [`${result.applied.length} change(s) synced.`];
+      if (result.failed.length > 0) {
+        lines.push(`${result.failed.length} failed: ${result.failed[0].error}`);
+      }
+      if (result.deferred.length > 0) {
+        lines.push(`${result.deferred.length} waiting to retry.`);
+      }
+      if (result.conflicts.length > 0) {
+        lines.push(`${result.conflicts.length} conflict(s) need your review.`);
+      }
+      if (result.remaining > 0) {
+        lines.push(`${result.remaining} still pending.`);
+      }
+
+      Alert.alert(
+        result.failed.length > 0 ? '⚠️ Sync Incomplete' : '✅ Sync Complete',
+        lines.join('\n'),
+        [{ text: 'OK' }]
+      );
+    } catch (syncError) {
+      console.error('Error syncing:', syncError);
+    }
+  }, [dispatch]);
 
   // Network status monitoring
   useEffect(() => {
@@ -268,13 +272,15 @@ export default function HomeScreen({ navigation, route, isDark = false }) {
       setIsOfflineLocal(offline);
       dispatch(setOffline(offline));
 
-      // Auto-sync when coming back online
-      if (!offline && isOfflineLocal) {
-        handleSyncOfflineChanges();
+      // Auto-sync (if on) once a connection Data Usage allows comes up: back online, or cellular → Wi-Fi
+      const canSync = !offline && isSyncAllowedOn(state.type, dataUsage);
+      if (autoSync && canSync && couldSyncRef.current === false) {
+        handleSyncOfflineChanges(true);
       }
+      couldSyncRef.current = canSync;
     });
     return unsubscribe;
-  }, [dispatch, isOfflineLocal, handleSyncOfflineChanges]);
+  }, [dispatch, handleSyncOfflineChanges, autoSync, dataUsage]);
 
   // Error handling
   useEffect(() => {
@@ -285,44 +291,16 @@ export default function HomeScreen({ navigation, route, isDark = false }) {
     }
   }, [error, dispatch]);
 
-  // Sync offline changes
-  const handleSyncOfflineChanges = useCallback(async () => {
-    try {
-      console.log('🔄 Syncing offline changes...');
-      // Assuming ApiService.syncOfflineChanges returns { success, syncResults }
-      const result = await ApiService.syncOfflineChanges();
-      
-      if (result.success) {
-        Alert.alert(
-          '✅ Sync Complete',
-          `Successfully synced ${result.syncResults.length} pending changes.`,
-          [{ text: 'OK' }]
-        );
-        
-        // Reload tasks to get the updated API IDs and data
-        await loadTasksFromAPI(true);
-      }
-    } catch (error) {
-      console.error('Error syncing:', error);
-    }
-  }, [loadTasksFromAPI]);
-
-  // Memoized filtered tasks (MODIFIED FOR LOCAL_PERMANENT ONLY)
+  // Memoized filtered tasks (backend tasks plus ones created on this device)
   const filteredTasks = useMemo(() => {
-    // 1. Get unique tasks from all sources
-    const allTasks = removeDuplicateTasks(localTasks);
-    
-    // 2. FILTER: Only keep tasks explicitly marked as permanently local (manually added)
-    const permanentLocalTasks = allTasks.filter(task => task.source === 'local_permanent');
+    if (!searchQuery) return tasks;
 
-    if (!searchQuery) return permanentLocalTasks;
-    
-    // 3. Apply search query filter to the filtered tasks
-    return permanentLocalTasks.filter(task => 
-      task.title.toLowerCase().includes(searchQuery.toLowerCase()) ||
-      (task.description && task.description.toLowerCase().includes(searchQuery.toLowerCase()))
+    const query = searchQuery.toLowerCase();
+    return tasks.filter(task =>
+      (task.title || '').toLowerCase().includes(query) ||
+      (task.description && task.description.toLowerCase().includes(query))
     );
-  }, [localTasks, searchQuery]);
+  }, [tasks, searchQuery]);
 
   const handleDelete = useCallback(async (id) => {
     Alert.alert(
@@ -337,48 +315,38 @@ export default function HomeScreen({ navigation, route, isDark = false }) {
             try {
               console.log(`🗑️ Deleting task ${id}...`);
               
-              // Let ApiService handle the delete logic (local_permanent vs. API/Offline queue)
-              // Assuming ApiService.deleteTask returns { success, source, offline, error }
-              const result = await ApiService.deleteTask(id);
-              
-              if (result.success) {
-                // Update local state immediately
-                setLocalTasks(prev => prev.filter(task => task.id !== id));
-                
-                Alert.alert('Success', 'Task deleted successfully!');
-                
-                if (result.source === 'local_permanent') {
-                  console.log('📌 Local task removed.');
-                } else if (result.offline) {
-                  Alert.alert(
-                    'Offline',
-                    'Task deletion recorded locally. Will sync when online.',
-                    [{ text: 'OK' }]
-                  );
-                }
-              } else {
-                Alert.alert('Error', result.error || 'Failed to delete task');
+              // deleteTask persists through ApiService and removes the task from the store
+              const result = await dispatch(deleteTask(id)).unwrap();
+
+              Alert.alert('Success', 'Task deleted successfully!');
+
+              if (result.source === 'local_permanent') {
+                console.log('📌 Local task removed.');
+              } else if (result.offline) {
+                Alert.alert(
+                  'Offline',
+                  'Task deletion recorded locally. Will sync when online.',
+                  [{ text: 'OK' }]
+                );
               }
             } catch (deleteError) {
               console.error('Error deleting task:', deleteError);
-              Alert.alert('Error', 'Failed to delete task. Please try again.');
             }
           }
         }
       ]
     );
-  }, []);
+  }, [dispatch]);
 
   // Optimized render item with unique key
   const renderItem = useCallback(({ item, index }) => (
     <TaskItem
       key={`task-${item.id}-${index}`}
       task={item}
-      onPress={() => navigation.navigate('TaskDetails', { taskId: item.id, task: item })}
+      onPress={() => navigation.navigate('TaskDetails', { taskId: item.id })}
       onDelete={() => handleDelete(item.id)}
       theme={theme}
-      // Note: dataSource will still reflect the last *fetch* source (e.g., 'api' or 'cache'), 
-      // but the tasks displayed are filtered to 'local_permanent'
+      // dataSource reflects the last *fetch* source ('api', 'cache' or 'local')
       source={dataSource}
       offline={isOfflineLocal || item.offline}
     />
@@ -403,12 +371,10 @@ export default function HomeScreen({ navigation, route, isDark = false }) {
   }, [navigation]);
 
   const handleLoadFromAPI = useCallback(async () => {
-    // We intentionally don't load from API when this button is pressed, 
-    // as the user only wants local tasks.
-    Alert.alert("Feature Blocked", "Tasks from API are currently disabled based on your configuration. Only manually added tasks are visible.");
-  }, []);
+    await loadTasksFromAPI(true);
+  }, [loadTasksFromAPI]);
 
-  if ((loading || loadingLocal) && filteredTasks.length === 0) {
+  if ((loading || !loaded) && filteredTasks.length === 0) {
     return (
       <View style={[styles.container, { backgroundColor: theme.colors.background }]}>
         <View style={styles.loadingContainer}>
@@ -428,22 +394,21 @@ export default function HomeScreen({ navigation, route, isDark = false }) {
       <View style={[styles.header, { backgroundColor: theme.colors.primary }]}>
         <View style={styles.headerContent}>
           <View style={styles.headerLeft}>
-            <Text style={styles.title}>My Local Tasks</Text>
+            <Text style={styles.title}>My Tasks</Text>
             <Text style={styles.subtitle}>
               {filteredTasks.length} Task{filteredTasks.length !== 1 ? 's' : ''}
               {isOfflineLocal && ' (Offline)'}
             </Text>
             {dataSource && (
               <Text style={styles.sourceText}>
-                {/* Updated source text to reflect only local tasks are shown */}
-                📌 Showing only permanent local tasks
+                {dataSource === 'local' ? '📌 Stored on this device' : '🌐 Synced with your backend'}
               </Text>
             )}
           </View>
           <View style={styles.headerRight}>
             <TouchableOpacity
               style={styles.headerButton}
-              onPress={handleSyncOfflineChanges}
+              onPress={() => handleSyncOfflineChanges()}
               accessibilityLabel="Sync offline changes"
               accessibilityRole="button"
             >
@@ -472,13 +437,25 @@ export default function HomeScreen({ navigation, route, isDark = false }) {
             <Text style={styles.offlineText}>📡 Working offline - Changes will sync automatically</Text>
           </View>
         )}
+        {conflicts.length > 0 && (
+          <TouchableOpacity
+            style={styles.offlineBanner}
+            onPress={() => navigation.navigate('ConflictReview')}
+            accessibilityLabel="Review sync conflicts"
+            accessibilityRole="button"
+          >
+            <Text style={styles.offlineText}>
+              ⚔️ {conflicts.length} sync conflict{conflicts.length !== 1 ? 's' : ''} - Tap to review
+            </Text>
+          </TouchableOpacity>
+        )}
       </View>
 
       {/* Search Bar */}
       <View style={[styles.searchContainer, { backgroundColor: theme.colors.surface }]}>
         <Text style={[styles.searchIcon, { color: theme.colors.textSecondary }]}>🔍</Text>
         <Text style={[styles.searchPlaceholder, { color: theme.colors.textSecondary }]}>
-          Search local tasks...
+          Search tasks...
         </Text>
       </View>
 
@@ -15,6 +15,7 @@ import {
 } from 'react-native';
 import NetInfo from '@react-native-community/netinfo';
 import StorageService, { CACHE_EXPIRATION } from '../services/StorageService';
+import type { LoginResult, BiometricUnlockResult } from '../context/AuthContext';
 
 export interface User {
   id: number;
@@ -26,10 +27,31 @@ export interface User {
 }
 
 interface LoginScreenProps {
-  onLogin: (user: User) => void;
+  navigation: any;
+  onLogin: (email: string, password: string) => Promise<LoginResult>;
+  // Offline: open the account's lock screen; false when it has no session and PIN on this device
+  onResumeSession: (accountId: string) => Promise<boolean>;
+  onBiometricSignIn: () => Promise<BiometricUnlockResult>;
+  hasBiometricKey: () => Promise<boolean>;
 }
 
-export default function LoginScreen({ onLogin }: LoginScreenProps) {
+// Turn a failed login result into the message shown under the form
+const describeLoginError = (result: LoginResult): string => {
+  switch (result.code) {
+    case 'invalid_credentials':
+      return typeof result.attemptsRemaining === 'number'
+        ? `Incorrect email or password. ${result.attemptsRemaining} attempt${result.attemptsRemaining === 1 ? '' : 's'} left before the account is locked.`
+        : 'Incorrect email or password.';
+    case 'account_locked':
+      return 'Too many failed attempts. This account is temporarily locked.';
+    case 'network':
+      return 'Could not reach the server. Check your connection and try again.';
+    default:
+      return result.error || 'Login failed. Please try again.';
+  }
+};
+
+export default function LoginScreen({ navigation, onLogin, onResumeSession, onBiometricSignIn, hasBiometricKey }: LoginScreenProps) {
   const [email, setEmail] = useState('');
   const [password, setPassword] = useState('');
   const [isOffline, setIsOffline] = useState(false);
@@ -37,6 +59,10 @@ export default function LoginScreen({ onLogin }: LoginScreenProps) {
   const [checkingCache, setCheckingCache] = useState(true);
   const [showPassword, setShowPassword] = useState(false); 
   const [usingBiometrics, setUsingBiometrics] = useState(false);
+  const [loginError, setLoginError] = useState<string | null>(null);
+  const [lockedUntil, setLockedUntil] = useState<number | null>(null);
+  const [lockSecondsLeft, setLockSecondsLeft] = useState(0);
+  const [biometricsEnabled, setBiometricsEnabled] = useState(false);
   
   const colorScheme = useColorScheme();
   const isDark = colorScheme === 'dark';
@@ -55,6 +81,7 @@ export default function LoginScreen({ onLogin }: LoginScreenProps) {
       textSecondary: isDark ? '#9ca3af' : '#6b7280',
       border: isDark ? '#374151' : '#e5e7eb',
       warning: '#f59e0b',
+      error: '#ef4444',
     },
   };
 
@@ -89,26 +116,37 @@ export default function LoginScreen({ onLogin }: LoginScreenProps) {
     return unsubscribe;
   }, []);
 
+  // Count down a server-side lockout and re-enable the form when it lapses
+  useEffect(() => {
+    if (!lockedUntil) return;
+
+    const tick = () => {
+      const remaining = Math.ceil((lockedUntil - Date.now()) / 1000);
+      if (remaining <= 0) {
+        setLockedUntil(null);
+        setLockSecondsLeft(0);
+        setLoginError(null);
+      } else {
+        setLockSecondsLeft(remaining);
+      }
+    };
+
+    tick();
+    const interval = setInterval(tick, 1000);
+    return () => clearInterval(interval);
+  }, [lockedUntil]);
+
   const initializeLogin = async () => {
     try {
       setCheckingCache(true);
-      const cachedUser = await StorageService.getCached('user_session', CACHE_EXPIRATION.LONG);
-      
-      if (cachedUser) {
-        Alert.alert(
-          'Welcome Back!',
-          'Logging you in with cached session...',
-          [{ text: 'OK' }]
-        );
-        setTimeout(() => {
-          onLogin(cachedUser as User);
-        }, 1000);
-      } else {
-        const storedUser = await StorageService.getUser();
-        if (storedUser) {
-          setEmail(storedUser.email || '');
-        }
+      // Prefill only: signing in always goes through the server now
+      const storedUser = await StorageService.getUser() || await StorageService.getCurrentAccount();
+      if (storedUser) {
+        setEmail(storedUser.email || '');
       }
+      // Only offered once a biometric key has been enrolled on this device
+      const security = await StorageService.getSecuritySettings();
+      setBiometricsEnabled(security.biometricsEnabled && await hasBiometricKey());
     } catch (error) {
       console.error('Error initializing login:', error);
     } finally {
@@ -122,29 +160,22 @@ export default function LoginScreen({ onLogin }: LoginScreenProps) {
       return;
     }
 
+    if (lockedUntil) {
+      return;
+    }
+
     setLoading(true);
+    setLoginError(null);
 
     try {
       const netInfo = await NetInfo.fetch();
       
       if (!netInfo.isConnected) {
-        const cachedUser = await StorageService.getCached('user_session', CACHE_EXPIRATION.LONG);
-        
-        if (cachedUser && cachedUser.email === email.trim()) {
-          Alert.alert(
-            'Offline Login',
-            'Logging in with cached credentials. Data will sync when you reconnect.',
-            [
-              {
-                text: 'OK',
-                onPress: () => onLogin(cachedUser as User)
-              }
-            ]
-          );
-        } else {
+        const account = (await StorageService.getAccounts()).find(a => a.email === email.trim());
+        if (!account || !(await onResumeSession(account.id))) {
           Alert.alert(
             'Offline Mode',
-            'Cannot login while offline. Please connect to the internet or use cached credentials.',
+            'Cannot login while offline. Please connect to the internet, or continue offline with an account that has a PIN on this device.',
             [{ text: 'OK' }]
           );
         }
@@ -152,26 +183,26 @@ export default function LoginScreen({ onLogin }: LoginScreenProps) {
         return;
       }
 
-      const nameFromEmail = email.split('@')[0];
-      const displayName = nameFromEmail.charAt(0).toUpperCase() + nameFromEmail.slice(1);
+      const result = await onLogin(email.trim(), password);
 
-      const userData: User = {
-        id: Date.now(),
-        name: displayName,
-        email: email.trim(),
-        avatar: null,
-        joinDate: new Date().toISOString().split('T')[0],
-        lastLogin: new Date().toISOString(),
-      };
+      if (!result.success) {
+        console.log('🔐 Login rejected:', result.code);
+        setLoginError(describeLoginError(result));
+        if (result.code === 'account_locked' && result.retryAfter) {
+          setLockedUntil(Date.now() + result.retryAfter * 1000);
+        }
+        return;
+      }
 
+      const userData = result.user as User;
+      setPassword('');
+
+      // Kept for biometric sign-in later
       await StorageService.saveUser(userData);
-      await StorageService.setCached('user_session', userData, CACHE_EXPIRATION.LONG);
       await StorageService.setCached('login_credentials', {
         email: email.trim(),
         timestamp: Date.now(),
       }, CACHE_EXPIRATION.LONG);
-
-      onLogin(userData);
     } catch (error) {
       console.error('Error during login:', error);
       Alert.alert('Error', 'Login failed. Please try again.');
@@ -181,36 +212,48 @@ export default function LoginScreen({ onLogin }: LoginScreenProps) {
   };
 
   const handleBiometricLogin = async () => {
+    setUsingBiometrics(true);
     try {
-      setUsingBiometrics(true);
-      const cachedUser = await StorageService.getCached('user_session', CACHE_EXPIRATION.LONG);
-      const storedUser = !cachedUser ? await StorageService.getUser() : null;
-      const userToLogin = cachedUser || storedUser;
-      if (userToLogin) {
-        onLogin(userToLogin as User);
+      const result = await onBiometricSignIn();
+      if (result.success) {
         return;
       }
-      Alert.alert('Biometrics', 'No session available. Please sign in with email and password first.');
-    } catch (e) {
-      Alert.alert('Biometrics', 'Biometric authentication is unavailable.');
+      if (result.reason === 'invalidated' || result.reason === 'not_enrolled') {
+        setBiometricsEnabled(false);
+        Alert.alert('Biometrics', 'Biometric sign-in needs to be set up again. Please sign in with email and password.');
+      } else if (result.reason === 'no_session') {
+        Alert.alert('Session Expired', 'Please sign in with your email and password.');
+      } else if (result.reason === 'error') {
+        Alert.alert('Biometrics', 'Biometric authentication is unavailable.');
+      }
     } finally {
       setUsingBiometrics(false);
     }
   };
 
+  // The account's PIN is asked for on the lock screen before any of its data is shown
   const handleOfflineMode = async () => {
     try {
-      const cachedUser = await StorageService.getCached('user_session', CACHE_EXPIRATION.LONG);
+      const accounts = await StorageService.getAccounts();
+      const account = accounts.find(a => a.email === email.trim()) || accounts[0];
       
-      if (cachedUser) {
+      if (account) {
         Alert.alert(
           'Continue Offline?',
-          `Continue as ${cachedUser.name}? You'll have limited functionality until you reconnect.`,
+          `Continue as ${account.name}? You'll need your PIN, and will have limited functionality until you reconnect.`,
           [
             { text: 'Cancel', style: 'cancel' },
             {
               text: 'Continue',
-              onPress: () => onLogin(cachedUser as User)
+              onPress: async () => {
+                if (!(await onResumeSession(account.id))) {
+                  Alert.alert(
+                    'No Offline Session',
+                    'This account has no saved session and PIN on this device. Please connect to the internet to login.',
+                    [{ text: 'OK' }]
+                  );
+                }
+              }
             }
           ]
         );
@@ -318,41 +361,63 @@ export default function LoginScreen({ onLogin }: LoginScreenProps) {
             </TouchableOpacity>
           </View>
 
+          <TouchableOpacity
+            style={styles.forgotPasswordLink}
+            onPress={() => navigation.navigate('ForgotPassword')}
+            disabled={loading}
+          >
+            <Text style={[styles.linkText, { color: theme.colors.primary }]}>Forgot password?</Text>
+          </TouchableOpacity>
+
+          {/* Credential / lockout errors */}
+          {loginError && (
+            <View style={[styles.errorContainer, { borderLeftColor: theme.colors.error }]}>
+              <Text style={[styles.errorText, { color: theme.colors.error }]}>{loginError}</Text>
+              {lockedUntil && (
+                <Text style={[styles.errorText, { color: theme.colors.error }]}>
+                  Try again in {Math.floor(lockSecondsLeft / 60)}:{String(lockSecondsLeft % 60).padStart(2, '0')}
+                </Text>
+              )}
+            </View>
+          )}
+
           {/* Primary Sign In */}
           <TouchableOpacity 
             style={[
               styles.loginButton,
               { backgroundColor: theme.colors.primary },
-              (loading || usingBiometrics) && styles.loginButtonDisabled
+              (loading || usingBiometrics || !!lockedUntil) && styles.loginButtonDisabled
             ]} 
             onPress={handleLogin}
-            disabled={loading || usingBiometrics}
+            disabled={loading || usingBiometrics || !!lockedUntil}
           >
             {loading ? (
               <ActivityIndicator size="small" color="#fff" />
             ) : (
               <Text style={styles.loginButtonText}>
-                {isOffline ? 'Login Offline' : 'Sign In Securely'}
+                {lockedUntil ? 'Account Locked' : isOffline ? 'Login Offline' : 'Sign In Securely'}
               </Text>
             )}
           </TouchableOpacity>
 
           {/* Biometric Sign In */}
-          <TouchableOpacity
-            style={[
-              styles.biometricButton,
-              { backgroundColor: theme.colors.secondary },
-              usingBiometrics && styles.biometricButtonDisabled
-            ]}
-            onPress={handleBiometricLogin}
-            disabled={usingBiometrics || loading}
-          >
-            {usingBiometrics ? (
-              <ActivityIndicator size="small" color="#fff" />
-            ) : (
-              <Text style={styles.biometricButtonText}>🔐 Sign in with Biometrics</Text>
-            )}
-          </TouchableOpacity>
+          {biometricsEnabled && (
+            <TouchableOpacity
+              style={[
+                styles.biometricButton,
+                { backgroundColor: theme.colors.secondary },
+                usingBiometrics && styles.biometricButtonDisabled
+              ]}
+              onPress={handleBiometricLogin}
+              disabled={usingBiometrics || loading}
+            >
+              {usingBiometrics ? (
+                <ActivityIndicator size="small" color="#fff" />
+              ) : (
+                <Text style={styles.biometricButtonText}>🔐 Sign in with Biometrics</Text>
+              )}
+            </TouchableOpacity>
+          )}
 
           {/* Cached Session Button */}
           {isOffline && (
@@ -367,6 +432,17 @@ export default function LoginScreen({ onLogin }: LoginScreenProps) {
             </TouchableOpacity>
           )}
 
+          {/* Sign Up */}
+          <TouchableOpacity
+            style={styles.registerLink}
+            onPress={() => navigation.navigate('Register')}
+            disabled={loading || usingBiometrics}
+          >
+            <Text style={[styles.registerLinkText, { color: theme.colors.textSecondary }]}>
+              New here? <Text style={[styles.linkText, { color: theme.colors.primary }]}>Create an account</Text>
+            </Text>
+          </TouchableOpacity>
+
           {/* Network Status Info */}
           <View style={[styles.infoContainer, { backgroundColor: isDark ? '#374151' : '#f3f4f6', borderLeftColor: theme.colors.primary }]}>
             <Text style={[styles.infoText, { color: theme.colors.textSecondary }]}>
@@ -497,6 +573,35 @@ const styles = StyleSheet.create({
     fontSize: 14,
     fontWeight: '600',
   },
+  forgotPasswordLink: {
+    alignSelf: 'flex-end',
+    marginTop: -8,
+    marginBottom: 12,
+    paddingVertical: 4,
+  },
+  linkText: {
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  registerLink: {
+    alignItems: 'center',
+    marginTop: 20,
+  },
+  registerLinkText: {
+    fontSize: 14,
+  },
+  errorContainer: {
+    backgroundColor: 'rgba(239, 68, 68, 0.1)',
+    borderLeftWidth: 4,
+    borderRadius: 10,
+    padding: 12,
+    marginBottom: 8,
+  },
+  errorText: {
+    fontSize: 14,
+    fontWeight: '500',
+    lineHeight: 20,
+  },
   loginButton: {
     padding: 16,
     borderRadius: 12,
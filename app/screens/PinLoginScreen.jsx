@@ -7,26 +7,32 @@ import {
   useColorScheme,
   Animated,
   ActivityIndicator,
+  Alert,
   KeyboardAvoidingView,
   Platform,
   ScrollView
 } from 'react-native';
 import { SafeAreaView } from 'react-native-safe-area-context'; 
-import ReactNativeBiometrics from 'react-native-biometrics';
-import PinInput from '../components/PinInput';
+import PinInput, { PASSCODE_FORMATS, describePasscode } from '../components/PinInput';
 import { useAuth } from '../context/AuthContext';
-
-const rnBiometrics = new ReactNativeBiometrics();
+import StorageService from '../services/StorageService';
 
 const PinLoginScreen = () => {
   const [error, setError] = useState('');
   const [attemptingBio, setAttemptingBio] = useState(false);
+  const [retrySeconds, setRetrySeconds] = useState(0);
+  const [inputKey, setInputKey] = useState(0); // bumped to clear the boxes after a wrong PIN
+  const [format, setFormat] = useState(null); // the stored PIN's format, once loaded
+  const [biometricsEnabled, setBiometricsEnabled] = useState(false);
   const auth = useAuth();
+  const { hasBiometricKey, getPinRetryDelay, getPinFormat } = auth;
   const colorScheme = useColorScheme();
   const isDark = colorScheme === 'dark';
 
   const fadeAnim = React.useRef(new Animated.Value(0)).current;
   const shakeAnim = React.useRef(new Animated.Value(0)).current;
+  // The mount prompt calls the latest attemptBiometrics without re-running when it changes
+  const attemptBiometricsRef = React.useRef(null);
 
   const theme = {
     colors: {
@@ -47,33 +53,45 @@ const PinLoginScreen = () => {
       useNativeDriver: true,
     }).start();
 
-    attemptBiometrics();
-  }, []);
-
-  const attemptBiometrics = async () => {
-    try {
-      setAttemptingBio(true);
-      const { available } = await rnBiometrics.isSensorAvailable();
-      if (!available) {
-        setAttemptingBio(false);
-        return;
+    // Biometrics can be switched off in Settings → Security, and need an enrolled key
+    Promise.all([StorageService.getSecuritySettings(), hasBiometricKey()]).then(([security, hasKey]) => {
+      const enabled = security.biometricsEnabled && hasKey;
+      setBiometricsEnabled(enabled);
+      if (enabled) {
+        attemptBiometricsRef.current();
       }
+    });
+    // A delay from before the app was closed still applies
+    getPinRetryDelay().then(setRetrySeconds);
+    getPinFormat().then(setFormat);
+  }, [fadeAnim, hasBiometricKey, getPinRetryDelay, getPinFormat]);
 
-      const { success } = await rnBiometrics.simplePrompt({
-        promptMessage: 'Log in to YourSecureApp',
-      });
+  // Tick down the throttle delay; the PIN boxes unlock at zero
+  useEffect(() => {
+    if (retrySeconds <= 0) return;
+    const timer = setTimeout(() => setRetrySeconds(seconds => seconds - 1), 1000);
+    return () => clearTimeout(timer);
+  }, [retrySeconds]);
 
-      if (success) {
-        const pin = await auth.getPin();
-        auth.unlockWithPin(pin);
-      } else {
-        setAttemptingBio(false);
-      }
-    } catch (e) {
-      console.error('Biometric error', e);
-      setAttemptingBio(false);
+  const attemptBiometrics = async () => {
+    setAttemptingBio(true);
+    const result = await auth.unlockWithBiometrics();
+    if (result.success) {
+      return;
+    }
+    setAttemptingBio(false);
+
+    if (result.reason === 'invalidated') {
+      setBiometricsEnabled(false);
+      Alert.alert(
+        'Biometrics Changed',
+        "Your device's fingerprints or face data changed. Unlock with your PIN, then turn biometric unlock back on in Settings."
+      );
+    } else if (result.reason === 'not_enrolled') {
+      setBiometricsEnabled(false);
     }
   };
+  attemptBiometricsRef.current = attemptBiometrics;
 
   const shakeAnimation = () => {
     Animated.sequence([
@@ -85,10 +103,27 @@ const PinLoginScreen = () => {
   };
 
   const onPinComplete = async (pin) => {
-    const success = await auth.unlockWithPin(pin);
-    if (!success) {
+    const result = await auth.unlockWithPin(pin);
+    if (result.success) {
+      return;
+    }
+    if (result.lockedOut) {
+      // AuthContext has already logged out; the login screen takes over
+      Alert.alert('Signed Out', 'Too many incorrect PINs. Sign in with your password to continue.');
+      return;
+    }
+
+    setInputKey(key => key + 1);
+    shakeAnimation();
+    if (result.retryAfter) {
+      setRetrySeconds(result.retryAfter);
+    }
+    if (result.attemptsRemaining === undefined) {
+      setError('Too many attempts. Please wait before trying again.');
+    } else if (result.attemptsRemaining <= 3) {
+      setError(`Incorrect PIN. ${result.attemptsRemaining} attempt${result.attemptsRemaining === 1 ? '' : 's'} left before you are signed out.`);
+    } else {
       setError('Incorrect PIN. Please try again.');
-      shakeAnimation();
       setTimeout(() => setError(''), 3000);
     }
   };
@@ -129,13 +164,30 @@ const PinLoginScreen = () => {
             <View style={[styles.card, { backgroundColor: theme.colors.surface }]}>
               <Text style={[styles.title, { color: theme.colors.text }]}>Enter Your PIN</Text>
               <Text style={[styles.subtitle, { color: theme.colors.textSecondary }]}>
-                Please enter your 4-digit PIN to unlock the app
+                Please enter your {describePasscode(format || PASSCODE_FORMATS.PIN_4)} to unlock the app
               </Text>
 
-              {/* PIN Input Component */}
+              {/* PIN Input Component (rendered once the stored format is known) */}
               <View style={styles.pinWrapper}>
-                <PinInput onComplete={onPinComplete} />
+                {format ? (
+                  <PinInput
+                    key={inputKey}
+                    onComplete={onPinComplete}
+                    disabled={retrySeconds > 0}
+                    length={format.length}
+                    mode={format.mode}
+                  />
+                ) : (
+                  <ActivityIndicator size="small" color={theme.colors.primary} />
+                )}
               </View>
+
+              {/* Throttle countdown */}
+              {retrySeconds > 0 && (
+                <Text style={[styles.retryText, { color: theme.colors.textSecondary }]}>
+                  ⏳ Try again in {Math.floor(retrySeconds / 60)}:{String(retrySeconds % 60).padStart(2, '0')}
+                </Text>
+              )}
               
               {/* Error Message */}
               {error && (
@@ -144,28 +196,32 @@ const PinLoginScreen = () => {
                 </View>
               )}
 
-              {/* Divider */}
-              <View style={styles.divider}>
-                <View style={[styles.dividerLine, { backgroundColor: theme.colors.textSecondary + '30' }]} />
-                <Text style={[styles.dividerText, { color: theme.colors.textSecondary }]}>OR</Text>
-                <View style={[styles.dividerLine, { backgroundColor: theme.colors.textSecondary + '30' }]} />
-              </View>
+              {biometricsEnabled && (
+                <>
+                  {/* Divider */}
+                  <View style={styles.divider}>
+                    <View style={[styles.dividerLine, { backgroundColor: theme.colors.textSecondary + '30' }]} />
+                    <Text style={[styles.dividerText, { color: theme.colors.textSecondary }]}>OR</Text>
+                    <View style={[styles.dividerLine, { backgroundColor: theme.colors.textSecondary + '30' }]} />
+                  </View>
 
-              {/* Biometric Button */}
-              <TouchableOpacity
-                style={[styles.bioButton, { backgroundColor: theme.colors.secondary }]}
-                onPress={attemptBiometrics}
-                disabled={attemptingBio}
-              >
-                {attemptingBio ? (
-                  <ActivityIndicator size="small" color="#fff" />
-                ) : (
-                  <>
-                    <Text style={styles.bioButtonIcon}>👆</Text>
-                    <Text style={styles.bioButtonText}>Use Fingerprint / Face ID</Text>
-                  </>
-                )}
-              </TouchableOpacity>
+                  {/* Biometric Button */}
+                  <TouchableOpacity
+                    style={[styles.bioButton, { backgroundColor: theme.colors.secondary }]}
+                    onPress={attemptBiometrics}
+                    disabled={attemptingBio}
+                  >
+                    {attemptingBio ? (
+                      <ActivityIndicator size="small" color="#fff" />
+                    ) : (
+                      <>
+                        <Text style={styles.bioButtonIcon}>👆</Text>
+                        <Text style={styles.bioButtonText}>Use Fingerprint / Face ID</Text>
+                      </>
+                    )}
+                  </TouchableOpacity>
+                </>
+              )}
             </View>
 
             {/* Help Tip */}
@@ -256,6 +312,11 @@ const styles = StyleSheet.create({
   pinWrapper: {
     marginBottom: 20,
   },
+  retryText: {
+    fontSize: 14,
+    fontWeight: '600',
+    textAlign: 'center',
+  },
   errorContainer: {
     marginTop: 16,
     padding: 12,
@@ -11,11 +11,17 @@ import {
   ScrollView
 } from 'react-native';
 import { SafeAreaView } from 'react-native-safe-area-context';
-import PinInput from '../components/PinInput';
+import PinInput, { PASSCODE_FORMATS, describePasscode } from '../components/PinInput';
 import { useAuth } from '../context/AuthContext';
 
-const PinSetupScreen = () => {
+/**
+ * Also drives Settings → Change PIN: pass `title`, `onPinSet` (called once the
+ * new PIN is saved) and `onCancel`.
+ * @param {{ title?: string, onPinSet?: () => void, onCancel?: () => void }} props
+ */
+const PinSetupScreen = ({ title = '🔒 PIN Setup', onPinSet, onCancel }) => {
   const [pin, setPin] = useState('');
+  const [format, setFormat] = useState(PASSCODE_FORMATS.PIN_4);
   const [isConfirming, setIsConfirming] = useState(false);
   const [error, setError] = useState('');
   const auth = useAuth();
@@ -53,14 +59,23 @@ const PinSetupScreen = () => {
     ]).start();
   }, [isConfirming]);
 
-  const onPinComplete = (newPin) => {
+  const onPinComplete = async (newPin) => {
     if (!isConfirming) {
       setPin(newPin);
       setIsConfirming(true);
       setError('');
     } else {
       if (pin === newPin) {
-        auth.setPin(newPin);
+        try {
+          await auth.setPin(newPin, format);
+        } catch (e) {
+          console.error('Error saving PIN:', e);
+          setIsConfirming(false);
+          setPin('');
+          setError('Could not save your PIN. Please try again.');
+          return;
+        }
+        onPinSet?.();
       } else {
         setError('PINs do not match. Please try again.');
         setTimeout(() => {
@@ -72,6 +87,11 @@ const PinSetupScreen = () => {
     }
   };
 
+  const handleFormatChange = (nextFormat) => {
+    setFormat(nextFormat);
+    setError('');
+  };
+
   const handleReset = () => {
     setIsConfirming(false);
     setPin('');
@@ -89,7 +109,7 @@ const PinSetupScreen = () => {
       <View style={[styles.header, { backgroundColor: theme.colors.primary }]}>
         <View style={styles.headerContent}>
           <View style={styles.headerLeft}>
-            <Text style={styles.headerTitle}>🔒 PIN Setup</Text>
+            <Text style={styles.headerTitle}>{title}</Text>
             <Text style={styles.headerSubtitle}>
               {isConfirming ? 'Step 2 of 2' : 'Step 1 of 2'}
             </Text>
@@ -135,12 +155,43 @@ const PinSetupScreen = () => {
               <Text style={[styles.subtitle, { color: theme.colors.textSecondary }]}>
                 {isConfirming 
                   ? 'Re-enter your PIN to confirm' 
-                  : 'Choose a 4-digit PIN to secure your app'}
+                  : `Choose a ${describePasscode(format)} to secure your app`}
               </Text>
 
+              {/* Passcode Type (chosen before the first entry) */}
+              {!isConfirming && (
+                <View style={styles.formatRow}>
+                  {Object.values(PASSCODE_FORMATS).map(option => {
+                    const selected = option === format;
+                    return (
+                      <TouchableOpacity
+                        key={`${option.mode}-${option.length}`}
+                        style={[
+                          styles.formatChip,
+                          { borderColor: selected ? theme.colors.primary : theme.colors.textSecondary + '40' },
+                          selected && { backgroundColor: theme.colors.primary },
+                        ]}
+                        onPress={() => handleFormatChange(option)}
+                        accessibilityRole="radio"
+                        accessibilityState={{ selected }}
+                      >
+                        <Text style={[styles.formatChipText, { color: theme.colors.text }, selected && styles.formatChipTextSelected]}>
+                          {option.mode === 'alphanumeric' ? 'Passcode' : `${option.length} digits`}
+                        </Text>
+                      </TouchableOpacity>
+                    );
+                  })}
+                </View>
+              )}
+
               {/* PIN Input Component */}
               <View style={styles.pinInputWrapper}>
-                <PinInput key={isConfirming ? 'confirm' : 'setup'} onComplete={onPinComplete} />
+                <PinInput
+                  key={`${isConfirming ? 'confirm' : 'setup'}-${format.mode}-${format.length}`}
+                  onComplete={onPinComplete}
+                  length={format.length}
+                  mode={format.mode}
+                />
               </View>
               
               {/* Error Message */}
@@ -161,6 +212,14 @@ const PinSetupScreen = () => {
                   </Text>
                 </TouchableOpacity>
               )}
+
+              {onCancel && (
+                <TouchableOpacity style={styles.cancelButton} onPress={onCancel}>
+                  <Text style={[styles.resetButtonText, { color: theme.colors.textSecondary }]}>
+                    Cancel
+                  </Text>
+                </TouchableOpacity>
+              )}
             </View>
 
             {/* Security Tips */}
@@ -276,6 +335,26 @@ const styles = StyleSheet.create({
     marginBottom: 32,
     lineHeight: 22,
   },
+  formatRow: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+    marginTop: -12,
+    marginBottom: 24,
+  },
+  formatChip: {
+    borderWidth: 1,
+    borderRadius: 16,
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    marginHorizontal: 4,
+  },
+  formatChipText: {
+    fontSize: 13,
+    fontWeight: '600',
+  },
+  formatChipTextSelected: {
+    color: '#fff',
+  },
   pinInputWrapper: {
     marginBottom: 16,
   },
@@ -295,6 +374,11 @@ const styles = StyleSheet.create({
     borderRadius: 8,
     alignItems: 'center',
   },
+  cancelButton: {
+    marginTop: 12,
+    padding: 12,
+    alignItems: 'center',
+  },
   resetButtonText: {
     fontSize: 14,
     fontWeight: '600',
@@ -1,4 +1,4 @@
-import React, { useState, useEffect, useRef } from 'react';
+import React, { useState, useEffect, useRef, useMemo } from 'react';
 import { 
   View, 
   Text, 
@@ -11,12 +11,13 @@ import {
   Animated,
   RefreshControl,
   TextInput,
-  Modal,
 } from 'react-native';
 import { useSelector } from 'react-redux';
+import { selectAllTasks } from '../store/store';
 import NetInfo from '@react-native-community/netinfo';
 import { launchImageLibrary, launchCamera } from 'react-native-image-picker';
 import StorageService, { CACHE_EXPIRATION } from '../services/StorageService';
+import { useAuth } from '../context/AuthContext';
 
 export default function ProfileScreen({ navigation, isDark = false, user: propsUser }) {
   const [user, setUser] = useState(propsUser);
@@ -24,22 +25,25 @@ export default function ProfileScreen({ navigation, isDark = false, user: propsU
   const [loading, setLoading] = useState(false);
   const [refreshing, setRefreshing] = useState(false);
   const [lastSyncTime, setLastSyncTime] = useState(null);
-  const [profileStats, setProfileStats] = useState({
-    totalTasks: 0,
-    completedTasks: 0,
-    pendingTasks: 0,
-  });
   const [isEditing, setIsEditing] = useState(false);
   const [editedName, setEditedName] = useState('');
   const [editedEmail, setEditedEmail] = useState('');
   const [imageLoading, setImageLoading] = useState(false);
+  const { accounts, switchAccount, addAccount } = useAuth();
 
   // Animation values
   const fadeAnim = useRef(new Animated.Value(0)).current;
   const slideAnim = useRef(new Animated.Value(50)).current;
 
   // Get tasks from Redux store for stats
-  const { tasks } = useSelector(state => state.tasks);
+  const tasks = useSelector(selectAllTasks);
+
+  // Stats are derived from the store, so they follow every create/edit/complete/delete
+  const profileStats = useMemo(() => ({
+    totalTasks: tasks.length,
+    completedTasks: tasks.filter(t => t.completed).length,
+    pendingTasks: tasks.filter(t => !t.completed).length,
+  }), [tasks]);
 
   const theme = {
     colors: {
@@ -90,16 +94,10 @@ export default function ProfileScreen({ navigation, isDark = false, user: propsU
     return unsubscribe;
   }, []);
 
-  // Update stats when tasks change
-  useEffect(() => {
-    calculateProfileStats();
-  }, [tasks]);
-
   const initializeProfile = async () => {
     try {
       setLoading(true);
       await loadUserProfile();
-      await calculateProfileStats();
     } catch (error) {
       console.error('Error initializing profile:', error);
     } finally {
@@ -142,34 +140,6 @@ export default function ProfileScreen({ navigation, isDark = false, user: propsU
     }
   };
 
-  const calculateProfileStats = async () => {
-    try {
-      // Try to get from cache first
-      const cachedStats = await StorageService.getCached('profile_stats', CACHE_EXPIRATION.SHORT);
-      
-      if (cachedStats) {
-        setProfileStats(cachedStats);
-      } else {
-        // Load tasks from storage
-        const storedTasks = await StorageService.getTasks();
-        const tasksToUse = storedTasks.length > 0 ? storedTasks : tasks;
-        
-        const stats = {
-          totalTasks: tasksToUse.length,
-          completedTasks: tasksToUse.filter(t => t.completed).length,
-          pendingTasks: tasksToUse.filter(t => !t.completed).length,
-        };
-        
-        setProfileStats(stats);
-        
-        // Cache the stats
-        await StorageService.setCached('profile_stats', stats, CACHE_EXPIRATION.SHORT);
-      }
-    } catch (error) {
-      console.error('Error calculating profile stats:', error);
-    }
-  };
-
   const handleRefresh = async () => {
     setRefreshing(true);
     
@@ -187,19 +157,11 @@ export default function ProfileScreen({ navigation, isDark = false, user: propsU
         return;
       }
 
-      // Reload user profile
-      await loadUserProfile();
-      
-      // Recalculate stats
-      await calculateProfileStats();
-      
       // Clear relevant caches to force fresh data
       await StorageService.remove('CACHE_user_profile');
-      await StorageService.remove('CACHE_profile_stats');
       
       // Reload with fresh data
       await loadUserProfile();
-      await calculateProfileStats();
       
       setLastSyncTime(new Date().toISOString());
       
@@ -383,6 +345,28 @@ export default function ProfileScreen({ navigation, isDark = false, user: propsU
     navigation.navigate('Home');
   };
 
+  const handleSwitchAccount = (account) => {
+    Alert.alert(
+      'Switch Account',
+      `Lock this account and switch to ${account.name}?`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Switch', onPress: () => switchAccount(account.id) },
+      ]
+    );
+  };
+
+  const handleAddAccount = () => {
+    Alert.alert(
+      'Add Account',
+      "Sign in with another account. You'll stay signed in here and can switch back from your profile.",
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Continue', onPress: addAccount },
+      ]
+    );
+  };
+
   const formatLastSync = () => {
     if (!lastSyncTime) return 'Never';
     
@@ -662,6 +646,44 @@ export default function ProfileScreen({ navigation, isDark = false, user: propsU
           )}
         </View>
 
+        {/* Accounts */}
+        <View style={[styles.accountsCard, { backgroundColor: theme.colors.surface }]}>
+          <Text style={[styles.accountsTitle, { color: theme.colors.text }]}>
+            👥 Accounts
+          </Text>
+
+          {accounts.map((account) => {
+            const isCurrent = String(user?.id) === account.id;
+            return (
+              <TouchableOpacity
+                key={account.id}
+                style={[styles.accountRow, { borderBottomColor: theme.colors.border }]}
+                onPress={() => handleSwitchAccount(account)}
+                disabled={isCurrent}
+              >
+                <View style={[styles.accountAvatar, { backgroundColor: theme.colors.primary }]}>
+                  <Text style={styles.accountAvatarText}>
+                    {(account.name || account.email || '?').charAt(0).toUpperCase()}
+                  </Text>
+                </View>
+                <View style={styles.accountInfo}>
+                  <Text style={[styles.accountName, { color: theme.colors.text }]}>{account.name}</Text>
+                  <Text style={[styles.accountEmail, { color: theme.colors.textSecondary }]}>{account.email}</Text>
+                </View>
+                {isCurrent ? (
+                  <Text style={[styles.accountCurrent, { color: theme.colors.success }]}>✓ Current</Text>
+                ) : (
+                  <Text style={[styles.accountSwitch, { color: theme.colors.primary }]}>Switch</Text>
+                )}
+              </TouchableOpacity>
+            );
+          })}
+
+          <TouchableOpacity style={styles.addAccountButton} onPress={handleAddAccount}>
+            <Text style={[styles.addAccountText, { color: theme.colors.primary }]}>+ Add Account</Text>
+          </TouchableOpacity>
+        </View>
+
         {/* Quick Actions */}
         <View style={styles.actionsContainer}>
           <TouchableOpacity
@@ -675,6 +697,17 @@ export default function ProfileScreen({ navigation, isDark = false, user: propsU
             </Text>
           </TouchableOpacity>
 
+          <TouchableOpacity
+            style={[styles.actionCard, { backgroundColor: theme.colors.surface }]}
+            onPress={() => navigation.navigate('Activity')}
+          >
+            <Text style={styles.actionIcon}>🕘</Text>
+            <Text style={[styles.actionTitle, { color: theme.colors.text }]}>Activity</Text>
+            <Text style={[styles.actionSubtitle, { color: theme.colors.textSecondary }]}>
+              Security log
+            </Text>
+          </TouchableOpacity>
+
           <TouchableOpacity
             style={[styles.actionCard, { backgroundColor: theme.colors.surface }]}
             onPress={() => Alert.alert('Help', 'Help & support coming soon!')}
@@ -1004,6 +1037,68 @@ const styles = StyleSheet.create({
     fontSize: 13,
     lineHeight: 18,
   },
+  accountsCard: {
+    marginHorizontal: 20,
+    marginBottom: 20,
+    borderRadius: 20,
+    padding: 20,
+    elevation: 4,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 8,
+  },
+  accountsTitle: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    marginBottom: 8,
+  },
+  accountRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 12,
+    borderBottomWidth: 1,
+  },
+  accountAvatar: {
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginRight: 12,
+  },
+  accountAvatarText: {
+    color: '#fff',
+    fontSize: 18,
+    fontWeight: 'bold',
+  },
+  accountInfo: {
+    flex: 1,
+  },
+  accountName: {
+    fontSize: 15,
+    fontWeight: '600',
+  },
+  accountEmail: {
+    fontSize: 13,
+    marginTop: 2,
+  },
+  accountCurrent: {
+    fontSize: 13,
+    fontWeight: '600',
+  },
+  accountSwitch: {
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  addAccountButton: {
+    paddingTop: 16,
+    alignItems: 'center',
+  },
+  addAccountText: {
+    fontSize: 15,
+    fontWeight: '600',
+  },
   actionsContainer: {
     flexDirection: 'row',
     paddingHorizontal: 20,
@@ -0,0 +1,312 @@
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  StyleSheet,
+  Alert,
+  ActivityIndicator,
+  KeyboardAvoidingView,
+  Platform,
+  ScrollView,
+  useColorScheme,
+} from 'react-native';
+import StorageService from '../services/StorageService';
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MIN_PASSWORD_LENGTH = 8; // matches the server's rule
+
+// Field-by-field checks; returns { [field]: message } for anything invalid
+const validate = ({ name, email, password, confirmPassword }) => {
+  const errors = {};
+  if (!name.trim()) {
+    errors.name = 'Please enter your name';
+  }
+  if (!EMAIL_PATTERN.test(email.trim())) {
+    errors.email = 'Please enter a valid email address';
+  }
+  if (password.length < MIN_PASSWORD_LENGTH) {
+    errors.password = `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  } else if (!/[A-Za-z]/.test(password) || !/\d/.test(password)) {
+    errors.password = 'Password must contain both letters and numbers';
+  }
+  if (confirmPassword !== password) {
+    errors.confirmPassword = 'Passwords do not match';
+  }
+  return errors;
+};
+
+export default function RegisterScreen({ navigation, onRegister }) {
+  const [form, setForm] = useState({ name: '', email: '', password: '', confirmPassword: '' });
+  const [errors, setErrors] = useState({});
+  const [loading, setLoading] = useState(false);
+  const [showPassword, setShowPassword] = useState(false);
+
+  const colorScheme = useColorScheme();
+  const isDark = colorScheme === 'dark';
+
+  const theme = {
+    colors: {
+      primary: '#4f46e5',
+      background: isDark ? '#111827' : '#f9fafb',
+      surface: isDark ? '#1f2937' : '#ffffff',
+      text: isDark ? '#ffffff' : '#111827',
+      textSecondary: isDark ? '#9ca3af' : '#6b7280',
+      border: isDark ? '#374151' : '#e5e7eb',
+      error: '#ef4444',
+    },
+  };
+
+  const updateField = (field, value) => {
+    setForm(prev => ({ ...prev, [field]: value }));
+    if (errors[field]) {
+      setErrors(prev => ({ ...prev, [field]: null }));
+    }
+  };
+
+  const handleRegister = async () => {
+    const validationErrors = validate(form);
+    if (Object.keys(validationErrors).length > 0) {
+      setErrors(validationErrors);
+      return;
+    }
+
+    setLoading(true);
+    try {
+      const result = await onRegister(form.name, form.email, form.password);
+
+      if (!result.success) {
+        console.log('📝 Registration rejected:', result.code);
+        if (result.field) {
+          setErrors({ [result.field]: result.error });
+        } else {
+          Alert.alert('Registration Failed', result.error || 'Could not create your account. Please try again.');
+        }
+        return;
+      }
+
+      // Same local copy LoginScreen keeps, for biometric sign-in later.
+      // AuthContext has already moved on to PIN setup.
+      await StorageService.saveUser(result.user);
+    } catch (error) {
+      console.error('Error during registration:', error);
+      Alert.alert('Error', 'Registration failed. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const renderField = ({ field, icon, placeholder, ...inputProps }) => (
+    <View key={field}>
+      <View
+        style={[
+          styles.inputGroup,
+          { borderColor: errors[field] ? theme.colors.error : theme.colors.border },
+        ]}
+      >
+        <Text style={styles.inputIcon}>{icon}</Text>
+        <TextInput
+          style={[styles.input, { color: theme.colors.text }]}
+          placeholder={placeholder}
+          placeholderTextColor={theme.colors.textSecondary}
+          value={form[field]}
+          onChangeText={value => updateField(field, value)}
+          editable={!loading}
+          {...inputProps}
+        />
+      </View>
+      {errors[field] && (
+        <Text style={[styles.fieldError, { color: theme.colors.error }]}>{errors[field]}</Text>
+      )}
+    </View>
+  );
+
+  return (
+    <KeyboardAvoidingView
+      style={[styles.container, { backgroundColor: theme.colors.background }]}
+      behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+    >
+      {/* Header */}
+      <View style={[styles.header, { backgroundColor: theme.colors.primary }]}>
+        <TouchableOpacity style={styles.headerBackButton} onPress={() => navigation.goBack()}>
+          <Text style={styles.headerBackButtonText}>← Back</Text>
+        </TouchableOpacity>
+        <Text style={styles.headerTitle}>Create Account</Text>
+        <Text style={styles.headerSubtitle}>You'll set up a PIN next</Text>
+      </View>
+
+      <ScrollView contentContainerStyle={styles.content} keyboardShouldPersistTaps="handled">
+        <View style={[styles.form, { backgroundColor: theme.colors.surface }]}>
+          {renderField({ field: 'name', icon: '👤', placeholder: 'Full name', autoCapitalize: 'words' })}
+          {renderField({
+            field: 'email',
+            icon: '📧',
+            placeholder: 'Email address',
+            keyboardType: 'email-address',
+            autoCapitalize: 'none',
+          })}
+          {renderField({
+            field: 'password',
+            icon: '🔒',
+            placeholder: `Password (${MIN_PASSWORD_LENGTH}+ characters)`,
+            secureTextEntry: !showPassword,
+            autoCapitalize: 'none',
+          })}
+          {renderField({
+            field: 'confirmPassword',
+            icon: '🔒',
+            placeholder: 'Confirm password',
+            secureTextEntry: !showPassword,
+            autoCapitalize: 'none',
+          })}
+
+          <TouchableOpacity
+            style={styles.passwordToggle}
+            onPress={() => setShowPassword(!showPassword)}
+            disabled={loading}
+          >
+            <Text style={[styles.passwordToggleText, { color: theme.colors.primary }]}>
+              {showPassword ? 'Hide passwords' : 'Show passwords'}
+            </Text>
+          </TouchableOpacity>
+
+          <TouchableOpacity
+            style={[
+              styles.primaryButton,
+              { backgroundColor: theme.colors.primary },
+              loading && styles.primaryButtonDisabled,
+            ]}
+            onPress={handleRegister}
+            disabled={loading}
+          >
+            {loading ? (
+              <ActivityIndicator size="small" color="#fff" />
+            ) : (
+              <Text style={styles.primaryButtonText}>Create Account</Text>
+            )}
+          </TouchableOpacity>
+
+          <TouchableOpacity style={styles.linkButton} onPress={() => navigation.goBack()} disabled={loading}>
+            <Text style={[styles.linkText, { color: theme.colors.textSecondary }]}>
+              Already have an account? <Text style={{ color: theme.colors.primary }}>Sign in</Text>
+            </Text>
+          </TouchableOpacity>
+        </View>
+      </ScrollView>
+    </KeyboardAvoidingView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+  },
+  header: {
+    padding: 20,
+    paddingTop: 50,
+    borderBottomLeftRadius: 24,
+    borderBottomRightRadius: 24,
+    elevation: 8,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 4 },
+    shadowOpacity: 0.1,
+    shadowRadius: 8,
+  },
+  headerBackButton: {
+    alignSelf: 'flex-start',
+    backgroundColor: 'rgba(255, 255, 255, 0.2)',
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 12,
+    marginBottom: 12,
+  },
+  headerBackButtonText: {
+    color: '#fff',
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  headerTitle: {
+    fontSize: 32,
+    fontWeight: 'bold',
+    color: '#fff',
+  },
+  headerSubtitle: {
+    color: '#d1d5db',
+    fontSize: 16,
+    marginTop: 4,
+    fontWeight: '500',
+  },
+  content: {
+    flexGrow: 1,
+    justifyContent: 'center',
+    padding: 24,
+  },
+  form: {
+    borderRadius: 16,
+    padding: 24,
+    elevation: 3,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 8,
+  },
+  inputGroup: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    borderWidth: 1,
+    borderRadius: 12,
+    paddingHorizontal: 16,
+    marginTop: 16,
+  },
+  inputIcon: {
+    marginRight: 12,
+    fontSize: 18,
+  },
+  input: {
+    flex: 1,
+    paddingVertical: 14,
+    fontSize: 16,
+  },
+  fieldError: {
+    fontSize: 13,
+    marginTop: 6,
+    marginLeft: 4,
+  },
+  passwordToggle: {
+    alignSelf: 'flex-end',
+    paddingVertical: 8,
+    marginTop: 4,
+  },
+  passwordToggleText: {
+    fontSize: 14,
+    fontWeight: '600',
+  },
+  primaryButton: {
+    padding: 16,
+    borderRadius: 12,
+    alignItems: 'center',
+    marginTop: 8,
+    elevation: 4,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 4,
+  },
+  primaryButtonDisabled: {
+    backgroundColor: '#9ca3af',
+    elevation: 0,
+  },
+  primaryButtonText: {
+    color: '#ffffff',
+    fontSize: 18,
+    fontWeight: '600',
+  },
+  linkButton: {
+    alignItems: 'center',
+    marginTop: 16,
+  },
+  linkText: {
+    fontSize: 14,
+  },
+});
@@ -2,14 +2,24 @@
 import React from 'react';
 import { View, Text, StyleSheet, Button, BackHandler } from 'react-native';
 
-const RootedDeviceScreen = () => {
+/**
+ * Shown instead of the app when a device integrity check with the 'block' policy fails.
+ * @param {{ findings?: string[] }} props labels of the checks that blocked the app
+ */
+const RootedDeviceScreen = ({ findings = [] }) => {
   return (
     <View style={styles.container}>
       <Text style={styles.title}>Security Risk Detected</Text>
       <Text style={styles.message}>
-        This application cannot run on a rooted (jailbroken) device for
-        security reasons.
+        This application cannot run on this device for security reasons.
       </Text>
+      {findings.length > 0 && (
+        <View style={styles.findings}>
+          {findings.map(finding => (
+            <Text key={finding} style={styles.finding}>• {finding}</Text>
+          ))}
+        </View>
+      )}
       <Button title="Exit App" onPress={() => BackHandler.exitApp()} color="#FF3B30" />
     </View>
   );
@@ -33,8 +43,16 @@ const styles = StyleSheet.create({
     fontSize: 16,
     textAlign: 'center',
     color: '#000',
+    marginBottom: 20,
+  },
+  findings: {
     marginBottom: 40,
   },
+  finding: {
+    fontSize: 15,
+    color: '#000',
+    marginBottom: 6,
+  },
 });
 
 export default RootedDeviceScreen;
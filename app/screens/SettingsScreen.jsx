@@ -1,14 +1,86 @@
 import React, { useState, useEffect, useRef } from 'react';
-import { View, Text, StyleSheet, TouchableOpacity, Switch, Animated, Alert, ActivityIndicator, ScrollView } from 'react-native';
-import StorageService, { CACHE_EXPIRATION } from '../services/StorageService';
+import { View, Text, StyleSheet, TouchableOpacity, Switch, Animated, Alert, ActivityIndicator, ScrollView, TextInput } from 'react-native';
+import { useDispatch, useSelector } from 'react-redux';
+import StorageService, { CACHE_EXPIRATION, DEFAULT_SETTINGS } from '../services/StorageService';
+import ApiService from '../services/ApiService';
+import { loadTasks, updateSettings, selectSettings } from '../store/store';
+import DeviceIntegrityService, { INTEGRITY_ACTIONS, INTEGRITY_CHECKS } from '../services/DeviceIntegrityService';
+import { useAuth } from '../context/AuthContext';
+import {
+  SNOOZE_OPTIONS,
+  DIGEST_HOURS,
+  ESCALATION_INTERVALS,
+  QUIET_START_HOURS,
+  QUIET_END_HOURS,
+  describeDuration,
+} from '../services/NotificationService';
+
+const AUTO_LOCK_OPTIONS = [1, 5, 15, 30]; // minutes
+const BACKGROUND_LOCK_OPTIONS = [
+  { seconds: 0, label: 'Instant' },
+  { seconds: 30, label: '30 sec' },
+  { seconds: 60, label: '1 min' },
+  { seconds: 300, label: '5 min' },
+];
+
+const INTEGRITY_ACTION_OPTIONS = [
+  { value: INTEGRITY_ACTIONS.BLOCK, label: 'Block' },
+  { value: INTEGRITY_ACTIONS.WARN, label: 'Warn' },
+  { value: INTEGRITY_ACTIONS.ALLOW_NO_CACHE, label: 'No Cache' },
+];
+
+const INTEGRITY_STATUS_LABELS = {
+  passed: '✅ Passed',
+  detected: '⚠️ Detected',
+  exempt: '🛠️ Ignored in dev build',
+  unavailable: '⚠️ Could not check',
+};
+
+const UNLOCK_METHOD_LABELS = {
+  password: 'Password',
+  cached_session: 'Saved session',
+  pin: 'PIN',
+  biometrics: 'Biometrics',
+};
+
+// What each Data Usage choice means for syncing (ApiService.canSync)
+const DATA_USAGE_HINTS = {
+  wifi: 'Tasks sync on Wi-Fi only. On cellular, changes wait until Wi-Fi is back.',
+  cellular: 'Tasks sync on Wi-Fi and cellular data.',
+  always: 'Tasks sync on any connection.',
+};
+
+// Editable form of the `backend` setting (field map is edited as JSON text)
+const toBackendDraft = (backend = DEFAULT_SETTINGS.backend) => ({
+  type: backend.type,
+  baseUrl: backend.baseUrl || '',
+  tasksPath: backend.tasksPath || '',
+  fieldMapText: JSON.stringify(backend.fieldMap || {}),
+  changesSinceParam: backend.changesSinceParam || '',
+});
 
 export default function SettingsScreen({ navigation, isDark = false, setIsDark, onLogout }) {
-  const [notifications, setNotifications] = useState(true);
-  const [hapticFeedback, setHapticFeedback] = useState(true);
-  const [autoSync, setAutoSync] = useState(true);
-  const [dataUsage, setDataUsage] = useState('wifi');
+  // App-wide preferences live in the Redux settings slice; the rest of this screen's settings are local
+  const {
+    notifications,
+    quickAddNotification: quickAdd,
+    snoozeMinutes,
+    digest,
+    overdueEscalation,
+    quietHours,
+    hapticFeedback,
+    autoSync,
+    dataUsage,
+  } = useSelector(selectSettings);
   const [loading, setLoading] = useState(false);
   const [storageInfo, setStorageInfo] = useState(null);
+  const [backendDraft, setBackendDraft] = useState(toBackendDraft());
+  const [security, setSecurity] = useState(DEFAULT_SETTINGS.security);
+  const [lastUnlock, setLastUnlock] = useState(null);
+  const [integrityReport, setIntegrityReport] = useState(null);
+  const [checkingIntegrity, setCheckingIntegrity] = useState(false);
+  const dispatch = useDispatch();
+  const auth = useAuth();
 
   // Animation values
   const fadeAnim = useRef(new Animated.Value(0)).current;
@@ -32,6 +104,7 @@ export default function SettingsScreen({ navigation, isDark = false, setIsDark,
   useEffect(() => {
     loadSettings();
     loadStorageInfo();
+    loadSecurity();
     
     // Start animations
     Animated.parallel([
@@ -72,10 +145,67 @@ export default function SettingsScreen({ navigation, isDark = false, setIsDark,
   };
 
   const applySettings = (settings) => {
-    setNotifications(settings.notifications ?? true);
-    setHapticFeedback(settings.hapticFeedback ?? true);
-    setAutoSync(settings.autoSync ?? true);
-    setDataUsage(settings.dataUsage ?? 'wifi');
+    setBackendDraft(toBackendDraft(settings.backend));
+  };
+
+  // Read directly rather than from the settings cache, which may predate these keys
+  const loadSecurity = async () => {
+    try {
+      const settings = await StorageService.getSecuritySettings();
+      // On only while a biometric key is actually enrolled (it's dropped if device biometrics change)
+      setSecurity({ ...settings, biometricsEnabled: settings.biometricsEnabled && await auth.hasBiometricKey() });
+      setLastUnlock(await StorageService.getLastUnlock());
+      setIntegrityReport(await DeviceIntegrityService.getLastReport());
+    } catch (error) {
+      console.error('Error loading security settings:', error);
+    }
+  };
+
+  const updateSecurity = async (partial) => {
+    setSecurity(prev => ({ ...prev, ...partial }));
+    try {
+      await StorageService.updateSecuritySettings(partial);
+      await StorageService.remove('CACHE_app_settings');
+    } catch (error) {
+      console.error('Error saving security settings:', error);
+      Alert.alert('Error', 'Failed to save security settings. Please try again.');
+    }
+  };
+
+  const handleBiometricsChange = async (value) => {
+    setSecurity(prev => ({ ...prev, biometricsEnabled: value }));
+    try {
+      const applied = await auth.setBiometricsEnabled(value);
+      if (!applied) {
+        setSecurity(prev => ({ ...prev, biometricsEnabled: false }));
+        Alert.alert('Biometrics Unavailable', 'Set up a fingerprint or Face ID on this device first.');
+      }
+      await StorageService.remove('CACHE_app_settings');
+    } catch (error) {
+      console.error('Error updating biometrics:', error);
+      Alert.alert('Error', 'Failed to update biometric unlock. Please try again.');
+    }
+  };
+
+  const handleIntegrityPolicyChange = (checkId, action) => {
+    updateSecurity({ integrityPolicy: { ...security.integrityPolicy, [checkId]: action } });
+  };
+
+  const handleRunIntegrityChecks = async () => {
+    try {
+      setCheckingIntegrity(true);
+      const report = await DeviceIntegrityService.runChecks();
+      setIntegrityReport(report);
+      loadStorageInfo(); // the cache may have just been cleared
+      if (report.blocked) {
+        Alert.alert('Security Risk', 'A check set to Block failed. The app will not start next time it is opened.');
+      }
+    } catch (error) {
+      console.error('Error running integrity checks:', error);
+      Alert.alert('Error', 'Failed to run the device checks. Please try again.');
+    } finally {
+      setCheckingIntegrity(false);
+    }
   };
 
   const loadStorageInfo = async () => {
@@ -87,57 +217,101 @@ export default function SettingsScreen({ navigation, isDark = false, setIsDark,
     }
   };
 
-  const saveSettings = async (newSettings) => {
-    try {
-      // Save to AsyncStorage
-      await StorageService.saveSettings(newSettings);
-      
-      // Update cache
-      await StorageService.setCached('app_settings', newSettings, CACHE_EXPIRATION.LONG);
-    } catch (error) {
-      console.error('Error saving settings:', error);
+  // The settings slice saves them and passes them on to the services that act on them
+  const saveSettings = async (changes) => {
+    const result = await dispatch(updateSettings(changes));
+    if (updateSettings.rejected.match(result)) {
       Alert.alert('Error', 'Failed to save settings. Please try again.');
     }
   };
 
-  const handleNotificationChange = async (value) => {
-    setNotifications(value);
-    await saveSettings({
-      notifications: value,
-      hapticFeedback,
-      autoSync,
-      dataUsage,
-    });
-  };
+  const handleNotificationChange = (value) => saveSettings({ notifications: value });
 
-  const handleHapticChange = async (value) => {
-    setHapticFeedback(value);
-    await saveSettings({
-      notifications,
-      hapticFeedback: value,
-      autoSync,
-      dataUsage,
-    });
-  };
+  const handleQuickAddChange = (value) => saveSettings({ quickAddNotification: value });
+
+  // Applies to reminders scheduled from now on
+  const handleSnoozeChange = (value) => saveSettings({ snoozeMinutes: value });
+
+  const handleDigestChange = (changes) => saveSettings({ digest: { ...digest, ...changes } });
+
+  const handleEscalationChange = (changes) => saveSettings({ overdueEscalation: { ...overdueEscalation, ...changes } });
+
+  const handleQuietHoursChange = (changes) => saveSettings({ quietHours: { ...quietHours, ...changes } });
+
+  const handleHapticChange = (value) => saveSettings({ hapticFeedback: value });
+
+  const handleAutoSyncChange = (value) => saveSettings({ autoSync: value });
+
+  const handleDataUsageChange = (value) => saveSettings({ dataUsage: value });
+
+  // A row of option chips, as used for the reminder settings
+  const renderChips = (options, selectedValue, onSelect, format) => (
+    <View style={styles.dataUsageContainer}>
+      {options.map((option) => {
+        const selected = selectedValue === option;
+        return (
+          <TouchableOpacity
+            key={option}
+            style={[
+              styles.dataUsageOption,
+              styles.compactOption,
+              { borderColor: theme.colors.border },
+              selected && { backgroundColor: theme.colors.primary },
+            ]}
+            onPress={() => onSelect(option)}
+            disabled={loading}
+          >
+            <Text style={[styles.dataUsageText, { color: theme.colors.text }, selected && styles.selectedOptionText]}>
+              {format(option)}
+            </Text>
+          </TouchableOpacity>
+        );
+      })}
+    </View>
+  );
+
+  const formatHour = (hour) => `${hour}:00`;
 
-  const handleAutoSyncChange = async (value) => {
-    setAutoSync(value);
-    await saveSettings({
-      notifications,
-      hapticFeedback,
-      autoSync: value,
-      dataUsage,
-    });
+  const updateBackendDraft = (changes) => {
+    setBackendDraft(prev => ({ ...prev, ...changes }));
   };
 
-  const handleDataUsageChange = async (value) => {
-    setDataUsage(value);
-    await saveSettings({
-      notifications,
-      hapticFeedback,
-      autoSync,
-      dataUsage: value,
-    });
+  const handleSaveBackend = async () => {
+    let fieldMap = {};
+    if (backendDraft.type === 'rest') {
+      if (!/^https?:\/\/\S+$/.test(backendDraft.baseUrl.trim())) {
+        Alert.alert('Invalid URL', 'Base URL must start with http:// or https://');
+        return;
+      }
+      try {
+        fieldMap = JSON.parse(backendDraft.fieldMapText || '{}');
+      } catch (error) {
+        Alert.alert('Invalid Field Map', 'Field map must be a JSON object, e.g. {"completed": "done"}');
+        return;
+      }
+    }
+
+    try {
+      setLoading(true);
+      await ApiService.configureBackend({
+        type: backendDraft.type,
+        baseUrl: backendDraft.baseUrl.trim().replace(/\/+$/, ''),
+        tasksPath: backendDraft.tasksPath.trim() || DEFAULT_SETTINGS.backend.tasksPath,
+        fieldMap,
+        changesSinceParam: backendDraft.changesSinceParam.trim() || null,
+      });
+      await StorageService.setCached('app_settings', await StorageService.getSettings(), CACHE_EXPIRATION.LONG);
+      // Reload so the task list reflects the new backend
+      await dispatch(loadTasks(true));
+      Alert.alert('Backend Updated', backendDraft.type === 'local'
+        ? 'Tasks are now kept on this device only.'
+        : `Tasks now sync with ${backendDraft.baseUrl.trim()}`);
+    } catch (error) {
+      console.error('Error saving backend:', error);
+      Alert.alert('Error', 'Failed to update backend. Please try again.');
+    } finally {
+      setLoading(false);
+    }
   };
 
   const handleThemeChange = async (value) => {
@@ -327,6 +501,42 @@ export default function SettingsScreen({ navigation, isDark = false, setIsDark,
             />
           </View>
 
+          <View style={styles.settingRow}>
+            <Text style={[styles.settingLabel, { color: theme.colors.text }]}>Quick Add Notification</Text>
+            <Switch
+              value={quickAdd}
+              onValueChange={handleQuickAddChange}
+              trackColor={{ false: theme.colors.border, true: theme.colors.primary }}
+              thumbColor={quickAdd ? '#fff' : theme.colors.textSecondary}
+              disabled={loading}
+            />
+          </View>
+
+          <View style={[styles.settingRow, styles.settingRowLast]}>
+            <Text style={[styles.settingLabel, { color: theme.colors.text }]}>Snooze Reminders For</Text>
+          </View>
+          <View style={styles.dataUsageContainer}>
+            {SNOOZE_OPTIONS.map((minutes) => {
+              const selected = snoozeMinutes === minutes;
+              return (
+                <TouchableOpacity
+                  key={minutes}
+                  style={[
+                    styles.dataUsageOption,
+                    { borderColor: theme.colors.border },
+                    selected && { backgroundColor: theme.colors.primary },
+                  ]}
+                  onPress={() => handleSnoozeChange(minutes)}
+                  disabled={loading}
+                >
+                  <Text style={[styles.dataUsageText, { color: theme.colors.text }, selected && styles.selectedOptionText]}>
+                    {minutes} min
+                  </Text>
+                </TouchableOpacity>
+              );
+            })}
+          </View>
+
           <View style={[styles.settingRow, { borderBottomWidth: 0 }]}>
             <Text style={[styles.settingLabel, { color: theme.colors.text }]}>Haptic Feedback</Text>
             <Switch
@@ -339,6 +549,216 @@ export default function SettingsScreen({ navigation, isDark = false, setIsDark,
           </View>
         </View>
 
+        {/* Reminders Section */}
+        <View style={[styles.section, { backgroundColor: theme.colors.surface }]}>
+          <Text style={[styles.sectionTitle, { color: theme.colors.text }]}>⏰ Reminders</Text>
+
+          <View style={[styles.settingRow, digest.enabled && styles.settingRowLast]}>
+            <Text style={[styles.settingLabel, { color: theme.colors.text }]}>Morning Digest</Text>
+            <Switch
+              value={digest.enabled}
+              onValueChange={(value) => handleDigestChange({ enabled: value })}
+              trackColor={{ false: theme.colors.border, true: theme.colors.primary }}
+              thumbColor={digest.enabled ? '#fff' : theme.colors.textSecondary}
+              disabled={loading}
+            />
+          </View>
+          {digest.enabled && renderChips(DIGEST_HOURS, digest.hour, (hour) => handleDigestChange({ hour }), formatHour)}
+
+          <View style={[styles.settingRow, overdueEscalation.enabled && styles.settingRowLast]}>
+            <Text style={[styles.settingLabel, { color: theme.colors.text }]}>Repeat Overdue High-Priority</Text>
+            <Switch
+              value={overdueEscalation.enabled}
+              onValueChange={(value) => handleEscalationChange({ enabled: value })}
+              trackColor={{ false: theme.colors.border, true: theme.colors.primary }}
+              thumbColor={overdueEscalation.enabled ? '#fff' : theme.colors.textSecondary}
+              disabled={loading}
+            />
+          </View>
+          {overdueEscalation.enabled && renderChips(
+            ESCALATION_INTERVALS,
+            overdueEscalation.intervalMinutes,
+            (intervalMinutes) => handleEscalationChange({ intervalMinutes }),
+            describeDuration
+          )}
+
+          <View style={[styles.settingRow, styles.settingRowLast]}>
+            <Text style={[styles.settingLabel, { color: theme.colors.text }]}>Quiet Hours</Text>
+            <Switch
+              value={quietHours.enabled}
+              onValueChange={(value) => handleQuietHoursChange({ enabled: value })}
+              trackColor={{ false: theme.colors.border, true: theme.colors.primary }}
+              thumbColor={quietHours.enabled ? '#fff' : theme.colors.textSecondary}
+              disabled={loading}
+            />
+          </View>
+          {quietHours.enabled && (
+            <>
+              <Text style={[styles.chipsLabel, { color: theme.colors.textSecondary }]}>From</Text>
+              {renderChips(QUIET_START_HOURS, quietHours.startHour, (startHour) => handleQuietHoursChange({ startHour }), formatHour)}
+              <Text style={[styles.chipsLabel, { color: theme.colors.textSecondary }]}>Until</Text>
+              {renderChips(QUIET_END_HOURS, quietHours.endHour, (endHour) => handleQuietHoursChange({ endHour }), formatHour)}
+            </>
+          )}
+        </View>
+
+        {/* Security Section */}
+        <View style={[styles.section, { backgroundColor: theme.colors.surface }]}>
+          <Text style={[styles.sectionTitle, { color: theme.colors.text }]}>🔐 Security</Text>
+
+          <TouchableOpacity
+            style={styles.settingRow}
+            onPress={() => navigation.navigate('ChangePin')}
+            disabled={loading}
+          >
+            <Text style={[styles.settingLabel, { color: theme.colors.text }]}>Change PIN</Text>
+            <Text style={[styles.chevron, { color: theme.colors.textSecondary }]}>›</Text>
+          </TouchableOpacity>
+
+          <View style={styles.settingRow}>
+            <Text style={[styles.settingLabel, { color: theme.colors.text }]}>Biometric Unlock</Text>
+            <Switch
+              value={security.biometricsEnabled}
+              onValueChange={handleBiometricsChange}
+              trackColor={{ false: theme.colors.border, true: theme.colors.primary }}
+              thumbColor={security.biometricsEnabled ? '#fff' : theme.colors.textSecondary}
+              disabled={loading}
+            />
+          </View>
+
+          <View style={styles.settingRow}>
+            <Text style={[styles.settingLabel, { color: theme.colors.text }]}>Hide Sensitive Screens</Text>
+            <Switch
+              value={security.protectSensitiveScreens}
+              onValueChange={(value) => updateSecurity({ protectSensitiveScreens: value })}
+              trackColor={{ false: theme.colors.border, true: theme.colors.primary }}
+              thumbColor={security.protectSensitiveScreens ? '#fff' : theme.colors.textSecondary}
+              disabled={loading}
+            />
+          </View>
+
+          <View style={[styles.settingRow, styles.settingRowLast]}>
+            <Text style={[styles.settingLabel, { color: theme.colors.text }]}>Auto-Lock After</Text>
+          </View>
+          <View style={styles.dataUsageContainer}>
+            {AUTO_LOCK_OPTIONS.map((minutes) => {
+              const selected = security.autoLockMinutes === minutes;
+              return (
+                <TouchableOpacity
+                  key={minutes}
+                  style={[
+                    styles.dataUsageOption,
+                    { borderColor: theme.colors.border },
+                    selected && { backgroundColor: theme.colors.primary },
+                  ]}
+                  onPress={() => updateSecurity({ autoLockMinutes: minutes })}
+                  disabled={loading}
+                >
+                  <Text style={[styles.dataUsageText, { color: theme.colors.text }, selected && styles.selectedOptionText]}>
+                    {minutes} min
+                  </Text>
+                </TouchableOpacity>
+              );
+            })}
+          </View>
+
+          <View style={[styles.settingRow, styles.settingRowLast]}>
+            <Text style={[styles.settingLabel, { color: theme.colors.text }]}>Lock When In Background</Text>
+          </View>
+          <View style={styles.dataUsageContainer}>
+            {BACKGROUND_LOCK_OPTIONS.map(({ seconds, label }) => {
+              const selected = security.backgroundLockSeconds === seconds;
+              return (
+                <TouchableOpacity
+                  key={seconds}
+                  style={[
+                    styles.dataUsageOption,
+                    { borderColor: theme.colors.border },
+                    selected && { backgroundColor: theme.colors.primary },
+                  ]}
+                  onPress={() => updateSecurity({ backgroundLockSeconds: seconds })}
+                  disabled={loading}
+                >
+                  <Text style={[styles.dataUsageText, { color: theme.colors.text }, selected && styles.selectedOptionText]}>
+                    {label}
+                  </Text>
+                </TouchableOpacity>
+              );
+            })}
+          </View>
+
+          <View style={styles.lastUnlock}>
+            <Text style={[styles.storageLabel, { color: theme.colors.textSecondary }]}>Last Unlocked</Text>
+            <Text style={[styles.storageValue, { color: theme.colors.text }]}>
+              {lastUnlock
+                ? `${new Date(lastUnlock.at).toLocaleString()} · ${UNLOCK_METHOD_LABELS[lastUnlock.method] || lastUnlock.method}`
+                : 'Not recorded yet'}
+            </Text>
+          </View>
+        </View>
+
+        {/* Device Security Section */}
+        <View style={[styles.section, { backgroundColor: theme.colors.surface }]}>
+          <Text style={[styles.sectionTitle, { color: theme.colors.text }]}>🛡️ Device Security</Text>
+
+          {INTEGRITY_CHECKS.map(({ id, label }) => {
+            const result = integrityReport?.results.find(item => item.id === id);
+            return (
+              <View key={id} style={styles.integrityCheck}>
+                <View style={styles.storageRow}>
+                  <Text style={[styles.storageLabel, styles.integrityLabel, { color: theme.colors.text }]}>{label}</Text>
+                  <Text style={[styles.storageValue, { color: result?.action ? theme.colors.error : theme.colors.textSecondary }]}>
+                    {result ? INTEGRITY_STATUS_LABELS[result.status] : 'Not checked'}
+                    {result?.action ? ` · ${INTEGRITY_ACTION_OPTIONS.find(option => option.value === result.action)?.label}` : ''}
+                  </Text>
+                </View>
+                <View style={styles.dataUsageContainer}>
+                  {INTEGRITY_ACTION_OPTIONS.map(({ value, label: optionLabel }) => {
+                    const selected = security.integrityPolicy[id] === value;
+                    return (
+                      <TouchableOpacity
+                        key={value}
+                        style={[
+                          styles.policyOption,
+                          { borderColor: theme.colors.border },
+                          selected && { backgroundColor: theme.colors.primary },
+                        ]}
+                        onPress={() => handleIntegrityPolicyChange(id, value)}
+                        disabled={loading}
+                      >
+                        <Text style={[styles.policyOptionText, { color: theme.colors.text }, selected && styles.selectedOptionText]}>
+                          {optionLabel}
+                        </Text>
+                      </TouchableOpacity>
+                    );
+                  })}
+                </View>
+              </View>
+            );
+          })}
+
+          <View style={styles.lastUnlock}>
+            <Text style={[styles.storageLabel, { color: theme.colors.textSecondary }]}>Last Checked</Text>
+            <Text style={[styles.storageValue, { color: theme.colors.text }]}>
+              {integrityReport
+                ? `${new Date(integrityReport.checkedAt).toLocaleString()}${integrityReport.cacheDisabled ? ' · offline cache off' : ''}`
+                : 'Not checked yet'}
+            </Text>
+          </View>
+
+          <TouchableOpacity
+            style={[styles.actionButton, styles.integrityButton, { backgroundColor: theme.colors.primary }]}
+            onPress={handleRunIntegrityChecks}
+            disabled={loading || checkingIntegrity}
+          >
+            {checkingIntegrity ? (
+              <ActivityIndicator size="small" color="#fff" />
+            ) : (
+              <Text style={styles.actionButtonText}>🔍 Run Checks Again</Text>
+            )}
+          </TouchableOpacity>
+        </View>
+
         {/* Sync Section */}
         <View style={[styles.section, { backgroundColor: theme.colors.surface }]}>
           <Text style={[styles.sectionTitle, { color: theme.colors.text }]}>🔄 Sync & Data</Text>
@@ -380,6 +800,94 @@ export default function SettingsScreen({ navigation, isDark = false, setIsDark,
               </TouchableOpacity>
             ))}
           </View>
+          <Text style={[styles.chipsLabel, { color: theme.colors.textSecondary }]}>
+            {DATA_USAGE_HINTS[dataUsage]}
+          </Text>
+        </View>
+
+        {/* Backend Section */}
+        <View style={[styles.section, { backgroundColor: theme.colors.surface }]}>
+          <Text style={[styles.sectionTitle, { color: theme.colors.text }]}>🔌 Backend</Text>
+
+          <View style={styles.dataUsageContainer}>
+            {[{ value: 'rest', label: 'REST API' }, { value: 'local', label: 'This Device' }].map((option) => (
+              <TouchableOpacity
+                key={option.value}
+                style={[
+                  styles.dataUsageOption,
+                  { borderColor: theme.colors.border },
+                  backendDraft.type === option.value && { backgroundColor: theme.colors.primary },
+                ]}
+                onPress={() => updateBackendDraft({ type: option.value })}
+                disabled={loading}
+              >
+                <Text style={[
+                  styles.dataUsageText,
+                  { color: theme.colors.text },
+                  backendDraft.type === option.value && styles.selectedOptionText,
+                ]}>
+                  {option.label}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+
+          {backendDraft.type === 'rest' && (
+            <View style={styles.backendForm}>
+              <Text style={[styles.inputLabel, { color: theme.colors.textSecondary }]}>Base URL</Text>
+              <TextInput
+                style={[styles.textInput, { color: theme.colors.text, borderColor: theme.colors.border }]}
+                value={backendDraft.baseUrl}
+                onChangeText={(text) => updateBackendDraft({ baseUrl: text })}
+                placeholder="https://api.example.com"
+                placeholderTextColor={theme.colors.textSecondary}
+                autoCapitalize="none"
+                autoCorrect={false}
+                keyboardType="url"
+              />
+
+              <Text style={[styles.inputLabel, { color: theme.colors.textSecondary }]}>Tasks Path</Text>
+              <TextInput
+                style={[styles.textInput, { color: theme.colors.text, borderColor: theme.colors.border }]}
+                value={backendDraft.tasksPath}
+                onChangeText={(text) => updateBackendDraft({ tasksPath: text })}
+                placeholder="/tasks"
+                placeholderTextColor={theme.colors.textSecondary}
+                autoCapitalize="none"
+                autoCorrect={false}
+              />
+
+              <Text style={[styles.inputLabel, { color: theme.colors.textSecondary }]}>Field Map (JSON)</Text>
+              <TextInput
+                style={[styles.textInput, { color: theme.colors.text, borderColor: theme.colors.border }]}
+                value={backendDraft.fieldMapText}
+                onChangeText={(text) => updateBackendDraft({ fieldMapText: text })}
+                placeholder='{"completed": "done"}'
+                placeholderTextColor={theme.colors.textSecondary}
+                autoCapitalize="none"
+                autoCorrect={false}
+              />
+
+              <Text style={[styles.inputLabel, { color: theme.colors.textSecondary }]}>Changes-Since Parameter (optional)</Text>
+              <TextInput
+                style={[styles.textInput, { color: theme.colors.text, borderColor: theme.colors.border }]}
+                value={backendDraft.changesSinceParam}
+                onChangeText={(text) => updateBackendDraft({ changesSinceParam: text })}
+                placeholder="updatedSince"
+                placeholderTextColor={theme.colors.textSecondary}
+                autoCapitalize="none"
+                autoCorrect={false}
+              />
+            </View>
+          )}
+
+          <TouchableOpacity 
+            style={[styles.actionButton, styles.backendSaveButton, { backgroundColor: theme.colors.primary }]}
+            onPress={handleSaveBackend}
+            disabled={loading}
+          >
+            <Text style={styles.actionButtonText}>💾 Save Backend</Text>
+          </TouchableOpacity>
         </View>
 
         {/* Storage Section */}
@@ -504,11 +1012,65 @@ const styles = StyleSheet.create({
     borderBottomWidth: 1,
     borderBottomColor: '#f3f4f6',
   },
+  settingRowLast: {
+    borderBottomWidth: 0,
+  },
   settingLabel: {
     fontSize: 16,
     flex: 1,
     fontWeight: '500',
   },
+  chevron: {
+    fontSize: 24,
+    fontWeight: '300',
+  },
+  lastUnlock: {
+    marginTop: 20,
+    gap: 4,
+  },
+  integrityCheck: {
+    marginBottom: 16,
+  },
+  integrityLabel: {
+    flex: 1,
+    marginRight: 12,
+  },
+  integrityButton: {
+    marginTop: 20,
+  },
+  policyOption: {
+    flex: 1,
+    paddingVertical: 8,
+    borderRadius: 10,
+    borderWidth: 2,
+    alignItems: 'center',
+  },
+  policyOptionText: {
+    fontSize: 13,
+    fontWeight: '600',
+  },
+  backendForm: {
+    marginTop: 16,
+  },
+  inputLabel: {
+    fontSize: 13,
+    fontWeight: '600',
+    marginBottom: 6,
+    marginTop: 12,
+  },
+  textInput: {
+    borderWidth: 1,
+    borderRadius: 12,
+    paddingHorizontal: 14,
+    paddingVertical: 10,
+    fontSize: 15,
+  },
+  backendSaveButton: {
+    marginTop: 20,
+  },
+  selectedOptionText: {
+    color: '#fff',
+  },
   dataUsageContainer: {
     flexDirection: 'row',
     gap: 8,
@@ -526,6 +1088,13 @@ const styles = StyleSheet.create({
     fontSize: 14,
     fontWeight: '600',
   },
+  compactOption: {
+    paddingHorizontal: 4,
+  },
+  chipsLabel: {
+    fontSize: 13,
+    marginTop: 12,
+  },
   storageInfo: {
     marginBottom: 16,
   },
@@ -11,24 +11,19 @@ import {
   ActivityIndicator
 } from 'react-native';
 import { useSelector, useDispatch } from 'react-redux';
-import { updateTask, deleteTask } from '../store/store';
+import { loadTasks, editTask, deleteTask, selectTaskById } from '../store/store';
 // Assuming these services are correctly implemented, they are left as is
-import NotificationService from '../services/NotificationService';
-import StorageService from '../services/StorageService';
+import NotificationService, { REMINDER_OFFSETS } from '../services/NotificationService';
 
 export default function TaskDetailsScreen({ navigation, route, isDark = false }) {
   // 1. Get Task ID
   const { taskId } = route.params || {}; 
   const dispatch = useDispatch();
-  const { tasks } = useSelector(state => state.tasks);
 
-  // 2. Derive task directly from Redux (Primary Source of Truth)
-  // FIX: Ensure both IDs are strings for reliable comparison.
-  const taskFromRedux = tasks.find(t => String(t.id) === String(taskId));
-  
-  // 3. Local State (Fallback and Action Loading)
-  const [task, setTask] = useState(taskFromRedux || null);
-  const [loadingTask, setLoadingTask] = useState(!taskFromRedux); // Start loading if Redux doesn't have it
+  // 2. Derive task directly from the Redux tasks slice (single source of truth)
+  const task = useSelector(state => (taskId ? selectTaskById(state, taskId) : undefined));
+  const { loaded } = useSelector(state => state.tasks);
+  const loadingTask = !task && !loaded;
   const [loading, setLoading] = useState(false); // Action loading state (delete/complete)
 
   // Animation values
@@ -52,64 +47,16 @@ export default function TaskDetailsScreen({ navigation, route, isDark = false })
   };
 
   /**
-    * Function to load task data from persistent storage (Cache or AsyncStorage).
-    * Used as a fallback only when Redux store is not yet populated.
-    */
-  const loadTaskFallback = async () => {
-    if (!taskId) return;
-
-    try {
-      let foundTask = null;
-
-      // 1. Try from cache (fast persistent read)
-      foundTask = await StorageService.getCached(`task_${taskId}`);
-      
-      // 2. Last resort: load from AsyncStorage
-      if (!foundTask) {
-        foundTask = await StorageService.get(`task_${taskId}`); 
-      }
-
-      if (foundTask) {
-        setTask(foundTask);
-        // Cache the result for next time
-        await StorageService.setCached(`task_${taskId}`, foundTask);
-      }
-    } catch (error) {
-      console.error('Error loading task fallback:', error);
-      Alert.alert('Error', 'Failed to load task details from storage.');
-    } finally {
-      setLoadingTask(false);
-    }
-  };
-
-  /**
-    * Primary effect for syncing with Redux and managing initial load/animations.
-    * Runs whenever the Redux tasks array or the route taskId changes.
+    * Populate the store when this screen is opened before HomeScreen loaded it
+    * (e.g. from a notification).
     */
   useEffect(() => {
-    if (!taskId) {
-      setTask(null);
-      setLoadingTask(false);
-      return;
-    }
-
-    // 1. Sync with Redux (Highest priority, real-time update)
-    if (taskFromRedux) {
-      setTask(taskFromRedux);
-      setLoadingTask(false);
-      // Update cache non-blocking with the latest Redux data
-      StorageService.setCached(`task_${taskId}`, taskFromRedux);
-    } else if (tasks.length > 0) {
-      // Redux is populated, but this task is not found (deleted or doesn't exist)
-      // This is a crucial check to prevent unnecessary fallback lookup for a non-existent task
-      setTask(null);
-      setLoadingTask(false);
-    } else {
-      // Redux is empty/loading: Fallback to persistent storage
-      loadTaskFallback();
+    if (!loaded) {
+      dispatch(loadTasks());
     }
+  }, [loaded, dispatch]);
 
-    // 2. Run Animations
+  useEffect(() => {
     Animated.parallel([
       Animated.timing(fadeAnim, {
         toValue: 1,
@@ -122,8 +69,7 @@ export default function TaskDetailsScreen({ navigation, route, isDark = false })
         useNativeDriver: true,
       }),
     ]).start();
-    
-  }, [tasks, taskId]); // Dependency array simplified to only include primary data sources
+  }, [fadeAnim, slideAnim]);
 
   // Helper function to get priority color
   const getPriorityColor = (priority) => {
@@ -145,28 +91,24 @@ export default function TaskDetailsScreen({ navigation, route, isDark = false })
     }
   };
 
+  // Due dates are ISO timestamps from the picker; older tasks may have free text
+  const getFormattedDueDate = (dueDate) => {
+    const date = new Date(dueDate);
+    return Number.isNaN(date.getTime()) ? dueDate : date.toLocaleString();
+  };
+
   const handleToggleComplete = async () => {
     if (!task) return;
 
     try {
       setLoading(true);
-      const updatedTask = { 
-        ...task, 
+      const changes = { 
         completed: !task.completed,
         completedAt: !task.completed ? new Date().toISOString() : null
       };
 
-      // Update in AsyncStorage
-      await StorageService.updateTask(task.id, updatedTask);
-      
-      // Update in Redux
-      dispatch(updateTask(updatedTask));
-      
-      // Update cache
-      await StorageService.setCached(`task_${task.id}`, updatedTask);
-      
-      // Clear tasks list cache to force refresh on other screens
-      await StorageService.remove('CACHE_tasks_list');
+      // Persist and update the store in one step
+      const updatedTask = await dispatch(editTask({ id: task.id, changes })).unwrap();
 
       // Send notification
       try {
@@ -206,15 +148,8 @@ export default function TaskDetailsScreen({ navigation, route, isDark = false })
             try {
               setLoading(true);
               
-              // Delete from AsyncStorage
-              await StorageService.deleteTask(task.id);
-              
-              // Delete from Redux
-              dispatch(deleteTask(task.id));
-              
-              // Clear caches
-              await StorageService.remove(`CACHE_task_${task.id}`);
-              await StorageService.remove('CACHE_tasks_list');
+              // Delete from storage and the store; deleteTask also cancels its reminders
+              await dispatch(deleteTask(task.id)).unwrap();
               
               navigation.goBack();
             } catch (error) {
@@ -345,7 +280,21 @@ export default function TaskDetailsScreen({ navigation, route, isDark = false })
                     Due Date
                   </Text>
                   <Text style={[styles.metaValue, { color: theme.colors.text }]}>
-                    {task.dueDate}
+                    {getFormattedDueDate(task.dueDate)}
+                  </Text>
+                </View>
+              )}
+
+              {task.dueDate && !task.completed && task.reminderOffsets?.length > 0 && (
+                <View style={[styles.metaItem, { borderBottomColor: theme.colors.border }]}>
+                  <Text style={[styles.metaLabel, { color: theme.colors.textSecondary }]}>
+                    Reminders
+                  </Text>
+                  <Text style={[styles.metaValue, { color: theme.colors.text }]}>
+                    {REMINDER_OFFSETS
+                      .filter(({ minutes }) => task.reminderOffsets.includes(minutes))
+                      .map(({ label }) => label)
+                      .join(', ')}
                   </Text>
                 </View>
               )}
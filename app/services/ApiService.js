@@ -1,66 +1,311 @@
 import NetInfo from '@react-native-community/netinfo';
-import StorageService, { CACHE_EXPIRATION } from './StorageService';
-import { getToken } from './AuthService';
+import StorageService, { CACHE_EXPIRATION, DEFAULT_SETTINGS } from './StorageService';
+import { getToken, getRefreshToken, storeToken, clearToken } from './AuthService';
+import ConflictResolver from './ConflictResolver';
+import NotificationService from './NotificationService';
+import { createTaskAdapter } from './adapters';
 
 // Fallback for UUID generation if the library is not installed
 const generateUniqueId = () => `local-${Date.now()}-${Math.floor(Math.random() * 1000)}`;
 
-// API Configuration
+// Offline queue entries are ids too, so stale snapshots can be matched back up
+const generateEntryId = () => `chg-${Date.now()}-${Math.floor(Math.random() * 1000)}`;
+
+// API Configuration (the backend itself is chosen in settings, see configureBackend)
 const API_CONFIG = {
-  BASE_URL: 'https://jsonplaceholder.typicode.com', // Using JSONPlaceholder as demo API
   TIMEOUT: 10000, // 10 seconds
   ENDPOINTS: {
-    TASKS: '/todos',
-    USERS: '/users',
-    POSTS: '/posts',
+    LOGIN: '/auth/login',
+    REGISTER: '/auth/register',
+    FORGOT_PASSWORD: '/auth/forgot-password',
+    RESET_PASSWORD: '/auth/reset-password',
+    LOGOUT: '/auth/logout',
+    REFRESH: '/auth/refresh',
+    ME: '/auth/me',
   },
 };
 
+// Retry policy for queued offline changes
+const SYNC_CONFIG = {
+  MAX_INLINE_RETRIES: 2,           // extra attempts per entry within one sync run
+  BASE_RETRY_DELAY: 1000,          // 1 second
+  MAX_RETRY_DELAY: 30 * 60 * 1000, // 30 minutes
+};
+
+// Device-side bookkeeping that never goes over the wire
+const LOCAL_ONLY_FIELDS = ['id', 'source', 'offline', 'synced', 'localId'];
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// 1s, 2s, 4s, ... capped at MAX_RETRY_DELAY
+const getRetryDelay = (attempts) =>
+  Math.min(SYNC_CONFIG.BASE_RETRY_DELAY * 2 ** Math.max(attempts - 1, 0), SYNC_CONFIG.MAX_RETRY_DELAY);
+
+// Network errors, timeouts, rate limiting and 5xx can succeed later; other 4xx won't.
+// 409 means the server moved on mid-write: the retry re-fetches and merges again.
+// 401 outlived a token refresh, so the change waits for the user to sign back in.
+const isRetryableError = (error) =>
+  !error.status || [401, 408, 409, 429].includes(error.status) || error.status >= 500;
+
+// Refresh responses that mean the refresh token itself is no good
+const REFRESH_REJECTED_STATUSES = [400, 401, 403];
+
+const toServerPayload = (task) => {
+  const payload = { ...task };
+  LOCAL_ONLY_FIELDS.forEach(field => delete payload[field]);
+  return payload;
+};
+
+// Entries queued by older versions only carried { action, task, timestamp }
+const normalizeChange = (change) => ({
+  id: change.id || generateEntryId(),
+  action: change.action,
+  task: change.task,
+  base: change.base || null, // server copy the queued edit was made against (updates only)
+  timestamp: change.timestamp || Date.now(),
+  revision: change.revision || 0,
+  attempts: change.attempts || 0,
+  nextAttemptAt: change.nextAttemptAt || 0,
+  lastError: change.lastError || null,
+});
+
+/**
+ * Folds a new change into the one already queued for the same task.
+ * Returns the combined entry, or null when the two cancel out.
+ */
+const mergeChanges = (queued, incoming) => {
+  const merged = {
+    ...queued,
+    task: { ...queued.task, ...incoming.task },
+    timestamp: incoming.timestamp,
+    revision: queued.revision + 1,
+    attempts: 0,
+    nextAttemptAt: 0,
+    lastError: null,
+  };
+
+  if (queued.action === 'delete') {
+    return { ...merged, action: incoming.action, task: incoming.task, base: incoming.base };
+  }
+  if (queued.action === 'create') {
+    // The server never saw this task: deleting it just drops the create
+    return incoming.action === 'delete' ? null : { ...merged, action: 'create' };
+  }
+  if (incoming.action === 'delete') {
+    return { ...merged, action: 'delete', task: { id: queued.task.id } };
+  }
+  return { ...merged, action: 'update' };
+};
+
+// Apply a changes-since delta to a cached list; entries with `deleted: true` are tombstones
+const mergeTaskChanges = (tasks, changes) => {
+  const byId = new Map(tasks.map(task => [task.id, task]));
+  changes.forEach(change => {
+    if (change.deleted) {
+      byId.delete(change.id);
+    } else {
+      byId.set(change.id, { ...byId.get(change.id), ...change });
+    }
+  });
+  return Array.from(byId.values());
+};
+
+const summarizeChange = (change) => ({
+  entryId: change.id,
+  action: change.action,
+  taskId: change.task.id,
+  title: change.task.title,
+});
+
+// settings.dataUsage → the connection types task data may use (null: any)
+const SYNC_NETWORKS = {
+  wifi: ['wifi', 'ethernet'],
+  cellular: ['wifi', 'ethernet', 'cellular'],
+  always: null,
+};
+
+/**
+ * Whether Data Usage lets task data go over a connection of this NetInfo type.
+ * @param {string|null} networkType NetInfo state.type (null: not known yet)
+ * @param {'wifi'|'cellular'|'always'} dataUsage
+ */
+export const isSyncAllowedOn = (networkType, dataUsage) => {
+  const allowed = SYNC_NETWORKS[dataUsage];
+  return !allowed || networkType == null || allowed.includes(networkType);
+};
+
 class ApiService {
   constructor() {
+    this.storage = StorageService; // the active account's data; see forAccount
     this.isOnline = true;
+    this.networkType = null;
+    this.dataUsage = DEFAULT_SETTINGS.dataUsage; // see setDataUsage
+    this.queueLocks = new Map(); // account id -> tail of its queue's lock chain
+    this.syncPromise = null;
+    this.refreshPromise = null;
+    this.onUnauthorized = null;
+    this.applyBackend(DEFAULT_SETTINGS.backend);
+    this.backendReady = this.loadBackendConfig();
     this.setupNetworkListener();
   }
 
+  // ============================================
+  // BACKEND
+  // ============================================
+
+  // Pick up the backend (and Data Usage preference) saved in settings
+  async loadBackendConfig() {
+    try {
+      const settings = await this.storage.getSettings();
+      this.applyBackend(settings.backend);
+      this.dataUsage = settings.dataUsage;
+    } catch (error) {
+      console.error('Error loading backend config:', error);
+    }
+  }
+
+  applyBackend(backend) {
+    this.backend = { ...DEFAULT_SETTINGS.backend, ...backend };
+    this.adapter = createTaskAdapter(this.backend, (path, options) => this.apiCall(path, options), this.storage);
+  }
+
+  async getAdapter() {
+    await this.backendReady;
+    return this.adapter;
+  }
+
+  async getBackendConfig() {
+    await this.backendReady;
+    return this.backend;
+  }
+
+  // Switch backends at runtime (SettingsScreen). Cached server data belonged to the old one.
+  async configureBackend(backend) {
+    await this.backendReady;
+    const settings = await this.storage.updateSettings({
+      backend: { ...DEFAULT_SETTINGS.backend, ...backend },
+    });
+    this.applyBackend(settings.backend);
+    await this.storage.remove('CACHE_tasks_list');
+    console.log(`🔌 Task backend set to ${this.backend.type}${this.backend.type === 'rest' ? ` (${this.backend.baseUrl})` : ''}`);
+    return this.backend;
+  }
+
+  /**
+   * Task operations for one account. Another account than the active one (a notification
+   * action with the app closed, or for an account not signed in to right now) works offline
+   * against its own storage: nothing goes out with the active account's token, and its
+   * changes wait in its queue until it is next opened.
+   * @param {string|number} accountId
+   * @returns {Promise<ApiService>}
+   */
+  async forAccount(accountId) {
+    await this.backendReady;
+    if (String(accountId) === this.storage.accountId) {
+      return this;
+    }
+    const view = Object.create(this);
+    view.storage = this.storage.forAccount(accountId);
+    view.isOnline = false;
+    view.applyBackend(this.backend);
+    return view;
+  }
+
   // Setup network listener
   setupNetworkListener() {
     NetInfo.addEventListener(state => {
       this.isOnline = state.isConnected;
-      console.log('Network status:', this.isOnline ? 'Online' : 'Offline');
+      this.networkType = state.type;
+      console.log('Network status:', this.isOnline ? `Online (${state.type})` : 'Offline');
     });
   }
 
-  // Generic API call with error handling
+  // The updateSettings thunk passes Data Usage changes on here
+  setDataUsage(dataUsage) {
+    this.dataUsage = dataUsage;
+  }
+
+  /**
+   * Online on a connection Data Usage allows. Otherwise task reads come from the cache and
+   * writes wait in the offline queue, as when offline; task images only ever travel
+   * inside those queued changes. Sign-in and token refresh aren't affected.
+   */
+  canSync() {
+    return this.isOnline && isSyncAllowedOn(this.networkType, this.dataUsage);
+  }
+
+  // Generic API call with error handling.
+  // A 401 triggers one token refresh and a retry; see refreshAccessToken.
   async apiCall(endpoint, options = {}) {
-    const url = `${API_CONFIG.BASE_URL}${endpoint}`;
-    
-    const authHeaders = {};
+    await this.backendReady;
+
+    // Credential exchanges (login etc.) pass auth: false so a stale token isn't sent along
+    if (options.auth === false) {
+      return this.request(endpoint, options, null);
+    }
+
+    // Hold new requests while a refresh is in flight so they go out with the new token
+    if (this.refreshPromise) {
+      await this.refreshPromise;
+    }
+
+    const token = await this.getAccessToken();
     try {
-      const token = await getToken();
-      if (token) {
-        authHeaders.Authorization = `Bearer ${token}`;
+      return await this.request(endpoint, options, token);
+    } catch (error) {
+      if (error.status !== 401 || !token) {
+        throw error;
       }
+      const refreshed = await this.refreshAccessToken(token);
+      if (!refreshed) {
+        throw error;
+      }
+      return await this.request(endpoint, options, await this.getAccessToken());
+    }
+  }
+
+  async getAccessToken() {
+    try {
+      return await getToken();
     } catch (e) {
       // If token retrieval fails, proceed without Authorization
+      return null;
     }
+  }
+
+  // Single HTTP round trip
+  async request(endpoint, options, token) {
+    const url = `${this.backend.baseUrl}${endpoint}`;
 
     const config = {
       method: options.method || 'GET',
       headers: {
         'Content-Type': 'application/json',
-        ...authHeaders,
+        ...(token && { Authorization: `Bearer ${token}` }),
         ...options.headers,
       },
       // Only include body for non-GET requests
       ...(options.body && { body: JSON.stringify(options.body) }), 
     };
 
+    // Abort requests that hang instead of leaving sync waiting forever
+    const controller = new AbortController();
+    const timeoutId = setTimeout(() => controller.abort(), API_CONFIG.TIMEOUT);
+
     try {
-      const response = await fetch(url, config);
+      const response = await fetch(url, { ...config, signal: controller.signal });
       
       if (!response.ok) {
         const errorText = await response.text();
-        throw new Error(`API Error: ${response.status} ${response.statusText} - ${errorText.substring(0, 100)}...`);
+        const error = new Error(`API Error: ${response.status} ${response.statusText} - ${errorText.substring(0, 100)}...`);
+        error.status = response.status;
+        // Keep the server's JSON error ({ error, message, ... }) for callers that show it
+        try {
+          error.body = errorText ? JSON.parse(errorText) : null;
+        } catch (parseError) {
+          error.body = null;
+        }
+        throw error;
       }
       
       // Attempt to parse JSON response. Handle 204 No Content gracefully.
@@ -69,66 +314,283 @@ class ApiService {
     } catch (error) {
       console.error(`❌ API call failed to ${endpoint}:`, error);
       throw error;
+    } finally {
+      clearTimeout(timeoutId);
     }
   }
 
-  // Helper to add changes to the offline queue
-  async addToOfflineChangesQueue(action, taskData) {
-    const change = { 
-        action, 
-        task: { ...taskData, id: taskData.id || generateUniqueId(), synced: false }, 
-        timestamp: Date.now() 
+  // ============================================
+  // AUTHENTICATION
+  // ============================================
+
+  // Shapes a failed auth request as { success: false, code, error, ...details } for the screens
+  toAuthFailure(error) {
+    if (!error.status) {
+      return {
+        success: false,
+        code: 'network',
+        error: `Can't reach the server at ${this.backend.baseUrl}. Check your connection and try again.`,
+      };
+    }
+    const { error: code, message, ...details } = error.body || {};
+    return {
+      success: false,
+      code: code || `http_${error.status}`,
+      error: message || error.message,
+      status: error.status,
+      ...details,
     };
+  }
+
+  // Exchange credentials for { accessToken, refreshToken, user }
+  async login(email, password) {
+    try {
+      const data = await this.apiCall(API_CONFIG.ENDPOINTS.LOGIN, {
+        method: 'POST',
+        body: { email, password },
+        auth: false,
+      });
+      return { success: true, data };
+    } catch (error) {
+      return this.toAuthFailure(error);
+    }
+  }
+
+  // Create an account; answers with tokens and user just like login
+  async register({ name, email, password }) {
+    try {
+      const data = await this.apiCall(API_CONFIG.ENDPOINTS.REGISTER, {
+        method: 'POST',
+        body: { name, email, password },
+        auth: false,
+      });
+      return { success: true, data };
+    } catch (error) {
+      return this.toAuthFailure(error);
+    }
+  }
+
+  // Ask the server to email a reset code. It answers the same whether or not the account exists.
+  async requestPasswordReset(email) {
+    try {
+      const data = await this.apiCall(API_CONFIG.ENDPOINTS.FORGOT_PASSWORD, {
+        method: 'POST',
+        body: { email },
+        auth: false,
+      });
+      return { success: true, message: data.message };
+    } catch (error) {
+      return this.toAuthFailure(error);
+    }
+  }
+
+  async resetPassword(token, password) {
+    try {
+      const data = await this.apiCall(API_CONFIG.ENDPOINTS.RESET_PASSWORD, {
+        method: 'POST',
+        body: { token, password },
+        auth: false,
+      });
+      return { success: true, message: data.message };
+    } catch (error) {
+      return this.toAuthFailure(error);
+    }
+  }
+
+  // Profile of whoever the stored access token belongs to
+  async fetchCurrentUser() {
+    try {
+      const data = await this.apiCall(API_CONFIG.ENDPOINTS.ME, { method: 'GET' });
+      return { success: true, data };
+    } catch (error) {
+      return this.toAuthFailure(error);
+    }
+  }
+
+  // AuthContext registers logout(false) here; called when the session can't be refreshed
+  setUnauthorizedHandler(handler) {
+    this.onUnauthorized = handler;
+  }
+
+  /**
+   * Swap the refresh token for a new access token. Single-flight: every
+   * request that hits a 401 meanwhile waits on the same refresh.
+   * @param {string|null} staleToken - the access token that was rejected
+   * @returns {Promise<boolean>} whether requests should be retried
+   */
+  async refreshAccessToken(staleToken) {
+    if (this.refreshPromise) {
+      return this.refreshPromise;
+    }
+    // Someone else already refreshed after this request went out
+    const current = await this.getAccessToken();
+    if (current && current !== staleToken) {
+      return true;
+    }
+
+    this.refreshPromise = this.performTokenRefresh().finally(() => {
+      this.refreshPromise = null;
+    });
+    return this.refreshPromise;
+  }
+
+  async performTokenRefresh() {
+    const refreshToken = await getRefreshToken();
+    if (!refreshToken) {
+      await this.handleSessionExpired();
+      return false;
+    }
+
+    try {
+      console.log('🔄 Access token expired - refreshing...');
+      const data = await this.request(API_CONFIG.ENDPOINTS.REFRESH, {
+        method: 'POST',
+        body: { refreshToken },
+      }, null);
+      await storeToken(data.accessToken, data.refreshToken);
+      console.log('✅ Access token refreshed');
+      return true;
+    } catch (error) {
+      // Offline or a flaky server (5xx, 429, 408...): keep the session and let the caller
+      // retry later. Only a rejected refresh token ends it.
+      if (REFRESH_REJECTED_STATUSES.includes(error.status)) {
+        await this.handleSessionExpired();
+      }
+      return false;
+    }
+  }
+
+  async handleSessionExpired() {
+    console.log('🚫 Session expired - signing out');
+    try {
+      // Dropped first so logout doesn't try to revoke a dead refresh token
+      await clearToken();
+    } catch (error) {
+      console.error('Error clearing expired tokens:', error);
+    }
+    if (this.onUnauthorized) {
+      try {
+        await this.onUnauthorized();
+      } catch (error) {
+        console.error('Error handling expired session:', error);
+      }
+    }
+  }
 
-    const changes = await StorageService.getOfflineChanges();
-    changes.push(change);
-    await StorageService.saveOfflineChanges(changes);
-    console.log(`📝 Added ${action} for task ${taskData.id} to offline queue.`);
+  // Best effort: the local session is cleared whether or not the server hears about it
+  async logoutSession(refreshToken) {
+    try {
+      await this.apiCall(API_CONFIG.ENDPOINTS.LOGOUT, { method: 'POST', body: { refreshToken } });
+      return { success: true };
+    } catch (error) {
+      console.warn('Server logout failed:', error.message);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // ============================================
+  // OFFLINE QUEUE
+  // ============================================
+
+  // Serializes read-modify-write access to OFFLINE_CHANGES so edits made
+  // while a sync is running aren't overwritten by it
+  withQueueLock(fn) {
+    const accountId = this.storage.accountId;
+    const run = (this.queueLocks.get(accountId) || Promise.resolve()).then(fn, fn);
+    this.queueLocks.set(accountId, run.catch(() => {}));
+    return run;
   }
 
-  // Helper to fetch tasks from API with cache fallback
+  // Helper to add changes to the offline queue, coalescing with any pending change for the same task.
+  // `base` is the last known server copy, used to detect conflicting server edits at sync time.
+  async addToOfflineChangesQueue(action, taskData, base = null) {
+    // A device-only backend has nothing to sync with
+    const adapter = await this.getAdapter();
+    if (!adapter.remote) {
+      return;
+    }
+
+    const change = normalizeChange({
+      action,
+      task: { ...taskData, id: taskData.id || generateUniqueId() },
+      base,
+    });
+
+    await this.withQueueLock(async () => {
+      const changes = (await this.storage.getOfflineChanges()).map(normalizeChange);
+      const index = changes.findIndex(c => c.task.id === change.task.id);
+
+      if (index === -1) {
+        changes.push(change);
+      } else {
+        const merged = mergeChanges(changes[index], change);
+        if (merged) {
+          changes[index] = merged;
+        } else {
+          changes.splice(index, 1);
+        }
+      }
+
+      await this.storage.saveOfflineChanges(changes);
+    });
+    console.log(`📝 Queued ${action} for task ${change.task.id}.`);
+  }
+
+  // Drop everything queued for a task the server never heard about
+  async discardQueuedChanges(taskId) {
+    await this.withQueueLock(async () => {
+      const changes = await this.storage.getOfflineChanges();
+      await this.storage.saveOfflineChanges(changes.filter(c => c.task.id !== taskId));
+    });
+  }
+
+  // Helper to fetch tasks from the configured backend with cache fallback
   async fetchTasksFromApi(forceRefresh = false) {
     const cacheKey = 'tasks_list';
-    
+    const adapter = await this.getAdapter();
+
+    if (!adapter.remote) {
+      return { success: true, data: await adapter.list(), source: 'local', offline: false };
+    }
+
     // 1. Check for valid cache if not forcing refresh
     if (!forceRefresh) {
-        const cachedData = await StorageService.getCached(cacheKey, CACHE_EXPIRATION.SHORT);
+        const cachedData = await this.storage.getCached(cacheKey, CACHE_EXPIRATION.SHORT);
         if (cachedData) {
             return { success: true, data: cachedData, source: 'cache', offline: false };
         }
     }
 
-    // 2. Fallback to expired cache if offline
-    if (!this.isOnline) {
-        const expiredCacheData = await StorageService.get(`CACHE_${cacheKey}`);
+    // 2. Fallback to expired cache if offline (or on a connection Data Usage rules out)
+    if (!this.canSync()) {
+        const expiredCacheData = await this.storage.get(`CACHE_${cacheKey}`);
         if (expiredCacheData && expiredCacheData.data) {
             return { success: true, data: expiredCacheData.data, source: 'cache', offline: true };
         }
-        return { success: false, error: 'Offline and no cached data available.', offline: true };
+        if (!this.isOnline) {
+            return { success: false, error: 'Offline and no cached data available.', offline: true };
+        }
+        // Nothing cached to show yet: the first load goes ahead on any connection
     }
 
-    // 3. Try to fetch from API
+    // 3. Try to fetch from the backend, as a delta on top of the cache when it supports that
     try {
-        const response = await this.apiCall(API_CONFIG.ENDPOINTS.TASKS, { method: 'GET' });
-        
-        // Map the API data to your local task format
-        const tasks = response.map(item => ({
-            id: item.id ? item.id.toString() : generateUniqueId(),
-            title: item.title,
-            description: `User ID: ${item.userId} (Completed: ${item.completed})`,
-            priority: item.completed ? 'low' : 'medium', 
-            source: 'api',
-            createdAt: new Date().toISOString(),
-        }));
+        const cached = await this.storage.get(`CACHE_${cacheKey}`);
+        const records = adapter.supportsChangesSince && cached && cached.data
+          ? mergeTaskChanges(cached.data, await adapter.changesSince(cached.timestamp))
+          : await adapter.list();
+
+        // Server records are kept as-is; only the source marker is ours
+        const tasks = records.map(task => ({ ...task, source: 'api' }));
 
         // Save the fresh data to cache
-        await StorageService.setCached(cacheKey, tasks, CACHE_EXPIRATION.SHORT);
+        await this.storage.setCached(cacheKey, tasks, CACHE_EXPIRATION.SHORT);
         
         return { success: true, data: tasks, source: 'api', offline: false };
     } catch (error) {
         console.error('Error fetching from API:', error);
         // Fallback to expired cache on API error, even if online
-        const expiredCacheData = await StorageService.get(`CACHE_${cacheKey}`);
+        const expiredCacheData = await this.storage.get(`CACHE_${cacheKey}`);
         if (expiredCacheData && expiredCacheData.data) {
             return { success: true, data: expiredCacheData.data, source: 'cache', offline: true };
         }
@@ -153,7 +615,7 @@ class ApiService {
     }
 
     // 2. Load and combine permanent local tasks
-    const permanentLocalTasks = await StorageService.getTasks();
+    const permanentLocalTasks = await this.storage.getTasks();
     
     // Mark them explicitly
     const markedLocalTasks = permanentLocalTasks.map(task => ({
@@ -175,8 +637,8 @@ class ApiService {
     
     const uniqueTasks = Array.from(uniqueTasksMap.values());
 
-    // Sort by creation date (newest first)
-    uniqueTasks.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    // Sort by creation date (newest first; servers that don't send one sort last)
+    uniqueTasks.sort((a, b) => new Date(b.createdAt || 0) - new Date(a.createdAt || 0));
 
     return {
         success: true,
@@ -192,38 +654,46 @@ class ApiService {
         ...taskData,
         id: generateUniqueId(),
         createdAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString(),
         offline: true, // Always consider this offline for simplicity, as it's local only
         source: 'local_permanent', // Mark as permanent local task
         synced: false,
     };
     
     // Save the task to the permanent local storage using the TASKS key
-    await StorageService.saveTask(newTask);
+    await this.storage.saveTask(newTask);
+    await this.addToOfflineChangesQueue('create', newTask);
 
     // Clear API task cache to force HomeScreen to reload and see the new local task
-    await StorageService.remove('CACHE_tasks_list');
+    await this.storage.remove('CACHE_tasks_list');
     
     return { success: true, data: newTask, offline: true, source: 'local_permanent' };
   }
 
   async deleteTask(taskId) {
     // 1. Check if it's a permanent local task
-    const isPermanentLocal = !!await StorageService.getTaskById(taskId);
-    if (isPermanentLocal) {
-        await StorageService.deleteTask(taskId);
-        await StorageService.remove('CACHE_tasks_list');
+    const existingLocal = await this.storage.getTaskById(taskId);
+    if (existingLocal) {
+        await this.storage.deleteTask(taskId);
+        if (existingLocal.synced) {
+          await this.addToOfflineChangesQueue('delete', { id: taskId });
+        } else {
+          await this.discardQueuedChanges(taskId);
+        }
+        await this.storage.remove('CACHE_tasks_list');
         return { success: true, offline: true, source: 'local_permanent' };
     }
 
     // 2. If it's an API/Cached task, proceed with sync logic
-    if (this.isOnline) {
+    if (this.canSync()) {
       try {
-        await this.apiCall(`${API_CONFIG.ENDPOINTS.TASKS}/${taskId}`, { method: 'DELETE' });
+        const adapter = await this.getAdapter();
+        await adapter.remove(taskId);
       } catch (error) {
         // If API delete fails even though online, fall back to offline queue
         console.warn('API delete failed, falling back to offline queue:', error.message);
         await this.addToOfflineChangesQueue('delete', { id: taskId });
-        await StorageService.remove('CACHE_tasks_list');
+        await this.storage.remove('CACHE_tasks_list');
         return { success: true, offline: true };
       }
     } else {
@@ -232,71 +702,345 @@ class ApiService {
     }
     
     // Clear API task cache to force HomeScreen to reload
-    await StorageService.remove('CACHE_tasks_list');
+    await this.storage.remove('CACHE_tasks_list');
 
-    return { success: true, offline: !this.isOnline };
+    return { success: true, offline: !this.canSync() };
   }
   
-  // The updateTask method logic remains similar to the previous implementation
-  async updateTask(taskId, updates) {
-    // ... (logic for API/Offline update, using StorageService.addToOfflineChangesQueue)
-    if (this.isOnline) {
+  // `base` is the caller's copy of an API task before the edit, kept for conflict detection if the PUT is queued.
+  // PUT replaces the whole record, so the edit always goes out on top of a full copy.
+  async updateTask(taskId, updates, base = null) {
+    // 1. Check if it's a permanent local task
+    const existingLocal = await this.storage.getTaskById(taskId);
+    if (existingLocal) {
+      // Identity fields are never taken from the edit payload
+      const updatedTask = await this.storage.updateTask(taskId, {
+        ...updates,
+        id: existingLocal.id,
+        createdAt: existingLocal.createdAt,
+        source: 'local_permanent',
+        updatedAt: new Date().toISOString(),
+      });
+      // Until the first create lands, the whole task is still a create
+      if (existingLocal.synced) {
+        await this.addToOfflineChangesQueue('update', updatedTask, existingLocal);
+      } else {
+        await this.addToOfflineChangesQueue('create', updatedTask);
+      }
+      await this.storage.remove('CACHE_tasks_list');
+      return { success: true, data: updatedTask, offline: true, source: 'local_permanent' };
+    }
+
+    // 2. If it's an API/Cached task, proceed with sync logic
+    if (this.canSync()) {
       try {
-        const response = await this.apiCall(`${API_CONFIG.ENDPOINTS.TASKS}/${taskId}`, { method: 'PUT', body: updates });
-        return { success: true, data: response, offline: false };
+        const adapter = await this.getAdapter();
+        const current = base || await adapter.get(taskId);
+        const saved = await adapter.update(taskId, toServerPayload({ ...current, ...updates }));
+        return { success: true, data: { ...current, ...updates, ...saved, id: taskId }, offline: false };
       } catch (error) {
-        await this.addToOfflineChangesQueue('update', { id: taskId, ...updates });
+        await this.addToOfflineChangesQueue('update', { id: taskId, ...updates }, base);
         return { success: true, offline: true };
       }
     } else {
-      await this.addToOfflineChangesQueue('update', { id: taskId, ...updates });
+      await this.addToOfflineChangesQueue('update', { id: taskId, ...updates }, base);
       return { success: true, offline: true };
     }
   }
 
-  // The syncOfflineChanges method logic remains similar to the previous implementation
-  async syncOfflineChanges() {
+  // ============================================
+  // SYNC ENGINE
+  // ============================================
+
+  /**
+   * Replays OFFLINE_CHANGES against the API. Concurrent callers share one run.
+   * Resolves with a report: { applied, failed, deferred, idMap, remaining, ... }
+   */
+  syncOfflineChanges() {
+    if (!this.syncPromise) {
+      this.syncPromise = this.runSync().finally(() => {
+        this.syncPromise = null;
+      });
+    }
+    return this.syncPromise;
+  }
+
+  async runSync() {
     if (!this.isOnline) {
       return { success: false, error: 'Cannot sync: Device is offline.' };
     }
+    if (!this.canSync()) {
+      return {
+        success: false,
+        error: this.dataUsage === 'wifi'
+          ? 'Waiting for Wi-Fi: syncing over other connections is off in Settings → Data Usage.'
+          : 'Syncing over this connection is off in Settings → Data Usage.',
+      };
+    }
+
+    const report = {
+      success: true,
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+      applied: [],
+      failed: [],
+      deferred: [],
+      conflicts: [],
+      idMap: {}, // local id -> server id for tasks created during this run
+      remaining: 0,
+    };
+
+    // Persist normalized entries first so every one has a stable entry id
+    const snapshot = await this.withQueueLock(async () => {
+      const changes = (await this.storage.getOfflineChanges()).map(normalizeChange);
+      await this.storage.saveOfflineChanges(changes);
+      return changes;
+    });
+
+    for (const { id: entryId } of snapshot) {
+      // Re-read each entry: it may have been coalesced or had its task id remapped since the run started
+      const change = (await this.storage.getOfflineChanges()).find(c => c.id === entryId);
+      if (!change) {
+        continue;
+      }
+      if (change.nextAttemptAt > Date.now()) {
+        report.deferred.push({ ...summarizeChange(change), retryAt: new Date(change.nextAttemptAt).toISOString() });
+        continue;
+      }
 
-    let changes = await StorageService.getOfflineChanges();
-    if (changes.length === 0) {
-      return { success: true, syncResults: [] };
+      const outcome = await this.pushChangeWithRetry(change);
+      if (outcome.ok && outcome.conflict) {
+        await this.markChangeConflicted(change, outcome.conflict, report);
+      } else if (outcome.ok) {
+        await this.markChangeApplied(change, outcome, report);
+      } else {
+        await this.markChangeFailed(change, outcome.error, outcome.attempts, report);
+      }
     }
 
-    const syncResults = [];
-    
-    // ... (API call logic for each change, using this.apiCall for POST, PUT, DELETE)
-    for (const change of changes) {
-        const { action, task } = change;
-        try {
-            if (action === 'create') {
-                const result = await this.updateTask(task.id, task); // Placeholder for API create
-                syncResults.push({ taskId: task.id, result, action: 'create' });
-            } else if (action === 'delete') {
-                await this.deleteTask(task.id);
-                syncResults.push({ taskId: task.id, result: { success: true }, action: 'delete' });
-            } else {
-                const result = await this.updateTask(task.id, task); // Placeholder for API update
-                syncResults.push({ taskId: task.id, result, action: 'update' });
-            }
-        } catch (error) {
-            console.error(`Sync failed for ${action} task ${task.id}:`, error);
+    report.remaining = (await this.storage.getOfflineChanges()).length;
+    report.finishedAt = new Date().toISOString();
+
+    await this.storage.remove('CACHE_tasks_list');
+    await this.storage.saveLastSyncReport(report);
+
+    console.log(`✅ Sync completed: ${report.applied.length} applied, ${report.failed.length} failed, ${report.deferred.length} deferred, ${report.conflicts.length} conflicts`);
+    return report;
+  }
+
+  /**
+   * Sends one queued change straight to the API.
+   * Resolves with { serverId } for creates, { saved } with the server's copy after a
+   * write, or { conflict } when an update clashes with server edits under a 'manual' strategy.
+   */
+  async pushChange({ action, task, base }) {
+    const adapter = await this.getAdapter();
+
+    if (action === 'create') {
+      const created = await adapter.create(toServerPayload(task));
+      if (!created || created.id === undefined) {
+        throw new Error('Server did not return an id for the created task');
+      }
+      return { serverId: created.id, saved: { ...task, ...created } };
+    }
+
+    if (action === 'delete') {
+      try {
+        await adapter.remove(task.id);
+      } catch (error) {
+        // Already gone on the server counts as applied
+        if (error.status !== 404) {
+          throw error;
         }
+      }
+      return {};
     }
 
-    console.log('✅ Sync completed:', syncResults);
+    // Queued updates carry only the edited fields; PUT needs the rest from the server's copy
+    const server = await adapter.get(task.id);
+    let payload = { ...server, ...task, id: task.id };
+    if (base && ConflictResolver.hasServerChanged(base, server)) {
+      const policy = await ConflictResolver.getPolicy();
+      const { merged, conflicts } = ConflictResolver.merge({ base, local: task, server }, policy);
+      if (conflicts.length > 0) {
+        return { conflict: { base, local: task, server, merged, fields: conflicts } };
+      }
+      payload = { ...task, ...merged, id: task.id };
+    }
+
+    const saved = await adapter.update(task.id, toServerPayload(payload));
+    return { saved: { ...payload, ...saved, id: task.id } };
+  }
 
-    await StorageService.clearOfflineChanges();
-    await StorageService.remove('CACHE_tasks_list');
+  async pushChangeWithRetry(change) {
+    let attempts = change.attempts;
+    let lastError = null;
 
-    return { success: true, syncResults };
+    for (let i = 0; i <= SYNC_CONFIG.MAX_INLINE_RETRIES; i++) {
+      if (i > 0) {
+        await wait(getRetryDelay(i));
+      }
+      try {
+        const result = await this.pushChange(change);
+        return { ok: true, ...result };
+      } catch (error) {
+        attempts += 1;
+        lastError = error;
+        if (!isRetryableError(error) || !this.canSync()) {
+          break;
+        }
+      }
+    }
+
+    return { ok: false, error: lastError, attempts };
+  }
+
+  async markChangeApplied(change, { serverId, saved }, report) {
+    const localId = change.task.id;
+    let mappedId = change.action === 'create' ? serverId : null;
+    let editedInFlight = false;
+
+    // Some demo APIs hand out the same id for every POST; never let two local tasks share one
+    if (mappedId && mappedId !== localId && await this.storage.getTaskById(mappedId)) {
+      console.warn(`⚠️ Server id ${mappedId} already used locally, keeping ${localId}`);
+      mappedId = null;
+    }
+    const taskId = mappedId || localId;
+    const serverCopy = saved ? { ...saved, id: taskId } : null;
+
+    await this.withQueueLock(async () => {
+      let changes = await this.storage.getOfflineChanges();
+      const current = changes.find(c => c.id === change.id);
+
+      if (!current) {
+        // Deleted while the create was in flight: the server copy has to go too
+        if (change.action === 'create' && serverId) {
+          changes.push(normalizeChange({ action: 'delete', task: { id: taskId } }));
+        }
+      } else if (current.revision !== change.revision) {
+        // Edited while in flight: what's left is an update on top of what the server now has
+        editedInFlight = true;
+        changes = changes.map(c => {
+          if (c.id !== change.id) {
+            return c;
+          }
+          const action = c.action === 'create' ? 'update' : c.action;
+          return { ...c, action, base: action === 'update' ? serverCopy : c.base };
+        });
+      } else {
+        changes = changes.filter(c => c.id !== change.id);
+      }
+
+      if (mappedId) {
+        changes = changes.map(c =>
+          c.task.id === localId ? { ...c, task: { ...c.task, id: mappedId } } : c
+        );
+      }
+      await this.storage.saveOfflineChanges(changes);
+    });
+
+    if (change.action === 'create') {
+      const version = saved && saved.version !== undefined ? { version: saved.version } : {};
+      if (mappedId) {
+        const moved = await this.storage.replaceTaskId(localId, mappedId, { synced: true, offline: false, localId, ...version });
+        report.idMap[localId] = mappedId;
+        // Reminders were scheduled under the local id
+        await NotificationService.cancelTaskReminder(localId);
+        if (moved) {
+          NotificationService.scheduleTaskReminder(moved).catch(error => console.log('Reminder not rescheduled:', error));
+        }
+      } else {
+        await this.storage.updateTask(localId, { synced: true, offline: false, ...version });
+      }
+    } else if (change.action === 'update' && serverCopy && !editedInFlight) {
+      // Keep local tasks in step with what the server stored (merged fields, new version)
+      const existingLocal = await this.storage.getTaskById(localId);
+      if (existingLocal) {
+        await this.storage.updateTask(localId, { ...serverCopy, source: existingLocal.source, synced: true });
+      }
+    }
+
+    report.applied.push({ ...summarizeChange(change), serverId: mappedId || undefined });
+  }
+
+  // Parks a clashing update in the conflict list until the user picks a winner
+  async markChangeConflicted(change, conflict, report) {
+    let stillCurrent = false;
+
+    await this.withQueueLock(async () => {
+      const changes = await this.storage.getOfflineChanges();
+      stillCurrent = changes.some(c => c.id === change.id && c.revision === change.revision);
+      // A newer edit coalesced in meanwhile gets its own merge attempt next run
+      if (stillCurrent) {
+        await this.storage.saveOfflineChanges(changes.filter(c => c.id !== change.id));
+      }
+    });
+
+    if (stillCurrent) {
+      await ConflictResolver.addConflict({ taskId: change.task.id, ...conflict });
+      report.conflicts.push({ ...summarizeChange(change), fields: conflict.fields.map(f => f.field) });
+    }
+  }
+
+  /**
+   * Settles a stored conflict with the user's picks and queues the result,
+   * based on the server copy it was compared against.
+   * @param {string} conflictId
+   * @param {Object<string, 'local'|'server'>} choices - field -> winning side
+   */
+  async resolveConflict(conflictId, choices) {
+    const conflict = await ConflictResolver.getConflictById(conflictId);
+    if (!conflict) {
+      return { success: false, error: 'Conflict not found' };
+    }
+
+    const resolved = {
+      ...ConflictResolver.applyChoices(conflict, choices),
+      id: conflict.taskId,
+      updatedAt: new Date().toISOString(),
+    };
+
+    const existingLocal = await this.storage.getTaskById(conflict.taskId);
+    const task = existingLocal
+      ? await this.storage.updateTask(conflict.taskId, { ...resolved, source: existingLocal.source, synced: true })
+      : resolved;
+
+    await this.discardQueuedChanges(conflict.taskId);
+    await this.addToOfflineChangesQueue('update', resolved, conflict.server);
+    await ConflictResolver.removeConflict(conflictId);
+    await this.storage.remove('CACHE_tasks_list');
+
+    return { success: true, data: task };
+  }
+
+  async markChangeFailed(change, error, attempts, report) {
+    const retryable = isRetryableError(error);
+    // Permanent failures wait the longest delay instead of hammering the API every run
+    const nextAttemptAt = Date.now() + (retryable ? getRetryDelay(attempts) : SYNC_CONFIG.MAX_RETRY_DELAY);
+
+    await this.withQueueLock(async () => {
+      const changes = await this.storage.getOfflineChanges();
+      // A newer edit coalesced in meanwhile resets the backoff, so leave that entry alone
+      await this.storage.saveOfflineChanges(changes.map(c =>
+        c.id === change.id && c.revision === change.revision
+          ? { ...c, attempts, nextAttemptAt, lastError: error.message }
+          : c
+      ));
+    });
+
+    console.warn(`⚠️ Sync failed for ${change.action} task ${change.task.id}:`, error.message);
+    report.failed.push({
+      ...summarizeChange(change),
+      error: error.message,
+      attempts,
+      retryable,
+      retryAt: new Date(nextAttemptAt).toISOString(),
+    });
   }
 
   async clearAllCaches() {
     try {
-      await StorageService.clearCache();
+      await this.storage.clearCache();
       console.log('🗑️ All caches cleared');
       return { success: true };
     } catch (error) {
@@ -0,0 +1,155 @@
+import { Platform } from 'react-native';
+import DeviceInfo from 'react-native-device-info';
+import StorageService from './StorageService';
+import { signAuditEntry, verifyAuditSignature, getAuditHead, saveAuditHead } from './AuthService';
+
+// Kinds of entry the log records
+const AUDIT_EVENTS = {
+  SIGN_IN: 'sign_in',                   // { method: 'password' | 'cached_session' | 'biometrics' }
+  SIGN_IN_FAILED: 'sign_in_failed',     // { code }
+  UNLOCK: 'unlock',                     // { method: 'pin' | 'biometrics' }
+  PIN_FAILED: 'pin_failed',             // { attemptsRemaining, lockedOut }
+  BIOMETRIC_FAILED: 'biometric_failed', // { reason }
+  LOCK: 'lock',                         // { reason: 'idle' | 'background' | 'manual' }
+  PIN_SET: 'pin_set',                   // { changed }
+  LOGOUT: 'logout',                     // { full }
+  ACCOUNT_SWITCH: 'account_switch',     // { from, to }
+  INTEGRITY_CHECK: 'integrity_check',   // { findings: [{ id, action }], unavailable: [id] }
+};
+
+// Oldest entries are dropped past this; verification then starts at the oldest kept entry
+const MAX_ENTRIES = 500;
+
+// The first entry of a log chains onto this
+const GENESIS_HASH = '0'.repeat(64);
+
+// What gets signed: every field except the hash itself, in a fixed order
+const signedText = (entry) =>
+  JSON.stringify([entry.seq, entry.type, entry.at, entry.accountId, entry.details, entry.device, entry.prevHash]);
+
+/**
+ * Local, tamper-evident record of security events. Each entry carries an HMAC
+ * (key in the Keychain) over its contents and the previous entry's HMAC, so editing,
+ * reordering or removing entries from the middle breaks the chain and shows up in verify().
+ * The Keychain also holds the head of the chain (newest seq and hash, entry count), which
+ * catches entries cut off either end and a deleted log.
+ */
+class AuditLogService {
+  constructor() {
+    this.writes = Promise.resolve(); // appends run one at a time so the chain stays linear
+    this.device = null;
+  }
+
+  getDevice() {
+    if (!this.device) {
+      this.device = {
+        platform: Platform.OS,
+        model: DeviceInfo.getModel(),
+        os: `${DeviceInfo.getSystemName()} ${DeviceInfo.getSystemVersion()}`,
+        appVersion: `${DeviceInfo.getVersion()} (${DeviceInfo.getBuildNumber()})`,
+      };
+    }
+    return this.device;
+  }
+
+  /**
+   * Append an event. Never throws: a failed write is logged and the app carries on.
+   * @param {string} type one of AUDIT_EVENTS
+   * @param {Object} [details]
+   */
+  record(type, details = {}) {
+    this.writes = this.writes.then(async () => {
+      try {
+        const log = await StorageService.getAuditLog();
+        // The chain continues from the Keychain head, so a log that was cut short stays broken;
+        // logs written before the head was kept continue from their last entry
+        const head = await getAuditHead() || this.headOf(log);
+        const entry = {
+          seq: head ? head.seq + 1 : 1,
+          type,
+          at: new Date().toISOString(),
+          accountId: StorageService.accountId,
+          details,
+          device: this.getDevice(),
+          prevHash: head ? head.hash : GENESIS_HASH,
+        };
+        entry.hash = await signAuditEntry(signedText(entry));
+
+        // The head only moves once the entry is stored, or verify() would report a tampered log
+        if (!(await StorageService.saveAuditLog([...log, entry].slice(-MAX_ENTRIES)))) {
+          throw new Error('Audit log could not be saved');
+        }
+        await saveAuditHead({
+          seq: entry.seq,
+          hash: entry.hash,
+          count: Math.min((head ? head.count : 0) + 1, MAX_ENTRIES),
+        });
+        console.log('📝 Audit:', type, details);
+      } catch (error) {
+        console.error('❌ Error writing audit entry:', error);
+      }
+    });
+    return this.writes;
+  }
+
+  headOf(log) {
+    const last = log[log.length - 1];
+    return last ? { seq: last.seq, hash: last.hash, count: log.length } : null;
+  }
+
+  // Newest first
+  async getEntries() {
+    await this.writes;
+    const log = await StorageService.getAuditLog();
+    return [...log].reverse();
+  }
+
+  /**
+   * Recompute every entry's HMAC, check the links between them and match the newest
+   * entry and the entry count against the Keychain head.
+   * @returns {Promise<{ valid: boolean, checked: number, problem?: 'altered'|'truncated'|'deleted', brokenAt?: number }>}
+   *   brokenAt: seq of the first bad entry ('altered')
+   */
+  async verify() {
+    await this.writes;
+    const log = await StorageService.getAuditLog();
+
+    for (let i = 0; i < log.length; i++) {
+      const entry = log[i];
+      const previous = log[i - 1];
+      const linked = !previous || (entry.prevHash === previous.hash && entry.seq === previous.seq + 1);
+      if (!linked || !(await verifyAuditSignature(signedText(entry), entry.hash))) {
+        return { valid: false, checked: log.length, problem: 'altered', brokenAt: entry.seq };
+      }
+    }
+
+    // No head yet: nothing recorded since it was introduced
+    const head = await getAuditHead();
+    if (head && !log.length) {
+      return { valid: false, checked: 0, problem: 'deleted' };
+    }
+    const last = this.headOf(log);
+    if (head && (last.seq !== head.seq || last.hash !== head.hash || last.count !== head.count)) {
+      return { valid: false, checked: log.length, problem: 'truncated' };
+    }
+    return { valid: true, checked: log.length };
+  }
+
+  /**
+   * The whole log plus its verification result, as pretty-printed JSON for sharing.
+   * @returns {Promise<string>}
+   */
+  async exportLog() {
+    const verification = await this.verify();
+    const entries = await StorageService.getAuditLog();
+    return JSON.stringify({
+      exportedAt: new Date().toISOString(),
+      device: this.getDevice(),
+      verification,
+      entries,
+    }, null, 2);
+  }
+}
+
+export default new AuditLogService();
+export { AUDIT_EVENTS };
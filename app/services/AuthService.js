@@ -1,17 +1,127 @@
 import * as Keychain from 'react-native-keychain';
+import CryptoJS from 'crypto-js';
+import ReactNativeBiometrics from 'react-native-biometrics';
+import forge from 'node-forge';
 
 // Service keys for different credentials
 const JWT_SERVICE = 'com.yoursecureapp.jwt';
+const REFRESH_SERVICE = 'com.yoursecureapp.refresh';
 const PIN_SERVICE = 'com.yoursecureapp.pin';
+const PIN_ATTEMPTS_SERVICE = 'com.yoursecureapp.pin-attempts';
+const BIOMETRIC_SERVICE = 'com.yoursecureapp.biometric';
+const BIOMETRIC_OWNER_SERVICE = 'com.yoursecureapp.biometric-owner';
+const DATA_KEY_SERVICE = 'com.yoursecureapp.data-key';
+const AUDIT_KEY_SERVICE = 'com.yoursecureapp.audit-key';
+const AUDIT_HEAD_SERVICE = 'com.yoursecureapp.audit-head';
+
+const rnBiometrics = new ReactNativeBiometrics();
+
+// PIN hashing. The iteration count is stored with each hash, so raising it
+// here upgrades existing PINs the next time they are entered.
+const PIN_HASH_CONFIG = {
+  ALGORITHM: 'pbkdf2-sha256',
+  ITERATIONS: 50000, // pure-JS PBKDF2 blocks the JS thread while it runs, so this is weighed against unlock lag
+  KEY_SIZE_WORDS: 8, // 256 bits
+  SALT_BYTES: 16,
+};
+
+// Encryption of stored app data: AES-256-CBC, then HMAC-SHA256 over version, IV and
+// ciphertext. The Keychain holds one 512-bit key, split into the AES and HMAC halves.
+const DATA_ENCRYPTION = {
+  VERSION: 'enc1',
+  KEY_BYTES: 64,
+  IV_BYTES: 16,
+};
+// Readable by background tasks once the device has been unlocked; never restored to another device
+const DATA_KEY_ACCESSIBLE = Keychain.ACCESSIBLE.AFTER_FIRST_UNLOCK_THIS_DEVICE_ONLY;
+
+// The biometric record (enrolled public key and user) only opens for the fingerprints/faces
+// enrolled when it was written, and never leaves this device
+const BIOMETRIC_RECORD_ACCESS = {
+  accessControl: Keychain.ACCESS_CONTROL.BIOMETRY_CURRENT_SET,
+  accessible: Keychain.ACCESSIBLE.WHEN_PASSCODE_SET_THIS_DEVICE_ONLY,
+};
+
+// HMAC key chaining the audit log entries together (AuditLogService)
+const AUDIT_KEY_BYTES = 32;
+
+// Format of PINs set before passcode formats existed
+const DEFAULT_PIN_FORMAT = { mode: 'numeric', length: 4 };
+
+// ============================================
+// ACCOUNTS
+// ============================================
+
+// Tokens, PIN, attempt counter and data key are kept per account by suffixing the
+// Keychain service with the account id. With no account chosen the plain names are used,
+// which is where versions before multi-account support kept them.
+const PER_ACCOUNT_SERVICES = [JWT_SERVICE, REFRESH_SERVICE, PIN_SERVICE, PIN_ATTEMPTS_SERVICE, DATA_KEY_SERVICE];
+
+let activeAccountId = null;
+
+const scoped = (service, accountId = activeAccountId) => (accountId ? `${service}.${accountId}` : service);
+
+/**
+ * Point every credential function at this account (null: none chosen yet)
+ * @param {string|number|null} accountId
+ */
+export const setActiveAccount = (accountId) => {
+  activeAccountId = accountId == null ? null : String(accountId);
+};
+
+// Move credentials saved before multi-account support over to the active account
+export const adoptLegacyCredentials = async () => {
+  if (!activeAccountId) {
+    return;
+  }
+  for (const service of PER_ACCOUNT_SERVICES) {
+    const legacy = await Keychain.getGenericPassword({ service });
+    if (legacy) {
+      await Keychain.setGenericPassword(legacy.username, legacy.password, {
+        service: scoped(service),
+        ...(service === DATA_KEY_SERVICE && { accessible: DATA_KEY_ACCESSIBLE }),
+      });
+      await Keychain.resetGenericPassword({ service });
+    }
+  }
+  console.log('✅ Existing credentials moved to account', activeAccountId);
+};
+
+// Whether an account still has a session on this device, without switching to it
+export const hasSessionFor = async (accountId) => {
+  try {
+    return await Keychain.hasGenericPassword({ service: scoped(JWT_SERVICE, String(accountId)) });
+  } catch (error) {
+    console.error('❌ Error checking account session:', error);
+    return false;
+  }
+};
+
+// Whether an account has a PIN on this device (offline sign-in goes through its lock screen)
+export const hasPinFor = async (accountId) => {
+  try {
+    return await Keychain.hasGenericPassword({ service: scoped(PIN_SERVICE, String(accountId)) });
+  } catch (error) {
+    console.error('❌ Error checking account PIN:', error);
+    return false;
+  }
+};
 
 // ============================================
 // JWT TOKEN MANAGEMENT
 // ============================================
 
-// Store JWT
-export const storeToken = async (token) => {
+/**
+ * Store JWT (and the refresh token that comes with it, when there is one)
+ * @param {string} token
+ * @param {string|null} [refreshToken]
+ */
+export const storeToken = async (token, refreshToken = null) => {
   try {
-    await Keychain.setGenericPassword('user', token, { service: JWT_SERVICE });
+    await Keychain.setGenericPassword('user', token, { service: scoped(JWT_SERVICE) });
+    if (refreshToken) {
+      await Keychain.setGenericPassword('user', refreshToken, { service: scoped(REFRESH_SERVICE) });
+    }
     console.log('✅ JWT token stored securely');
   } catch (error) {
     console.error('❌ Error storing token:', error);
@@ -22,7 +132,7 @@ export const storeToken = async (token) => {
 // Get JWT
 export const getToken = async () => {
   try {
-    const credentials = await Keychain.getGenericPassword({ service: JWT_SERVICE });
+    const credentials = await Keychain.getGenericPassword({ service: scoped(JWT_SERVICE) });
     return credentials ? credentials.password : null;
   } catch (error) {
     console.error('❌ Error getting token:', error);
@@ -30,10 +140,22 @@ export const getToken = async () => {
   }
 };
 
-// Clear JWT (on full logout)
+// Get refresh token
+export const getRefreshToken = async () => {
+  try {
+    const credentials = await Keychain.getGenericPassword({ service: scoped(REFRESH_SERVICE) });
+    return credentials ? credentials.password : null;
+  } catch (error) {
+    console.error('❌ Error getting refresh token:', error);
+    return null;
+  }
+};
+
+// Clear JWT and refresh token (on any logout)
 export const clearToken = async () => {
   try {
-    await Keychain.resetGenericPassword({ service: JWT_SERVICE });
+    await Keychain.resetGenericPassword({ service: scoped(JWT_SERVICE) });
+    await Keychain.resetGenericPassword({ service: scoped(REFRESH_SERVICE) });
     console.log('✅ JWT token cleared');
   } catch (error) {
     console.error('❌ Error clearing token:', error);
@@ -45,10 +167,59 @@ export const clearToken = async () => {
 // PIN MANAGEMENT
 // ============================================
 
-// Store App PIN
-export const storePin = async (pin) => {
+const hashPin = (pin, salt, iterations) =>
+  CryptoJS.PBKDF2(String(pin), CryptoJS.enc.Hex.parse(salt), {
+    keySize: PIN_HASH_CONFIG.KEY_SIZE_WORDS,
+    iterations,
+    hasher: CryptoJS.algo.SHA256,
+  }).toString(CryptoJS.enc.Hex);
+
+// Compares every character so the time taken doesn't reveal how much matched
+const constantTimeEqual = (a, b) => {
+  const left = String(a);
+  const right = String(b);
+  let diff = left.length === right.length ? 0 : 1;
+  for (let i = 0; i < Math.max(left.length, right.length); i++) {
+    diff += left[i] === right[i] ? 0 : 1;
+  }
+  return diff === 0;
+};
+
+// A stored PIN is a JSON record; anything else is a plaintext PIN from older versions
+const parsePinRecord = (value) => {
   try {
-    await Keychain.setGenericPassword('app-pin', pin, { service: PIN_SERVICE });
+    const record = JSON.parse(value);
+    return record && typeof record === 'object' && record.hash ? record : null;
+  } catch (e) {
+    return null;
+  }
+};
+
+const createPinRecord = (pin, format = DEFAULT_PIN_FORMAT) => {
+  // Secure random bytes come from the react-native-get-random-values polyfill (index.js)
+  const salt = CryptoJS.lib.WordArray.random(PIN_HASH_CONFIG.SALT_BYTES).toString(CryptoJS.enc.Hex);
+  return {
+    algorithm: PIN_HASH_CONFIG.ALGORITHM,
+    iterations: PIN_HASH_CONFIG.ITERATIONS,
+    salt,
+    hash: hashPin(pin, salt, PIN_HASH_CONFIG.ITERATIONS),
+    format, // so the lock screen can show the matching input
+  };
+};
+
+const savePinRecord = async (record) => {
+  await Keychain.setGenericPassword('app-pin', JSON.stringify(record), { service: scoped(PIN_SERVICE) });
+};
+
+/**
+ * Store App PIN (salted PBKDF2 hash, never the PIN itself)
+ * @param {string} pin
+ * @param {{ mode: 'numeric'|'alphanumeric', length: number }} [format]
+ */
+export const storePin = async (pin, format = DEFAULT_PIN_FORMAT) => {
+  try {
+    await savePinRecord(createPinRecord(pin, format));
+    await resetPinAttempts();
     console.log('✅ PIN stored securely');
   } catch (error) {
     console.error('❌ Error storing PIN:', error);
@@ -56,21 +227,43 @@ export const storePin = async (pin) => {
   }
 };
 
-// Get App PIN
-export const getPin = async () => {
+/**
+ * Get the stored PIN hash record, or null if no PIN is set.
+ * Plaintext PINs left by older versions are hashed in place on first read.
+ */
+const getPinRecord = async () => {
+  const credentials = await Keychain.getGenericPassword({ service: scoped(PIN_SERVICE) });
+  if (!credentials) {
+    return null;
+  }
+
+  const record = parsePinRecord(credentials.password);
+  if (record) {
+    return record;
+  }
+
+  console.log('🔄 Migrating plaintext PIN to hashed storage');
+  const migrated = createPinRecord(credentials.password);
+  await savePinRecord(migrated);
+  return migrated;
+};
+
+// Passcode format of the stored PIN (4-digit numeric for PINs that predate formats)
+export const getPinFormat = async () => {
   try {
-    const credentials = await Keychain.getGenericPassword({ service: PIN_SERVICE });
-    return credentials ? credentials.password : null;
+    const record = await getPinRecord();
+    return (record && record.format) || DEFAULT_PIN_FORMAT;
   } catch (error) {
-    console.error('❌ Error getting PIN:', error);
-    return null;
+    console.error('❌ Error reading PIN format:', error);
+    return DEFAULT_PIN_FORMAT;
   }
 };
 
 // Clear App PIN (on full logout)
 export const clearPin = async () => {
   try {
-    await Keychain.resetGenericPassword({ service: PIN_SERVICE });
+    await Keychain.resetGenericPassword({ service: scoped(PIN_SERVICE) });
+    await resetPinAttempts();
     console.log('✅ PIN cleared from secure storage');
   } catch (error) {
     console.error('❌ Error clearing PIN:', error);
@@ -78,19 +271,411 @@ export const clearPin = async () => {
   }
 };
 
+// ============================================
+// PIN ATTEMPT THROTTLING
+// ============================================
+
+// Kept in Keychain next to the PIN so restarting the app doesn't reset the count
+const getPinAttempts = async () => {
+  try {
+    const credentials = await Keychain.getGenericPassword({ service: scoped(PIN_ATTEMPTS_SERVICE) });
+    return credentials ? JSON.parse(credentials.password) : { failures: 0, lockedUntil: 0 };
+  } catch (error) {
+    console.error('❌ Error reading PIN attempts:', error);
+    return { failures: 0, lockedUntil: 0 };
+  }
+};
+
+export const resetPinAttempts = async () => {
+  try {
+    await Keychain.resetGenericPassword({ service: scoped(PIN_ATTEMPTS_SERVICE) });
+  } catch (error) {
+    console.error('❌ Error resetting PIN attempts:', error);
+  }
+};
+
+// No delay for the first `freeAttempts` failures, then base, 2x base, 4x base, ... up to the cap
+const getPinDelaySeconds = (failures, policy) =>
+  failures <= policy.freeAttempts
+    ? 0
+    : Math.min(policy.baseDelaySeconds * 2 ** (failures - policy.freeAttempts - 1), policy.maxDelaySeconds);
+
+/**
+ * Seconds until another PIN may be tried (0 when not throttled)
+ */
+export const getPinRetryDelay = async () => {
+  const { lockedUntil } = await getPinAttempts();
+  return Math.max(Math.ceil((lockedUntil - Date.now()) / 1000), 0);
+};
+
+/**
+ * Count a wrong PIN and work out what happens next
+ * @param {{ freeAttempts: number, baseDelaySeconds: number, maxDelaySeconds: number, maxAttempts: number }} policy
+ * @returns {Promise<{ failures: number, attemptsRemaining: number, retryAfter: number, lockedOut: boolean }>}
+ */
+export const recordFailedPinAttempt = async (policy) => {
+  const { failures: previous } = await getPinAttempts();
+  const failures = previous + 1;
+  const retryAfter = getPinDelaySeconds(failures, policy);
+
+  await Keychain.setGenericPassword(
+    'pin-attempts',
+    JSON.stringify({ failures, lockedUntil: Date.now() + retryAfter * 1000 }),
+    { service: scoped(PIN_ATTEMPTS_SERVICE) }
+  );
+  console.log(`⚠️ Wrong PIN (${failures}/${policy.maxAttempts})`);
+
+  return {
+    failures,
+    attemptsRemaining: Math.max(policy.maxAttempts - failures, 0),
+    retryAfter,
+    lockedOut: failures >= policy.maxAttempts,
+  };
+};
+
+// ============================================
+// BIOMETRIC KEY
+// ============================================
+
+/**
+ * Enrol biometric unlock for `user`: a new key pair in the device's secure hardware,
+ * plus a biometry-protected Keychain record holding its public key and the user.
+ * @returns {Promise<boolean>} false when the device has no usable biometrics
+ */
+export const enrollBiometrics = async (user) => {
+  try {
+    const { available } = await rnBiometrics.isSensorAvailable();
+    if (!available) {
+      return false;
+    }
+
+    await rnBiometrics.deleteKeys();
+    const { publicKey } = await rnBiometrics.createKeys();
+    await Keychain.setGenericPassword(
+      'biometric',
+      JSON.stringify({ publicKey, user, enrolledAt: new Date().toISOString() }),
+      { service: BIOMETRIC_SERVICE, ...BIOMETRIC_RECORD_ACCESS }
+    );
+    // Readable without a prompt, so the app can tell whose enrollment this is
+    await Keychain.setGenericPassword('biometric-owner', String(user.id), { service: BIOMETRIC_OWNER_SERVICE });
+    console.log('✅ Biometric key enrolled');
+    return true;
+  } catch (error) {
+    console.error('❌ Error enrolling biometrics:', error);
+    return false;
+  }
+};
+
+// react-native-biometrics keeps one key pair per app, so biometric unlock belongs to one
+// account at a time: whichever enrolled last, as named by the owner entry
+const readBiometricOwner = async () => {
+  const credentials = await Keychain.getGenericPassword({ service: BIOMETRIC_OWNER_SERVICE });
+  return credentials ? credentials.password : null;
+};
+
+// Opening the record shows the system biometric prompt
+const readBiometricRecord = async (promptMessage) => {
+  const credentials = await Keychain.getGenericPassword({
+    service: BIOMETRIC_SERVICE,
+    authenticationPrompt: { title: promptMessage },
+  });
+  return credentials ? JSON.parse(credentials.password) : null;
+};
+
+// With no account selected (Add Account), no enrollment is the active account's
+const belongsToActiveAccount = (ownerId) => !!activeAccountId && ownerId === activeAccountId;
+
+// Who biometric sign-in would open, checked without a prompt (the login screen, before any account is selected)
+export const getBiometricOwner = async () => {
+  try {
+    const [{ keysExist }, ownerId] = await Promise.all([
+      rnBiometrics.biometricKeysExist(),
+      readBiometricOwner(),
+    ]);
+    return keysExist ? ownerId : null;
+  } catch (error) {
+    console.error('❌ Error checking biometric enrollment:', error);
+    return null;
+  }
+};
+
+// Both platforms return the public key as base64 DER (SubjectPublicKeyInfo) and sign
+// with SHA256withRSA, PKCS#1 v1.5
+const verifyBiometricSignature = (publicKey, payload, signature) => {
+  try {
+    const key = forge.pki.publicKeyFromAsn1(forge.asn1.fromDer(forge.util.decode64(publicKey)));
+    const digest = forge.md.sha256.create();
+    digest.update(payload, 'utf8');
+    return key.verify(digest.digest().bytes(), forge.util.decode64(signature));
+  } catch (error) {
+    console.error('❌ Error verifying biometric signature:', error);
+    return false;
+  }
+};
+
+const removeBiometricKey = async () => {
+  await rnBiometrics.deleteKeys();
+  await Keychain.resetGenericPassword({ service: BIOMETRIC_SERVICE });
+  await Keychain.resetGenericPassword({ service: BIOMETRIC_OWNER_SERVICE });
+  console.log('✅ Biometric key cleared');
+};
+
+// The signing key and an owner entry for the active account; checked without a prompt
+export const hasBiometricEnrollment = async () => belongsToActiveAccount(await getBiometricOwner());
+
+// Remove the key pair and its record (full logout, or biometrics turned off),
+// unless they were enrolled by another account
+export const clearBiometrics = async () => {
+  try {
+    const ownerId = await readBiometricOwner();
+    if (ownerId && !belongsToActiveAccount(ownerId)) {
+      return;
+    }
+    await removeBiometricKey();
+  } catch (error) {
+    console.error('❌ Error clearing biometrics:', error);
+  }
+};
+
+const isInvalidatedKeyError = (error) => /invalidated|key not found/i.test(String(error?.message ?? error));
+const isCancelledPromptError = (error) => /cancel/i.test(String(error?.message ?? error));
+
+/**
+ * Prompt for biometrics and release the enrolled user only once the enrolled key has
+ * signed a one-time challenge and the signature checks out against its public key.
+ * The protected record is opened first (that is the prompt on iOS, where it is also
+ * what notices a change to the enrolled fingerprints/faces); signing may prompt again.
+ * On Android, adding or removing a fingerprint/face permanently invalidates the key,
+ * so signing fails. Either way the enrollment is removed and must be set up again.
+ * @returns {Promise<{ success: boolean, user?: any, reason?: 'not_enrolled'|'cancelled'|'invalidated'|'error' }>}
+ */
+export const unlockWithBiometricKey = async (promptMessage) => {
+  let ownerId;
+  try {
+    const [{ keysExist }, owner] = await Promise.all([rnBiometrics.biometricKeysExist(), readBiometricOwner()]);
+    if (!keysExist || !owner) {
+      return { success: false, reason: 'not_enrolled' };
+    }
+    ownerId = owner;
+  } catch (error) {
+    console.error('❌ Error checking biometric enrollment:', error);
+    return { success: false, reason: 'error' };
+  }
+
+  let record;
+  try {
+    record = await readBiometricRecord(promptMessage);
+  } catch (error) {
+    if (isCancelledPromptError(error)) {
+      return { success: false, reason: 'cancelled' };
+    }
+    console.error('❌ Error reading biometric record:', error);
+    return { success: false, reason: 'error' };
+  }
+  // The owner entry is still there, so the record was dropped by a change to the device's biometrics
+  if (!record || String(record.user?.id) !== ownerId) {
+    console.log('🔑 Biometric record invalidated - removing enrollment');
+    await removeBiometricKey();
+    return { success: false, reason: 'invalidated' };
+  }
+
+  const challenge = `${Date.now()}:${CryptoJS.lib.WordArray.random(16).toString(CryptoJS.enc.Hex)}`;
+  try {
+    const { success, signature } = await rnBiometrics.createSignature({ promptMessage, payload: challenge });
+    if (!success || !signature) {
+      return { success: false, reason: 'cancelled' };
+    }
+    if (!verifyBiometricSignature(record.publicKey, challenge, signature)) {
+      console.error('❌ Biometric signature does not match the enrolled key');
+      return { success: false, reason: 'error' };
+    }
+  } catch (error) {
+    if (isInvalidatedKeyError(error)) {
+      console.log('🔑 Biometric key invalidated - removing enrollment');
+      await removeBiometricKey();
+      return { success: false, reason: 'invalidated' };
+    }
+    console.error('❌ Biometric signature failed:', error);
+    return { success: false, reason: 'error' };
+  }
+
+  return { success: true, user: record.user };
+};
+
+// ============================================
+// DATA ENCRYPTION
+// ============================================
+
+// Each account has its own data key; the app reads any account's (a notification action
+// for an account other than the active one) without switching to it
+const dataKeyPromises = new Map();
+
+const loadOrCreateDataKey = async (accountId) => {
+  const service = scoped(DATA_KEY_SERVICE, accountId);
+  const credentials = await Keychain.getGenericPassword({ service });
+  const keyHex = credentials
+    ? credentials.password
+    : CryptoJS.lib.WordArray.random(DATA_ENCRYPTION.KEY_BYTES).toString(CryptoJS.enc.Hex);
+
+  if (!credentials) {
+    await Keychain.setGenericPassword('data-key', keyHex, {
+      service,
+      accessible: DATA_KEY_ACCESSIBLE,
+    });
+    console.log('🔑 Data encryption key created');
+  }
+
+  const half = keyHex.length / 2;
+  return {
+    encKey: CryptoJS.enc.Hex.parse(keyHex.slice(0, half)),
+    macKey: CryptoJS.enc.Hex.parse(keyHex.slice(half)),
+  };
+};
+
+// Read once and kept in memory; concurrent first reads share one Keychain lookup (and one new key)
+const getDataKey = (accountId) => {
+  if (!dataKeyPromises.has(accountId)) {
+    dataKeyPromises.set(accountId, loadOrCreateDataKey(accountId).catch((error) => {
+      dataKeyPromises.delete(accountId);
+      throw error;
+    }));
+  }
+  return dataKeyPromises.get(accountId);
+};
+
+const macFor = (iv, ciphertext, macKey) =>
+  CryptoJS.HmacSHA256(`${DATA_ENCRYPTION.VERSION}:${iv}:${ciphertext}`, macKey).toString(CryptoJS.enc.Hex);
+
+// Whether a stored string came from encryptData (anything else is legacy plaintext)
+export const isEncryptedData = (value) =>
+  typeof value === 'string' && value.startsWith(`${DATA_ENCRYPTION.VERSION}:`);
+
+/**
+ * Encrypt a string with an account's data key
+ * @param {string} plaintext
+ * @param {string|null} [accountId] defaults to the active account
+ * @returns {Promise<string>} `enc1:<iv hex>:<ciphertext base64>:<mac hex>`
+ */
+export const encryptData = async (plaintext, accountId = activeAccountId) => {
+  const { encKey, macKey } = await getDataKey(accountId);
+  const iv = CryptoJS.lib.WordArray.random(DATA_ENCRYPTION.IV_BYTES);
+  const ciphertext = CryptoJS.AES.encrypt(plaintext, encKey, { iv }).ciphertext.toString(CryptoJS.enc.Base64);
+  const ivHex = iv.toString(CryptoJS.enc.Hex);
+  return `${DATA_ENCRYPTION.VERSION}:${ivHex}:${ciphertext}:${macFor(ivHex, ciphertext, macKey)}`;
+};
+
+/**
+ * Decrypt a value from encryptData
+ * @param {string} payload
+ * @param {string|null} [accountId] defaults to the active account
+ * @returns {Promise<string|null>} null if it was tampered with or encrypted under a destroyed key
+ */
+export const decryptData = async (payload, accountId = activeAccountId) => {
+  const [version, ivHex, ciphertext, mac] = String(payload).split(':');
+  if (version !== DATA_ENCRYPTION.VERSION || !ivHex || !ciphertext || !mac) {
+    return null;
+  }
+
+  const { encKey, macKey } = await getDataKey(accountId);
+  if (!constantTimeEqual(macFor(ivHex, ciphertext, macKey), mac)) {
+    return null;
+  }
+
+  const decrypted = CryptoJS.AES.decrypt(
+    CryptoJS.lib.CipherParams.create({ ciphertext: CryptoJS.enc.Base64.parse(ciphertext) }),
+    encKey,
+    { iv: CryptoJS.enc.Hex.parse(ivHex) }
+  );
+  return decrypted.toString(CryptoJS.enc.Utf8);
+};
+
+// Full logout: without the key, everything encryptData produced is unreadable
+export const destroyDataKey = async () => {
+  try {
+    dataKeyPromises.delete(activeAccountId);
+    await Keychain.resetGenericPassword({ service: scoped(DATA_KEY_SERVICE) });
+    console.log('✅ Data encryption key destroyed');
+  } catch (error) {
+    console.error('❌ Error destroying data key:', error);
+    throw error;
+  }
+};
+
+// ============================================
+// AUDIT LOG SIGNING
+// ============================================
+
+// One key for the whole device, not one per account: the log also records events with no
+// account selected (failed sign-ins, device checks at startup), and it has to outlive a full
+// logout, which destroys that account's Keychain entries. Entries still name their account.
+let auditKeyPromise = null;
+
+const loadOrCreateAuditKey = async () => {
+  const credentials = await Keychain.getGenericPassword({ service: AUDIT_KEY_SERVICE });
+  if (credentials) {
+    return CryptoJS.enc.Hex.parse(credentials.password);
+  }
+
+  const keyHex = CryptoJS.lib.WordArray.random(AUDIT_KEY_BYTES).toString(CryptoJS.enc.Hex);
+  await Keychain.setGenericPassword('audit-key', keyHex, {
+    service: AUDIT_KEY_SERVICE,
+    accessible: DATA_KEY_ACCESSIBLE,
+  });
+  console.log('🔑 Audit log key created');
+  return CryptoJS.enc.Hex.parse(keyHex);
+};
+
+/**
+ * HMAC-SHA256 of an audit log entry under the Keychain audit key
+ * @param {string} text
+ * @returns {Promise<string>} hex
+ */
+export const signAuditEntry = async (text) => {
+  if (!auditKeyPromise) {
+    auditKeyPromise = loadOrCreateAuditKey().catch((error) => {
+      auditKeyPromise = null;
+      throw error;
+    });
+  }
+  return CryptoJS.HmacSHA256(text, await auditKeyPromise).toString(CryptoJS.enc.Hex);
+};
+
+export const verifyAuditSignature = async (text, signature) =>
+  constantTimeEqual(await signAuditEntry(text), signature);
+
+/**
+ * The newest audit entry's seq and hash, and how many entries the log should hold.
+ * Kept in the Keychain, apart from the log, so that cutting entries off the log or
+ * deleting it shows up in AuditLogService.verify.
+ * @returns {Promise<{ seq: number, hash: string, count: number }|null>} null before the first entry
+ */
+export const getAuditHead = async () => {
+  const credentials = await Keychain.getGenericPassword({ service: AUDIT_HEAD_SERVICE });
+  return credentials ? JSON.parse(credentials.password) : null;
+};
+
+export const saveAuditHead = async (head) => {
+  await Keychain.setGenericPassword('audit-head', JSON.stringify(head), {
+    service: AUDIT_HEAD_SERVICE,
+    accessible: DATA_KEY_ACCESSIBLE,
+  });
+};
+
 // ============================================
 // UTILITY FUNCTIONS
 // ============================================
 
 /**
  * Clear all stored credentials (full logout)
- * Clears both JWT token and PIN
+ * Clears JWT token, PIN, the biometric key and the data encryption key
  */
 export const clearAllCredentials = async () => {
   try {
     await Promise.all([
       clearToken(),
       clearPin(),
+      clearBiometrics(),
+      destroyDataKey(),
     ]);
     console.log('✅ All credentials cleared');
   } catch (error) {
@@ -105,8 +690,8 @@ export const clearAllCredentials = async () => {
  */
 export const hasPinSet = async () => {
   try {
-    const pin = await getPin();
-    return !!pin;
+    const record = await getPinRecord();
+    return !!record;
   } catch (error) {
     console.error('❌ Error checking PIN:', error);
     return false;
@@ -120,8 +705,17 @@ export const hasPinSet = async () => {
  */
 export const verifyPin = async (inputPin) => {
   try {
-    const storedPin = await getPin();
-    return storedPin === inputPin;
+    const record = await getPinRecord();
+    if (!record) {
+      return false;
+    }
+
+    const matches = constantTimeEqual(hashPin(inputPin, record.salt, record.iterations), record.hash);
+    if (matches && record.iterations < PIN_HASH_CONFIG.ITERATIONS) {
+      // Re-hash with the current work factor while we have the PIN in hand
+      await savePinRecord(createPinRecord(inputPin, record.format));
+    }
+    return matches;
   } catch (error) {
     console.error('❌ Error verifying PIN:', error);
     return false;
@@ -0,0 +1,170 @@
+import StorageService from './StorageService';
+
+// Merge strategies, usable as the default or per field
+export const STRATEGIES = {
+  LAST_WRITER_WINS: 'last-writer-wins',
+  SERVER_WINS: 'server-wins',
+  LOCAL_WINS: 'local-wins',
+  MANUAL: 'manual',
+};
+
+// User-editable task fields that take part in merges
+export const MERGE_FIELDS = ['title', 'description', 'priority', 'dueDate', 'reminderOffsets', 'completed', 'completedAt', 'image'];
+
+const DEFAULT_POLICY = {
+  default: STRATEGIES.MANUAL,
+  fields: {
+    // Ticking a box off is rarely worth a prompt
+    completed: STRATEGIES.LAST_WRITER_WINS,
+    completedAt: STRATEGIES.LAST_WRITER_WINS,
+  },
+};
+
+const isSameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+const toTime = (value) => (value ? new Date(value).getTime() || 0 : 0);
+
+class ConflictResolver {
+  constructor() {
+    this.policy = DEFAULT_POLICY;
+  }
+
+  // ============================================
+  // POLICY
+  // ============================================
+
+  async getPolicy() {
+    const saved = await StorageService.getConflictPolicy();
+    if (saved) {
+      this.policy = { ...DEFAULT_POLICY, ...saved, fields: { ...DEFAULT_POLICY.fields, ...saved.fields } };
+    }
+    return this.policy;
+  }
+
+  async setPolicy(policy) {
+    this.policy = { ...this.policy, ...policy, fields: { ...this.policy.fields, ...policy.fields } };
+    await StorageService.saveConflictPolicy(this.policy);
+    return this.policy;
+  }
+
+  getStrategyForField(field, policy = this.policy) {
+    return (policy.fields && policy.fields[field]) || policy.default;
+  }
+
+  // ============================================
+  // DETECTION & MERGE
+  // ============================================
+
+  /**
+   * Whether the server copy moved on since `base` was fetched.
+   * Prefers version, then updatedAt, then a field-by-field comparison.
+   */
+  hasServerChanged(base, server) {
+    if (!base || !server) {
+      return false;
+    }
+    if (base.version !== undefined && server.version !== undefined) {
+      return base.version !== server.version;
+    }
+    if (base.updatedAt && server.updatedAt) {
+      return toTime(base.updatedAt) !== toTime(server.updatedAt);
+    }
+    return MERGE_FIELDS.some(field => field in server && !isSameValue(base[field], server[field]));
+  }
+
+  /**
+   * Three-way merge of a local edit against the current server copy.
+   * Fields changed on one side only merge cleanly; fields changed on both
+   * sides are settled by the policy, and 'manual' ones come back in `conflicts`.
+   * Either side may be partial: a field it doesn't carry counts as unchanged.
+   *
+   * @returns {{ merged: Object, conflicts: Array<{ field, base, local, server }> }}
+   */
+  merge({ base, local, server }, policy = this.policy) {
+    const merged = { ...server };
+    const conflicts = [];
+    const localIsNewer = toTime(local.updatedAt) > toTime(server.updatedAt);
+
+    for (const field of MERGE_FIELDS) {
+      const localChanged = field in local && !isSameValue(base[field], local[field]);
+      const serverChanged = field in server && !isSameValue(base[field], server[field]);
+
+      if (!localChanged) {
+        continue;
+      }
+      if (!serverChanged || isSameValue(local[field], server[field])) {
+        merged[field] = local[field];
+        continue;
+      }
+
+      switch (this.getStrategyForField(field, policy)) {
+        case STRATEGIES.LOCAL_WINS:
+          merged[field] = local[field];
+          break;
+        case STRATEGIES.SERVER_WINS:
+          break;
+        case STRATEGIES.LAST_WRITER_WINS:
+          if (localIsNewer) {
+            merged[field] = local[field];
+          }
+          break;
+        default:
+          conflicts.push({ field, base: base[field], local: local[field], server: server[field] });
+      }
+    }
+
+    return { merged, conflicts };
+  }
+
+  /**
+   * Applies the user's picks to a stored conflict.
+   * @param {Object} conflict
+   * @param {Object<string, 'local'|'server'>} choices - field -> winning side
+   */
+  applyChoices(conflict, choices) {
+    const resolved = { ...conflict.merged };
+    conflict.fields.forEach(({ field, local, server }) => {
+      resolved[field] = choices[field] === 'local' ? local : server;
+    });
+    return resolved;
+  }
+
+  // ============================================
+  // PENDING CONFLICTS
+  // ============================================
+
+  async getConflicts() {
+    return await StorageService.getConflicts();
+  }
+
+  async getConflictById(conflictId) {
+    const conflicts = await this.getConflicts();
+    return conflicts.find(c => c.id === conflictId);
+  }
+
+  // One open conflict per task: a newer one replaces the old
+  async addConflict({ taskId, base, local, server, merged, fields }) {
+    const conflict = {
+      id: `conflict-${taskId}-${Date.now()}`,
+      taskId,
+      base,
+      local,
+      server,
+      merged,
+      fields,
+      detectedAt: new Date().toISOString(),
+    };
+    const conflicts = (await this.getConflicts()).filter(c => c.taskId !== taskId);
+    conflicts.push(conflict);
+    await StorageService.saveConflicts(conflicts);
+    console.log(`⚔️ Conflict recorded for task ${taskId}:`, fields.map(f => f.field).join(', '));
+    return conflict;
+  }
+
+  async removeConflict(conflictId) {
+    const conflicts = await this.getConflicts();
+    await StorageService.saveConflicts(conflicts.filter(c => c.id !== conflictId));
+  }
+}
+
+export default new ConflictResolver();
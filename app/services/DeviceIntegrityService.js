@@ -0,0 +1,157 @@
+import { Platform } from 'react-native';
+import DeviceInfo from 'react-native-device-info';
+import JailMonkey from 'jail-monkey';
+import StorageService from './StorageService';
+import AuditLogService, { AUDIT_EVENTS } from './AuditLogService';
+
+// What a failed check does (settings.security.integrityPolicy maps each check to one of these)
+const INTEGRITY_ACTIONS = {
+  BLOCK: 'block',                   // RootedDeviceScreen, the app does not start
+  WARN: 'warn',                     // one alert per finding, then the app runs normally
+  ALLOW_NO_CACHE: 'allow_no_cache', // runs silently, but nothing goes into the offline cache
+};
+
+// Stores the app may legitimately be installed from
+const TRUSTED_INSTALLERS = ['com.android.vending', 'AppStore', 'TestFlight'];
+
+// Each check resolves to true when the risk is present
+const CHECKS = [
+  {
+    id: 'rooted',
+    label: Platform.OS === 'ios' ? 'Jailbroken device' : 'Rooted device',
+    run: async () => JailMonkey.isJailBroken(),
+  },
+  {
+    id: 'hooking',
+    label: 'Hooking framework (Frida, Xposed, Substrate)',
+    run: async () => JailMonkey.hookDetected(),
+  },
+  {
+    id: 'debugger',
+    label: 'Debugger attached',
+    run: () => JailMonkey.isDebuggedMode(),
+    devExempt: true,
+  },
+  {
+    id: 'emulator',
+    label: 'Emulator or simulator',
+    run: () => DeviceInfo.isEmulator(),
+    devExempt: true,
+  },
+  {
+    id: 'installSource',
+    label: 'Installed outside the app store',
+    run: async () => !TRUSTED_INSTALLERS.includes(await DeviceInfo.getInstallerPackageName()),
+    devExempt: true,
+  },
+];
+
+// How a finding is listed to the user (RootedDeviceScreen, the warning alert)
+const describeFinding = ({ label, status }) => (status === 'unavailable' ? `${label} (could not be checked)` : label);
+
+// Development builds always run on emulators, under the debugger and sideloaded
+const isExempt = (check) => __DEV__ && check.devExempt;
+
+const MAX_LOG_ENTRIES = 50;
+
+class DeviceIntegrityService {
+  constructor() {
+    this.lastReport = null;
+  }
+
+  /**
+   * Run every check, apply the configured policy and record the result.
+   * @returns {Promise<{
+   *   checkedAt: string,
+   *   platform: string,
+   *   results: Array<{ id: string, label: string, status: 'passed'|'detected'|'exempt'|'unavailable', action: string|null }>,
+   *   blocked: boolean,
+   *   warnings: Array<{ id: string, label: string, status: 'detected'|'unavailable' }>,
+   *   cacheDisabled: boolean,
+   * }>}
+   */
+  async runChecks() {
+    const { integrityPolicy } = await StorageService.getSecuritySettings();
+
+    const results = [];
+    for (const check of CHECKS) {
+      let status;
+      try {
+        const detected = await check.run();
+        status = !detected ? 'passed' : isExempt(check) ? 'exempt' : 'detected';
+      } catch (error) {
+        // jail-monkey throws when its native module isn't linked (or has been tampered with)
+        console.warn(`Integrity check "${check.id}" unavailable:`, error.message);
+        status = 'unavailable';
+      }
+      // A check that couldn't run can't vouch for the device: its policy applies as for a detection
+      const failed = status === 'detected' || (status === 'unavailable' && !isExempt(check));
+      results.push({
+        id: check.id,
+        label: check.label,
+        status,
+        action: failed ? integrityPolicy[check.id] || INTEGRITY_ACTIONS.BLOCK : null,
+      });
+    }
+
+    const findings = results.filter(result => result.action);
+    const report = {
+      checkedAt: new Date().toISOString(),
+      platform: Platform.OS,
+      results,
+      blocked: findings.some(result => result.action === INTEGRITY_ACTIONS.BLOCK),
+      warnings: await this.takeNewWarnings(findings.filter(result => result.action === INTEGRITY_ACTIONS.WARN)),
+      cacheDisabled: findings.some(result => result.action === INTEGRITY_ACTIONS.ALLOW_NO_CACHE),
+    };
+
+    StorageService.setCacheEnabled(!report.cacheDisabled);
+    if (report.cacheDisabled) {
+      await StorageService.clearCache();
+    }
+
+    this.lastReport = report;
+    await this.record(report);
+    console.log(
+      findings.length ? '⚠️ Device integrity findings:' : '✅ Device integrity checks passed',
+      findings.map(result => `${result.id} → ${result.action}`).join(', ')
+    );
+    return report;
+  }
+
+  // "Warn once": only findings that haven't been shown on this device before. A check that
+  // couldn't run is a separate finding from the same check detecting something.
+  async takeNewWarnings(warnFindings) {
+    const warned = await StorageService.getIntegrityWarned();
+    const warningKey = result => (result.status === 'unavailable' ? `${result.id}:unavailable` : result.id);
+    const fresh = warnFindings.filter(result => !warned.includes(warningKey(result)));
+    if (fresh.length) {
+      await StorageService.saveIntegrityWarned([...warned, ...fresh.map(warningKey)]);
+    }
+    return fresh.map(({ id, label, status }) => ({ id, label, status }));
+  }
+
+  async record(report) {
+    const log = await StorageService.getIntegrityLog();
+    await StorageService.saveIntegrityLog([report, ...log].slice(0, MAX_LOG_ENTRIES));
+    AuditLogService.record(AUDIT_EVENTS.INTEGRITY_CHECK, {
+      findings: report.results.filter(result => result.action).map(({ id, action }) => ({ id, action })),
+      unavailable: report.results.filter(result => result.status === 'unavailable').map(result => result.id),
+    });
+  }
+
+  // Most recent report first
+  async getLog() {
+    return await StorageService.getIntegrityLog();
+  }
+
+  async getLastReport() {
+    if (!this.lastReport) {
+      const [latest] = await this.getLog();
+      this.lastReport = latest || null;
+    }
+    return this.lastReport;
+  }
+}
+
+export default new DeviceIntegrityService();
+export { INTEGRITY_ACTIONS, CHECKS as INTEGRITY_CHECKS, describeFinding };
@@ -1,9 +1,202 @@
-import notifee from '@notifee/react-native';
+import notifee, { TriggerType, EventType, AuthorizationStatus, AndroidStyle, RepeatFrequency } from '@notifee/react-native';
 import { Platform, Alert } from 'react-native';
+import StorageService from './StorageService';
+
+// Extra reminders offered when editing a task (minutes before the due time)
+export const REMINDER_OFFSETS = [
+  { minutes: 15, label: '15 min before' },
+  { minutes: 60, label: '1 hour before' },
+  { minutes: 24 * 60, label: '1 day before' },
+];
+
+// "15 minutes", "1 hour", "2 days"
+export const describeDuration = (minutes) => {
+  if (minutes % (24 * 60) === 0) {
+    const days = minutes / (24 * 60);
+    return `${days} day${days === 1 ? '' : 's'}`;
+  }
+  if (minutes % 60 === 0) {
+    const hours = minutes / 60;
+    return `${hours} hour${hours === 1 ? '' : 's'}`;
+  }
+  return `${minutes} minutes`;
+};
+
+// "in 15 minutes", "in 1 hour", "in 1 day"
+export const describeReminderOffset = (minutes) => `in ${describeDuration(minutes)}`;
+
+// Choices for Settings → Notifications → Snooze For (minutes)
+export const SNOOZE_OPTIONS = [5, 10, 15, 30, 60];
+
+// Choices for Settings → Reminders (hours of the day, minutes between escalations)
+export const DIGEST_HOURS = [6, 7, 8, 9, 10];
+export const ESCALATION_INTERVALS = [15, 30, 60, 120];
+export const QUIET_START_HOURS = [20, 21, 22, 23];
+export const QUIET_END_HOURS = [6, 7, 8, 9];
+
+// refreshSchedule plans digests this many days ahead, and this many escalations per task;
+// the last escalation repeats daily so they carry on while the app isn't opened
+const DIGEST_DAYS = 7;
+const MAX_ESCALATIONS = 6;
+
+const addDays = (timestamp, days) => {
+  const date = new Date(timestamp);
+  date.setDate(date.getDate() + days);
+  return date.getTime();
+};
+
+const startOfDay = (timestamp) => new Date(timestamp).setHours(0, 0, 0, 0);
+
+// Reminders from before accounts were recorded on them match any account
+const forAccount = (data, accountId) => !accountId || !data.accountId || data.accountId === String(accountId);
+
+const dueTime = (task) => (task.dueDate ? new Date(task.dueDate).getTime() : NaN);
+
+// A time inside quiet hours is moved to the moment they end
+export const outsideQuietHours = (timestamp, { enabled, startHour, endHour }) => {
+  if (!enabled || startHour === endHour) {
+    return timestamp;
+  }
+  const date = new Date(timestamp);
+  const hour = date.getHours() + date.getMinutes() / 60;
+  const quiet = startHour < endHour
+    ? hour >= startHour && hour < endHour
+    : hour >= startHour || hour < endHour; // overnight, e.g. 22 → 7
+  if (!quiet) {
+    return timestamp;
+  }
+  const end = new Date(timestamp).setHours(endHour, 0, 0, 0);
+  return end > timestamp ? end : addDays(end, 1);
+};
+
+// What the digest at `timestamp` reports: open tasks due that day, due before it, and high priority
+const summarizeDay = (tasks, timestamp) => {
+  const dayStart = startOfDay(timestamp);
+  const dayEnd = addDays(dayStart, 1);
+  const open = tasks.filter(task => !task.completed);
+  return {
+    dueToday: open.filter(task => dueTime(task) >= dayStart && dueTime(task) < dayEnd),
+    overdue: open.filter(task => dueTime(task) < dayStart),
+    highPriority: open.filter(task => task.priority === 'high'),
+  };
+};
+
+// When the digest on `day` (0 = today) goes off: the digest hour, or the end of quiet hours
+export const digestTime = (now, day, { digest, quietHours }) =>
+  outsideQuietHours(addDays(new Date(now).setHours(digest.hour, 0, 0, 0), day), quietHours);
+
+// "⚠️ Overdue", "⚠️ Overdue by 2 hours", then 🚨 from the fourth reminder on
+const escalationTitle = (level, intervalMinutes) =>
+  `${level >= 4 ? '🚨' : '⚠️'} Overdue${level > 1 ? ` by ${describeDuration(level * intervalMinutes)}` : ''}`;
+
+// Complete and Snooze run without opening the app; View Details brings it up
+const taskReminderAndroid = (snoozeMinutes) => ({
+  channelId: 'task-reminders',
+  smallIcon: 'ic_launcher',
+  pressAction: {
+    id: 'default',
+  },
+  actions: [
+    {
+      title: 'Mark Complete',
+      pressAction: {
+        id: 'complete',
+      },
+    },
+    {
+      title: `Snooze ${snoozeMinutes} min`,
+      pressAction: {
+        id: 'snooze',
+      },
+    },
+    {
+      title: 'View Details',
+      pressAction: {
+        id: 'view',
+        launchActivity: 'default',
+      },
+    },
+  ],
+});
+
+// iOS buttons come from a category registered in initialize()
+const TASK_REMINDER_IOS = {
+  categoryId: 'task-reminder',
+};
+
+// Overdue high-priority tasks: Acknowledge stops the escalation without completing the task
+const TASK_ESCALATION_ANDROID = {
+  channelId: 'task-reminders',
+  smallIcon: 'ic_launcher',
+  pressAction: {
+    id: 'default',
+  },
+  actions: [
+    {
+      title: 'Mark Complete',
+      pressAction: {
+        id: 'complete',
+      },
+    },
+    {
+      title: 'Acknowledge',
+      pressAction: {
+        id: 'acknowledge',
+      },
+    },
+    {
+      title: 'View Details',
+      pressAction: {
+        id: 'view',
+        launchActivity: 'default',
+      },
+    },
+  ],
+};
+
+const TASK_ESCALATION_IOS = {
+  categoryId: 'task-escalation',
+};
+
+// Persistent notification with an inline reply that creates a task (see refreshQuickAdd)
+const QUICK_ADD_ID = 'quick-add';
+
+const QUICK_ADD_ANDROID = {
+  channelId: 'general',
+  smallIcon: 'ic_launcher',
+  ongoing: true,
+  autoCancel: false,
+  onlyAlertOnce: true,
+  pressAction: {
+    id: 'default',
+  },
+  actions: [
+    {
+      title: 'Add Task',
+      pressAction: {
+        id: 'quick_add',
+      },
+      input: {
+        placeholder: 'New task',
+        allowFreeFormInput: true,
+      },
+    },
+  ],
+};
+
+const QUICK_ADD_IOS = {
+  categoryId: 'quick-add',
+};
 
 class NotificationService {
   constructor() {
     this.initialized = false;
+    this.completeTaskHandler = null; // see setCompleteTaskHandler
+    this.quickAddHandler = null;     // see setQuickAddHandler
+    this.openTaskHandler = null;     // see onOpenTask
+    this.pendingTaskOpen = null;     // { taskId, accountId } waiting for onOpenTask
+    this.plannedTasks = [];          // task list refreshSchedule last planned from
+    this.planning = Promise.resolve(); // refreshSchedule runs one at a time
   }
 
   async initialize() {
@@ -17,6 +210,8 @@ class NotificationService {
         // Create notification channels for Android
         if (Platform.OS === 'android') {
           await this.createNotificationChannels();
+        } else {
+          await this.createNotificationCategories();
         }
         this.initialized = true;
         return true;
@@ -50,148 +245,583 @@ class NotificationService {
     });
   }
 
-  async scheduleTaskReminder(task) {
+  async createNotificationCategories() {
+    await notifee.setNotificationCategories([
+      {
+        id: 'task-reminder',
+        actions: [
+          { id: 'complete', title: 'Mark Complete' },
+          { id: 'snooze', title: 'Snooze' },
+          { id: 'view', title: 'View Details', foreground: true },
+        ],
+      },
+      {
+        id: 'task-escalation',
+        actions: [
+          { id: 'complete', title: 'Mark Complete' },
+          { id: 'acknowledge', title: 'Acknowledge' },
+          { id: 'view', title: 'View Details', foreground: true },
+        ],
+      },
+      {
+        id: 'quick-add',
+        actions: [
+          { id: 'quick_add', title: 'Add Task', input: { placeholderText: 'New task', buttonText: 'Add' } },
+        ],
+      },
+    ]);
+  }
+
+  /**
+   * (Re)schedule a task's reminders: one at the due time and one per `reminderOffsets`
+   * entry (minutes before it). Existing reminders for the task are replaced; completed
+   * tasks, tasks without a parseable due date and times already past get none, as does
+   * everything while notifications are off in Settings. Times in quiet hours are moved to their end.
+   * @param {Object} task
+   * @param {string} [accountId] the task's account; the active one by default
+   * @returns {Promise<string[]>} ids of the scheduled notifications
+   */
+  async scheduleTaskReminder(task, accountId = StorageService.accountId) {
+    await this.cancelTaskReminder(task.id, accountId);
+
+    const dueAt = task.dueDate ? new Date(task.dueDate).getTime() : NaN;
+    const { notifications, snoozeMinutes, quietHours } = await StorageService.getSettings();
+    if (task.completed || Number.isNaN(dueAt) || !notifications) {
+      return [];
+    }
+
     if (!this.initialized) {
       await this.initialize();
     }
 
+    const offsets = [0, ...(task.reminderOffsets || []).filter(minutes => minutes > 0)];
+    const scheduled = [];
+    const scheduledTimes = [];
     try {
-      const notificationId = `task-${task.id}`;
-      
-      await notifee.displayNotification({
-        id: notificationId,
-        title: 'Task Reminder',
-        body: task.title,
-        data: { 
-          taskId: task.id,
-          type: 'task_reminder'
-        },
-        android: {
-          channelId: 'task-reminders',
-          smallIcon: 'ic_launcher',
-          pressAction: {
-            id: 'default',
-          },
-          actions: [
-            {
-              title: 'Mark Complete',
-              pressAction: {
-                id: 'complete',
-              },
-            },
-            {
-              title: 'View Details',
-              pressAction: {
-                id: 'view',
-              },
+      for (const minutes of offsets) {
+        const timestamp = outsideQuietHours(dueAt - minutes * 60 * 1000, quietHours);
+        // Reminders moved out of quiet hours can land together; one is enough
+        if (timestamp <= Date.now() || scheduledTimes.includes(timestamp)) continue;
+        scheduledTimes.push(timestamp);
+
+        const notificationId = await notifee.createTriggerNotification(
+          {
+            id: `task-${task.id}-${minutes}`,
+            title: minutes ? `Due ${describeReminderOffset(minutes)}` : 'Task Due Now',
+            body: task.title,
+            data: {
+              taskId: String(task.id),
+              accountId: accountId || '',
+              type: 'task_reminder',
+              snoozeMinutes: String(snoozeMinutes), // so the button's label and effect agree
             },
-          ],
-        },
-      });
+            android: taskReminderAndroid(snoozeMinutes),
+            ios: TASK_REMINDER_IOS,
+          },
+          {
+            type: TriggerType.TIMESTAMP,
+            timestamp,
+            alarmManager: { allowWhileIdle: true },
+          }
+        );
+        scheduled.push(notificationId);
+      }
 
-      return notificationId;
+      if (scheduled.length) {
+        console.log(`⏰ Scheduled ${scheduled.length} reminder(s) for task`, task.id);
+      }
+      return scheduled;
     } catch (error) {
       console.error('Error scheduling notification:', error);
       throw error;
     }
   }
 
-  async cancelTaskReminder(taskId) {
+  // Pending and delivered reminders for a task (ids are only unique within an account)
+  async cancelTaskReminder(taskId, accountId = StorageService.accountId) {
+    await this.cancelRemindersWhere(data => data.taskId === String(taskId) && forAccount(data, accountId));
+  }
+
+  // Every reminder and digest for an account (full logout: its task titles shouldn't keep popping up)
+  async cancelAccountReminders(accountId) {
+    await this.cancelRemindersWhere(data => data.accountId === String(accountId));
+  }
+
+  async cancelRemindersWhere(matches) {
     try {
-      const notificationId = `task-${taskId}`;
-      await notifee.cancelNotification(notificationId);
+      const pending = await notifee.getTriggerNotifications();
+      const displayed = await notifee.getDisplayedNotifications();
+      const ids = [...pending, ...displayed]
+        .map(({ notification }) => notification)
+        .filter(notification => ['task_reminder', 'digest'].includes(notification.data?.type) && matches(notification.data))
+        .map(notification => notification.id);
+
+      await Promise.all(ids.map(id => notifee.cancelNotification(id)));
     } catch (error) {
       console.error('Error canceling notification:', error);
     }
   }
 
-  async sendPushNotification(title, body, data = {}) {
-    if (!this.initialized) {
-      await this.initialize();
+  // --- Digest and overdue escalation ---
+
+  /**
+   * Plan what depends on the whole task list: a morning digest for each of the next
+   * DIGEST_DAYS days and escalating reminders for overdue high-priority tasks. store.js
+   * calls this whenever the list changes, so a digest shows the list as it was last
+   * planned and each task has MAX_ESCALATIONS reminders ahead. Each delivered escalation
+   * tops its task up again (see extendEscalation); where deliveries don't reach us, the
+   * last one repeats daily until the app next plans.
+   * @param {Object[]} tasks the active account's tasks
+   */
+  refreshSchedule(tasks) {
+    this.plannedTasks = tasks;
+    this.planning = this.planning.then(async () => {
+      const accountId = StorageService.accountId;
+      if (!accountId || !(await this.canPlan())) {
+        return;
+      }
+      try {
+        const settings = await StorageService.getSettings();
+        const pending = (await notifee.getTriggerNotifications()).map(({ notification }) => notification);
+        // Other accounts' digests and escalations stay until they are next planned
+        await notifee.cancelTriggerNotifications(
+          pending
+            .filter(({ data }) => (data?.type === 'digest' || data?.kind === 'escalation') && data.accountId === accountId)
+            .map(notification => notification.id)
+        );
+        if (!settings.notifications) {
+          return;
+        }
+        await this.scheduleDigests(tasks, settings, accountId);
+        await this.scheduleEscalations(tasks, settings, accountId);
+      } catch (error) {
+        console.error('Error planning digest and escalations:', error);
+      }
+    });
+    return this.planning;
+  }
+
+  // Notification, digest or quiet-hours settings changed: every time may move (or go)
+  async replanAll() {
+    for (const task of this.plannedTasks) {
+      if (task.dueDate && !task.completed) {
+        await this.scheduleTaskReminder(task).catch(error => console.log('Reminder not rescheduled:', error));
+      }
     }
+    await this.refreshSchedule(this.plannedTasks);
+  }
 
-    try {
-      await notifee.displayNotification({
-        title,
-        body,
-        data,
-        android: {
-          channelId: 'general',
-          smallIcon: 'ic_launcher',
+  // Planning runs on every task change, so it never prompts for permission itself
+  async canPlan() {
+    const { authorizationStatus } = await notifee.getNotificationSettings();
+    if (authorizationStatus !== AuthorizationStatus.AUTHORIZED) {
+      return false;
+    }
+    return this.initialized || !!(await this.initialize());
+  }
+
+  async scheduleDigests(tasks, settings, accountId) {
+    if (!settings.digest.enabled) {
+      return;
+    }
+
+    for (let day = 0; day < DIGEST_DAYS; day++) {
+      const timestamp = digestTime(Date.now(), day, settings);
+      if (timestamp <= Date.now()) continue;
+
+      const { dueToday, overdue, highPriority } = summarizeDay(tasks, timestamp);
+      if (!dueToday.length && !overdue.length && !highPriority.length) continue;
+
+      const summary = `${dueToday.length} due today · ${overdue.length} overdue · ${highPriority.length} high priority`;
+      const titles = [...new Set([...overdue, ...dueToday, ...highPriority])]
+        .slice(0, 5)
+        .map(task => `• ${task.title}`);
+
+      await notifee.createTriggerNotification(
+        {
+          id: `digest-${new Date(timestamp).toDateString()}`,
+          title: '☀️ Your day',
+          body: summary,
+          data: { type: 'digest', accountId },
+          android: {
+            channelId: 'general',
+            smallIcon: 'ic_launcher',
+            pressAction: {
+              id: 'default',
+            },
+            style: { type: AndroidStyle.BIGTEXT, text: [summary, ...titles].join('\n') },
+          },
         },
-      });
-    } catch (error) {
-      console.error('Error sending push notification:', error);
+        {
+          type: TriggerType.TIMESTAMP,
+          timestamp,
+          alarmManager: { allowWhileIdle: true },
+        }
+      );
     }
   }
 
-  async getNotificationSettings() {
-    try {
-      return await notifee.getNotificationSettings();
-    } catch (error) {
-      console.error('Error getting notification settings:', error);
-      return null;
+  async scheduleEscalations(tasks, settings, accountId) {
+    // Acknowledgements for tasks that no longer exist aren't needed
+    const storage = StorageService.forAccount(accountId);
+    const acks = await storage.getOverdueAcks();
+    const taskIds = tasks.map(task => String(task.id));
+    const keptAcks = Object.fromEntries(Object.entries(acks).filter(([taskId]) => taskIds.includes(taskId)));
+    if (Object.keys(keptAcks).length !== Object.keys(acks).length) {
+      await storage.saveOverdueAcks(keptAcks);
+    }
+
+    if (!settings.overdueEscalation.enabled) {
+      return;
+    }
+
+    for (const task of tasks) {
+      if (task.completed || task.priority !== 'high' || keptAcks[task.id] === task.dueDate) {
+        continue;
+      }
+      await this.scheduleTaskEscalations(task, settings, accountId);
+    }
+  }
+
+  // The next MAX_ESCALATIONS reminders for one overdue task, replacing any planned with the same level
+  async scheduleTaskEscalations(task, { overdueEscalation, quietHours }, accountId) {
+    const dueAt = dueTime(task);
+    if (Number.isNaN(dueAt)) {
+      return;
+    }
+
+    const { intervalMinutes } = overdueEscalation;
+    const interval = intervalMinutes * 60 * 1000;
+    const now = Date.now();
+    // Levels continue from how long the task has been overdue already
+    const firstLevel = Math.max(1, Math.floor((now - dueAt) / interval) + 1);
+    const planned = [];
+    for (let level = firstLevel; level < firstLevel + MAX_ESCALATIONS; level++) {
+      const timestamp = outsideQuietHours(dueAt + level * interval, quietHours);
+      if (timestamp <= now || planned.some(escalation => escalation.timestamp === timestamp)) continue;
+      planned.push({ level, timestamp });
+    }
+
+    for (const [index, { level, timestamp }] of planned.entries()) {
+      // The last one keeps its time of day, so repeating it never lands in quiet hours
+      const repeats = index === planned.length - 1;
+      await notifee.createTriggerNotification(
+        {
+          id: `task-${task.id}-overdue-${level}`,
+          title: repeats ? '🚨 Still overdue' : escalationTitle(level, intervalMinutes),
+          body: task.title,
+          data: {
+            taskId: String(task.id),
+            accountId,
+            type: 'task_reminder',
+            kind: 'escalation',
+            dueDate: task.dueDate,
+          },
+          android: TASK_ESCALATION_ANDROID,
+          ios: TASK_ESCALATION_IOS,
+        },
+        {
+          type: TriggerType.TIMESTAMP,
+          timestamp,
+          ...(repeats && { repeatFrequency: RepeatFrequency.DAILY }),
+          alarmManager: { allowWhileIdle: true },
+        }
+      );
     }
   }
 
-  async openNotificationSettings() {
+  // An escalation went off: plan the task's next ones from here, so they don't run out
+  // while the app stays closed. Delivery events come in the background on Android and
+  // while the app is open on iOS.
+  async extendEscalation(notification) {
+    const { taskId, accountId, dueDate } = notification.data;
     try {
-      await notifee.openNotificationSettings();
+      const settings = await StorageService.getSettings();
+      const acks = await StorageService.forAccount(accountId).getOverdueAcks();
+      if (!settings.notifications || !settings.overdueEscalation.enabled || acks[taskId] === dueDate) {
+        return;
+      }
+      // If this was the repeating one, a later level takes over repeating
+      await notifee.cancelTriggerNotification(notification.id);
+      await this.scheduleTaskEscalations({ id: taskId, title: notification.body, dueDate }, settings, accountId);
     } catch (error) {
-      console.error('Error opening notification settings:', error);
+      console.error('Error extending overdue escalation:', error);
     }
   }
 
-  // Handle notification events
+  /**
+   * Background events (action buttons pressed and escalations delivered while the app is
+   * closed or in the background).
+   * Registered from index.js, before the app component, so it also runs headless.
+   */
+  registerBackgroundHandler() {
+    notifee.onBackgroundEvent(async ({ type, detail }) => {
+      console.log('Background notification event:', type, detail);
+      await this.handleEvent(type, detail);
+    });
+  }
+
+  /**
+   * Foreground events, plus the notification that launched the app (if any).
+   * @returns {() => void} unsubscribe
+   */
   setupNotificationHandlers() {
-    // Foreground event handler
-    notifee.onForegroundEvent(({ type, detail }) => {
+    notifee.getInitialNotification()
+      .then(initial => initial && this.handleEvent(EventType.ACTION_PRESS, initial))
+      .catch(error => console.error('Error reading initial notification:', error));
+
+    return notifee.onForegroundEvent(({ type, detail }) => {
       console.log('Foreground notification event:', type, detail);
-      
-      if (type === 1) { // Press
-        this.handleNotificationPress(detail.notification);
-      } else if (type === 2) { // Action press
-        this.handleNotificationAction(detail.notification, detail.pressAction);
-      }
+      this.handleEvent(type, detail);
     });
+  }
 
-    // Background event handler
-    notifee.onBackgroundEvent(async ({ type, detail }) => {
-      console.log('Background notification event:', type, detail);
-      
-      if (type === 2) { // Action press
-        this.handleNotificationAction(detail.notification, detail.pressAction);
+  async handleEvent(type, { notification, pressAction, input }) {
+    if (notification?.data?.type === 'quick_add') {
+      if (type === EventType.ACTION_PRESS && pressAction?.id === 'quick_add') {
+        await this.addFromNotification(notification, input);
       }
-    });
+      return;
+    }
+    if (notification?.data?.type !== 'task_reminder') {
+      return;
+    }
+    if (type === EventType.PRESS) {
+      this.handleNotificationPress(notification);
+    } else if (type === EventType.DELIVERED && notification.data.kind === 'escalation') {
+      await this.extendEscalation(notification);
+    } else if (type === EventType.ACTION_PRESS) {
+      await this.handleNotificationAction(notification, pressAction);
+    }
   }
 
   handleNotificationPress(notification) {
-    const { data } = notification;
-    
-    if (data?.taskId) {
-      // Navigate to task details
-      console.log('Navigate to task:', data.taskId);
-      // This would typically use navigation service
-    }
+    this.openTask(notification.data);
   }
 
-  handleNotificationAction(notification, action) {
-    const { data } = notification;
-    
-    switch (action.id) {
+  async handleNotificationAction(notification, action) {
+    switch (action?.id) {
       case 'complete':
-        console.log('Mark task complete:', data.taskId);
-        // Handle task completion
+        await this.completeFromNotification(notification);
+        break;
+      case 'snooze':
+        await this.snoozeReminder(notification);
+        break;
+      case 'acknowledge':
+        await this.acknowledgeOverdue(notification);
         break;
       case 'view':
-        console.log('View task details:', data.taskId);
-        // Navigate to task details
+      case 'default':
+        this.openTask(notification.data);
         break;
       default:
-        console.log('Unknown action:', action.id);
+        console.log('Unknown action:', action?.id);
     }
   }
+
+  // index.js registers the store's completeTask here, as (taskId, accountId) => Promise;
+  // it may run before any screen has mounted
+  setCompleteTaskHandler(handler) {
+    this.completeTaskHandler = handler;
+  }
+
+  // Mark Complete, on the reminder's account whichever is signed in
+  async completeFromNotification(notification) {
+    const { taskId, accountId } = notification.data;
+    try {
+      if (!this.completeTaskHandler) {
+        throw new Error('No task completion handler registered');
+      }
+      // Completing cancels the task's reminders, this one included
+      await this.completeTaskHandler(taskId, accountId || null);
+      console.log('✅ Completed task from notification:', taskId);
+    } catch (error) {
+      console.error('Error completing task from notification:', error);
+      await this.replaceNotification(notification, {
+        body: `${notification.body}\nCouldn't mark this task complete. Open the app to try again.`,
+      });
+    }
+  }
+
+  // Stop a task's overdue escalation until its due date changes
+  async acknowledgeOverdue(notification) {
+    const { taskId, accountId, dueDate } = notification.data;
+    try {
+      const storage = StorageService.forAccount(accountId);
+      const acks = await storage.getOverdueAcks();
+      await storage.saveOverdueAcks({ ...acks, [taskId]: dueDate });
+      await this.cancelRemindersWhere(data =>
+        data.taskId === taskId && data.kind === 'escalation' && data.accountId === accountId
+      );
+      console.log('👍 Acknowledged overdue task:', taskId);
+    } catch (error) {
+      console.error('Error acknowledging overdue task:', error);
+    }
+  }
+
+  // Show the reminder again after the configured snooze time
+  async snoozeReminder(notification) {
+    try {
+      const snoozeMinutes = await this.getSnoozeMinutes(notification);
+      const { quietHours } = await StorageService.getSettings();
+      await notifee.cancelNotification(notification.id);
+      await notifee.createTriggerNotification(
+        {
+          id: `task-${notification.data.taskId}-snooze`,
+          title: notification.title,
+          body: notification.body,
+          data: notification.data,
+          android: taskReminderAndroid(snoozeMinutes),
+          ios: TASK_REMINDER_IOS,
+        },
+        {
+          type: TriggerType.TIMESTAMP,
+          timestamp: outsideQuietHours(Date.now() + snoozeMinutes * 60 * 1000, quietHours),
+          alarmManager: { allowWhileIdle: true },
+        }
+      );
+      console.log(`😴 Snoozed reminder for ${snoozeMinutes} min:`, notification.data.taskId);
+    } catch (error) {
+      console.error('Error snoozing notification:', error);
+    }
+  }
+
+  // As scheduled; the current setting for reminders from before it was stored
+  async getSnoozeMinutes(notification) {
+    const scheduled = Number(notification.data.snoozeMinutes);
+    return scheduled > 0 ? scheduled : (await StorageService.getSettings()).snoozeMinutes;
+  }
+
+  async replaceNotification(notification, changes) {
+    try {
+      const escalation = notification.data.kind === 'escalation';
+      const snoozeMinutes = await this.getSnoozeMinutes(notification);
+      await notifee.displayNotification({
+        id: notification.id,
+        title: notification.title,
+        body: notification.body,
+        data: notification.data,
+        android: escalation ? TASK_ESCALATION_ANDROID : taskReminderAndroid(snoozeMinutes),
+        ios: escalation ? TASK_ESCALATION_IOS : TASK_REMINDER_IOS,
+        ...changes,
+      });
+    } catch (error) {
+      console.error('Error updating notification:', error);
+    }
+  }
+
+  // --- Quick add ---
+
+  // index.js registers the store's quickAddTask here, as (text, accountId) => Promise<task>
+  setQuickAddHandler(handler) {
+    this.quickAddHandler = handler;
+  }
+
+  /**
+   * Show or remove the persistent Quick add notification to match Settings → Notifications.
+   * It adds to the account that is active when it's shown, so account changes refresh it.
+   * @param {string} [status] line shown under the title, e.g. the last task added
+   * @param {string} [accountId] the account it adds to; the active one by default
+   */
+  async refreshQuickAdd(status, accountId = StorageService.accountId) {
+    try {
+      const { notifications, quickAddNotification } = await StorageService.getSettings();
+      if (!notifications || !quickAddNotification || !accountId) {
+        await this.hideQuickAdd();
+        return;
+      }
+
+      if (!this.initialized) {
+        await this.initialize();
+      }
+      await notifee.displayNotification({
+        id: QUICK_ADD_ID,
+        title: 'Quick add',
+        body: status || 'Type a task without opening the app. Add !high, !medium or !low to set its priority.',
+        data: { type: 'quick_add', accountId },
+        android: QUICK_ADD_ANDROID,
+        ios: QUICK_ADD_IOS,
+      });
+    } catch (error) {
+      console.error('Error showing quick add notification:', error);
+    }
+  }
+
+  async hideQuickAdd() {
+    try {
+      await notifee.cancelNotification(QUICK_ADD_ID);
+    } catch (error) {
+      console.error('Error hiding quick add notification:', error);
+    }
+  }
+
+  // Inline reply: the text becomes a new local task. The notification is always shown
+  // again afterwards, which also clears Android's sending spinner.
+  async addFromNotification(notification, input) {
+    // Re-shown for the active account; with none selected (app closed), for the same one
+    const { accountId } = notification.data;
+    const showFor = () => StorageService.accountId || accountId;
+    const text = (input || '').trim();
+    if (!text) {
+      await this.refreshQuickAdd(undefined, showFor());
+      return;
+    }
+
+    let status;
+    try {
+      if (!this.quickAddHandler) {
+        throw new Error('No quick add handler registered');
+      }
+      // Added to the account it was shown for, even if the app has switched since
+      const task = await this.quickAddHandler(text, accountId);
+      status = `Added "${task.title}"`;
+      console.log('➕ Quick-added task:', text);
+    } catch (error) {
+      console.error('Error adding task from notification:', error);
+      status = `Couldn't add "${text}". Open the app to try again.`;
+    }
+
+    await this.refreshQuickAdd(status, showFor());
+  }
+
+  // View Details (or tapping the reminder): held until onOpenTask has a handler, i.e. after unlock
+  openTask(data) {
+    this.pendingTaskOpen = { taskId: data.taskId, accountId: data.accountId || null };
+    this.deliverTaskOpen();
+  }
+
+  /**
+   * HomeScreen registers here while it is mounted (only once the app is unlocked);
+   * a reminder opened before that is delivered straight away.
+   * @param {(taskId: string) => void} handler
+   * @returns {() => void} unsubscribe
+   */
+  onOpenTask(handler) {
+    this.openTaskHandler = handler;
+    this.deliverTaskOpen();
+    return () => {
+      if (this.openTaskHandler === handler) {
+        this.openTaskHandler = null;
+      }
+    };
+  }
+
+  deliverTaskOpen() {
+    if (!this.openTaskHandler || !this.pendingTaskOpen) {
+      return;
+    }
+    const { taskId, accountId } = this.pendingTaskOpen;
+    this.pendingTaskOpen = null;
+
+    if (accountId && accountId !== StorageService.accountId) {
+      Alert.alert(
+        'Different Account',
+        'This reminder is for another account. Switch accounts from your profile to view it.'
+      );
+      return;
+    }
+    this.openTaskHandler(taskId);
+  }
 }
 
 export default new NotificationService();
-
@@ -1,4 +1,6 @@
 import AsyncStorage from '@react-native-async-storage/async-storage';
+import { Platform } from 'react-native';
+import { encryptData, decryptData, isEncryptedData } from './AuthService';
 
 // Storage Keys
 const STORAGE_KEYS = {
@@ -8,8 +10,40 @@ const STORAGE_KEYS = {
   SETTINGS: 'APP_SETTINGS',
   CACHE_PREFIX: 'CACHE_',
   OFFLINE_CHANGES: 'OFFLINE_CHANGES', // NEW KEY for tasks waiting to sync to API
+  SYNC_REPORT: 'LAST_SYNC_REPORT',
+  CONFLICTS: 'SYNC_CONFLICTS',
+  CONFLICT_POLICY: 'CONFLICT_POLICY',
+  LAST_UNLOCK: 'LAST_UNLOCK',
+  ACCOUNTS: 'ACCOUNTS',             // accounts signed in on this device, for the switcher
+  ACTIVE_ACCOUNT: 'ACTIVE_ACCOUNT', // id of the account the app opens with
+  INTEGRITY_LOG: 'INTEGRITY_LOG',       // DeviceIntegrityService reports, newest first
+  INTEGRITY_WARNED: 'INTEGRITY_WARNED', // checks the user has already been warned about
+  AUDIT_LOG: 'AUDIT_LOG',               // AuditLogService entries, oldest first
+  OVERDUE_ACKS: 'OVERDUE_ACKS',         // task id -> due date whose overdue escalation was acknowledged
 };
 
+// Kept separately for each account (stored as `<key>@<account id>`), as are all CACHE_ entries
+const ACCOUNT_KEYS = [
+  STORAGE_KEYS.TASKS,
+  STORAGE_KEYS.USER,
+  STORAGE_KEYS.OFFLINE_CHANGES,
+  STORAGE_KEYS.SYNC_REPORT,
+  STORAGE_KEYS.CONFLICTS,
+  STORAGE_KEYS.LAST_UNLOCK,
+  STORAGE_KEYS.OVERDUE_ACKS,
+];
+
+// Values with user content, stored AES-encrypted under the Keychain data key (as are all CACHE_ entries)
+const ENCRYPTED_KEYS = [
+  STORAGE_KEYS.TASKS,
+  STORAGE_KEYS.USER,
+  STORAGE_KEYS.OFFLINE_CHANGES,
+  STORAGE_KEYS.SYNC_REPORT,
+  STORAGE_KEYS.CONFLICTS,
+];
+
+const isEncryptedKey = (key) => ENCRYPTED_KEYS.includes(key) || key.startsWith(STORAGE_KEYS.CACHE_PREFIX);
+
 // Cache expiration time (in milliseconds)
 const CACHE_EXPIRATION = {
   SHORT: 5 * 60 * 1000,      // 5 minutes
@@ -17,12 +51,87 @@ const CACHE_EXPIRATION = {
   LONG: 24 * 60 * 60 * 1000, // 24 hours
 };
 
+// Stored settings are merged over these, so new keys get a value on existing installs
+const DEFAULT_SETTINGS = {
+  notifications: true,
+  snoozeMinutes: 10, // reminder Snooze button
+  quickAddNotification: false, // persistent notification that adds tasks by inline reply
+  // Morning summary of the day's tasks (NotificationService.refreshSchedule)
+  digest: {
+    enabled: true,
+    hour: 8,
+  },
+  // Repeated reminders for high-priority tasks past their due date, until completed or acknowledged
+  overdueEscalation: {
+    enabled: true,
+    intervalMinutes: 60,
+  },
+  // Nothing fires between these hours; anything due then is moved to the end
+  quietHours: {
+    enabled: false,
+    startHour: 22,
+    endHour: 7,
+  },
+  hapticFeedback: true,
+  autoSync: true,
+  dataUsage: 'wifi',
+  // Backend used by ApiService for auth and tasks (see services/adapters).
+  // Defaults to the development mock server (npm run mock-api).
+  backend: {
+    type: 'rest', // 'rest' | 'local' (tasks only; auth always goes to baseUrl)
+    // The Android emulator reaches the host machine through 10.0.2.2
+    baseUrl: Platform.OS === 'android' ? 'http://10.0.2.2:3001' : 'http://localhost:3001',
+    tasksPath: '/tasks',
+    fieldMap: {}, // local field -> server field
+    changesSinceParam: 'updatedSince', // query param for incremental fetches, if the server has one
+  },
+  security: {
+    biometricsEnabled: true,
+    autoLockMinutes: 5, // idle time before the app locks
+    backgroundLockSeconds: 30, // lock on return if the app was in the background longer than this
+    protectSensitiveScreens: true, // SecureScreen: block screenshots and hide app-switcher snapshots
+    // Wrong-PIN throttling on the lock screen (AuthService.recordFailedPinAttempt)
+    pinLockout: {
+      freeAttempts: 3,          // wrong PINs allowed before delays start
+      baseDelaySeconds: 30,     // first delay; doubles with each further failure
+      maxDelaySeconds: 15 * 60, // 15 minutes
+      maxAttempts: 10,          // then the session is wiped and a password login is required
+    },
+    // What DeviceIntegrityService does when a check fails: 'block' | 'warn' | 'allow_no_cache'
+    integrityPolicy: {
+      rooted: 'block',
+      hooking: 'block',
+      debugger: 'warn',
+      emulator: 'warn',
+      installSource: 'allow_no_cache',
+    },
+  },
+};
+
+// Notified by updateSecuritySettings
+const securityListeners = new Set();
+
 class StorageService {
+  constructor() {
+    this.accountId = null; // see selectAccount
+    this.cacheEnabled = true; // see setCacheEnabled
+  }
+
+  // The AsyncStorage key a value actually lives under for the active account
+  storageKey(key) {
+    const perAccount = ACCOUNT_KEYS.includes(key) || key.startsWith(STORAGE_KEYS.CACHE_PREFIX);
+    return perAccount && this.accountId ? `${key}@${this.accountId}` : key;
+  }
+
   // Generic get with cache
   async get(key) {
     try {
-      const value = await AsyncStorage.getItem(key);
+      const value = await AsyncStorage.getItem(this.storageKey(key));
       if (!value) return null;
+
+      if (isEncryptedKey(key)) {
+        return await this.readEncrypted(key, value);
+      }
       
       // Try to parse as JSON, if it fails, return as plain string
       try {
@@ -41,8 +150,10 @@ class StorageService {
   async set(key, value) {
     try {
       // If value is a string, store as-is, otherwise stringify
-      const valueToStore = typeof value === 'string' ? value : JSON.stringify(value);
-      await AsyncStorage.setItem(key, valueToStore);
+      const valueToStore = isEncryptedKey(key)
+        ? await encryptData(JSON.stringify(value), this.accountId)
+        : typeof value === 'string' ? value : JSON.stringify(value);
+      await AsyncStorage.setItem(this.storageKey(key), valueToStore);
       return true;
     } catch (error) {
       console.error(`Error setting ${key}:`, error);
@@ -50,10 +161,29 @@ class StorageService {
     }
   }
 
+  // Decrypt a stored value; plaintext written by older versions is encrypted in place
+  async readEncrypted(key, value) {
+    if (!isEncryptedData(value)) {
+      const parsed = JSON.parse(value);
+      console.log(`🔐 Encrypting existing ${key} data`);
+      await this.set(key, parsed);
+      return parsed;
+    }
+
+    const plaintext = await decryptData(value, this.accountId);
+    if (plaintext === null) {
+      // Written under a key destroyed at logout, or tampered with: nothing to recover
+      console.warn(`⚠️ ${key} could not be decrypted, discarding it`);
+      await this.remove(key);
+      return null;
+    }
+    return JSON.parse(plaintext);
+  }
+
   // Generic remove
   async remove(key) {
     try {
-      await AsyncStorage.removeItem(key);
+      await AsyncStorage.removeItem(this.storageKey(key));
       return true;
     } catch (error) {
       console.error(`Error removing ${key}:`, error);
@@ -61,28 +191,32 @@ class StorageService {
     }
   }
 
+  /**
+   * Turn the CACHE_ entries off (device integrity policy): reads miss and writes are dropped.
+   * @param {boolean} enabled
+   */
+  setCacheEnabled(enabled) {
+    this.cacheEnabled = enabled;
+  }
+
   // Get with cache and expiration
   async getCached(key, expirationTime = CACHE_EXPIRATION.MEDIUM) {
+    if (!this.cacheEnabled) return null;
     try {
       const cacheKey = `${STORAGE_KEYS.CACHE_PREFIX}${key}`;
-      const cached = await AsyncStorage.getItem(cacheKey);
+      const cached = await this.get(cacheKey);
       
       if (cached) {
-        try {
-          const { data, timestamp } = JSON.parse(cached);
-          const now = Date.now();
-          
-          // Check if cache is still valid
-          if (now - timestamp < expirationTime) {
-            return data;
-          }
-          
-          // Cache expired, remove it
-          await this.remove(cacheKey);
-        } catch (parseError) {
-          // If parse fails, remove corrupted cache
-          await this.remove(cacheKey);
+        const { data, timestamp } = cached;
+        const now = Date.now();
+        
+        // Check if cache is still valid
+        if (now - timestamp < expirationTime) {
+          return data;
         }
+        
+        // Cache expired, remove it
+        await this.remove(cacheKey);
       }
       
       return null;
@@ -94,6 +228,7 @@ class StorageService {
 
   // Set with cache and timestamp
   async setCached(key, value, expirationTime = CACHE_EXPIRATION.MEDIUM) {
+    if (!this.cacheEnabled) return false;
     try {
       const cacheKey = `${STORAGE_KEYS.CACHE_PREFIX}${key}`;
       const cacheData = {
@@ -102,8 +237,7 @@ class StorageService {
         expirationTime,
       };
       
-      await AsyncStorage.setItem(cacheKey, JSON.stringify(cacheData));
-      return true;
+      return await this.set(cacheKey, cacheData);
     } catch (error) {
       console.error(`Error setting cached ${key}:`, error);
       return false;
@@ -117,8 +251,6 @@ class StorageService {
 
   async saveTasks(tasks) {
     await this.set(STORAGE_KEYS.TASKS, tasks);
-    // Also cache tasks list (if this key is used for tasks that are mixed with API data)
-    await this.setCached('tasks_list', tasks, CACHE_EXPIRATION.SHORT);
   }
 
   async getTaskById(id) {
@@ -156,6 +288,20 @@ class StorageService {
     return null;
   }
 
+  // Swap a local id for the one the server assigned, keeping the task's position
+  async replaceTaskId(oldId, newId, updates = {}) {
+    const tasks = await this.getTasks();
+    const index = tasks.findIndex(t => t.id === oldId);
+
+    if (index >= 0) {
+      tasks[index] = { ...tasks[index], ...updates, id: newId };
+      await this.saveTasks(tasks);
+      return tasks[index];
+    }
+
+    return null;
+  }
+
   async deleteTask(taskId) {
     const tasks = await this.getTasks();
     const filtered = tasks.filter(t => t.id !== taskId);
@@ -188,6 +334,82 @@ class StorageService {
     return await this.remove(STORAGE_KEYS.OFFLINE_CHANGES);
   }
 
+  /**
+   * Result of the most recent sync run (see ApiService.syncOfflineChanges).
+   * @returns {Promise<Object|null>}
+   */
+  async getLastSyncReport() {
+    return await this.get(STORAGE_KEYS.SYNC_REPORT);
+  }
+
+  async saveLastSyncReport(report) {
+    return await this.set(STORAGE_KEYS.SYNC_REPORT, report);
+  }
+
+  /**
+   * Sync conflicts waiting for the user to pick a winner.
+   * @returns {Promise<Array<Object>>}
+   */
+  async getConflicts() {
+    return await this.get(STORAGE_KEYS.CONFLICTS) || [];
+  }
+
+  async saveConflicts(conflicts) {
+    return await this.set(STORAGE_KEYS.CONFLICTS, conflicts);
+  }
+
+  async getConflictPolicy() {
+    return await this.get(STORAGE_KEYS.CONFLICT_POLICY);
+  }
+
+  async saveConflictPolicy(policy) {
+    return await this.set(STORAGE_KEYS.CONFLICT_POLICY, policy);
+  }
+
+  // When and how the app was last unlocked: { at, method }
+  async getLastUnlock() {
+    return await this.get(STORAGE_KEYS.LAST_UNLOCK);
+  }
+
+  async saveLastUnlock(unlock) {
+    return await this.set(STORAGE_KEYS.LAST_UNLOCK, unlock);
+  }
+
+  // Device integrity reports (shared by all accounts, the checks run before sign-in)
+  async getIntegrityLog() {
+    return await this.get(STORAGE_KEYS.INTEGRITY_LOG) || [];
+  }
+
+  async saveIntegrityLog(log) {
+    return await this.set(STORAGE_KEYS.INTEGRITY_LOG, log);
+  }
+
+  async getIntegrityWarned() {
+    return await this.get(STORAGE_KEYS.INTEGRITY_WARNED) || [];
+  }
+
+  async saveIntegrityWarned(checkIds) {
+    return await this.set(STORAGE_KEYS.INTEGRITY_WARNED, checkIds);
+  }
+
+  // Security audit log (device-wide, kept across logouts; see AuditLogService)
+  async getAuditLog() {
+    return await this.get(STORAGE_KEYS.AUDIT_LOG) || [];
+  }
+
+  async saveAuditLog(entries) {
+    return await this.set(STORAGE_KEYS.AUDIT_LOG, entries);
+  }
+
+  // Overdue escalations the user has acknowledged ({ [taskId]: dueDate }); a new due date escalates again
+  async getOverdueAcks() {
+    return await this.get(STORAGE_KEYS.OVERDUE_ACKS) || {};
+  }
+
+  async saveOverdueAcks(acks) {
+    return await this.set(STORAGE_KEYS.OVERDUE_ACKS, acks);
+  }
+
   // User specific methods
   async getUser() {
     return await this.get(STORAGE_KEYS.USER);
@@ -201,6 +423,90 @@ class StorageService {
     return await this.remove(STORAGE_KEYS.USER);
   }
 
+  // --- Accounts ---
+
+  /**
+   * Read and write the given account's data from now on (null: no account chosen yet).
+   * Values are encrypted under that account's data key.
+   * @param {string|number|null} accountId
+   */
+  selectAccount(accountId) {
+    this.accountId = accountId == null ? null : String(accountId);
+  }
+
+  /**
+   * Storage pinned to one account, whichever is selected meanwhile (notification actions
+   * run with the app closed or on another account)
+   * @param {string|number} accountId
+   */
+  forAccount(accountId) {
+    const view = Object.create(this);
+    view.accountId = String(accountId);
+    return view;
+  }
+
+  async getActiveAccountId() {
+    const accountId = await this.get(STORAGE_KEYS.ACTIVE_ACCOUNT);
+    return accountId == null ? null : String(accountId);
+  }
+
+  async saveActiveAccountId(accountId) {
+    return await this.set(STORAGE_KEYS.ACTIVE_ACCOUNT, String(accountId));
+  }
+
+  /**
+   * Accounts signed in on this device, most recently used first.
+   * @returns {Promise<Array<{ id: string, name: string, email: string, lastActiveAt: string }>>}
+   */
+  async getAccounts() {
+    const accounts = await this.get(STORAGE_KEYS.ACCOUNTS) || [];
+    return accounts.sort((a, b) => new Date(b.lastActiveAt) - new Date(a.lastActiveAt));
+  }
+
+  async getCurrentAccount() {
+    const accounts = await this.getAccounts();
+    return accounts.find(account => account.id === this.accountId) || null;
+  }
+
+  // Add or refresh an account in the switcher list
+  async saveAccount(user) {
+    const accounts = (await this.getAccounts()).filter(account => account.id !== String(user.id));
+    accounts.push({ id: String(user.id), name: user.name, email: user.email, lastActiveAt: new Date().toISOString() });
+    return await this.set(STORAGE_KEYS.ACCOUNTS, accounts);
+  }
+
+  // Forget an account and everything stored for it; other accounts are untouched
+  async removeAccount(accountId) {
+    try {
+      const id = String(accountId);
+      const accounts = (await this.getAccounts()).filter(account => account.id !== id);
+      await this.set(STORAGE_KEYS.ACCOUNTS, accounts);
+
+      const keys = await AsyncStorage.getAllKeys();
+      await AsyncStorage.multiRemove(keys.filter(key => key.endsWith(`@${id}`)));
+      console.log('🗑️ Removed account data for', id);
+      return true;
+    } catch (error) {
+      console.error('Error removing account:', error);
+      return false;
+    }
+  }
+
+  // Move data saved before multi-account support over to the active account
+  async adoptLegacyData() {
+    if (!this.accountId) {
+      return;
+    }
+    for (const key of ACCOUNT_KEYS) {
+      const legacy = await AsyncStorage.getItem(key);
+      if (legacy && !(await AsyncStorage.getItem(this.storageKey(key)))) {
+        await AsyncStorage.setItem(this.storageKey(key), legacy);
+      }
+      await AsyncStorage.removeItem(key);
+    }
+    console.log('✅ Existing data moved to account', this.accountId);
+  }
+
   // Theme specific methods
   async getTheme() {
     return await this.get(STORAGE_KEYS.THEME) || 'light';
@@ -212,11 +518,13 @@ class StorageService {
 
   // Settings specific methods
   async getSettings() {
-    return await this.get(STORAGE_KEYS.SETTINGS) || {
-      notifications: true,
-      hapticFeedback: true,
-      autoSync: true,
-      dataUsage: 'wifi',
+    const stored = await this.get(STORAGE_KEYS.SETTINGS) || {};
+    return {
+      ...DEFAULT_SETTINGS,
+      ...stored,
+      digest: { ...DEFAULT_SETTINGS.digest, ...stored.digest },
+      overdueEscalation: { ...DEFAULT_SETTINGS.overdueEscalation, ...stored.overdueEscalation },
+      quietHours: { ...DEFAULT_SETTINGS.quietHours, ...stored.quietHours },
     };
   }
 
@@ -224,6 +532,46 @@ class StorageService {
     return await this.set(STORAGE_KEYS.SETTINGS, settings);
   }
 
+  // Security settings with defaults filled in for anything not saved yet
+  async getSecuritySettings() {
+    const { security = {} } = await this.getSettings();
+    return {
+      ...DEFAULT_SETTINGS.security,
+      ...security,
+      pinLockout: { ...DEFAULT_SETTINGS.security.pinLockout, ...security.pinLockout },
+      integrityPolicy: { ...DEFAULT_SETTINGS.security.integrityPolicy, ...security.integrityPolicy },
+    };
+  }
+
+  async updateSecuritySettings(partial) {
+    const security = { ...(await this.getSecuritySettings()), ...partial };
+    await this.updateSettings({ security });
+    securityListeners.forEach(listener => listener(security));
+    return security;
+  }
+
+  /**
+   * Be told about security settings saved from now on (SessionTimeout, SecureScreen).
+   * @param {(security: typeof DEFAULT_SETTINGS.security) => void} listener
+   * @returns {() => void} unsubscribe
+   */
+  onSecuritySettingsChange(listener) {
+    securityListeners.add(listener);
+    return () => {
+      securityListeners.delete(listener);
+    };
+  }
+
+  // Merge a few keys into the stored settings without clobbering the rest.
+  // Throws if they can't be written, so callers showing them early can put them back.
+  async updateSettings(partial) {
+    const settings = { ...(await this.getSettings()), ...partial };
+    if (!(await this.saveSettings(settings))) {
+      throw new Error('Settings could not be saved');
+    }
+    return settings;
+  }
+
   // Cache management
   async clearCache() {
     try {
@@ -240,14 +588,17 @@ class StorageService {
   // Modified clearAllData to respect the persistence of local tasks
   async clearAllData() {
     try {
+      // Only the active account's data
       const keysToRemove = [
         STORAGE_KEYS.USER,
         STORAGE_KEYS.OFFLINE_CHANGES,
         // STORAGE_KEYS.TASKS is intentionally NOT removed to keep permanent local tasks
-      ];
+      ].map(key => this.storageKey(key));
       
       const keys = await AsyncStorage.getAllKeys();
-      const cacheKeys = keys.filter(key => key.startsWith(STORAGE_KEYS.CACHE_PREFIX));
+      const cacheKeys = keys.filter(key =>
+        key.startsWith(STORAGE_KEYS.CACHE_PREFIX) && (!this.accountId || key.endsWith(`@${this.accountId}`))
+      );
       
       await AsyncStorage.multiRemove([...keysToRemove, ...cacheKeys]);
       
@@ -283,11 +634,6 @@ class StorageService {
           info.cacheKeys++;
         }
         
-        if (key === STORAGE_KEYS.TASKS) {
-          const tasks = value ? JSON.parse(value) : [];
-          info.tasks = tasks.length;
-        }
-        
         info.items.push({
           key,
           size,
@@ -295,6 +641,7 @@ class StorageService {
         });
       });
 
+      info.tasks = (await this.getTasks()).length; // stored encrypted
       info.totalSize = totalSize;
       info.totalSizeFormatted = this.formatBytes(totalSize);
       
@@ -347,6 +694,17 @@ class StorageService {
         }
       }
 
+      // Caches older versions wrote in plaintext, including the no longer written session copy
+      const keys = await AsyncStorage.getAllKeys();
+      const cacheKeys = keys.filter(key => key.startsWith(STORAGE_KEYS.CACHE_PREFIX));
+      const plaintextCaches = (await AsyncStorage.multiGet(cacheKeys))
+        .filter(([key, value]) => key.startsWith('CACHE_user_session') || !isEncryptedData(value))
+        .map(([key]) => key);
+      if (plaintextCaches.length > 0) {
+        console.log('Removing plaintext cache entries:', plaintextCaches.length);
+        await AsyncStorage.multiRemove(plaintextCaches);
+      }
+
       // Fix APP_SETTINGS key if needed
       const settings = await AsyncStorage.getItem(STORAGE_KEYS.SETTINGS);
       if (settings) {
@@ -401,4 +759,4 @@ class StorageService {
 }
 
 export default new StorageService();
-export { STORAGE_KEYS, CACHE_EXPIRATION };
\ No newline at end of file
+export { STORAGE_KEYS, CACHE_EXPIRATION, DEFAULT_SETTINGS };
\ No newline at end of file
@@ -0,0 +1,42 @@
+import StorageService from '../StorageService';
+
+/**
+ * Keeps tasks on the device only. Same interface as RestTaskAdapter, but
+ * `remote: false` tells ApiService there is nothing to sync with.
+ * @param {StorageService} [storage] an account's storage (StorageService.forAccount); the active account's by default
+ */
+export default class LocalTaskAdapter {
+  constructor(storage = StorageService) {
+    this.storage = storage;
+    this.type = 'local';
+    this.remote = false;
+    this.supportsChangesSince = false;
+  }
+
+  async list() {
+    return await this.storage.getTasks();
+  }
+
+  async get(id) {
+    const task = await this.storage.getTaskById(id);
+    if (!task) {
+      const error = new Error(`Task ${id} not found`);
+      error.status = 404;
+      throw error;
+    }
+    return task;
+  }
+
+  async create(task) {
+    return await this.storage.saveTask(task);
+  }
+
+  async update(id, task) {
+    const updated = await this.storage.updateTask(id, task);
+    return updated || this.get(id);
+  }
+
+  async remove(id) {
+    return await this.storage.deleteTask(id);
+  }
+}
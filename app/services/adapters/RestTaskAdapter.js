@@ -0,0 +1,88 @@
+/**
+ * Task backend speaking plain REST against `{tasksPath}`:
+ *   GET /, GET /:id, POST /, PUT /:id, DELETE /:id
+ * and, when `changesSinceParam` is set, GET /?{changesSinceParam}=<ISO date>
+ * returning tasks changed since then (deleted ones flagged `deleted: true`).
+ *
+ * `fieldMap` renames local fields to server fields, e.g. { completed: 'done' }.
+ * Unmapped fields pass through untouched, so whatever the server stores comes back as-is.
+ */
+export default class RestTaskAdapter {
+  constructor({ tasksPath = '/tasks', fieldMap = {}, changesSinceParam = null } = {}, request) {
+    this.type = 'rest';
+    this.remote = true;
+    this.tasksPath = tasksPath;
+    this.fieldMap = fieldMap;
+    this.changesSinceParam = changesSinceParam;
+    this.request = request; // (path, options) => Promise<json>, provided by ApiService
+
+    this.reverseFieldMap = {};
+    Object.entries(fieldMap).forEach(([local, server]) => {
+      this.reverseFieldMap[server] = local;
+    });
+  }
+
+  get supportsChangesSince() {
+    return !!this.changesSinceParam;
+  }
+
+  toServer(task) {
+    const record = {};
+    Object.entries(task).forEach(([field, value]) => {
+      record[this.fieldMap[field] || field] = value;
+    });
+    return record;
+  }
+
+  fromServer(record) {
+    const task = {};
+    Object.entries(record || {}).forEach(([field, value]) => {
+      task[this.reverseFieldMap[field] || field] = value;
+    });
+    // Ids are strings everywhere on the device
+    if (task.id !== undefined && task.id !== null) {
+      task.id = String(task.id);
+    }
+    return task;
+  }
+
+  // Accept both bare arrays and { data: [...] } envelopes
+  unwrapList(response) {
+    const records = Array.isArray(response) ? response : (response && response.data) || [];
+    return records.map(record => this.fromServer(record));
+  }
+
+  async list() {
+    const response = await this.request(this.tasksPath, { method: 'GET' });
+    return this.unwrapList(response);
+  }
+
+  async get(id) {
+    const response = await this.request(`${this.tasksPath}/${id}`, { method: 'GET' });
+    return this.fromServer(response);
+  }
+
+  async create(task) {
+    const response = await this.request(this.tasksPath, { method: 'POST', body: this.toServer(task) });
+    return this.fromServer(response);
+  }
+
+  async update(id, task) {
+    const response = await this.request(`${this.tasksPath}/${id}`, { method: 'PUT', body: this.toServer(task) });
+    return this.fromServer(response);
+  }
+
+  async remove(id) {
+    await this.request(`${this.tasksPath}/${id}`, { method: 'DELETE' });
+    return true;
+  }
+
+  async changesSince(since) {
+    if (!this.supportsChangesSince) {
+      throw new Error('This backend does not support incremental changes');
+    }
+    const query = `${this.changesSinceParam}=${encodeURIComponent(new Date(since).toISOString())}`;
+    const response = await this.request(`${this.tasksPath}?${query}`, { method: 'GET' });
+    return this.unwrapList(response);
+  }
+}
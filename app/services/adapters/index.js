@@ -0,0 +1,25 @@
+import RestTaskAdapter from './RestTaskAdapter';
+import LocalTaskAdapter from './LocalTaskAdapter';
+
+export const BACKEND_TYPES = {
+  REST: 'rest',
+  LOCAL: 'local',
+};
+
+/**
+ * Builds the task adapter for a `backend` settings entry.
+ * @param {{ type: string, tasksPath?: string, fieldMap?: Object, changesSinceParam?: string }} config
+ * @param {Function} request - (path, options) => Promise<json>
+ * @param {Object} [storage] where a local backend keeps tasks (see LocalTaskAdapter)
+ */
+export const createTaskAdapter = (config = {}, request, storage) => {
+  switch (config.type) {
+    case BACKEND_TYPES.LOCAL:
+      return new LocalTaskAdapter(storage);
+    case BACKEND_TYPES.REST:
+    default:
+      return new RestTaskAdapter(config, request);
+  }
+};
+
+export { RestTaskAdapter, LocalTaskAdapter };
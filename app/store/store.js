@@ -1,68 +1,255 @@
-import { configureStore, createSlice, createAsyncThunk } from '@reduxjs/toolkit';
-import AsyncStorage from '@react-native-async-storage/async-storage';
+import {
+  configureStore,
+  createSlice,
+  createAction,
+  createAsyncThunk,
+  createEntityAdapter,
+} from '@reduxjs/toolkit';
+import ApiService from '../services/ApiService';
+import ConflictResolver from '../services/ConflictResolver';
+import NotificationService from '../services/NotificationService';
+import StorageService, { CACHE_EXPIRATION, DEFAULT_SETTINGS } from '../services/StorageService';
 
-// Simple async thunk to load tasks
-export const loadTasks = createAsyncThunk('tasks/load', async () => {
+// Normalized task storage ({ ids, entities }), newest first
+const tasksAdapter = createEntityAdapter({
+  sortComparer: (a, b) => new Date(b.createdAt || 0) - new Date(a.createdAt || 0),
+});
+
+// ============================================
+// THUNKS
+// Persistence lives here (through ApiService/StorageService), never in reducers
+// ============================================
+
+// Reminders follow the saved task; a notification problem never fails the save itself
+const updateReminders = async (task, accountId) => {
   try {
-    const json = await AsyncStorage.getItem('TASKS');
-    return json ? JSON.parse(json) : [];
+    await NotificationService.scheduleTaskReminder(task, accountId);
   } catch (error) {
-    console.error('Error loading tasks:', error);
-    return [];
+    console.log('Reminder not scheduled:', error);
+  }
+};
+
+// Load tasks from API/cache and permanent local storage
+export const loadTasks = createAsyncThunk('tasks/load', async (forceRefresh = false) => {
+  const result = await ApiService.getTasks(forceRefresh);
+  if (!result.success) {
+    throw new Error(result.error || 'Failed to load tasks');
   }
+  return { tasks: result.data, source: result.source, offline: result.offline };
 });
 
-// Simple async thunk to save task
-export const saveTask = createAsyncThunk('tasks/save', async (task) => {
-  try {
-    const existing = await AsyncStorage.getItem('TASKS');
-    const tasks = existing ? JSON.parse(existing) : [];
-    tasks.push(task);
-    await AsyncStorage.setItem('TASKS', JSON.stringify(tasks));
+// Create a new permanent local task
+export const createTask = createAsyncThunk('tasks/create', async (taskData) => {
+  const result = await ApiService.addTask(taskData);
+  if (!result.success) {
+    throw new Error(result.error || 'Failed to add task');
+  }
+  await updateReminders(result.data);
+  return result.data;
+});
+
+// Edit an existing task (also used for complete/reopen)
+export const editTask = createAsyncThunk('tasks/edit', async ({ id, changes }, { getState }) => {
+  const existing = selectTaskById(getState(), id);
+  // The pre-edit copy lets a queued update detect server-side edits later
+  const result = await ApiService.updateTask(id, changes, existing);
+  if (!result.success) {
+    throw new Error(result.error || 'Failed to update task');
+  }
+  // API/offline updates may not echo the full task back
+  const updated = result.data && result.data.id !== undefined
+    ? result.data
+    : { ...existing, ...changes, id };
+  // Rescheduled for a new due date or offsets, cancelled once completed
+  await updateReminders(updated);
+  return updated;
+});
+
+// Quick add text: a "!high", "!medium" or "!low" word sets the priority (a bare "!" is high),
+// anything else gets AddTaskScreen's default
+const QUICK_ADD_PRIORITY = /(?:^|\s)!(high|medium|low)?(?=\s|$)/i;
+
+const parseQuickAdd = (text) => {
+  const match = text.match(QUICK_ADD_PRIORITY);
+  return {
+    title: text.replace(QUICK_ADD_PRIORITY, ' ').replace(/\s+/g, ' ').trim(),
+    description: '',
+    priority: match ? (match[1] || 'high').toLowerCase() : 'low',
+    dueDate: '',
+    reminderOffsets: [],
+  };
+};
+
+// Notification actions carry their account. The store only holds the active account's
+// tasks, so another account's (any account's, with the app closed and none selected) are
+// changed offline in that account's own storage; see ApiService.forAccount.
+const isOtherAccount = (accountId) => !!accountId && String(accountId) !== StorageService.accountId;
+
+// Inline reply on the Quick add notification; goes through createTask like AddTaskScreen
+export const quickAddTask = createAsyncThunk('tasks/quickAdd', async ({ text, accountId }, { dispatch }) => {
+  const taskData = parseQuickAdd(text);
+  if (!taskData.title) {
+    throw new Error('Task title cannot be empty');
+  }
+  if (isOtherAccount(accountId)) {
+    const result = await (await ApiService.forAccount(accountId)).addTask(taskData);
+    if (!result.success) {
+      throw new Error(result.error || 'Failed to add task');
+    }
+    return result.data;
+  }
+  return await dispatch(createTask(taskData)).unwrap();
+});
+
+const completeForAccount = async (taskId, accountId) => {
+  const api = await ApiService.forAccount(accountId);
+  const { data: tasks = [] } = await api.getTasks();
+  const task = tasks.find(t => String(t.id) === String(taskId));
+  if (!task) {
+    throw new Error('Task not found');
+  }
+  if (task.completed) {
     return task;
-  } catch (error) {
-    console.error('Error saving task:', error);
-    throw error;
   }
+  const changes = { completed: true, completedAt: new Date().toISOString() };
+  const result = await api.updateTask(task.id, changes, task);
+  if (!result.success) {
+    throw new Error(result.error || 'Failed to update task');
+  }
+  const updated = result.data && result.data.id !== undefined
+    ? result.data
+    : { ...task, ...changes, id: task.id };
+  await updateReminders(updated, accountId);
+  return updated;
+};
+
+// Mark Complete on a reminder; the store may not have loaded the active account's tasks yet
+export const completeTask = createAsyncThunk('tasks/complete', async ({ taskId, accountId }, { dispatch, getState }) => {
+  if (isOtherAccount(accountId)) {
+    return await completeForAccount(taskId, accountId);
+  }
+  if (!getState().tasks.loaded) {
+    await dispatch(loadTasks());
+  }
+  const task = selectTaskById(getState(), taskId);
+  if (!task) {
+    throw new Error('Task not found');
+  }
+  if (task.completed) {
+    return task;
+  }
+  return await dispatch(editTask({
+    id: task.id,
+    changes: { completed: true, completedAt: new Date().toISOString() },
+  })).unwrap();
 });
 
-// Simple async thunk to delete task
+// Resolves with ApiService's result ({ source, offline }) so callers can tell the user how it was applied
 export const deleteTask = createAsyncThunk('tasks/delete', async (taskId) => {
+  const result = await ApiService.deleteTask(taskId);
+  if (!result.success) {
+    throw new Error(result.error || 'Failed to delete task');
+  }
+  try {
+    await NotificationService.cancelTaskReminder(taskId);
+  } catch (error) {
+    console.log('Reminder not cancelled:', error);
+  }
+  return result;
+});
+
+// Replay the offline queue, then reload so server-side changes show up everywhere
+export const syncTasks = createAsyncThunk('tasks/sync', async (_, { dispatch }) => {
+  const result = await ApiService.syncOfflineChanges();
+  if (result.success) {
+    await dispatch(loadTasks(true));
+    await dispatch(loadConflicts());
+  }
+  return result;
+});
+
+// Sync conflicts waiting for the user (see ConflictReviewScreen)
+export const loadConflicts = createAsyncThunk('tasks/loadConflicts', async () => {
+  return await ConflictResolver.getConflicts();
+});
+
+// Settle one conflict with per-field picks ({ field: 'local' | 'server' }) and push it if we can
+export const resolveConflict = createAsyncThunk('tasks/resolveConflict', async ({ conflictId, choices }, { dispatch }) => {
+  const result = await ApiService.resolveConflict(conflictId, choices);
+  if (!result.success) {
+    throw new Error(result.error || 'Failed to resolve conflict');
+  }
+  if (ApiService.canSync()) {
+    dispatch(syncTasks());
+  }
+  return result.data;
+});
+
+// App-wide preferences from APP_SETTINGS that screens read through the settings slice.
+// Backend and security settings have their own paths (ApiService, StorageService).
+const PREFERENCE_KEYS = [
+  'notifications',
+  'hapticFeedback',
+  'autoSync',
+  'dataUsage',
+  'snoozeMinutes',
+  'quickAddNotification',
+  'digest',
+  'overdueEscalation',
+  'quietHours',
+];
+
+const pickPreferences = (settings) =>
+  Object.fromEntries(PREFERENCE_KEYS.map(key => [key, settings[key]]));
+
+export const loadSettings = createAsyncThunk('settings/load', async () => {
+  return pickPreferences(await StorageService.getSettings());
+});
+
+// Shows changed preferences before they are saved, so switches don't wait on storage
+const previewSettings = createAction('settings/preview');
+
+// Save preferences and pass them on to the services that act on them. If the save
+// fails, the values they replaced come back as the rejection payload.
+export const updateSettings = createAsyncThunk('settings/update', async (changes, { getState, dispatch, rejectWithValue }) => {
+  const { settings: current } = getState();
+  const previous = Object.fromEntries(Object.keys(changes).map(key => [key, current[key]]));
+  dispatch(previewSettings(changes));
+
+  let settings;
   try {
-    const existing = await AsyncStorage.getItem('TASKS');
-    const tasks = existing ? JSON.parse(existing) : [];
-    const updated = tasks.filter(task => task.id !== taskId);
-    await AsyncStorage.setItem('TASKS', JSON.stringify(updated));
-    return taskId;
+    settings = await StorageService.updateSettings(changes);
   } catch (error) {
-    console.error('Error deleting task:', error);
-    throw error;
+    console.error('Error saving settings:', error);
+    return rejectWithValue(previous);
+  }
+  await StorageService.setCached('app_settings', settings, CACHE_EXPIRATION.LONG);
+
+  const changed = (...keys) => keys.some(key => key in changes);
+  if (changed('dataUsage')) {
+    ApiService.setDataUsage(settings.dataUsage);
+  }
+  // Reminder times move with quiet hours, and everything goes when notifications are off
+  if (changed('notifications', 'digest', 'overdueEscalation', 'quietHours')) {
+    NotificationService.replanAll();
+  }
+  if (changed('notifications', 'quickAddNotification')) {
+    NotificationService.refreshQuickAdd();
   }
+  return pickPreferences(settings);
 });
 
 const tasksSlice = createSlice({
   name: 'tasks',
-  initialState: { 
-    tasks: [], 
-    loading: false, 
+  initialState: tasksAdapter.getInitialState({
+    loading: false,
+    loaded: false,
     error: null,
     isOffline: false,
-  },
+    source: null, // 'api' | 'cache' - where the last load came from
+    conflicts: [],
+  }),
   reducers: {
-    addTask: (state, action) => {
-      state.tasks.push(action.payload);
-    },
-    removeTask: (state, action) => {
-      state.tasks = state.tasks.filter(t => t.id !== action.payload);
-    },
-    updateTask: (state, action) => {
-      const index = state.tasks.findIndex(task => task.id === action.payload.id);
-      if (index !== -1) {
-        state.tasks[index] = action.payload;
-        // Also update in AsyncStorage
-        AsyncStorage.setItem('TASKS', JSON.stringify(state.tasks));
-      }
-    },
     setOffline: (state, action) => {
       state.isOffline = action.payload;
     },
@@ -72,51 +259,83 @@ const tasksSlice = createSlice({
   },
   extraReducers: (builder) => {
     builder
-      .addCase(loadTasks.pending, (state) => { 
-        state.loading = true; 
-        state.error = null;
-      })
-      .addCase(loadTasks.fulfilled, (state, action) => { 
-        state.loading = false; 
-        state.tasks = action.payload; 
-      })
-      .addCase(loadTasks.rejected, (state, action) => { 
-        state.loading = false; 
-        state.error = action.error.message; 
-      })
-      .addCase(saveTask.pending, (state) => {
+      .addCase(loadTasks.pending, (state) => {
         state.loading = true;
         state.error = null;
       })
-      .addCase(saveTask.fulfilled, (state, action) => {
+      .addCase(loadTasks.fulfilled, (state, action) => {
         state.loading = false;
-        state.tasks.push(action.payload);
+        state.loaded = true;
+        state.source = action.payload.source;
+        tasksAdapter.setAll(state, action.payload.tasks);
       })
-      .addCase(saveTask.rejected, (state, action) => {
+      .addCase(loadTasks.rejected, (state, action) => {
         state.loading = false;
+        state.loaded = true;
         state.error = action.error.message;
       })
+      .addCase(createTask.fulfilled, (state, action) => {
+        tasksAdapter.addOne(state, action.payload);
+      })
+      .addCase(editTask.fulfilled, (state, action) => {
+        tasksAdapter.upsertOne(state, action.payload);
+      })
       .addCase(deleteTask.pending, (state) => {
         state.loading = true;
         state.error = null;
       })
       .addCase(deleteTask.fulfilled, (state, action) => {
         state.loading = false;
-        state.tasks = state.tasks.filter(task => task.id !== action.payload);
+        tasksAdapter.removeOne(state, action.meta.arg);
       })
       .addCase(deleteTask.rejected, (state, action) => {
         state.loading = false;
         state.error = action.error.message;
+      })
+      .addCase(loadConflicts.fulfilled, (state, action) => {
+        state.conflicts = action.payload;
+      })
+      .addCase(resolveConflict.fulfilled, (state, action) => {
+        state.conflicts = state.conflicts.filter(c => c.id !== action.meta.arg.conflictId);
+        tasksAdapter.upsertOne(state, action.payload);
       });
   }
 });
 
-export const { addTask, removeTask, updateTask, setOffline, clearError } = tasksSlice.actions;
+export const { setOffline, clearError } = tasksSlice.actions;
+
+const settingsSlice = createSlice({
+  name: 'settings',
+  initialState: { ...pickPreferences(DEFAULT_SETTINGS), loaded: false },
+  reducers: {},
+  extraReducers: (builder) => {
+    builder
+      .addCase(loadSettings.fulfilled, (state, action) => ({ ...action.payload, loaded: true }))
+      .addCase(previewSettings, (state, action) => ({ ...state, ...action.payload }))
+      .addCase(updateSettings.fulfilled, (state, action) => ({ ...action.payload, loaded: true }))
+      // A failed save puts back what the preview replaced
+      .addCase(updateSettings.rejected, (state, action) => ({ ...state, ...action.payload }));
+  },
+});
+
+export const selectSettings = (state) => state.settings;
+
+// ============================================
+// SELECTORS
+// ============================================
+export const {
+  selectAll: selectAllTasks,
+  selectById: selectTaskById,
+  selectIds: selectTaskIds,
+} = tasksAdapter.getSelectors(state => state.tasks);
+
+export const selectConflicts = state => state.tasks.conflicts;
 
 // Create and export the store
-export const store = configureStore({ 
-  reducer: { 
-    tasks: tasksSlice.reducer 
+export const store = configureStore({
+  reducer: {
+    tasks: tasksSlice.reducer,
+    settings: settingsSlice.reducer,
   },
   middleware: (getDefaultMiddleware) =>
     getDefaultMiddleware({
@@ -126,4 +345,18 @@ export const store = configureStore({
     }),
 });
 
-export default store;
\ No newline at end of file
+// The morning digest and overdue escalations depend on the whole task list, so they're
+// re-planned (debounced) whenever it changes rather than from each thunk
+let plannedEntities = null;
+let planTimer = null;
+store.subscribe(() => {
+  const { tasks } = store.getState();
+  if (!tasks.loaded || tasks.entities === plannedEntities) {
+    return;
+  }
+  plannedEntities = tasks.entities;
+  clearTimeout(planTimer);
+  planTimer = setTimeout(() => NotificationService.refreshSchedule(selectAllTasks(store.getState())), 500);
+});
+
+export default store;